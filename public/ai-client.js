@@ -0,0 +1,81 @@
+// ai-client.js
+
+// Import Firebase auth to attach the user's ID token to AI requests
+import { auth } from './firebase-init.js';
+
+/**
+ * Calls one of the server's AI proxy routes (/api/ai/*) with the current user's Firebase ID token.
+ * Without a signed-in user the request goes out unauthenticated and the server decides
+ * (it accepts it only when AI_SKIP_AUTH is set for the mock provider).
+ * The AI API key lives on the server, so the browser never sees it. Which provider and
+ * models answer (Gemini, an OpenAI-compatible endpoint or the offline mock) is server config.
+ * @param {string} route - The proxy route name ('analyze', 'chat', 'image' or 'transcribe').
+ * @param {object} body - The JSON body to send.
+ * @returns {Promise<object>} The parsed JSON response.
+ * @throws {Error} If the proxy returns an error. The error has a `status` property.
+ */
+export async function callAiProxy(route, body) {
+    const currentUser = auth ? auth.currentUser : null;
+    const headers = { 'Content-Type': 'application/json' };
+    if (currentUser) {
+        headers['Authorization'] = `Bearer ${await currentUser.getIdToken()}`;
+    }
+
+    const response = await fetch(`/api/ai/${route}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const message = response.status === 401 && !currentUser
+            ? 'Please sign in to use AI features.'
+            : result.error || `AI request failed with status ${response.status}`;
+        const error = new Error(message);
+        error.status = response.status;
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * Requests a structured JSON analysis from the AI proxy.
+ * @param {string} prompt - The analysis prompt.
+ * @param {object} [responseSchema] - Optional JSON schema the response must follow.
+ * @returns {Promise<{text: string, model: string}>} The analysis as a JSON string in `text`, and the model that produced it.
+ */
+export function requestAnalysis(prompt, responseSchema = null) {
+    return callAiProxy('analyze', { prompt, responseSchema });
+}
+
+/**
+ * Requests a chat reply from the AI proxy.
+ * @param {Array<{role: 'user'|'model', text: string}>} messages - The conversation so far, oldest first.
+ * @param {string} [context=''] - Instructions and records to ground the reply in (see chat-context.js).
+ * @returns {Promise<{text: string, model: string}>} The reply text and the model that produced it.
+ */
+export function requestChatReply(messages, context = '') {
+    return callAiProxy('chat', { messages, context });
+}
+
+/**
+ * Requests a generated image from the AI proxy.
+ * @param {string} prompt - The image prompt.
+ * @returns {Promise<{imageBase64: string, mimeType: string, model: string}>} The base64-encoded image.
+ */
+export function requestImage(prompt) {
+    return callAiProxy('image', { prompt });
+}
+
+/**
+ * Requests a transcription of recorded audio from the AI proxy.
+ * @param {string} audioBase64 - The base64-encoded audio.
+ * @param {string} mimeType - The audio's MIME type, e.g. 'audio/webm'.
+ * @param {string} [context=''] - A transcript to help with names and spelling, e.g. the speech recognizer's.
+ * @param {string} [language=''] - The language spoken, as a code such as 'de'; '' to let the model detect it.
+ * @returns {Promise<{text: string, model: string}>} The transcript and the model that produced it.
+ */
+export function requestTranscription(audioBase64, mimeType, context = '', language = '') {
+    return callAiProxy('transcribe', { audioBase64, mimeType, context, language });
+}
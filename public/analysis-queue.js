@@ -0,0 +1,460 @@
+// analysis-queue.js
+
+// Persistent background queue for AI analysis tasks (analyzing drafts, re-analyzing archived dreams).
+// Tasks are stored in the user's 'analysis_queue' collection, so they survive a page reload and
+// show up on every device. The page that is open works through them one at a time, at most one
+// AI request per MIN_REQUEST_INTERVAL_MS, and retries rate-limit (429), server (5xx) and network
+// failures with exponential backoff. A page claims a task in a transaction and extends its lease
+// while it runs, so a task open in several tabs or on several devices runs only once.
+// What a task does is registered by the module that owns it (see registerAnalysisHandler);
+// this module only schedules, retries and shows the queue.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { analysisQueueRepository } from './dreams-data-service.js';
+
+const MIN_REQUEST_INTERVAL_MS = 4000; // Keeps within the Gemini free tier's 15 requests per minute
+const MAX_ATTEMPTS = 5; // Retryable failures after this many attempts mark the task failed
+const BASE_BACKOFF_MS = 5000; // Delay after the first failure; doubles with every further failure
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000; // A task still 'running' after this long was abandoned and is picked up again
+const LEASE_RENEW_MS = 30 * 1000; // How often the page running a task extends its lease
+
+const STATUS_LABELS = { pending: 'Waiting', running: 'Analyzing...', done: 'Done', failed: 'Failed' };
+
+// Internal state variables for the analysis queue
+let queueItems = []; // All queued tasks, oldest first
+let unsubscribeQueue = null;
+let processingTimer = null;
+let isProcessing = false;
+let lastRequestAt = 0;
+let pausedUntil = 0; // Set after a 429, since every task shares the same rate limit
+const handlers = new Map(); // Task kind -> handler
+const claimHolds = new Map(); // Task ID -> { failures, until } after this page failed to claim it
+const queueListeners = [];
+
+/**
+ * Registers the function that carries out one kind of task.
+ * The handler throws to fail the task. Errors with `retryable: false` are not retried; other errors
+ * are retried if they look temporary (HTTP 429 or 5xx, or no response at all).
+ * @param {string} kind - The task kind, e.g. 'archiveDraft'.
+ * @param {function(import('./dreams-data-service.js').AnalysisQueueItem, function(object): Promise<void>): Promise<void>} handler -
+ *     Called with the task and a function that records finished steps in `task.progress`.
+ */
+export function registerAnalysisHandler(kind, handler) {
+    handlers.set(kind, handler);
+}
+
+/**
+ * Registers a listener called with all tasks whenever the queue changes.
+ * @param {function(Array<import('./dreams-data-service.js').AnalysisQueueItem>)} listener - The listener.
+ * @returns {function()} Unregisters the listener.
+ */
+export function onAnalysisQueueChange(listener) {
+    queueListeners.push(listener);
+    return () => {
+        const index = queueListeners.indexOf(listener);
+        if (index !== -1) queueListeners.splice(index, 1);
+    };
+}
+
+/**
+ * Whether a task is waiting or running.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ * @returns {boolean} True until the task is done or failed.
+ */
+function isOpen(item) {
+    return item.status === 'pending' || item.status === 'running';
+}
+
+/**
+ * Finds the most recent task for a draft or dream.
+ * @param {string} kind - The task kind.
+ * @param {string} targetId - The draft or dream ID.
+ * @returns {import('./dreams-data-service.js').AnalysisQueueItem|null} The task, or null if there is none.
+ */
+export function findQueueItem(kind, targetId) {
+    const matching = queueItems.filter(item => item.kind === kind && item.targetId === targetId);
+    return matching.find(isOpen) || matching[matching.length - 1] || null;
+}
+
+/**
+ * Adds tasks to the queue. Tasks for a draft or dream that is already waiting or running are skipped.
+ * @param {Array<{kind: string, targetId: string, label: string, options: (object|undefined)}>} tasks - The tasks.
+ * @returns {Promise<number>} How many tasks were added.
+ */
+export async function enqueueAnalyses(tasks) {
+    let added = 0;
+    for (const task of tasks) {
+        const existing = findQueueItem(task.kind, task.targetId);
+        if (existing && isOpen(existing)) continue;
+        await analysisQueueRepository.add({
+            kind: task.kind,
+            targetId: task.targetId,
+            label: task.label,
+            options: task.options || {},
+            progress: {},
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: null,
+            leaseExpiresAt: null,
+            finishedAt: null
+        }, { description: `Queued analysis of "${task.label}"` });
+        added++;
+    }
+    scheduleProcessing(0);
+    return added;
+}
+
+/**
+ * Changes a task locally and in storage. The local copy is changed first so the scheduler
+ * does not pick the task again before the subscription reports the write.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ * @param {object} changes - The fields to change.
+ * @returns {Promise<void>}
+ */
+async function updateQueueItem(item, changes) {
+    Object.assign(item, changes);
+    await analysisQueueRepository.update(item.id, changes);
+}
+
+/**
+ * Whether an error is worth retrying: rate limits, server errors and requests that got no response.
+ * @param {Error} error - The error thrown by the handler.
+ * @returns {boolean} True if a later attempt may succeed.
+ */
+function isRetryableError(error) {
+    if (error.retryable === false) return false;
+    if (error.retryable === true) return true;
+    if (typeof error.status === 'number') return error.status === 429 || error.status >= 500;
+    return error instanceof TypeError || !navigator.onLine; // fetch() throws a TypeError when there is no response
+}
+
+/**
+ * Computes the delay before the next attempt, doubling per attempt with some jitter so that
+ * several waiting tasks do not all retry at the same moment.
+ * @param {number} attempts - How often the task has been tried.
+ * @returns {number} The delay in milliseconds.
+ */
+function backoffDelay(attempts) {
+    const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * (2 ** (attempts - 1)));
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * When a task may next run: now for new tasks, after the backoff for retried ones and after
+ * the lease for tasks left 'running' by a closed page. Done and failed tasks never run.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ * @returns {number|null} Milliseconds since epoch, or null if the task does not run again.
+ */
+function nextRunTime(item) {
+    if (item.status === 'pending') return item.nextAttemptAt ? item.nextAttemptAt.getTime() : 0;
+    if (item.status === 'running') return item.leaseExpiresAt ? item.leaseExpiresAt.getTime() : 0;
+    return null;
+}
+
+/**
+ * When this page may next try a task: its stored run time, held back after failed claims
+ * until the subscription brings the local copy up to date.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ * @returns {number|null} Milliseconds since epoch, or null if the task does not run again.
+ */
+function localRunTime(item) {
+    const runTime = nextRunTime(item);
+    const hold = claimHolds.get(item.id);
+    return runTime === null || !hold ? runTime : Math.max(runTime, hold.until);
+}
+
+/**
+ * Claims a task for this page, in a transaction so that two tabs or devices never run the same task:
+ * it must still be due (waiting, or running with an expired lease) when it is marked running.
+ * When the claim fails, or the transaction does, the task is held back with the usual backoff.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ * @returns {Promise<boolean>} True if this page got the task.
+ */
+async function claimQueueItem(item) {
+    let claimed = null;
+    try {
+        claimed = await analysisQueueRepository.transact(item.id, (current) => {
+            const runTime = current ? nextRunTime(current) : null;
+            if (runTime === null || runTime > Date.now()) return null;
+            return { status: 'running', attempts: current.attempts + 1, leaseExpiresAt: new Date(Date.now() + LEASE_MS) };
+        });
+    } finally {
+        if (claimed) {
+            claimHolds.delete(item.id);
+        } else {
+            const failures = (claimHolds.has(item.id) ? claimHolds.get(item.id).failures : 0) + 1;
+            claimHolds.set(item.id, { failures, until: Date.now() + backoffDelay(failures) });
+        }
+    }
+    if (!claimed) return false;
+    Object.assign(item, claimed);
+    return true;
+}
+
+/**
+ * Runs one task and records its outcome.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ */
+async function runQueueItem(item) {
+    const handler = handlers.get(item.kind);
+    if (!handler) {
+        await updateQueueItem(item, { status: 'failed', lastError: `Unknown task "${item.kind}".`, finishedAt: new Date() });
+        return;
+    }
+
+    if (!await claimQueueItem(item)) return; // Taken by another tab or device
+    lastRequestAt = Date.now();
+
+    // Keep the lease while the task runs, however long the AI takes
+    const leaseTimer = setInterval(() => {
+        updateQueueItem(item, { leaseExpiresAt: new Date(Date.now() + LEASE_MS) })
+            .catch(error => console.error("Error extending analysis task lease:", error));
+    }, LEASE_RENEW_MS);
+
+    try {
+        await handler(item, progress => updateQueueItem(item, { progress: { ...item.progress, ...progress } }));
+        clearInterval(leaseTimer);
+        await updateQueueItem(item, { status: 'done', lastError: null, nextAttemptAt: null, leaseExpiresAt: null, finishedAt: new Date() });
+    } catch (error) {
+        clearInterval(leaseTimer);
+        console.error("Error processing analysis task:", item.id, error);
+        if (isRetryableError(error) && item.attempts < MAX_ATTEMPTS) {
+            const delay = backoffDelay(item.attempts);
+            if (error.status === 429) pausedUntil = Date.now() + delay;
+            await updateQueueItem(item, {
+                status: 'pending',
+                lastError: error.message,
+                nextAttemptAt: new Date(Date.now() + delay),
+                leaseExpiresAt: null
+            });
+        } else {
+            await updateQueueItem(item, { status: 'failed', lastError: error.message, leaseExpiresAt: null, finishedAt: new Date() });
+        }
+    }
+}
+
+/**
+ * Runs the next task that is due, respecting the rate limit, and schedules the one after it.
+ */
+async function processQueue() {
+    processingTimer = null;
+    if (isProcessing || !userId || !isAuthReady) return;
+    if (!navigator.onLine) return; // Resumed by the 'online' listener
+
+    const now = Date.now();
+    const rateLimitWait = Math.max(pausedUntil, lastRequestAt + MIN_REQUEST_INTERVAL_MS) - now;
+    if (rateLimitWait > 0) {
+        scheduleProcessing(rateLimitWait);
+        return;
+    }
+
+    const runTimes = queueItems
+        .map(item => ({ item, runTime: localRunTime(item) }))
+        .filter(({ runTime }) => runTime !== null);
+    const due = runTimes.find(({ runTime }) => runTime <= now);
+    if (!due) {
+        if (runTimes.length > 0) scheduleProcessing(Math.min(...runTimes.map(({ runTime }) => runTime)) - now);
+        return;
+    }
+
+    isProcessing = true;
+    try {
+        await runQueueItem(due.item);
+    } catch (error) {
+        console.error("Error updating analysis queue:", error);
+    } finally {
+        isProcessing = false;
+        renderAnalysisQueue();
+        scheduleProcessing(0);
+    }
+}
+
+/**
+ * Schedules the queue to be processed, replacing any earlier schedule.
+ * @param {number} delayMs - How long to wait.
+ */
+function scheduleProcessing(delayMs) {
+    if (processingTimer) clearTimeout(processingTimer);
+    processingTimer = setTimeout(processQueue, Math.max(0, delayMs));
+}
+
+/**
+ * Puts a failed task back in the queue with a fresh set of attempts.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ */
+async function retryQueueItem(item) {
+    claimHolds.delete(item.id);
+    await updateQueueItem(item, { status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, finishedAt: null });
+}
+
+/**
+ * Retries every failed task.
+ */
+async function handleRetryFailedClick() {
+    const failedItems = queueItems.filter(item => item.status === 'failed');
+    if (failedItems.length === 0) return;
+    showLoading();
+    try {
+        for (const item of failedItems) await retryQueueItem(item);
+        showMessage('info', `Retrying ${failedItems.length} failed ${failedItems.length === 1 ? 'analysis' : 'analyses'}.`);
+        scheduleProcessing(0);
+    } catch (error) {
+        console.error("Error retrying analyses:", error);
+        showMessage('error', `Failed to retry analyses: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Removes every task that is done.
+ */
+async function handleClearFinishedClick() {
+    const doneItems = queueItems.filter(item => item.status === 'done');
+    if (doneItems.length === 0) return;
+    showLoading();
+    try {
+        for (const item of doneItems) await analysisQueueRepository.remove(item.id);
+    } catch (error) {
+        console.error("Error clearing finished analyses:", error);
+        showMessage('error', `Failed to clear finished analyses: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Describes the state of a task for its row, e.g. 'Attempt 2 failed: Rate limited. Retrying at 10:42.'
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} item - The task.
+ * @returns {string} The description, or '' if there is nothing to add to the status.
+ */
+function describeQueueItem(item) {
+    if (!item.lastError) return '';
+    const failure = `Attempt ${item.attempts} failed: ${item.lastError}`;
+    if (item.status === 'pending' && item.nextAttemptAt) {
+        return `${failure} Retrying at ${item.nextAttemptAt.toLocaleTimeString()}.`;
+    }
+    return failure;
+}
+
+/**
+ * Renders the queue panel: a summary line and one row per task.
+ */
+function renderAnalysisQueue() {
+    const analysisQueuePanel = document.getElementById('analysis-queue-panel');
+    const analysisQueueSummary = document.getElementById('analysis-queue-summary');
+    const analysisQueueList = document.getElementById('analysis-queue-list');
+    const retryFailedAnalysesButton = document.getElementById('retry-failed-analyses-button');
+    const clearFinishedAnalysesButton = document.getElementById('clear-finished-analyses-button');
+    if (!analysisQueuePanel || !analysisQueueList) return;
+
+    analysisQueuePanel.classList.toggle('hidden', queueItems.length === 0);
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    queueItems.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+    if (analysisQueueSummary) {
+        const parts = [`${counts.pending} waiting`, `${counts.running} running`, `${counts.failed} failed`, `${counts.done} done`];
+        analysisQueueSummary.textContent = parts.join(' · ') + (navigator.onLine ? '' : ' · paused while offline');
+    }
+    if (retryFailedAnalysesButton) retryFailedAnalysesButton.disabled = counts.failed === 0;
+    if (clearFinishedAnalysesButton) clearFinishedAnalysesButton.disabled = counts.done === 0;
+
+    analysisQueueList.innerHTML = '';
+    queueItems.forEach(item => {
+        const row = document.createElement('div');
+        row.classList.add('queue-item');
+
+        const content = document.createElement('div');
+        content.classList.add('queue-item-content');
+        const title = document.createElement('p');
+        title.classList.add('text-sm', 'font-semibold', 'text-gray-700');
+        title.textContent = `${item.kind === 'reanalyzeDream' ? 'Re-analyze' : 'Analyze'}: ${item.label || 'Untitled Dream'}`;
+        const status = document.createElement('span');
+        status.classList.add('queue-status', `queue-status-${item.status}`);
+        status.textContent = STATUS_LABELS[item.status] || item.status;
+        title.appendChild(document.createTextNode(' '));
+        title.appendChild(status);
+        content.appendChild(title);
+        const detail = describeQueueItem(item);
+        if (detail) {
+            const detailLine = document.createElement('p');
+            detailLine.classList.add('text-xs', item.status === 'failed' ? 'text-red-600' : 'text-gray-500');
+            detailLine.textContent = detail;
+            content.appendChild(detailLine);
+        }
+        row.appendChild(content);
+
+        const actions = document.createElement('div');
+        actions.classList.add('draft-item-actions');
+        if (item.status === 'failed') {
+            const retryButton = document.createElement('button');
+            retryButton.textContent = 'Retry';
+            retryButton.classList.add('px-3', 'py-1', 'bg-indigo-500', 'text-white', 'rounded-md', 'hover:bg-indigo-600', 'text-sm');
+            retryButton.addEventListener('click', async () => {
+                try {
+                    await retryQueueItem(item);
+                    scheduleProcessing(0);
+                } catch (error) {
+                    console.error("Error retrying analysis:", error);
+                    showMessage('error', `Failed to retry analysis: ${error.message}`);
+                }
+            });
+            actions.appendChild(retryButton);
+        }
+        if (item.status !== 'running') {
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.classList.add('px-3', 'py-1', 'bg-red-500', 'text-white', 'rounded-md', 'hover:bg-red-600', 'text-sm');
+            removeButton.addEventListener('click', async () => {
+                try {
+                    await analysisQueueRepository.remove(item.id);
+                } catch (error) {
+                    console.error("Error removing analysis task:", error);
+                    showMessage('error', `Failed to remove analysis: ${error.message}`);
+                }
+            });
+            actions.appendChild(removeButton);
+        }
+        row.appendChild(actions);
+        analysisQueueList.appendChild(row);
+    });
+}
+
+/**
+ * Starts watching the stored queue and working through it.
+ */
+export function watchAnalysisQueue() {
+    if (unsubscribeQueue) unsubscribeQueue();
+    unsubscribeQueue = analysisQueueRepository.subscribe({ orderBy: 'timestamp', direction: 'asc' }, (items) => {
+        queueItems = items;
+        renderAnalysisQueue();
+        queueListeners.forEach(listener => listener(queueItems));
+        if (!isProcessing) scheduleProcessing(0);
+    }, (error) => {
+        console.error("Error loading analysis queue:", error);
+        showMessage('error', `Failed to load analysis queue: ${error.message}`);
+    });
+}
+
+/**
+ * Initializes event listeners for the analysis queue and starts processing it.
+ */
+export function initializeAnalysisQueue() {
+    const retryFailedAnalysesButton = document.getElementById('retry-failed-analyses-button');
+    const clearFinishedAnalysesButton = document.getElementById('clear-finished-analyses-button');
+
+    if (retryFailedAnalysesButton) retryFailedAnalysesButton.addEventListener('click', handleRetryFailedClick);
+    if (clearFinishedAnalysesButton) clearFinishedAnalysesButton.addEventListener('click', handleClearFinishedClick);
+
+    window.addEventListener('online', () => {
+        renderAnalysisQueue();
+        scheduleProcessing(0);
+    });
+    window.addEventListener('offline', renderAnalysisQueue);
+
+    if (!userId || !isAuthReady) return;
+    watchAnalysisQueue();
+}
@@ -0,0 +1,362 @@
+// analysis-schema.js
+
+// The user's dream analysis schema: which categories the AI fills in for each dream, with a name,
+// a description for the prompt, a value type and an on/off toggle. The analysis prompt, the
+// response schema, the analysis display, the statistics and the search index are all built from it.
+// The schema is stored as an 'analysisSchema' record in the settings collection; until one is saved,
+// the twelve built-in categories are used. Every save increments the schema version, which is
+// recorded with each analysis so older analyses can be told apart and re-run.
+
+import { settingsRepository } from './dreams-data-service.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n.js';
+
+const SETTINGS_KIND = 'analysisSchema';
+// Keys used for other fields of a dream in search and statistics
+const RESERVED_KEYS = ['title', 'text', 'dreamText', 'dreamTitle'];
+
+/** Value types a category can have, with their label in the settings editor. */
+export const CATEGORY_TYPES = {
+    text: 'Text',
+    list: 'List',
+    number: 'Number (1–10)',
+    enum: 'Choice'
+};
+
+/** Version of the built-in schema; saved schemas count up from 1. */
+export const DEFAULT_SCHEMA_VERSION = 0;
+
+/** Identifies the wording of buildAnalysisPrompt. Change it whenever the wording changes. */
+export const ANALYSIS_PROMPT_TEMPLATE = 'structured-categories-v1';
+
+/** Range of 'number' categories. */
+export const NUMBER_RANGE = { min: 1, max: 10 };
+
+/**
+ * @typedef {object} AnalysisCategory
+ * @property {string} key - The field in the analysis JSON, e.g. 'emotionalContent'.
+ * @property {string} name - The heading shown to the user.
+ * @property {string} description - What the AI should write, used in the prompt.
+ * @property {'text'|'list'|'number'|'enum'} type - The value type.
+ * @property {Array<string>} options - The allowed values of an 'enum' category.
+ * @property {boolean} enabled - Disabled categories are left out of new analyses but still shown in old ones.
+ * @property {boolean} inSummary - Whether the category is part of the one-line summary.
+ */
+
+/** The built-in categories, used until the user saves a schema of their own. */
+export const DEFAULT_ANALYSIS_CATEGORIES = [
+    { key: 'actionsPerformed', name: 'Actions Performed', description: 'Summarize actions.', inSummary: true },
+    { key: 'location', name: 'Location', description: 'Describe the location.', inSummary: true },
+    { key: 'timeInDream', name: 'Time in Dream', description: 'Indicate the time.' },
+    { key: 'movementsThroughTime', name: 'Movements Through Time', description: 'Describe any time shifts.' },
+    { key: 'emotionalContent', name: 'Emotional Content', description: 'Detail emotions felt.', inSummary: true },
+    { key: 'surfacePsychologicalContent', name: 'Surface Psychological Content', description: 'Explain surface psychological aspects.' },
+    { key: 'workDoneInDream', name: 'Work Done Within the Dream', description: 'Describe any "work" or processing.' },
+    { key: 'familiarPersonsSpokenTo', name: 'Familiar Persons Spoken To', description: 'List familiar persons spoken to.' },
+    { key: 'relationToPastEvents', name: 'Relation to Past Events', description: 'Relate to past events.' },
+    { key: 'relationToFutureEvents', name: 'Relation to Future Events', description: 'Relate to future events.' },
+    { key: 'messagesReceived', name: 'Messages Given or Received', description: 'Any messages given or received.' },
+    { key: 'awarenessOfSpace', name: 'Awareness of Space', description: 'Comment on spatial awareness.' }
+].map(category => normalizeCategory(category));
+
+let categories = DEFAULT_ANALYSIS_CATEGORIES;
+let schemaVersion = DEFAULT_SCHEMA_VERSION;
+let settingsRecordId = null; // The stored schema record, null while the defaults are in use
+let unsubscribeSchema = null;
+const schemaListeners = new Set();
+
+/**
+ * Fills in defaults for a category read from storage or the editor.
+ * @param {object} category - A partial category.
+ * @returns {AnalysisCategory} The complete category.
+ */
+function normalizeCategory(category) {
+    const type = Object.hasOwn(CATEGORY_TYPES, category.type) ? category.type : 'text';
+    return {
+        key: category.key,
+        name: (category.name || '').trim() || category.key,
+        description: (category.description || '').trim(),
+        type,
+        options: type === 'enum' ? (category.options || []).map(option => String(option).trim()).filter(Boolean) : [],
+        enabled: category.enabled !== false,
+        inSummary: category.inSummary === true
+    };
+}
+
+/**
+ * Derives an analysis JSON key from a category name, e.g. 'Dream Sign' -> 'dreamSign'.
+ * A number is appended when the key is already taken.
+ * @param {string} name - The category name.
+ * @param {Array<string>} takenKeys - Keys already in use.
+ * @returns {string} The key.
+ */
+export function categoryKeyFromName(name, takenKeys = []) {
+    const words = name.toLowerCase().match(/[a-z0-9]+/g) || ['category'];
+    let key = words.map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+    if (/^[0-9]/.test(key)) key = `category${key}`;
+    let candidate = key;
+    for (let suffix = 2; takenKeys.includes(candidate) || RESERVED_KEYS.includes(candidate); suffix++) candidate = `${key}${suffix}`;
+    return candidate;
+}
+
+/**
+ * Checks a list of categories before it is saved.
+ * @param {Array<AnalysisCategory>} candidateCategories - The categories.
+ * @returns {string|null} A description of the first problem, or null if the schema is valid.
+ */
+export function validateCategories(candidateCategories) {
+    if (!candidateCategories.some(category => category.enabled)) return 'Enable at least one category.';
+    const keys = new Set();
+    for (const category of candidateCategories) {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(category.key || '')) return `"${category.name}" has an invalid key.`;
+        if (keys.has(category.key)) return `The key "${category.key}" is used twice.`;
+        if (RESERVED_KEYS.includes(category.key)) return `The key "${category.key}" is reserved.`;
+        keys.add(category.key);
+        if (!category.name.trim()) return 'Every category needs a name.';
+        if (category.type === 'enum' && category.options.length < 2) return `"${category.name}" needs at least two choices.`;
+    }
+    return null;
+}
+
+// --- Current schema ---
+
+/**
+ * Returns the categories of the current schema.
+ * @param {object} [options]
+ * @param {boolean} [options.includeDisabled=false] - Whether to include disabled categories.
+ * @returns {Array<AnalysisCategory>} The categories, in display order.
+ */
+export function getAnalysisCategories({ includeDisabled = false } = {}) {
+    return includeDisabled ? categories : categories.filter(category => category.enabled);
+}
+
+/**
+ * Returns the version of the current schema.
+ * @returns {number} The version, DEFAULT_SCHEMA_VERSION for the built-in categories.
+ */
+export function getAnalysisSchemaVersion() {
+    return schemaVersion;
+}
+
+/**
+ * Returns the display name of an analysis key, falling back to the key for fields of older analyses
+ * whose category has since been deleted.
+ * @param {string} key - The analysis JSON key.
+ * @returns {string} The name.
+ */
+export function getCategoryName(key) {
+    const category = categories.find(candidate => candidate.key === key);
+    return category ? category.name : key;
+}
+
+/**
+ * Registers a listener that is called whenever the schema changes.
+ * @param {function(Array<AnalysisCategory>): void} listener - Receives all categories, including disabled ones.
+ * @returns {function(): void} Unregisters the listener.
+ */
+export function onAnalysisSchemaChange(listener) {
+    schemaListeners.add(listener);
+    return () => schemaListeners.delete(listener);
+}
+
+/**
+ * Replaces the current schema and notifies the listeners.
+ * @param {Array<AnalysisCategory>} newCategories - The categories.
+ * @param {number} version - The schema version.
+ */
+function setCategories(newCategories, version) {
+    categories = newCategories;
+    schemaVersion = version;
+    schemaListeners.forEach(listener => listener(categories));
+}
+
+/**
+ * Subscribes to the stored schema of the signed-in user. Safe to call again after signing in.
+ */
+export function watchAnalysisSchema() {
+    if (unsubscribeSchema) unsubscribeSchema();
+    unsubscribeSchema = settingsRepository.subscribe({ where: [{ field: 'kind', value: SETTINGS_KIND }] }, (records) => {
+        const record = records[0];
+        settingsRecordId = record ? record.id : null;
+        const stored = record && Array.isArray(record.categories) ? record.categories.map(normalizeCategory) : [];
+        if (stored.length > 0) {
+            setCategories(stored, record.version || 1);
+        } else {
+            setCategories(DEFAULT_ANALYSIS_CATEGORIES, DEFAULT_SCHEMA_VERSION);
+        }
+    }, (error) => {
+        console.error("Error loading analysis schema:", error);
+    });
+}
+
+/**
+ * Saves the user's schema.
+ * @param {Array<AnalysisCategory>} newCategories - The categories, in display order.
+ * @returns {Promise<void>}
+ * @throws {Error} If the schema is invalid.
+ */
+export async function saveAnalysisCategories(newCategories) {
+    const normalized = newCategories.map(normalizeCategory);
+    const problem = validateCategories(normalized);
+    if (problem) throw new Error(problem);
+
+    const version = schemaVersion + 1;
+    if (settingsRecordId) {
+        await settingsRepository.update(settingsRecordId, { categories: normalized, version }, { description: 'Update analysis categories' });
+    } else {
+        const { id } = await settingsRepository.add({ kind: SETTINGS_KIND, categories: normalized, version }, { description: 'Save analysis categories' });
+        settingsRecordId = id;
+    }
+    setCategories(normalized, version);
+}
+
+// --- Prompt and response schema ---
+
+/**
+ * Describes the value a category expects, for the prompt.
+ * @param {AnalysisCategory} category - The category.
+ * @returns {string} The description.
+ */
+function describeExpectedValue(category) {
+    switch (category.type) {
+        case 'list':
+            return `A list. ${category.description}`;
+        case 'number':
+            return `A number from ${NUMBER_RANGE.min} to ${NUMBER_RANGE.max}. ${category.description}`;
+        case 'enum':
+            return `One of ${category.options.map(option => `"${option}"`).join(', ')}. ${category.description}`;
+        default:
+            return category.description;
+    }
+}
+
+/**
+ * Builds the analysis prompt for the enabled categories. For a language other than English the AI is told to
+ * write the values in it; choice values stay as listed, so they still match the schema.
+ * @param {Array<AnalysisCategory>} promptCategories - The enabled categories.
+ * @param {string} fullDreamText - The dream text, with its title if it has one.
+ * @param {string} [language=DEFAULT_LANGUAGE] - The language code of the analysis (see i18n.js).
+ * @returns {string} The prompt.
+ */
+export function buildAnalysisPrompt(promptCategories, fullDreamText, language = DEFAULT_LANGUAGE) {
+    const keyLines = promptCategories.map(category => `    "${category.key}": ${describeExpectedValue(category).trim()}`).join('\n');
+    const languageLine = language !== DEFAULT_LANGUAGE && LANGUAGES[language]
+        ? `\n    Write the values in ${LANGUAGES[language].englishName}. Keep the keys, and the values of choices, exactly as given.\n`
+        : '';
+    return `Analyze the following dream(s) and provide a structured JSON response with these keys:
+${keyLines}
+${languageLine}
+    Dream(s): "${fullDreamText}"`;
+}
+
+/**
+ * Builds the structured-output schema for the enabled categories.
+ * @param {Array<AnalysisCategory>} schemaCategories - The enabled categories.
+ * @returns {object} The response schema.
+ */
+export function buildResponseSchema(schemaCategories) {
+    const properties = {};
+    schemaCategories.forEach(category => {
+        switch (category.type) {
+            case 'list':
+                properties[category.key] = { type: 'ARRAY', items: { type: 'STRING' } };
+                break;
+            case 'number':
+                properties[category.key] = { type: 'INTEGER', minimum: NUMBER_RANGE.min, maximum: NUMBER_RANGE.max };
+                break;
+            case 'enum':
+                properties[category.key] = { type: 'STRING', enum: category.options };
+                break;
+            default:
+                properties[category.key] = { type: 'STRING' };
+        }
+    });
+    return {
+        type: 'OBJECT',
+        properties,
+        required: schemaCategories.map(category => category.key)
+    };
+}
+
+// --- Reading analyses ---
+
+/**
+ * Parses the analysis JSON of an archived dream.
+ * @param {string} analysisText - The stored analysis.
+ * @returns {object|null} The analysis, or null if it is missing or not valid JSON.
+ */
+export function parseAnalysisText(analysisText) {
+    if (!analysisText) return null;
+    try {
+        const analysis = JSON.parse(analysisText);
+        return analysis && typeof analysis === 'object' && !Array.isArray(analysis) ? analysis : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Returns the language the active analysis of an archived dream is written in.
+ * @param {import('./dreams-data-service.js').ArchivedDream} dreamData - The archived dream.
+ * @returns {string} The language code; English for analyses made before the language was recorded.
+ */
+export function analysisLanguage(dreamData) {
+    const active = dreamData.analyses.find(version => version.id === dreamData.activeAnalysisId);
+    return active && active.language ? active.language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Converts an analysis value of any category type to plain text, for display, search and word matching.
+ * @param {*} value - The value: a string, an array of strings or a number.
+ * @returns {string} The text, '' for missing values.
+ */
+export function analysisValueText(value) {
+    if (Array.isArray(value)) return value.map(analysisValueText).filter(Boolean).join(', ');
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Formats a value for display, e.g. '7/10' for number categories.
+ * @param {AnalysisCategory|undefined} category - The category, undefined for unknown keys.
+ * @param {*} value - The value.
+ * @returns {string} The formatted value.
+ */
+export function formatAnalysisValue(category, value) {
+    const text = analysisValueText(value);
+    if (text && category && category.type === 'number') return `${text}/${NUMBER_RANGE.max}`;
+    return text;
+}
+
+/**
+ * Lists the filled-in fields of an analysis in schema order, followed by fields that are no longer
+ * in the schema. Disabled categories are included so older analyses keep their content.
+ * @param {object|null} analysis - A parsed analysis.
+ * @returns {Array<{key: string, name: string, category: AnalysisCategory|undefined, value: *, text: string}>} The entries.
+ */
+export function analysisEntries(analysis) {
+    if (!analysis) return [];
+    const knownKeys = new Set(categories.map(category => category.key));
+    const keys = [
+        ...categories.map(category => category.key).filter(key => Object.hasOwn(analysis, key)),
+        ...Object.keys(analysis).filter(key => !knownKeys.has(key))
+    ];
+    return keys
+        .map(key => {
+            const category = categories.find(candidate => candidate.key === key);
+            return { key, name: getCategoryName(key), category, value: analysis[key], text: formatAnalysisValue(category, analysis[key]) };
+        })
+        .filter(entry => entry.text !== '');
+}
+
+/**
+ * Builds the one-line summary of an analysis from the categories marked for the summary.
+ * @param {object|null} analysis - A parsed analysis.
+ * @returns {string} The summary, e.g. 'Actions Performed: running. Location: a beach.'.
+ */
+export function summarizeAnalysis(analysis) {
+    if (!analysis) return '';
+    return categories
+        .filter(category => category.inSummary)
+        .map(category => `${category.name}: ${formatAnalysisValue(category, analysis[category.key]) || 'N/A'}.`)
+        .join(' ');
+}
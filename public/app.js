@@ -2,54 +2,76 @@
 
 // Import all necessary modules
 // Removed auth, userId, isAuthReady, setupAuthUIListeners as their logic is now centralized in firebase-init.js
-import { initializeFirebase } from './firebase-init.js'; // Keep this import, but its call is handled by firebase-init.js
+import { initializeFirebase, appId, userId } from './firebase-init.js'; // Keep this import, but its call is handled by firebase-init.js
 import { showLoginScreen, showMainAppScreen, showMessage } from './ui-utils.js'; // Still needed for screen display functions
 import { initializeRecordModule } from './record-module.js';
 import {
-    initializeDreamsModule, loadDraftDreams, loadArchivedDreams,
-    loadMatchedDreams, loadDreamsForAnalysisTab
+    initializeDreamsModule, loadDraftDreams, loadArchivedDreams, loadDreamsForAnalysisTab
 } from './dreams-module.js';
+import { initializeMatchesModule, loadMatchedDreams } from './matches-module.js';
 import {
-    initializeRealityModule, loadDailyEvents, startNewConversation
+    initializeRealityModule, loadDailyEvents, startNewConversation, resumeConversation
 } from './reality-module.js';
+import { initializeConversationsModule } from './conversations-module.js';
 import { initializeSearchModule } from './search-module.js';
 import {
-    initializeStatsModule, loadStats, loadDetailedDreamStats, loadTopInsights
+    initializeStatsModule, loadStats, loadDetailedDreamStats, loadTopInsights, loadPrecognitionStats, loadTagStats, loadMetadataStats,
+    loadLucidStats, loadIncubationStats, loadNightStats
 } from './stats-module.js';
+import { initializeSettingsModule, loadSettings } from './settings-module.js';
+import { initializeAnalysisQueue } from './analysis-queue.js';
+import { initializePeriodReports } from './period-reports.js';
+import { initializeTagsModule } from './tags-module.js';
+import { initializeLucidModule, loadLucidTraining } from './lucid-module.js';
+import { initializeIncubationModule, loadIncubation } from './incubation-module.js';
+import { initializeNightSessionModule } from './night-session-module.js';
+import { initializeLanguageModule } from './language-module.js';
+import { registerServiceWorker, initializeOfflineSync } from './offline-sync.js';
+import { configureDataService } from './dreams-data-service.js';
+import { createFirestoreBackend } from './firestore-backend.js';
+import { createMemoryBackend } from './memory-backend.js';
 
 /**
  * Shows a specific main tab and hides all others.
  * Also manages theme switching based on the active tab.
- * @param {string} tabId - The ID of the tab to show ('record', 'dreams', 'reality', 'search', 'stats').
+ * @param {string} tabId - The ID of the tab to show ('record', 'dreams', 'reality', 'lucid', 'search', 'stats', 'settings').
  */
-function showTab(tabId) {
+export function showTab(tabId) {
     // Get UI Elements - Main Tabs (now fetched when needed)
     const tabRecord = document.getElementById('tab-record');
     const tabDreams = document.getElementById('tab-dreams');
     const tabReality = document.getElementById('tab-reality');
+    const tabLucid = document.getElementById('tab-lucid');
     const tabSearch = document.getElementById('tab-search');
     const tabStats = document.getElementById('tab-stats');
+    const tabSettings = document.getElementById('tab-settings');
 
     // Get UI Elements - Sections (now fetched when needed)
     const recordSection = document.getElementById('record-section');
     const dreamsSection = document.getElementById('dreams-section');
     const realitySection = document.getElementById('reality-section');
+    const lucidSection = document.getElementById('lucid-section');
     const searchSection = document.getElementById('search-section');
     const statsSection = document.getElementById('stats-section');
+    const settingsSection = document.getElementById('settings-section');
 
     // Hide all main sections
     recordSection.classList.add('hidden');
     dreamsSection.classList.add('hidden');
     realitySection.classList.add('hidden');
+    if (lucidSection) lucidSection.classList.add('hidden');
     searchSection.classList.add('hidden');
     statsSection.classList.add('hidden');
+    if (settingsSection) settingsSection.classList.add('hidden');
 
     // Deactivate all main tab buttons
     if (tabRecord) tabRecord.classList.remove('active-tab');
     if (tabDreams) tabDreams.classList.remove('active-tab');
     if (tabReality) tabReality.classList.remove('active-tab');
+    if (tabLucid) tabLucid.classList.remove('active-tab');
     if (tabSearch) tabSearch.classList.remove('active-tab');
     if (tabStats) tabStats.classList.remove('active-tab');
+    if (tabSettings) tabSettings.classList.remove('active-tab');
 
     // Set default theme to bright
     const metaThemeColor = document.getElementById('meta-theme-color');
@@ -76,6 +98,12 @@ function showTab(tabId) {
             // Default to Daily Events sub-tab if no other sub-tab is active
             showRealitySubTab('daily-events');
             break;
+        case 'lucid':
+            if (lucidSection) lucidSection.classList.remove('hidden');
+            if (tabLucid) tabLucid.classList.add('active-tab');
+            loadLucidTraining(); // Refresh the lists and detect dream signs in the current archive
+            loadIncubation(); // Refresh the incubation nights with the dreams linked to them
+            break;
         case 'search':
             if (searchSection) searchSection.classList.remove('hidden');
             if (tabSearch) tabSearch.classList.add('active-tab');
@@ -86,6 +114,11 @@ function showTab(tabId) {
             // Default to Totals sub-tab if no other sub-tab is active
             showStatsSubTab('totals');
             break;
+        case 'settings':
+            if (settingsSection) settingsSection.classList.remove('hidden');
+            if (tabSettings) tabSettings.classList.add('active-tab');
+            loadSettings();
+            break;
     }
 }
 
@@ -93,7 +126,7 @@ function showTab(tabId) {
  * Shows a specific sub-tab within the Dreams section and hides others.
  * @param {string} subTabId - The ID of the Dreams sub-tab to show ('drafts', 'analysis', 'archive', 'matches').
  */
-function showDreamsSubTab(subTabId) {
+export function showDreamsSubTab(subTabId) {
     // Get UI Elements - Dreams Sub-tabs and their sections (now fetched when needed)
     const subtabDrafts = document.getElementById('subtab-drafts');
     const subtabAnalysis = document.getElementById('subtab-analysis');
@@ -145,8 +178,10 @@ function showDreamsSubTab(subTabId) {
 /**
  * Shows a specific sub-tab within the Reality section and hides others.
  * @param {string} subTabId - The ID of the Reality sub-tab to show ('daily-events', 'ai-chat').
+ * @param {object} [options]
+ * @param {string|null} [options.conversationId=null] - For 'ai-chat': resume this conversation instead of the latest one.
  */
-function showRealitySubTab(subTabId) {
+export function showRealitySubTab(subTabId, { conversationId = null } = {}) {
     // Get UI Elements - Reality Sub-tabs and their sections (now fetched when needed)
     const subtabDailyEvents = document.getElementById('subtab-daily-events');
     const subtabAiChat = document.getElementById('subtab-ai-chat');
@@ -172,34 +207,62 @@ function showRealitySubTab(subTabId) {
         case 'ai-chat':
             if (aiChatSubsection) aiChatSubsection.classList.remove('hidden');
             if (subtabAiChat) subtabAiChat.classList.add('active-tab');
-            startNewConversation(); // Start/load chat conversation
+            if (conversationId) {
+                resumeConversation(conversationId);
+            } else {
+                startNewConversation(); // Start/load chat conversation
+            }
             break;
     }
 }
 
 /**
  * Shows a specific sub-tab within the Stats section and hides others.
- * @param {string} subTabId - The ID of the Stats sub-tab to show ('totals', 'dream-stats', 'top-insights').
+ * @param {string} subTabId - The ID of the Stats sub-tab to show ('totals', 'dream-stats', 'top-insights', 'precognition', 'tag-stats', 'metadata-stats', 'lucid-stats', 'incubation-stats', 'night-stats').
  */
 function showStatsSubTab(subTabId) {
     // Get UI Elements - Stats Sub-tabs and their sections (now fetched when needed)
     const subtabTotals = document.getElementById('subtab-totals');
     const subtabDreamStats = document.getElementById('subtab-dream-stats');
     const subtabTopInsights = document.getElementById('subtab-top-insights');
+    const subtabPrecognition = document.getElementById('subtab-precognition');
+    const subtabTagStats = document.getElementById('subtab-tag-stats');
+    const subtabMetadataStats = document.getElementById('subtab-metadata-stats');
+    const subtabLucidStats = document.getElementById('subtab-lucid-stats');
+    const subtabIncubationStats = document.getElementById('subtab-incubation-stats');
+    const subtabNightStats = document.getElementById('subtab-night-stats');
 
     const totalsSubsection = document.getElementById('totals-subsection');
     const dreamStatsSubsection = document.getElementById('dream-stats-subsection');
     const topInsightsSubsection = document.getElementById('top-insights-subsection');
+    const precognitionSubsection = document.getElementById('precognition-subsection');
+    const tagStatsSubsection = document.getElementById('tag-stats-subsection');
+    const metadataStatsSubsection = document.getElementById('metadata-stats-subsection');
+    const lucidStatsSubsection = document.getElementById('lucid-stats-subsection');
+    const incubationStatsSubsection = document.getElementById('incubation-stats-subsection');
+    const nightStatsSubsection = document.getElementById('night-stats-subsection');
 
     // Hide all Stats sub-sections
     if (totalsSubsection) totalsSubsection.classList.add('hidden');
     if (dreamStatsSubsection) dreamStatsSubsection.classList.add('hidden');
     if (topInsightsSubsection) topInsightsSubsection.classList.add('hidden');
+    if (precognitionSubsection) precognitionSubsection.classList.add('hidden');
+    if (tagStatsSubsection) tagStatsSubsection.classList.add('hidden');
+    if (metadataStatsSubsection) metadataStatsSubsection.classList.add('hidden');
+    if (lucidStatsSubsection) lucidStatsSubsection.classList.add('hidden');
+    if (incubationStatsSubsection) incubationStatsSubsection.classList.add('hidden');
+    if (nightStatsSubsection) nightStatsSubsection.classList.add('hidden');
 
     // Deactivate all Stats sub-tab buttons
     if (subtabTotals) subtabTotals.classList.remove('active-tab');
     if (subtabDreamStats) subtabDreamStats.classList.remove('active-tab');
     if (subtabTopInsights) subtabTopInsights.classList.remove('active-tab');
+    if (subtabPrecognition) subtabPrecognition.classList.remove('active-tab');
+    if (subtabTagStats) subtabTagStats.classList.remove('active-tab');
+    if (subtabMetadataStats) subtabMetadataStats.classList.remove('active-tab');
+    if (subtabLucidStats) subtabLucidStats.classList.remove('active-tab');
+    if (subtabIncubationStats) subtabIncubationStats.classList.remove('active-tab');
+    if (subtabNightStats) subtabNightStats.classList.remove('active-tab');
 
     // Show the selected sub-section and activate its button
     switch (subTabId) {
@@ -218,6 +281,36 @@ function showStatsSubTab(subTabId) {
             if (subtabTopInsights) subtabTopInsights.classList.add('active-tab');
             loadTopInsights(); // Load top insights
             break;
+        case 'precognition':
+            if (precognitionSubsection) precognitionSubsection.classList.remove('hidden');
+            if (subtabPrecognition) subtabPrecognition.classList.add('active-tab');
+            loadPrecognitionStats(); // Load match timing, rates and the chance baseline
+            break;
+        case 'tag-stats':
+            if (tagStatsSubsection) tagStatsSubsection.classList.remove('hidden');
+            if (subtabTagStats) subtabTagStats.classList.add('active-tab');
+            loadTagStats(); // Load dream and event counts per tag
+            break;
+        case 'metadata-stats':
+            if (metadataStatsSubsection) metadataStatsSubsection.classList.remove('hidden');
+            if (subtabMetadataStats) subtabMetadataStats.classList.add('active-tab');
+            loadMetadataStats(); // Load lucidity, vividness, mood and the other recorded details
+            break;
+        case 'lucid-stats':
+            if (lucidStatsSubsection) lucidStatsSubsection.classList.remove('hidden');
+            if (subtabLucidStats) subtabLucidStats.classList.add('active-tab');
+            loadLucidStats(); // Load lucid success rates per technique and reality-check frequency
+            break;
+        case 'incubation-stats':
+            if (incubationStatsSubsection) incubationStatsSubsection.classList.remove('hidden');
+            if (subtabIncubationStats) subtabIncubationStats.classList.add('active-tab');
+            loadIncubationStats(); // Load incubation success overall, per month and per intention
+            break;
+        case 'night-stats':
+            if (nightStatsSubsection) nightStatsSubsection.classList.remove('hidden');
+            if (subtabNightStats) subtabNightStats.classList.add('active-tab');
+            loadNightStats(); // Load dreams per night and productive wake-ups
+            break;
     }
 }
 
@@ -231,8 +324,10 @@ export async function initializeAppContent() { // Exported so firebase-init can
     const tabRecord = document.getElementById('tab-record');
     const tabDreams = document.getElementById('tab-dreams');
     const tabReality = document.getElementById('tab-reality');
+    const tabLucid = document.getElementById('tab-lucid');
     const tabSearch = document.getElementById('tab-search');
     const tabStats = document.getElementById('tab-stats');
+    const tabSettings = document.getElementById('tab-settings');
 
     // Get UI Elements - Dreams Sub-tabs (now fetched here)
     const subtabDrafts = document.getElementById('subtab-drafts');
@@ -248,20 +343,39 @@ export async function initializeAppContent() { // Exported so firebase-init can
     const subtabTotals = document.getElementById('subtab-totals');
     const subtabDreamStats = document.getElementById('subtab-dream-stats');
     const subtabTopInsights = document.getElementById('subtab-top-insights');
+    const subtabPrecognition = document.getElementById('subtab-precognition');
+    const subtabTagStats = document.getElementById('subtab-tag-stats');
+    const subtabMetadataStats = document.getElementById('subtab-metadata-stats');
+    const subtabLucidStats = document.getElementById('subtab-lucid-stats');
+    const subtabIncubationStats = document.getElementById('subtab-incubation-stats');
+    const subtabNightStats = document.getElementById('subtab-night-stats');
 
     // Initialize all individual modules
+    initializeOfflineSync();
+    initializeLanguageModule();
     initializeRecordModule();
     initializeDreamsModule();
+    initializeMatchesModule();
     initializeRealityModule();
+    initializeConversationsModule();
     initializeSearchModule();
     initializeStatsModule();
+    initializeSettingsModule();
+    initializeAnalysisQueue();
+    initializePeriodReports();
+    initializeTagsModule();
+    initializeLucidModule();
+    initializeIncubationModule();
+    initializeNightSessionModule();
 
     // Set up event listeners for main tabs
     if (tabRecord) tabRecord.addEventListener('click', () => showTab('record'));
     if (tabDreams) tabDreams.addEventListener('click', () => showTab('dreams'));
     if (tabReality) tabReality.addEventListener('click', () => showTab('reality'));
+    if (tabLucid) tabLucid.addEventListener('click', () => showTab('lucid'));
     if (tabSearch) tabSearch.addEventListener('click', () => showTab('search'));
     if (tabStats) tabStats.addEventListener('click', () => showTab('stats'));
+    if (tabSettings) tabSettings.addEventListener('click', () => showTab('settings'));
 
     // Set up event listeners for Dreams sub-tabs
     if (subtabDrafts) subtabDrafts.addEventListener('click', () => showDreamsSubTab('drafts'));
@@ -277,11 +391,29 @@ export async function initializeAppContent() { // Exported so firebase-init can
     if (subtabTotals) subtabTotals.addEventListener('click', () => showStatsSubTab('totals'));
     if (subtabDreamStats) subtabDreamStats.addEventListener('click', () => showStatsSubTab('dream-stats'));
     if (subtabTopInsights) subtabTopInsights.addEventListener('click', () => showStatsSubTab('top-insights'));
+    if (subtabPrecognition) subtabPrecognition.addEventListener('click', () => showStatsSubTab('precognition'));
+    if (subtabTagStats) subtabTagStats.addEventListener('click', () => showStatsSubTab('tag-stats'));
+    if (subtabMetadataStats) subtabMetadataStats.addEventListener('click', () => showStatsSubTab('metadata-stats'));
+    if (subtabLucidStats) subtabLucidStats.addEventListener('click', () => showStatsSubTab('lucid-stats'));
+    if (subtabIncubationStats) subtabIncubationStats.addEventListener('click', () => showStatsSubTab('incubation-stats'));
+    if (subtabNightStats) subtabNightStats.addEventListener('click', () => showStatsSubTab('night-stats'));
 
     // Initial tab load (default to Record tab)
     showTab('record');
 }
 
+// Wire the data service to its storage backend before any module reads or writes.
+// Open the app with ?backend=memory to keep data in memory only (nothing is written to Firestore).
+const useMemoryBackend = new URLSearchParams(window.location.search).get('backend') === 'memory';
+configureDataService({
+    backend: useMemoryBackend ? createMemoryBackend() : createFirestoreBackend(),
+    appId: appId,
+    getUserId: () => userId
+});
+
+// Register the service worker as soon as the app loads, so the shell is cached even before sign-in
+registerServiceWorker();
+
 // Initial Firebase initialization. This will trigger onAuthStateChanged in firebase-init.js
 // Removed DOMContentLoaded listener from here. initializeFirebase is called directly from firebase-init.js
 // document.addEventListener('DOMContentLoaded', () => {
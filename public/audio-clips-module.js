@@ -0,0 +1,206 @@
+// audio-clips-module.js
+
+// Raw audio of recordings. Speech recognition often garbles names and odd dream imagery, so the Record tab
+// also captures the microphone with a MediaRecorder while it transcribes, and keeps the audio as clips in a
+// local IndexedDB store (audio-clips-store.js), saved chunk by chunk so a crash loses at most a few seconds.
+// Drafts and archived dreams get a player for their clips, and the clips can be transcribed again by the AI
+// proxy to fix the transcript against the recording.
+
+import { userId } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { requestTranscription } from './ai-client.js';
+import { putAudioClip, getAudioClip, removeAudioClip } from './audio-clips-store.js';
+
+const CHUNK_SECONDS = 5; // How often the recorded audio is saved while recording
+
+// Internal state variables for audio clips
+const playerUrls = new WeakMap(); // Player container -> object URLs of its clips, revoked when it is re-rendered
+const playerRenders = new WeakMap(); // Player container -> its latest render, so an older one still loading is dropped
+
+/**
+ * Creates a unique clip ID.
+ * @returns {string} The ID.
+ */
+function createClipId() {
+    return `clip-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Starts capturing the microphone into a new clip.
+ * @returns {Promise<{clipId: string, stop: function(): Promise<void>}|null>} The capture: its clip ID, and a
+ *     function that stops it and resolves once the whole clip is saved. Null if the browser can't record audio
+ *     or the microphone is unavailable; the transcription works without it.
+ */
+export async function startAudioCapture() {
+    if (!userId || typeof MediaRecorder === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return null;
+    }
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        console.error("Error opening the microphone for audio capture:", error);
+        return null;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const clip = {
+        id: createClipId(),
+        userId,
+        mimeType: recorder.mimeType || 'audio/webm',
+        chunks: [],
+        startedAt: Date.now(),
+        updatedAt: Date.now()
+    };
+    let saves = Promise.resolve(); // Chunk saves, one after another
+
+    recorder.ondataavailable = (event) => {
+        if (!event.data || event.data.size === 0) return;
+        clip.chunks.push(event.data);
+        clip.updatedAt = Date.now();
+        saves = saves.then(() => putAudioClip(clip)).catch(error => console.error("Error saving audio clip:", error));
+    };
+    recorder.start(CHUNK_SECONDS * 1000);
+
+    return {
+        clipId: clip.id,
+        stop: () => new Promise((resolve) => {
+            // Closes the microphone however the recorder ended, e.g. also after it stopped on an error
+            const finish = () => {
+                stream.getTracks().forEach(track => track.stop());
+                resolve(saves); // The last chunk arrives before 'stop'
+            };
+            if (recorder.state === 'inactive') {
+                finish();
+                return;
+            }
+            recorder.onstop = finish;
+            recorder.stop();
+        })
+    };
+}
+
+/**
+ * Deletes clips from this device, e.g. with the dream they belong to.
+ * @param {Array<string>} clipIds - The clip IDs.
+ */
+export async function removeAudioClips(clipIds) {
+    for (const clipId of clipIds || []) {
+        try {
+            await removeAudioClip(clipId);
+        } catch (error) {
+            console.error("Error deleting audio clip:", error);
+        }
+    }
+}
+
+/**
+ * Reads a clip's audio as base64, for the AI proxy.
+ * @param {Blob} blob - The audio.
+ * @returns {Promise<string>} The base64 data, without the data-URL prefix.
+ */
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Transcribes a dream's clips again with the AI, in recording order.
+ * @param {Array<import('./audio-clips-store.js').AudioClip>} clips - The clips.
+ * @param {string} currentText - The current transcript, given to the AI as context for names and spelling.
+ * @param {string} language - The language spoken, e.g. 'de'.
+ * @returns {Promise<string>} The new transcript.
+ */
+async function transcribeClips(clips, currentText, language) {
+    const parts = [];
+    for (const clip of clips) {
+        const blob = new Blob(clip.chunks, { type: clip.mimeType });
+        const { text } = await requestTranscription(await blobToBase64(blob), clip.mimeType, currentText, language);
+        if (text && text.trim()) parts.push(text.trim());
+    }
+    return parts.join('\n\n');
+}
+
+/**
+ * Renders the player for a dream's clips: an audio control per clip on this device, and a button to transcribe
+ * them again. Clips recorded on another device are listed as unavailable.
+ * @param {HTMLElement} container - Where to render the player; emptied first.
+ * @param {Array<string>} clipIds - The dream's clip IDs.
+ * @param {object} options
+ * @param {function(): string} options.getText - Returns the dream's current transcript.
+ * @param {function(): string} options.getLanguage - Returns the dream's language code (see language-module.js).
+ * @param {function(string): void} options.onTranscribed - Receives the new transcript, to let the user review it.
+ */
+export async function renderAudioClips(container, clipIds, { getText, getLanguage, onTranscribed }) {
+    const render = {};
+    playerRenders.set(container, render);
+    (playerUrls.get(container) || []).forEach(url => URL.revokeObjectURL(url));
+    playerUrls.delete(container);
+    container.innerHTML = '';
+    if (!clipIds || clipIds.length === 0) return;
+
+    const clips = [];
+    let missing = 0;
+    for (const clipId of clipIds) {
+        try {
+            const clip = await getAudioClip(clipId);
+            if (clip && clip.chunks.length > 0) clips.push(clip);
+            else missing++;
+        } catch (error) {
+            console.error("Error loading audio clip:", error);
+            missing++;
+        }
+    }
+    if (playerRenders.get(container) !== render) return;
+
+    const heading = document.createElement('p');
+    heading.classList.add('text-sm', 'font-semibold', 'text-gray-700');
+    heading.textContent = `Recording (${clipIds.length} ${clipIds.length === 1 ? 'clip' : 'clips'})`;
+    container.appendChild(heading);
+
+    const urls = [];
+    clips.forEach(clip => {
+        const url = URL.createObjectURL(new Blob(clip.chunks, { type: clip.mimeType }));
+        urls.push(url);
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.src = url;
+        audio.classList.add('audio-clip-player');
+        container.appendChild(audio);
+    });
+    playerUrls.set(container, urls);
+
+    if (missing > 0) {
+        const note = document.createElement('p');
+        note.classList.add('text-xs', 'text-gray-500');
+        note.textContent = `${missing} ${missing === 1 ? 'clip was' : 'clips were'} recorded on another device and can only be played there.`;
+        container.appendChild(note);
+    }
+
+    if (clips.length > 0) {
+        const transcribeButton = document.createElement('button');
+        transcribeButton.classList.add('px-3', 'py-1', 'bg-indigo-500', 'text-white', 'rounded-md', 'hover:bg-indigo-600', 'text-sm', 'mt-1');
+        transcribeButton.textContent = 'Re-transcribe from Audio';
+        transcribeButton.addEventListener('click', async () => {
+            showLoading();
+            try {
+                const text = await transcribeClips(clips, getText(), getLanguage());
+                if (!text) {
+                    showMessage('info', 'No speech was found in the recording.');
+                    return;
+                }
+                onTranscribed(text);
+            } catch (error) {
+                console.error("Error transcribing audio:", error);
+                showMessage('error', `Failed to transcribe the recording: ${error.message}`);
+            } finally {
+                hideLoading();
+            }
+        });
+        container.appendChild(transcribeButton);
+    }
+}
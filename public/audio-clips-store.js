@@ -0,0 +1,89 @@
+// audio-clips-store.js
+
+// Local IndexedDB store for the raw audio of recordings (see audio-clips-module.js).
+// Clips stay on the device they were recorded on; drafts and archived dreams only keep their IDs.
+
+const DB_NAME = 'dream-weaver-audio';
+const DB_VERSION = 1;
+const CLIPS_STORE = 'clips';
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the audio IndexedDB database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openAudioDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(CLIPS_STORE)) {
+                    database.createObjectStore(CLIPS_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single IndexedDB request inside a transaction on the clips store.
+ * @param {'readonly'|'readwrite'} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request from the store.
+ * @returns {Promise<*>} The request result.
+ */
+async function runClipsRequest(mode, makeRequest) {
+    const database = await openAudioDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(CLIPS_STORE, mode);
+        const request = makeRequest(transaction.objectStore(CLIPS_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * @typedef {object} AudioClip
+ * @property {string} id - Unique clip ID, referenced by the draft's `audioClipIds`.
+ * @property {string} userId - The user who recorded it.
+ * @property {string} mimeType - The recording's MIME type, e.g. 'audio/webm'.
+ * @property {Array<Blob>} chunks - The recorded audio, in order; saved as it is recorded.
+ * @property {number} startedAt - Milliseconds since epoch when recording started.
+ * @property {number} updatedAt - Milliseconds since epoch when the last chunk was saved.
+ */
+
+/**
+ * Adds or replaces a clip.
+ * @param {AudioClip} clip - The clip to store.
+ * @returns {Promise<void>}
+ */
+export async function putAudioClip(clip) {
+    await runClipsRequest('readwrite', store => store.put(clip));
+}
+
+/**
+ * Reads a clip.
+ * @param {string} id - The clip ID.
+ * @returns {Promise<AudioClip|null>} The clip, or null if it is not on this device.
+ */
+export async function getAudioClip(id) {
+    const clip = await runClipsRequest('readonly', store => store.get(id));
+    return clip || null;
+}
+
+/**
+ * Removes a clip.
+ * @param {string} id - The clip ID.
+ * @returns {Promise<void>}
+ */
+export async function removeAudioClip(id) {
+    await runClipsRequest('readwrite', store => store.delete(id));
+}
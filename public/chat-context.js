@@ -0,0 +1,116 @@
+// chat-context.js
+
+// Grounding for the AI chat. For each question, the archived dreams (text and analysis) and daily events
+// most relevant to it are found with a search index (see search-index.js) and sent along as context,
+// numbered [D1], [D2], ... and [E1], [E2], ... so the reply can cite them (see citations.js).
+// A question that shares no words with the journal gets the most recent dreams and events instead.
+// Pure logic: no Firestore, no DOM.
+
+import { createSearchIndex, tokenize } from './search-index.js';
+import { parseAnalysisText, analysisEntries } from './analysis-schema.js';
+import { citedDreamEntry, citedEventEntry } from './cited-records.js';
+
+const DEFAULT_OPTIONS = {
+    maxDreams: 5, // At most this many dreams per question
+    maxEvents: 5, // At most this many daily events per question
+    recentCount: 3 // Dreams and events each given when nothing matches the question
+};
+
+/**
+ * Converts an archived dream to a search document, with each analysis category as its own field.
+ * @param {object} dream - The archived dream.
+ * @returns {import('./search-index.js').SearchDocument} The document.
+ */
+function dreamToDocument(dream) {
+    const fields = { title: dream.dreamTitle || '', text: dream.dreamText || '' };
+    analysisEntries(parseAnalysisText(dream.analysisText)).forEach(({ key, text }) => {
+        if (!Object.hasOwn(fields, key)) fields[key] = text;
+    });
+    return { id: dream.id, type: 'dream', date: dream.timestamp instanceof Date ? dream.timestamp : null, fields, record: dream };
+}
+
+/**
+ * Converts a daily event to a search document.
+ * @param {object} event - The daily event.
+ * @returns {import('./search-index.js').SearchDocument} The document.
+ */
+function eventToDocument(event) {
+    return { id: event.id, type: 'event', date: event.timestamp instanceof Date ? event.timestamp : null, fields: { text: event.eventText || '' }, record: event };
+}
+
+/**
+ * Returns the most recent records.
+ * @param {Array<object>} records - Dreams or events.
+ * @param {number} count - How many.
+ * @returns {Array<object>} The records, newest first.
+ */
+function mostRecent(records, count) {
+    const millis = (record) => (record.timestamp instanceof Date ? record.timestamp.getTime() : 0);
+    return [...records].sort((a, b) => millis(b) - millis(a)).slice(0, count);
+}
+
+/**
+ * Picks the dreams and daily events to answer a question with, most relevant first, and numbers them.
+ * @param {string} question - The user's message.
+ * @param {Array<object>} dreams - All archived dreams.
+ * @param {Array<object>} events - All daily events.
+ * @param {object} [options] - Overrides for DEFAULT_OPTIONS.
+ * @returns {{dreamEntries: Array<{ref: string, record: object}>, eventEntries: Array<{ref: string, record: object}>}}
+ *     The dreams ('D1', ...) and events ('E1', ...) with their references.
+ */
+export function selectChatSources(question, dreams, events, options = {}) {
+    const { maxDreams, maxEvents, recentCount } = { ...DEFAULT_OPTIONS, ...options };
+    const index = createSearchIndex();
+    dreams.forEach(dream => index.upsert(dreamToDocument(dream)));
+    events.forEach(event => index.upsert(eventToDocument(event)));
+
+    // Any word of the question may match; stop words are dropped by the query parser
+    const queryText = tokenize(question).map(token => token.word).join(' OR ');
+    const { results } = index.search(queryText);
+    let dreamRecords = results.filter(({ document }) => document.type === 'dream').slice(0, maxDreams).map(({ document }) => document.record);
+    let eventRecords = results.filter(({ document }) => document.type === 'event').slice(0, maxEvents).map(({ document }) => document.record);
+    if (dreamRecords.length === 0 && eventRecords.length === 0) {
+        dreamRecords = mostRecent(dreams, recentCount);
+        eventRecords = mostRecent(events, recentCount);
+    }
+
+    return {
+        dreamEntries: dreamRecords.map((record, position) => ({ ref: `D${position + 1}`, record })),
+        eventEntries: eventRecords.map((record, position) => ({ ref: `E${position + 1}`, record }))
+    };
+}
+
+/**
+ * Builds the context for the AI from the chosen dreams and events.
+ * @param {{dreamEntries: Array<{ref: string, record: object}>, eventEntries: Array<{ref: string, record: object}>}} sources
+ *     The dreams and events from selectChatSources().
+ * @returns {string} The context, or '' if the journal is empty.
+ */
+export function buildChatContext({ dreamEntries, eventEntries }) {
+    if (dreamEntries.length === 0 && eventEntries.length === 0) return '';
+    const dreamLines = dreamEntries.map(citedDreamEntry).join('\n\n');
+    const eventLines = eventEntries.map(citedEventEntry).join('\n');
+
+    return `You are the assistant of a person's dream journal. Below are the dreams and daily events from the journal that are most relevant to their latest message.
+Use them where they help to answer, and cite each one you use as [D1], [E2], ... exactly as numbered below. Do not cite anything else.
+These numbers replace the ones in earlier replies.
+
+Dreams:
+${dreamLines || 'None found.'}
+
+Daily events:
+${eventLines || 'None found.'}`;
+}
+
+/**
+ * Returns the references to save with the reply, so its citations can be opened later.
+ * @param {{dreamEntries: Array<{ref: string, record: object}>, eventEntries: Array<{ref: string, record: object}>}} sources
+ *     The dreams and events from selectChatSources().
+ * @returns {import('./citations.js').CitationRefs} The references.
+ */
+export function chatCitationRefs({ dreamEntries, eventEntries }) {
+    return {
+        dreamRefs: dreamEntries.map(({ ref, record }) => ({ ref, id: record.id, title: record.dreamTitle || 'Untitled Dream', date: record.timestamp })),
+        eventRefs: eventEntries.map(({ ref, record }) => ({ ref, id: record.id, text: record.eventText, date: record.timestamp }))
+    };
+}
@@ -0,0 +1,96 @@
+// citations.js
+
+// Citations of dreams and daily events in AI text. Period reports and chat replies number the records the
+// AI was given as [D1], [D2], ... and [E1], [E2], ...; the mapping to records is saved with the text as
+// `dreamRefs` and `eventRefs`. Cited dreams open in the dream details modal, cited events in the events list.
+
+import { showMessage } from './ui-utils.js';
+import { archivedDreamsRepository, dailyEventsRepository } from './dreams-data-service.js';
+import { displayArchivedDreamDetails } from './dreams-module.js';
+import { focusDailyEvent } from './reality-module.js';
+import { showTab } from './app.js';
+import { shorten } from './cited-records.js';
+
+/**
+ * @typedef {object} CitationRefs
+ * @property {Array<{ref: string, id: string, title: string, date: (Date|null)}>} dreamRefs - The cited dreams ('D1', 'D2', ...).
+ * @property {Array<{ref: string, id: string, text: string, date: (Date|null)}>} eventRefs - The cited daily events ('E1', ...).
+ */
+
+/**
+ * Appends text to an element, turning [D1]/[E1] citations into links to the dream or event.
+ * Citations that are not in the refs are kept as plain text.
+ * @param {HTMLElement} container - The element.
+ * @param {string} text - The text.
+ * @param {CitationRefs} refs - The records the text can cite.
+ */
+export function appendTextWithCitations(container, text, { dreamRefs = [], eventRefs = [] }) {
+    String(text || '').split(/(\[[DE]\d+\])/).forEach(part => {
+        const citation = part.match(/^\[([DE]\d+)\]$/);
+        const dreamRef = citation ? dreamRefs.find(entry => entry.ref === citation[1]) : null;
+        const eventRef = citation ? eventRefs.find(entry => entry.ref === citation[1]) : null;
+        if (dreamRef || eventRef) {
+            const link = document.createElement('button');
+            link.classList.add('citation');
+            link.textContent = citation[1];
+            link.title = dreamRef ? dreamRef.title : eventRef.text;
+            link.addEventListener('click', () => (dreamRef ? openCitedDream(dreamRef.id) : openCitedEvent(eventRef.id)));
+            container.appendChild(link);
+        } else {
+            container.appendChild(document.createTextNode(part));
+        }
+    });
+}
+
+/**
+ * Replaces [D1]/[E1] citations with the dream titles and event texts they stand for, e.g. for export.
+ * @param {string} text - The text.
+ * @param {CitationRefs} refs - The records the text can cite.
+ * @returns {string} The text with citations spelled out.
+ */
+export function expandCitations(text, { dreamRefs = [], eventRefs = [] }) {
+    return String(text || '').replace(/\[([DE]\d+)\]/g, (citation, ref) => {
+        const dreamRef = dreamRefs.find(entry => entry.ref === ref);
+        if (dreamRef) return `[${ref}: ${dreamRef.title}]`;
+        const eventRef = eventRefs.find(entry => entry.ref === ref);
+        if (!eventRef) return citation;
+        return `[${ref}: ${shorten(eventRef.text, 40)}]`;
+    });
+}
+
+/**
+ * Opens a cited dream in the dream details modal.
+ * @param {string} dreamId - The archived dream ID.
+ */
+async function openCitedDream(dreamId) {
+    try {
+        const dreamData = await archivedDreamsRepository.get(dreamId);
+        if (dreamData) {
+            displayArchivedDreamDetails(dreamData);
+        } else {
+            showMessage('info', 'This dream has been deleted.');
+        }
+    } catch (error) {
+        console.error("Error opening cited dream:", error);
+        showMessage('error', `Failed to open dream: ${error.message}`);
+    }
+}
+
+/**
+ * Opens a cited daily event highlighted in the daily events list.
+ * @param {string} eventId - The daily event ID.
+ */
+async function openCitedEvent(eventId) {
+    try {
+        const eventData = await dailyEventsRepository.get(eventId);
+        if (eventData) {
+            showTab('reality'); // Opens the Daily Events sub-tab
+            focusDailyEvent(eventData);
+        } else {
+            showMessage('info', 'This daily event has been deleted.');
+        }
+    } catch (error) {
+        console.error("Error opening cited daily event:", error);
+        showMessage('error', `Failed to open daily event: ${error.message}`);
+    }
+}
@@ -0,0 +1,41 @@
+// cited-records.js
+
+// How dreams and daily events are written into AI prompts: one entry per record, numbered [D1], [D2], ...
+// and [E1], [E2], ... so the AI can cite them (see citations.js). Shared by period reports and the
+// chat grounding (chat-context.js). Pure logic: no Firestore, no DOM.
+
+import { parseAnalysisText, summarizeAnalysis } from './analysis-schema.js';
+
+const MAX_DREAM_CHARS = 600; // Dream texts are shortened so several fit in a prompt
+const MAX_EVENT_CHARS = 200;
+
+/**
+ * Shortens text to a maximum length.
+ * @param {string} text - The text.
+ * @param {number} maxLength - The maximum length.
+ * @returns {string} The text, with '...' if it was cut.
+ */
+export function shorten(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+}
+
+/**
+ * Writes a dream for a prompt: reference, date and title, its (shortened) text and its analysis summary.
+ * @param {{ref: string, record: object}} entry - The archived dream and its reference, e.g. 'D1'.
+ * @returns {string} The entry, e.g. '[D1] 5/17/2024 - The Flooded Library\n...\nAnalysis: ...'.
+ */
+export function citedDreamEntry({ ref, record }) {
+    const date = record.timestamp ? record.timestamp.toLocaleDateString() : 'unknown date';
+    const summary = summarizeAnalysis(parseAnalysisText(record.analysisText));
+    return `[${ref}] ${date}${record.dreamTitle ? ` - ${record.dreamTitle}` : ''}\n${shorten(record.dreamText || '', MAX_DREAM_CHARS)}${summary ? `\nAnalysis: ${summary}` : ''}`;
+}
+
+/**
+ * Writes a daily event for a prompt: reference, date and its (shortened) text.
+ * @param {{ref: string, record: object}} entry - The daily event and its reference, e.g. 'E1'.
+ * @returns {string} The entry, e.g. '[E1] 5/17/2024: Visited the library'.
+ */
+export function citedEventEntry({ ref, record }) {
+    const date = record.timestamp ? record.timestamp.toLocaleDateString() : 'unknown date';
+    return `[${ref}] ${date}: ${shorten(record.eventText || '', MAX_EVENT_CHARS)}`;
+}
@@ -0,0 +1,321 @@
+// conversations-module.js
+
+// The conversation browser beside the AI chat. It lists every conversation, archived ones included, with
+// its title, date and message count: pinned ones first, then by last activity. Any conversation can be
+// resumed, renamed, pinned, exported as Markdown or deleted with its messages.
+// A conversation is titled after its first message until the user renames it. The title, the message count
+// and the time of the last message are kept on the conversation record, so the list needs no messages.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { conversationsRepository, messagesRepository, timestampMillis } from './dreams-data-service.js';
+import { getCurrentConversationId, resumeConversation, startNewConversation } from './reality-module.js';
+import { expandCitations } from './citations.js';
+
+const MAX_TITLE_CHARS = 50; // Titles from the first message are cut at a word boundary before this
+
+// Internal state variables for the conversation browser
+let conversations = [];
+let unsubscribeConversations = null;
+let renamingConversationId = null; // The conversation whose title is being edited
+const summarizedConversationIds = new Set(); // Conversations from before counts were kept, counted once
+const deletingConversationIds = new Set(); // Conversations whose messages are being deleted, not to be summarized
+
+/**
+ * Returns a conversation's title as shown to the user.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ * @returns {string} The title.
+ */
+export function conversationTitle(conversation) {
+    return conversation.title || 'New conversation';
+}
+
+/**
+ * Returns when a conversation was last active: its last message, or its start if it has none.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ * @returns {number} Milliseconds since epoch (0 if unknown).
+ */
+export function lastActivityMillis(conversation) {
+    return timestampMillis({ timestamp: conversation.lastMessageAt }) || timestampMillis(conversation);
+}
+
+/**
+ * Returns a loaded conversation.
+ * @param {string} conversationId - The conversation ID.
+ * @returns {import('./dreams-data-service.js').Conversation|null} The conversation, or null if it is not loaded.
+ */
+export function getConversation(conversationId) {
+    return conversations.find(conversation => conversation.id === conversationId) || null;
+}
+
+/**
+ * Builds a title from the first message the user sent.
+ * @param {Array<import('./dreams-data-service.js').ChatMessage>} messages - The messages, oldest first.
+ * @returns {string} The title, or '' if the user has not written yet.
+ */
+function titleFromMessages(messages) {
+    const firstMessage = messages.find(message => message.role === 'user' && message.text.trim());
+    if (!firstMessage) return '';
+    const text = firstMessage.text.trim().replace(/\s+/g, ' ');
+    if (text.length <= MAX_TITLE_CHARS) return text;
+    const cut = text.substring(0, MAX_TITLE_CHARS);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > MAX_TITLE_CHARS / 2 ? cut.substring(0, lastSpace) : cut}...`;
+}
+
+/**
+ * Brings the title, message count and last message time of a conversation up to date with its messages.
+ * Writes only when something changed. The title is only set while the conversation has none.
+ * @param {string} conversationId - The conversation ID.
+ * @param {Array<import('./dreams-data-service.js').ChatMessage>} messages - All its messages, oldest first.
+ */
+export async function syncConversationSummary(conversationId, messages) {
+    const conversation = getConversation(conversationId);
+    if (!conversation || deletingConversationIds.has(conversationId)) return;
+    const changes = {};
+    if (conversation.messageCount !== messages.length) {
+        const lastMessage = messages[messages.length - 1];
+        changes.messageCount = messages.length;
+        changes.lastMessageAt = lastMessage ? lastMessage.timestamp || new Date() : null;
+    }
+    const title = conversation.title ? '' : titleFromMessages(messages);
+    if (title) changes.title = title;
+    if (Object.keys(changes).length === 0) return;
+
+    try {
+        await conversationsRepository.update(conversationId, changes, { description: 'Conversation summary' });
+    } catch (error) {
+        console.error("Error saving conversation summary:", error);
+    }
+}
+
+/**
+ * Counts the messages of conversations from before counts were kept, once per conversation.
+ */
+function summarizeOlderConversations() {
+    conversations
+        .filter(conversation => conversation.messageCount === null && !summarizedConversationIds.has(conversation.id))
+        .forEach(async (conversation) => {
+            summarizedConversationIds.add(conversation.id);
+            try {
+                const messages = await messagesRepository(conversation.id).list({ orderBy: 'timestamp', direction: 'asc' });
+                await syncConversationSummary(conversation.id, messages);
+            } catch (error) {
+                console.error("Error counting conversation messages:", error);
+            }
+        });
+}
+
+/**
+ * Renames a conversation.
+ * @param {string} conversationId - The conversation ID.
+ * @param {string} newTitle - The new title.
+ */
+async function renameConversation(conversationId, newTitle) {
+    const title = newTitle.trim();
+    if (!title) {
+        showMessage('info', 'Please enter a title for the conversation.');
+        return;
+    }
+    try {
+        await conversationsRepository.update(conversationId, { title }, { description: `Rename conversation to "${title.substring(0, 30)}"` });
+        renamingConversationId = null;
+        renderConversationList();
+    } catch (error) {
+        console.error("Error renaming conversation:", error);
+        showMessage('error', `Failed to rename conversation: ${error.message}`);
+    }
+}
+
+/**
+ * Pins a conversation to the top of the list, or unpins it.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ */
+async function toggleConversationPin(conversation) {
+    try {
+        await conversationsRepository.update(conversation.id, { pinned: !conversation.pinned }, {
+            description: `${conversation.pinned ? 'Unpin' : 'Pin'} conversation`
+        });
+    } catch (error) {
+        console.error("Error pinning conversation:", error);
+        showMessage('error', `Failed to pin conversation: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes a conversation with all its messages. If it is open, the latest other conversation is opened.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ */
+async function deleteConversation(conversation) {
+    showLoading();
+    deletingConversationIds.add(conversation.id);
+    try {
+        const messages = messagesRepository(conversation.id);
+        for (const message of await messages.list()) {
+            await messages.remove(message.id);
+        }
+        await conversationsRepository.remove(conversation.id);
+        showMessage('success', `Deleted "${conversationTitle(conversation)}".`);
+        if (getCurrentConversationId() === conversation.id) startNewConversation();
+    } catch (error) {
+        console.error("Error deleting conversation:", error);
+        showMessage('error', `Failed to delete conversation: ${error.message}`);
+    } finally {
+        deletingConversationIds.delete(conversation.id);
+        hideLoading();
+    }
+}
+
+/**
+ * Converts a conversation to Markdown for export. Citations in AI replies are spelled out.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ * @param {Array<import('./dreams-data-service.js').ChatMessage>} messages - Its messages, oldest first.
+ * @returns {string} The Markdown document.
+ */
+export function conversationToMarkdown(conversation, messages) {
+    const lines = [`# ${conversationTitle(conversation)}`, ''];
+    lines.push(`Started ${conversation.timestamp ? conversation.timestamp.toLocaleString() : 'at an unknown time'} · ${messages.length} ${messages.length === 1 ? 'message' : 'messages'}${conversation.isArchived ? ' · archived' : ''}`, '');
+    messages.forEach(message => {
+        const sender = message.role === 'user' ? 'You' : 'AI';
+        lines.push(`**${sender}** (${message.timestamp ? message.timestamp.toLocaleString() : 'unknown time'})`, '');
+        lines.push(message.role === 'user' ? message.text : expandCitations(message.text, message), '');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Downloads a conversation as a Markdown file.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ */
+async function exportConversation(conversation) {
+    try {
+        const messages = await messagesRepository(conversation.id).list({ orderBy: 'timestamp', direction: 'asc' });
+        const blob = new Blob([conversationToMarkdown(conversation, messages)], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        const date = (conversation.timestamp || new Date()).toISOString().slice(0, 10);
+        link.download = `dream-chat-${date}.md`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error("Error exporting conversation:", error);
+        showMessage('error', `Failed to export conversation: ${error.message}`);
+    }
+}
+
+/**
+ * Creates the element for one conversation: its title (or the rename form), date, message count and actions.
+ * @param {import('./dreams-data-service.js').Conversation} conversation - The conversation.
+ * @param {boolean} isCurrent - Whether it is open in the chat.
+ * @returns {HTMLElement} The element.
+ */
+function createConversationItem(conversation, isCurrent) {
+    const item = document.createElement('div');
+    item.classList.add('conversation-item');
+    item.dataset.id = conversation.id;
+    if (isCurrent) item.classList.add('current-conversation');
+    if (conversation.isArchived) item.classList.add('archived-conversation');
+
+    const actions = document.createElement('div');
+    actions.classList.add('flex', 'flex-wrap', 'gap-1', 'mt-1');
+    const addAction = (text, classes, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.classList.add('px-2', 'py-0.5', 'text-white', 'rounded-md', 'text-xs', ...classes);
+        button.addEventListener('click', (event) => {
+            event.stopPropagation(); // Don't also open the conversation
+            onClick();
+        });
+        actions.appendChild(button);
+    };
+
+    if (conversation.id === renamingConversationId) {
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.value = conversationTitle(conversation);
+        titleInput.classList.add('w-full', 'p-1', 'border', 'border-gray-300', 'rounded-md', 'text-sm');
+        titleInput.addEventListener('click', event => event.stopPropagation());
+        titleInput.addEventListener('keypress', (event) => {
+            if (event.key === 'Enter') renameConversation(conversation.id, titleInput.value);
+        });
+        item.appendChild(titleInput);
+        addAction('Save', ['bg-indigo-500', 'hover:bg-indigo-600'], () => renameConversation(conversation.id, titleInput.value));
+        addAction('Cancel', ['bg-gray-500', 'hover:bg-gray-600'], () => {
+            renamingConversationId = null;
+            renderConversationList();
+        });
+        item.appendChild(actions);
+        return item;
+    }
+
+    const title = document.createElement('p');
+    title.classList.add('font-semibold', 'text-gray-700', 'break-words');
+    title.textContent = `${conversation.pinned ? '📌 ' : ''}${conversationTitle(conversation)}`;
+    const meta = document.createElement('p');
+    meta.classList.add('text-xs', 'text-gray-500');
+    const lastActivity = lastActivityMillis(conversation);
+    const count = conversation.messageCount === null ? '' : ` · ${conversation.messageCount} ${conversation.messageCount === 1 ? 'message' : 'messages'}`;
+    meta.textContent = `${lastActivity ? new Date(lastActivity).toLocaleString() : 'N/A'}${count}${conversation.isArchived ? ' · archived' : ''}`;
+    item.appendChild(title);
+    item.appendChild(meta);
+
+    addAction(conversation.pinned ? 'Unpin' : 'Pin', ['bg-purple-500', 'hover:bg-purple-600'], () => toggleConversationPin(conversation));
+    addAction('Rename', ['bg-indigo-500', 'hover:bg-indigo-600'], () => {
+        renamingConversationId = conversation.id;
+        renderConversationList();
+    });
+    addAction('Export', ['bg-green-500', 'hover:bg-green-600'], () => exportConversation(conversation));
+    addAction('Delete', ['bg-red-500', 'hover:bg-red-600'], () => deleteConversation(conversation));
+    item.appendChild(actions);
+
+    item.addEventListener('click', () => {
+        if (getCurrentConversationId() !== conversation.id) resumeConversation(conversation.id);
+    });
+    return item;
+}
+
+/**
+ * Renders the conversation list: pinned conversations first, then the most recently active.
+ */
+export function renderConversationList() {
+    const conversationList = document.getElementById('conversation-list');
+    if (!conversationList) return;
+
+    conversationList.innerHTML = '';
+    if (conversations.length === 0) {
+        conversationList.innerHTML = '<p class="text-gray-500 text-sm">No conversations yet.</p>';
+        return;
+    }
+    const currentConversationId = getCurrentConversationId();
+    [...conversations]
+        .sort((a, b) => (Number(b.pinned) - Number(a.pinned)) || (lastActivityMillis(b) - lastActivityMillis(a)))
+        .forEach(conversation => conversationList.appendChild(createConversationItem(conversation, conversation.id === currentConversationId)));
+}
+
+/**
+ * Subscribes to the conversations of the signed-in user. Safe to call again after signing in.
+ */
+export function watchConversations() {
+    if (unsubscribeConversations) unsubscribeConversations();
+    unsubscribeConversations = conversationsRepository.subscribe({}, (records) => {
+        conversations = records;
+        renderConversationList();
+        summarizeOlderConversations();
+    }, (error) => {
+        console.error("Error loading conversations:", error);
+        showMessage('error', `Failed to load conversations: ${error.message}`);
+    });
+}
+
+/**
+ * Starts watching the conversations for the list.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeConversationsModule() {
+    if (!userId || !isAuthReady) return;
+    watchConversations();
+}
@@ -0,0 +1,236 @@
+// dream-metadata.js
+
+// Structured details of a dream besides its text: when it happened, lucidity, vividness, mood,
+// nightmare / false awakening / sleep paralysis, and how confident the recall is. All fields are optional.
+// Drafts and archived dreams store them as `metadata` (normalized by dreams-data-service.js).
+// Provides the metadata form used on the Record tab, in the draft editor and in the dream details modal,
+// plus the summaries and the filters used by the lists and the statistics.
+
+import { normalizeDreamMetadata } from './dreams-data-service.js';
+
+/** Overall moods and their labels. */
+export const DREAM_MOODS = {
+    veryNegative: 'Very negative',
+    negative: 'Negative',
+    neutral: 'Neutral',
+    mixed: 'Mixed',
+    positive: 'Positive',
+    veryPositive: 'Very positive'
+};
+
+/** Rating fields, with their range and a hint for the ends of the range. */
+export const METADATA_SCALES = [
+    { key: 'lucidity', label: 'Lucidity', min: 0, max: 5, hint: '0 = not aware of dreaming, 5 = fully lucid' },
+    { key: 'vividness', label: 'Vividness', min: 1, max: 5, hint: '1 = faint, 5 = as vivid as waking life' },
+    { key: 'recallConfidence', label: 'Recall confidence', min: 1, max: 5, hint: '1 = fragments, 5 = certain' }
+];
+
+/** Yes/no fields and their labels. */
+export const METADATA_FLAGS = {
+    nightmare: 'Nightmare',
+    falseAwakening: 'False awakening',
+    sleepParalysis: 'Sleep paralysis'
+};
+
+/**
+ * Returns empty metadata, with every field unset.
+ * @returns {import('./dreams-data-service.js').DreamMetadata} The metadata.
+ */
+export function emptyDreamMetadata() {
+    return normalizeDreamMetadata(null);
+}
+
+/**
+ * Tells whether any metadata field is set.
+ * @param {import('./dreams-data-service.js').DreamMetadata} metadata - The metadata.
+ * @returns {boolean} True if at least one field is set.
+ */
+export function hasDreamMetadata(metadata) {
+    return Object.values(normalizeDreamMetadata(metadata)).some(value => value !== null && value !== false);
+}
+
+/**
+ * Describes the set metadata fields in a short line, e.g. "Lucidity 3/5 · Mood: Positive · Nightmare".
+ * @param {import('./dreams-data-service.js').DreamMetadata} metadata - The metadata.
+ * @returns {string} The description, '' if no field is set.
+ */
+export function describeDreamMetadata(metadata) {
+    const values = normalizeDreamMetadata(metadata);
+    const parts = [];
+    if (values.occurredAt) parts.push(`Dreamt ${values.occurredAt.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`);
+    METADATA_SCALES.forEach(scale => {
+        if (values[scale.key] !== null) parts.push(`${scale.label} ${values[scale.key]}/${scale.max}`);
+    });
+    if (values.mood) parts.push(`Mood: ${DREAM_MOODS[values.mood] || values.mood}`);
+    Object.entries(METADATA_FLAGS).forEach(([key, label]) => {
+        if (values[key]) parts.push(label);
+    });
+    return parts.join(' · ');
+}
+
+/**
+ * Returns the options of a metadata filter select: all dreams, then one option per flag, lucidity,
+ * vividness, recall and mood condition.
+ * @returns {Array<{value: string, label: string}>} The options; '' does not filter.
+ */
+export function metadataFilterOptions() {
+    return [
+        { value: '', label: 'Any details' },
+        { value: 'lucid', label: 'Lucid (lucidity 1+)' },
+        { value: 'notLucid', label: 'Not lucid (lucidity 0)' },
+        { value: 'vivid', label: 'Vivid (4+)' },
+        { value: 'faint', label: 'Faint (2 or less)' },
+        { value: 'confident', label: 'Confident recall (4+)' },
+        ...Object.entries(METADATA_FLAGS).map(([key, label]) => ({ value: key, label })),
+        ...Object.entries(DREAM_MOODS).map(([key, label]) => ({ value: `mood:${key}`, label: `Mood: ${label}` })),
+        { value: 'noDetails', label: 'No details given' }
+    ];
+}
+
+/**
+ * Tells whether a dream's metadata passes a metadata filter.
+ * @param {import('./dreams-data-service.js').DreamMetadata} metadata - The metadata.
+ * @param {string} filter - A value from metadataFilterOptions(); '' passes every dream.
+ * @returns {boolean} True if the dream passes.
+ */
+export function matchesMetadataFilter(metadata, filter) {
+    const values = normalizeDreamMetadata(metadata);
+    if (!filter) return true;
+    if (filter.startsWith('mood:')) return values.mood === filter.substring('mood:'.length);
+    if (filter in METADATA_FLAGS) return values[filter];
+    switch (filter) {
+        case 'lucid': return values.lucidity !== null && values.lucidity >= 1;
+        case 'notLucid': return values.lucidity === 0;
+        case 'vivid': return values.vividness !== null && values.vividness >= 4;
+        case 'faint': return values.vividness !== null && values.vividness <= 2;
+        case 'confident': return values.recallConfidence !== null && values.recallConfidence >= 4;
+        case 'noDetails': return !hasDreamMetadata(values);
+        default: return true;
+    }
+}
+
+/**
+ * Formats a date for a datetime-local input, in local time.
+ * @param {Date|null} date - The date.
+ * @returns {string} The input value, '' for no date.
+ */
+function toDateTimeInputValue(date) {
+    if (!(date instanceof Date)) return '';
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Creates a button that can be toggled on and off.
+ * @param {string} label - The button text.
+ * @param {string} [title] - The tooltip.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createOptionButton(label, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('metadata-option');
+    button.textContent = label;
+    if (title) button.title = title;
+    return button;
+}
+
+/**
+ * Creates a labeled row of the metadata form.
+ * @param {HTMLElement} form - The form to append the row to.
+ * @param {string} label - The row label.
+ * @returns {HTMLElement} The element that holds the row's controls.
+ */
+function createMetadataRow(form, label) {
+    const row = document.createElement('div');
+    row.classList.add('metadata-row');
+    const labelSpan = document.createElement('span');
+    labelSpan.classList.add('metadata-label');
+    labelSpan.textContent = label;
+    const controls = document.createElement('div');
+    controls.classList.add('metadata-controls');
+    row.appendChild(labelSpan);
+    row.appendChild(controls);
+    form.appendChild(row);
+    return controls;
+}
+
+/**
+ * Creates a metadata form in a container: a date and time field, a row of buttons per rating, mood buttons
+ * and toggles for nightmare, false awakening and sleep paralysis. Tapping a selected button clears it,
+ * so every field can be left unset.
+ * @param {HTMLElement} container - The element to render into; its content is replaced.
+ * @param {{metadata: (object|undefined), onChange: (function(import('./dreams-data-service.js').DreamMetadata): void|undefined)}} [options] -
+ *     The initial metadata and a listener called with the metadata whenever the user changes a field.
+ * @returns {{getMetadata: function(): import('./dreams-data-service.js').DreamMetadata, setMetadata: function(object): void}} The form.
+ */
+export function createMetadataForm(container, { metadata = null, onChange = null } = {}) {
+    let values = normalizeDreamMetadata(metadata);
+    const optionButtons = []; // { button, isSelected } for every button, to re-render the selection
+
+    container.innerHTML = '';
+    container.classList.add('metadata-form');
+
+    const change = (updates) => {
+        values = { ...values, ...updates };
+        render();
+        if (onChange) onChange({ ...values });
+    };
+
+    const occurredAtControls = createMetadataRow(container, 'When');
+    const occurredAtInput = document.createElement('input');
+    occurredAtInput.type = 'datetime-local';
+    occurredAtInput.classList.add('metadata-datetime');
+    occurredAtInput.addEventListener('change', () => {
+        const date = occurredAtInput.value ? new Date(occurredAtInput.value) : null;
+        change({ occurredAt: date && !Number.isNaN(date.getTime()) ? date : null });
+    });
+    const nowButton = createOptionButton('Just now', 'The dream happened just before waking up now');
+    nowButton.addEventListener('click', () => change({ occurredAt: new Date() }));
+    occurredAtControls.appendChild(occurredAtInput);
+    occurredAtControls.appendChild(nowButton);
+
+    METADATA_SCALES.forEach(scale => {
+        const controls = createMetadataRow(container, scale.label);
+        for (let rating = scale.min; rating <= scale.max; rating++) {
+            const button = createOptionButton(String(rating), scale.hint);
+            button.addEventListener('click', () => change({ [scale.key]: values[scale.key] === rating ? null : rating }));
+            optionButtons.push({ button, isSelected: () => values[scale.key] === rating });
+            controls.appendChild(button);
+        }
+    });
+
+    const moodControls = createMetadataRow(container, 'Mood');
+    Object.entries(DREAM_MOODS).forEach(([mood, label]) => {
+        const button = createOptionButton(label);
+        button.addEventListener('click', () => change({ mood: values.mood === mood ? null : mood }));
+        optionButtons.push({ button, isSelected: () => values.mood === mood });
+        moodControls.appendChild(button);
+    });
+
+    const flagControls = createMetadataRow(container, 'Experience');
+    Object.entries(METADATA_FLAGS).forEach(([key, label]) => {
+        const button = createOptionButton(label);
+        button.addEventListener('click', () => change({ [key]: !values[key] }));
+        optionButtons.push({ button, isSelected: () => values[key] });
+        flagControls.appendChild(button);
+    });
+
+    const render = () => {
+        occurredAtInput.value = toDateTimeInputValue(values.occurredAt);
+        optionButtons.forEach(({ button, isSelected }) => {
+            const selected = isSelected();
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+    };
+
+    render();
+    return {
+        getMetadata: () => ({ ...values }),
+        setMetadata: (newMetadata) => {
+            values = normalizeDreamMetadata(newMetadata);
+            render();
+        }
+    };
+}
@@ -0,0 +1,773 @@
+// dreams-data-service.js
+
+// Single data-access layer for all modules.
+// Modules talk to typed repositories; repositories build the per-user collection paths
+// (artifacts/{appId}/users/{userId}/...) and delegate storage to a backend.
+// Two backends exist: firestore-backend.js (production, with the offline outbox) and
+// memory-backend.js (no Firebase at all, for development and for exercising the logic).
+// This module has no Firebase imports; app.js wires in the backend with configureDataService().
+
+/**
+ * @typedef {object} DataBackend
+ * @property {function(string, object, object=): Promise<{id: string, queued: boolean}>} add - Creates a document with a generated ID.
+ * @property {function(string, string, object, object=): Promise<{queued: boolean}>} update - Updates fields on a document.
+ * @property {function(string, string): Promise<void>} remove - Deletes a document.
+ * @property {function(string, string, function((object|null)): (object|null)): Promise<object|null>} transact - Reads a
+ *     document and writes the fields the function returns for it, atomically; resolves with those fields (null if none).
+ * @property {function(string, string): Promise<object|null>} get - Reads one document.
+ * @property {function(string, ListOptions=): Promise<Array<object>>} list - Reads a collection.
+ * @property {function(string, ListOptions, function(Array<object>), function(Error)): function()} subscribe - Watches a collection; returns an unsubscribe function.
+ */
+
+/**
+ * @typedef {object} ListOptions
+ * @property {string} [orderBy] - Field to sort by.
+ * @property {'asc'|'desc'} [direction='asc'] - Sort direction.
+ * @property {Array<{field: string, value: *}>} [where] - Equality filters.
+ * @property {number} [limit] - Maximum number of records.
+ */
+
+/**
+ * @typedef {object} DreamMetadata
+ * Optional details of a dream, given when it is recorded (see dream-metadata.js). Unset fields are null.
+ * @property {Date|null} occurredAt - When the dream happened.
+ * @property {number|null} lucidity - How aware the dreamer was of dreaming, 0 (not at all) to 5 (fully lucid).
+ * @property {number|null} vividness - 1 (faint) to 5 (as vivid as waking life).
+ * @property {string|null} mood - The overall mood, one of DREAM_MOODS in dream-metadata.js.
+ * @property {boolean} nightmare
+ * @property {boolean} falseAwakening - The dreamer dreamt of waking up.
+ * @property {boolean} sleepParalysis
+ * @property {number|null} recallConfidence - How sure the dreamer is of the recall, 1 (fragments) to 5 (certain).
+ */
+
+/**
+ * @typedef {object} DraftDream
+ * @property {string} id
+ * @property {string} dreamText
+ * @property {string} dreamTitle
+ * @property {boolean} isPreAnalyzed
+ * @property {Array<string>} tags - Tag IDs (see tags-module.js).
+ * @property {DreamMetadata} metadata
+ * @property {string} incubationId - The incubation night the dream answers (see incubation-module.js), '' for none.
+ * @property {string} night - The night the draft was recorded in, as a 'YYYY-MM-DD' key of its evening (see nights.js); '' for older drafts.
+ * @property {string} sessionId - The night session it was recorded in (see night-session-module.js), '' for none.
+ * @property {Date|null} wakeUpAt - The wake-up of that session it was recorded after, null for none.
+ * @property {Array<string>} audioClipIds - The recording's audio clips, stored on the device that recorded them (see audio-clips-module.js).
+ * @property {string} language - The dream's language code (see i18n.js), '' to follow the user's language (see language-module.js).
+ * @property {boolean} inProgress - True while the draft is the autosave of a recording that was not stopped yet (see record-module.js).
+ * @property {Date|null} timestamp - When the draft was saved or last edited.
+ * @property {boolean} [pendingSync] - True if the draft, or an edit to it, is only in the offline outbox so far.
+ */
+
+/**
+ * @typedef {object} AnalysisVersion
+ * One analysis of an archived dream. A dream keeps every analysis it was given.
+ * @property {string} id
+ * @property {string} analysisText - The analysis as a JSON string.
+ * @property {string|null} model - The model that produced it, null for analyses saved before versions were kept.
+ * @property {string|null} promptTemplate - The prompt template ID (see analysis-schema.js), null if unknown.
+ * @property {number|null} schemaVersion - The analysis schema version it was requested with, null if unknown.
+ * @property {string} language - The language code it was written in, '' for analyses made before it was recorded (English).
+ * @property {string} revisionId - The dream revision that was analyzed.
+ * @property {Date|null} createdAt - When the analysis was made.
+ */
+
+/**
+ * @typedef {object} DreamRevision
+ * One saved version of an archived dream's title and text. Restoring a revision adds a new one.
+ * @property {string} id
+ * @property {string} dreamTitle
+ * @property {string} dreamText
+ * @property {Date|null} editedAt - When this version was saved.
+ */
+
+/**
+ * @typedef {object} ArchivedDream
+ * @property {string} id
+ * @property {string} dreamText
+ * @property {string} dreamTitle
+ * @property {string} analysisText - The active analysis as a JSON string; the one used by stats, search and suggestions.
+ * @property {Array<AnalysisVersion>} analyses - All analyses, oldest first.
+ * @property {string|null} activeAnalysisId - The ID of the active analysis.
+ * @property {Array<DreamRevision>} revisions - Every version of the title and text, oldest first; the last is the current one.
+ * @property {boolean} analysisStale - True if the text changed since the active analysis was made.
+ * @property {Array<string>} tags - Tag IDs, carried over from the draft.
+ * @property {DreamMetadata} metadata - Carried over from the draft.
+ * @property {string} incubationId - Carried over from the draft.
+ * @property {string} night - Carried over from the draft.
+ * @property {string} sessionId - Carried over from the draft.
+ * @property {Date|null} wakeUpAt - Carried over from the draft.
+ * @property {Array<string>} audioClipIds - Carried over from the draft.
+ * @property {string} language - Carried over from the draft.
+ * @property {string} matchedRealityEvent - Legacy free-text match ('' for none). Migrated into `matches` and then cleared.
+ * @property {Date|null} timestamp - When the dream was archived.
+ */
+
+/**
+ * @typedef {object} DailyEvent
+ * @property {string} id
+ * @property {string} eventText
+ * @property {Array<string>} tags - Tag IDs.
+ * @property {Date|null} timestamp
+ * @property {boolean} [legacyMatch] - True if the event was created from a legacy free-text match.
+ * @property {boolean} [pendingSync]
+ */
+
+/**
+ * @typedef {object} Match
+ * A link between an archived dream and a daily event. Dreams and events are many-to-many.
+ * @property {string} id
+ * @property {string} dreamId - The archived dream ID.
+ * @property {string} eventId - The daily event ID.
+ * @property {'literal'|'symbolic'|'emotional'|'thematic'|'other'} matchType - How the event corresponds to the dream.
+ * @property {number} strength - How strong the correspondence is, 1 (weak) to 5 (striking).
+ * @property {number|null} daysBetween - Calendar days from the dream to the event (negative if the event came first), null if unknown.
+ * @property {string} notes
+ * @property {Date|null} timestamp - When the match was created or last edited.
+ * @property {boolean} [pendingSync]
+ */
+
+/**
+ * @typedef {object} MatchRejection
+ * A suggested dream-event pair the user rejected, so it is not suggested again.
+ * @property {string} id
+ * @property {string} dreamId
+ * @property {string} eventId
+ * @property {Date|null} timestamp
+ */
+
+/**
+ * @typedef {object} Conversation
+ * @property {string} id
+ * @property {string} title - Set from the first message or by the user; '' until the first message.
+ * @property {boolean} isArchived
+ * @property {boolean} pinned - Listed first in the conversation browser.
+ * @property {number|null} messageCount - Null for conversations from before counts were kept.
+ * @property {Date|null} lastMessageAt - When the last message was sent.
+ * @property {Date|null} timestamp - When the conversation was started.
+ */
+
+/**
+ * @typedef {object} SettingsRecord
+ * A per-user settings document, identified by its `kind` (e.g. 'analysisSchema').
+ * @property {string} id
+ * @property {string} kind
+ * @property {Date|null} timestamp - When the settings were first saved.
+ */
+
+/**
+ * @typedef {object} Tag
+ * A user-defined label for drafts, archived dreams and daily events. Records store tag IDs, so renaming a tag
+ * renames it everywhere.
+ * @property {string} id
+ * @property {string} name - Unique per user, compared case-insensitively.
+ * @property {string} color - A CSS color.
+ * @property {Date|null} timestamp - When the tag was created.
+ */
+
+/**
+ * @typedef {object} RealityCheck
+ * A reality check done during the day, as training for lucid dreaming (see lucid-module.js).
+ * @property {string} id
+ * @property {string} method - How reality was checked, one of REALITY_CHECK_METHODS in lucid-module.js.
+ * @property {string} note
+ * @property {Date|null} timestamp - When the check was done.
+ */
+
+/**
+ * @typedef {object} LucidPlan
+ * A plan to practice a lucid-dreaming technique for a number of nights.
+ * @property {string} id
+ * @property {string} technique - One of LUCID_TECHNIQUES in lucid-module.js, e.g. 'MILD'.
+ * @property {string} startNight - The first night, as a 'YYYY-MM-DD' key of the evening it starts on.
+ * @property {number} nights - How many nights the plan runs.
+ * @property {'active'|'ended'} status
+ * @property {string} notes
+ * @property {Date|null} timestamp - When the plan was created.
+ */
+
+/**
+ * @typedef {object} LucidCheckIn
+ * How one night of a technique plan went. There is one check-in per plan and night.
+ * @property {string} id
+ * @property {string} planId
+ * @property {string} technique - The plan's technique, kept so statistics survive deleting the plan.
+ * @property {string} night - The night, as a 'YYYY-MM-DD' key of the evening it starts on.
+ * @property {boolean} practiced - Whether the technique was practiced that night.
+ * @property {boolean} becameLucid - Whether the user became lucid that night.
+ * @property {string} notes
+ * @property {Date|null} timestamp - When the check-in was saved or last changed.
+ */
+
+/**
+ * @typedef {object} DreamLinks
+ * Where a dream belongs besides its content, the audio it was recorded with and its language; set when the
+ * draft is saved and carried over to the archive.
+ * @property {string} night - See DraftDream.
+ * @property {string} sessionId
+ * @property {Date|null} wakeUpAt
+ * @property {string} incubationId
+ * @property {Array<string>} audioClipIds
+ * @property {string} language
+ */
+
+/**
+ * @typedef {object} NightSession
+ * One sleep period, from going to bed to the final wake-up. Dreams recorded during it are attached to it.
+ * @property {string} id
+ * @property {string} night - The night, as a 'YYYY-MM-DD' key of the evening it starts on.
+ * @property {Date|null} bedtime
+ * @property {Array<Date>} wakeUps - Wake-ups during the night, in order.
+ * @property {Date|null} finalWakeAt - The final wake-up, null while the session is running.
+ * @property {'active'|'ended'} status
+ * @property {string} notes
+ * @property {Date|null} timestamp - When the session was started or last changed.
+ */
+
+/**
+ * @typedef {object} IncubationIntention
+ * An intention or question the user wants to dream about (see incubation-module.js).
+ * @property {string} id
+ * @property {string} text
+ * @property {'intention'|'question'} kind
+ * @property {Date|null} timestamp - When the intention was added.
+ */
+
+/**
+ * @typedef {object} IncubationEvaluation
+ * Whether the dreams of an incubation night addressed its intention.
+ * @property {'yes'|'partly'|'no'|null} verdict - The user's verdict, null until evaluated.
+ * @property {string} notes
+ * @property {'yes'|'partly'|'no'|null} aiVerdict - The AI's verdict, null unless the AI scored the night.
+ * @property {number|null} aiScore - How well the dreams addressed the intention according to the AI, 0 to 10.
+ * @property {string} aiReasoning
+ * @property {string|null} aiModel
+ * @property {Date|null} evaluatedAt - When the user's verdict or the AI score was last saved.
+ */
+
+/**
+ * @typedef {object} IncubationNight
+ * The intention set for one night. Dreams recorded from that night are linked to it by their `incubationId`.
+ * @property {string} id
+ * @property {string} night - The night, as a 'YYYY-MM-DD' key of the evening it starts on.
+ * @property {string} intentionId - The intention, which may have been deleted since.
+ * @property {string} intentionText - The intention's text when it was set, kept if the intention is deleted.
+ * @property {'intention'|'question'} kind
+ * @property {IncubationEvaluation} evaluation
+ * @property {Date|null} timestamp - When the intention was set for the night.
+ */
+
+/**
+ * @typedef {object} AnalysisQueueItem
+ * A background analysis task (see analysis-queue.js).
+ * @property {string} id
+ * @property {'archiveDraft'|'reanalyzeDream'} kind - What to do: analyze and archive a draft, or re-analyze an archived dream.
+ * @property {string} targetId - The draft or archived dream ID.
+ * @property {string} label - The dream title or snippet, shown in the queue.
+ * @property {object} options - Task options, e.g. `makeActive` for re-analysis.
+ * @property {object} progress - Steps already done, so a retry does not repeat them.
+ * @property {'pending'|'running'|'done'|'failed'} status
+ * @property {number} attempts - How often the task has been tried.
+ * @property {string|null} lastError - The message of the last failure.
+ * @property {Date|null} nextAttemptAt - When a pending task that failed before may be tried again.
+ * @property {Date|null} leaseExpiresAt - When a running task counts as abandoned (e.g. the page was closed).
+ * @property {Date|null} finishedAt
+ * @property {Date|null} timestamp - When the task was queued.
+ */
+
+/**
+ * @typedef {object} PeriodReport
+ * A synthesis across all dreams of a time period (see period-reports.js).
+ * @property {string} id
+ * @property {string} scope - The Analysis sub-tab scope it was made for, e.g. 'last7Days'.
+ * @property {Date|null} periodStart - Start of the period, null for all time.
+ * @property {Date|null} periodEnd - End of the period.
+ * @property {string} tagId - The tag the report is limited to, '' for all dreams.
+ * @property {Array<{ref: string, id: string, title: string, date: (Date|null)}>} dreamRefs - The dreams, as cited in the report ('D1', 'D2', ...).
+ * @property {Array<{ref: string, id: string, text: string, date: (Date|null)}>} eventRefs - The daily events, as cited in the report ('E1', ...).
+ * @property {string} reportText - The report as a JSON string.
+ * @property {string|null} model - The model that wrote it.
+ * @property {string|null} promptTemplate - The prompt template ID.
+ * @property {Date|null} generatedAt - When the report was last generated.
+ * @property {Date|null} timestamp - When the report was first created.
+ */
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {string} id
+ * @property {string} text
+ * @property {'user'|'gemini'|'model'} role
+ * @property {Array<{ref: string, id: string, title: string, date: (Date|null)}>} dreamRefs - For AI replies: the dreams
+ *     the AI was given, as cited in the text ('D1', 'D2', ...; see chat-context.js).
+ * @property {Array<{ref: string, id: string, text: string, date: (Date|null)}>} eventRefs - For AI replies: the daily
+ *     events the AI was given ('E1', ...).
+ * @property {Date|null} timestamp
+ */
+
+let backend = null;
+let appId = 'default-app-id';
+let getUserId = () => null;
+
+/**
+ * Configures the data service. Must be called before any repository is used.
+ * @param {object} options
+ * @param {DataBackend} options.backend - The storage backend.
+ * @param {string} options.appId - The app ID used in collection paths.
+ * @param {function(): (string|null)} options.getUserId - Returns the signed-in user's ID.
+ */
+export function configureDataService(options) {
+    backend = options.backend;
+    appId = options.appId;
+    getUserId = options.getUserId;
+}
+
+/**
+ * Returns the configured backend.
+ * @returns {DataBackend} The backend.
+ * @throws {Error} If configureDataService() has not been called.
+ */
+function requireBackend() {
+    if (!backend) {
+        throw new Error('Data service is not configured.');
+    }
+    return backend;
+}
+
+/**
+ * Builds the path of one of the signed-in user's collections.
+ * @param {string} collectionName - Collection name relative to the user, e.g. 'draft_dreams'.
+ * @returns {string} The full collection path.
+ * @throws {Error} If no user is signed in.
+ */
+export function userCollectionPath(collectionName) {
+    const currentUserId = getUserId();
+    if (!currentUserId) {
+        throw new Error('Please sign in to access your data.');
+    }
+    return `artifacts/${appId}/users/${currentUserId}/${collectionName}`;
+}
+
+/**
+ * Returns a record's timestamp in milliseconds since epoch (0 if missing).
+ * @param {{timestamp: (Date|null)}} record - The record.
+ * @returns {number} The timestamp in milliseconds.
+ */
+export function timestampMillis(record) {
+    return record && record.timestamp instanceof Date ? record.timestamp.getTime() : 0;
+}
+
+/**
+ * Counts calendar days (in local time) from one date to another.
+ * @param {Date|null} fromDate - The earlier date, e.g. when a dream was recorded.
+ * @param {Date|null} toDate - The later date, e.g. when an event happened.
+ * @returns {number|null} The days between them (negative if toDate comes first), or null if either date is missing.
+ */
+export function daysBetween(fromDate, toDate) {
+    if (!(fromDate instanceof Date) || !(toDate instanceof Date)) return null;
+    const fromDay = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+    const toDay = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate());
+    return Math.round((toDay.getTime() - fromDay.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Sorts records by a field. Dates compare by time, missing values sort first.
+ * Shared by the backends so pending offline records sort like stored ones.
+ * @param {Array<object>} records - The records to sort in place.
+ * @param {string} [field] - The field to sort by; no-op if omitted.
+ * @param {'asc'|'desc'} [direction='asc'] - Sort direction.
+ * @returns {Array<object>} The sorted records.
+ */
+export function sortRecords(records, field, direction = 'asc') {
+    if (!field) return records;
+    const valueOf = (record) => {
+        const value = record[field];
+        if (value instanceof Date) return value.getTime();
+        return value ?? null;
+    };
+    records.sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        if (valueA === valueB) return 0;
+        if (valueA === null) return direction === 'desc' ? 1 : -1;
+        if (valueB === null) return direction === 'desc' ? -1 : 1;
+        const order = valueA < valueB ? -1 : 1;
+        return direction === 'desc' ? -order : order;
+    });
+    return records;
+}
+
+/**
+ * Creates a repository for one of the user's collections.
+ * @param {function(): string} resolvePath - Returns the collection path (resolved on each call, since the user can change).
+ * @param {function(object): object} normalize - Fills in defaults on records read from the backend.
+ * @returns {object} The repository.
+ */
+function createRepository(resolvePath, normalize) {
+    return {
+        /**
+         * Creates a record. `timestamp` is set to the time of the write.
+         * @param {object} data - The fields to store.
+         * @param {{description: string}} [options] - Label for the offline sync UI.
+         * @returns {Promise<{id: string, queued: boolean}>} The new ID and whether it was queued offline.
+         */
+        add(data, options = {}) {
+            return requireBackend().add(resolvePath(), data, { stampTimestamp: true, ...options });
+        },
+
+        /**
+         * Updates fields on a record.
+         * @param {string} id - The record ID.
+         * @param {object} data - The fields to change.
+         * @param {{stampTimestamp: boolean, expected: object, description: string}} [options] - Write options.
+         * @returns {Promise<{queued: boolean}>} Whether the update was queued offline.
+         */
+        update(id, data, options = {}) {
+            return requireBackend().update(resolvePath(), id, data, options);
+        },
+
+        /**
+         * Changes a record atomically: reads it and writes the fields `change` returns for it. If the record
+         * changes in the meantime (e.g. on another device), `change` is called again with the new version.
+         * Needs a connection; it is not queued offline.
+         * @param {string} id - The record ID.
+         * @param {function((object|null)): (object|null)} change - Receives the current record (null if it does not
+         *     exist) and returns the fields to write, or null to leave it as it is.
+         * @returns {Promise<object|null>} The fields written, or null if nothing was written.
+         */
+        transact(id, change) {
+            return requireBackend().transact(resolvePath(), id, record => change(record ? normalize(record) : null));
+        },
+
+        /**
+         * Deletes a record.
+         * @param {string} id - The record ID.
+         * @returns {Promise<void>}
+         */
+        remove(id) {
+            return requireBackend().remove(resolvePath(), id);
+        },
+
+        /**
+         * Reads one record.
+         * @param {string} id - The record ID.
+         * @returns {Promise<object|null>} The record, or null if it does not exist.
+         */
+        async get(id) {
+            const record = await requireBackend().get(resolvePath(), id);
+            return record ? normalize(record) : null;
+        },
+
+        /**
+         * Reads records.
+         * @param {ListOptions} [options] - Sorting, filtering and limit.
+         * @returns {Promise<Array<object>>} The records.
+         */
+        async list(options = {}) {
+            const records = await requireBackend().list(resolvePath(), options);
+            return records.map(normalize);
+        },
+
+        /**
+         * Watches records and calls onChange with the full list on every change.
+         * @param {ListOptions} options - Sorting, filtering and limit.
+         * @param {function(Array<object>)} onChange - Called with the records.
+         * @param {function(Error)} onError - Called if the subscription fails.
+         * @returns {function()} Unsubscribes.
+         */
+        subscribe(options, onChange, onError) {
+            return requireBackend().subscribe(resolvePath(), options, records => onChange(records.map(normalize)), onError);
+        }
+    };
+}
+
+/**
+ * Fills in the unset fields of a dream's metadata, dropping values out of range.
+ * @param {object} [metadata] - The stored metadata; missing on dreams saved before metadata was kept.
+ * @returns {DreamMetadata} The metadata.
+ */
+export function normalizeDreamMetadata(metadata) {
+    const source = metadata || {};
+    const rating = (value, min, max) => Number.isInteger(value) && value >= min && value <= max ? value : null;
+    return {
+        occurredAt: source.occurredAt instanceof Date ? source.occurredAt : null,
+        lucidity: rating(source.lucidity, 0, 5),
+        vividness: rating(source.vividness, 1, 5),
+        mood: typeof source.mood === 'string' && source.mood ? source.mood : null,
+        nightmare: source.nightmare === true,
+        falseAwakening: source.falseAwakening === true,
+        sleepParalysis: source.sleepParalysis === true,
+        recallConfidence: rating(source.recallConfidence, 1, 5)
+    };
+}
+
+/** @type {function(object): DraftDream} */
+function normalizeDraft(record) {
+    return {
+        ...record,
+        dreamText: record.dreamText || '',
+        dreamTitle: record.dreamTitle || '',
+        isPreAnalyzed: record.isPreAnalyzed || false,
+        tags: record.tags || [],
+        metadata: normalizeDreamMetadata(record.metadata),
+        incubationId: record.incubationId || '',
+        night: record.night || '',
+        sessionId: record.sessionId || '',
+        wakeUpAt: record.wakeUpAt || null,
+        audioClipIds: record.audioClipIds || [],
+        language: record.language || '',
+        inProgress: record.inProgress === true,
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): ArchivedDream} */
+function normalizeArchivedDream(record) {
+    const analysisText = record.analysisText || '';
+    // Dreams archived before versions were kept have their single analysis as the only version
+    const analyses = Array.isArray(record.analyses) && record.analyses.length > 0
+        ? record.analyses.map(version => ({
+            id: version.id,
+            analysisText: version.analysisText || '',
+            model: version.model || null,
+            promptTemplate: version.promptTemplate || null,
+            schemaVersion: typeof version.schemaVersion === 'number' ? version.schemaVersion : null,
+            language: version.language || '',
+            revisionId: version.revisionId || 'original',
+            createdAt: version.createdAt || null
+        }))
+        : (analysisText ? [{ id: 'original', analysisText, model: null, promptTemplate: null, schemaVersion: null, language: '', revisionId: 'original', createdAt: record.timestamp || null }] : []);
+    const activeAnalysisId = analyses.some(version => version.id === record.activeAnalysisId)
+        ? record.activeAnalysisId
+        : (analyses.length > 0 ? analyses[analyses.length - 1].id : null);
+    // Dreams that were never edited have their archived text as the only revision
+    const revisions = Array.isArray(record.revisions) && record.revisions.length > 0
+        ? record.revisions.map(revision => ({
+            id: revision.id,
+            dreamTitle: revision.dreamTitle || '',
+            dreamText: revision.dreamText || '',
+            editedAt: revision.editedAt || null
+        }))
+        : [{ id: 'original', dreamTitle: record.dreamTitle || '', dreamText: record.dreamText || '', editedAt: record.timestamp || null }];
+    return {
+        ...record,
+        dreamText: record.dreamText || '',
+        dreamTitle: record.dreamTitle || '',
+        analysisText,
+        analyses,
+        activeAnalysisId,
+        revisions,
+        analysisStale: record.analysisStale || false,
+        tags: record.tags || [],
+        metadata: normalizeDreamMetadata(record.metadata),
+        incubationId: record.incubationId || '',
+        night: record.night || '',
+        sessionId: record.sessionId || '',
+        wakeUpAt: record.wakeUpAt || null,
+        audioClipIds: record.audioClipIds || [],
+        language: record.language || '',
+        matchedRealityEvent: record.matchedRealityEvent || '',
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): DailyEvent} */
+function normalizeDailyEvent(record) {
+    return {
+        ...record,
+        eventText: record.eventText || '',
+        tags: record.tags || [],
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): Match} */
+function normalizeMatch(record) {
+    return {
+        ...record,
+        matchType: record.matchType || 'other',
+        strength: record.strength || 3,
+        daysBetween: typeof record.daysBetween === 'number' ? record.daysBetween : null,
+        notes: record.notes || '',
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): Conversation} */
+function normalizeConversation(record) {
+    return {
+        ...record,
+        title: record.title || '',
+        isArchived: record.isArchived || false,
+        pinned: record.pinned || false,
+        messageCount: Number.isInteger(record.messageCount) ? record.messageCount : null,
+        lastMessageAt: record.lastMessageAt || null,
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): NightSession} */
+function normalizeNightSession(record) {
+    return {
+        ...record,
+        night: record.night || '',
+        bedtime: record.bedtime || null,
+        wakeUps: (record.wakeUps || []).filter(wakeUp => wakeUp instanceof Date),
+        finalWakeAt: record.finalWakeAt || null,
+        status: record.status || 'active',
+        notes: record.notes || '',
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): LucidPlan} */
+function normalizeLucidPlan(record) {
+    return {
+        ...record,
+        technique: record.technique || 'MILD',
+        startNight: record.startNight || '',
+        nights: record.nights || 14,
+        status: record.status || 'active',
+        notes: record.notes || '',
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): LucidCheckIn} */
+function normalizeLucidCheckIn(record) {
+    return {
+        ...record,
+        technique: record.technique || 'MILD',
+        night: record.night || '',
+        practiced: record.practiced || false,
+        becameLucid: record.becameLucid || false,
+        notes: record.notes || '',
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): IncubationNight} */
+function normalizeIncubationNight(record) {
+    const evaluation = record.evaluation || {};
+    return {
+        ...record,
+        night: record.night || '',
+        intentionId: record.intentionId || '',
+        intentionText: record.intentionText || '',
+        kind: record.kind || 'intention',
+        evaluation: {
+            verdict: evaluation.verdict || null,
+            notes: evaluation.notes || '',
+            aiVerdict: evaluation.aiVerdict || null,
+            aiScore: typeof evaluation.aiScore === 'number' ? evaluation.aiScore : null,
+            aiReasoning: evaluation.aiReasoning || '',
+            aiModel: evaluation.aiModel || null,
+            evaluatedAt: evaluation.evaluatedAt || null
+        },
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): AnalysisQueueItem} */
+function normalizeAnalysisQueueItem(record) {
+    return {
+        ...record,
+        label: record.label || '',
+        options: record.options || {},
+        progress: record.progress || {},
+        status: record.status || 'pending',
+        attempts: record.attempts || 0,
+        lastError: record.lastError || null,
+        nextAttemptAt: record.nextAttemptAt || null,
+        leaseExpiresAt: record.leaseExpiresAt || null,
+        finishedAt: record.finishedAt || null,
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): PeriodReport} */
+function normalizePeriodReport(record) {
+    return {
+        ...record,
+        scope: record.scope || 'allTime',
+        periodStart: record.periodStart || null,
+        periodEnd: record.periodEnd || null,
+        tagId: record.tagId || '',
+        dreamRefs: record.dreamRefs || [],
+        eventRefs: record.eventRefs || [],
+        reportText: record.reportText || '',
+        model: record.model || null,
+        promptTemplate: record.promptTemplate || null,
+        generatedAt: record.generatedAt || record.timestamp || null,
+        timestamp: record.timestamp || null
+    };
+}
+
+/** @type {function(object): ChatMessage} */
+function normalizeChatMessage(record) {
+    return {
+        ...record,
+        text: record.text || '',
+        dreamRefs: record.dreamRefs || [],
+        eventRefs: record.eventRefs || [],
+        timestamp: record.timestamp || null
+    };
+}
+
+// --- Repositories ---
+
+/** Draft dreams recorded or typed but not yet analyzed. */
+export const draftsRepository = createRepository(() => userCollectionPath('draft_dreams'), normalizeDraft);
+
+/** Analyzed dreams. */
+export const archivedDreamsRepository = createRepository(() => userCollectionPath('archived_dreams'), normalizeArchivedDream);
+
+/** Daily reality events. */
+export const dailyEventsRepository = createRepository(() => userCollectionPath('daily_events'), normalizeDailyEvent);
+
+/** Links between archived dreams and daily events. */
+export const matchesRepository = createRepository(() => userCollectionPath('matches'), normalizeMatch);
+
+/** Suggested matches the user rejected. */
+export const matchRejectionsRepository = createRepository(() => userCollectionPath('match_rejections'), record => ({ ...record, timestamp: record.timestamp || null }));
+
+/** AI chat conversations. */
+export const conversationsRepository = createRepository(() => userCollectionPath('conversations'), normalizeConversation);
+
+/** Per-user settings, one record per kind. */
+export const settingsRepository = createRepository(() => userCollectionPath('settings'), record => ({ ...record, timestamp: record.timestamp || null }));
+
+/** User-defined tags. */
+export const tagsRepository = createRepository(() => userCollectionPath('tags'), record => ({ ...record, color: record.color || '#6b7280', timestamp: record.timestamp || null }));
+
+/** Reality checks logged for lucid-dreaming training. */
+export const realityChecksRepository = createRepository(() => userCollectionPath('reality_checks'), record => ({ ...record, method: record.method || 'other', note: record.note || '', timestamp: record.timestamp || null }));
+
+/** Lucid-dreaming technique plans. */
+export const lucidPlansRepository = createRepository(() => userCollectionPath('lucid_plans'), normalizeLucidPlan);
+
+/** Nightly check-ins of the technique plans. */
+export const lucidCheckInsRepository = createRepository(() => userCollectionPath('lucid_check_ins'), normalizeLucidCheckIn);
+
+/** Sleep periods with their bedtime, wake-ups and final wake time. */
+export const nightSessionsRepository = createRepository(() => userCollectionPath('night_sessions'), normalizeNightSession);
+
+/** The user's dream incubation intentions and questions. */
+export const incubationIntentionsRepository = createRepository(() => userCollectionPath('incubation_intentions'), record => ({ ...record, text: record.text || '', kind: record.kind || 'intention', timestamp: record.timestamp || null }));
+
+/** The intention set for each night, with its evaluation. */
+export const incubationNightsRepository = createRepository(() => userCollectionPath('incubation_nights'), normalizeIncubationNight);
+
+/** Background analysis tasks, kept until the user clears them. */
+export const analysisQueueRepository = createRepository(() => userCollectionPath('analysis_queue'), normalizeAnalysisQueueItem);
+
+/** Saved syntheses across the dreams of a period. */
+export const periodReportsRepository = createRepository(() => userCollectionPath('period_reports'), normalizePeriodReport);
+
+/**
+ * Returns the repository for the messages of one conversation.
+ * @param {string} conversationId - The conversation ID.
+ * @returns {object} The messages repository.
+ */
+export function messagesRepository(conversationId) {
+    return createRepository(() => userCollectionPath(`conversations/${conversationId}/messages`), normalizeChatMessage);
+}
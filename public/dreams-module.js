@@ -1,42 +1,105 @@
 // dreams-module.js
 
 // Import Firebase variables and functions
-import { db, userId, isAuthReady, appId } from './firebase-init.js';
+import { userId, isAuthReady } from './firebase-init.js';
 import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { requestAnalysis } from './ai-client.js';
+import { draftsRepository, archivedDreamsRepository, timestampMillis } from './dreams-data-service.js';
+import { openMatchModal, renderDreamMatches, deleteMatchesForDream, onMatchesChange } from './matches-module.js';
+import { enqueueAnalyses, registerAnalysisHandler, findQueueItem, onAnalysisQueueChange } from './analysis-queue.js';
+import { diffWords, countChangedWords } from './text-diff.js';
+import { createTagInput, renderTagChips, renderTagFilterOptions, onTagsChange } from './tags-module.js';
+import { createMetadataForm, describeDreamMetadata, emptyDreamMetadata } from './dream-metadata.js';
+import { incubationIdForNight, describeIncubation } from './incubation-module.js';
+import { linkToNightSession, createNightHeader } from './night-session-module.js';
+import { scopeStartDate, scopeEndDate, isDreamInPeriod, orderByNight, dreamNightKey } from './nights.js';
+import { renderAudioClips, removeAudioClips } from './audio-clips-module.js';
+import { getLanguage, dreamLanguage, createLanguageSelect } from './language-module.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n.js';
 import {
-    serverTimestamp, collection, addDoc, doc, updateDoc, deleteDoc,
-    query, orderBy, limit, getDocs, onSnapshot
-} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+    getAnalysisCategories, getAnalysisSchemaVersion, buildAnalysisPrompt, buildResponseSchema, parseAnalysisText,
+    analysisEntries, summarizeAnalysis, analysisLanguage, ANALYSIS_PROMPT_TEMPLATE
+} from './analysis-schema.js';
 
 // Internal state variables for Dreams module
 let currentDraftId = null; // To track the ID of the draft dream currently being edited
+let currentDraftOriginal = null; // Text and title of the draft when editing started, for offline conflict detection
 let dreamsToAnalyze = []; // Stores dreams fetched for the analysis tab's time scope
-let currentDreamIdForMatch = null; // To track the ID of the dream for which a match is being added/edited
+let analysisPeriod = null; // { scope, start, end, tagId } of dreamsToAnalyze; start is null for all time, tagId '' for all tags
+let detailsDreamId = null; // The archived dream shown in the details modal
+let detailsDream = null; // Its record, kept current after re-analysis
+let detailsVersionId = null; // The analysis version shown in the details modal
+let detailsCompareVersionId = null; // The version it is compared with, null for no comparison
+let detailsRevisionId = null; // The revision shown in the details modal's history
+let isStaleNoticeDismissed = false; // The user chose to keep the analysis after editing the open dream
+let detailsEditOriginal = null; // The dream as it was when the details modal's edit form was opened
+let archivedDreams = []; // The archived dreams last loaded for the Archive sub-tab
+let draftDreams = []; // The drafts last loaded for the Drafts sub-tab
+const selectedDraftIds = new Set(); // Drafts ticked for batch analysis
+let draftTagInput = null; // Tag inputs of the draft editor and the details modal
+let detailsTagInput = null;
+let draftMetadataForm = null; // Metadata forms of the draft editor and the details modal
+let detailsMetadataForm = null;
+let draftLanguageSelect = null; // Language choices of the draft editor and the details modal
+let detailsLanguageSelect = null;
+let unsubscribeDrafts = null; // Active subscriptions, replaced each time a list is (re)loaded
+let unsubscribeArchivedDreams = null;
 
 // --- Firebase Operations for Dreams ---
 
+/**
+ * Builds a new draft, attached to the running night session, if any (see night-session-module.js), and linked
+ * to the intention set for its night (see incubation-module.js).
+ * @param {string} dreamText - The text content of the dream.
+ * @param {string} dreamTitle - The title of the dream.
+ * @param {boolean} isPreAnalyzed - Whether the dream has been pre-analyzed.
+ * @param {Array<string>} tags - Tag IDs.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} metadata - Details such as lucidity and mood, null for none.
+ * @param {Array<string>} audioClipIds - The recording's audio clips.
+ * @param {string} language - The dream's language code, '' to follow the user's language.
+ * @returns {Promise<object>} The draft's fields.
+ */
+async function buildNewDraft(dreamText, dreamTitle, isPreAnalyzed, tags, metadata, audioClipIds, language) {
+    const links = await linkToNightSession(metadata);
+    return {
+        dreamText: dreamText,
+        dreamTitle: dreamTitle,
+        isPreAnalyzed: isPreAnalyzed,
+        tags: tags,
+        metadata: metadata || emptyDreamMetadata(),
+        ...links,
+        incubationId: incubationIdForNight(links.night),
+        audioClipIds: audioClipIds,
+        language: language
+    };
+}
+
 /**
  * Saves a new dream draft to Firestore or updates an existing one.
+ * The draft is attached to the running night session, if any (see night-session-module.js), and linked to
+ * the intention set for its night (see incubation-module.js).
  * @param {string} dreamText - The text content of the dream.
  * @param {string} dreamTitle - The title of the dream (optional).
  * @param {boolean} isPreAnalyzed - Whether the dream has been pre-analyzed (default false).
+ * @param {Array<string>} [tags=[]] - Tag IDs.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - Details such as lucidity and mood, null for none.
+ * @param {Array<string>} [audioClipIds=[]] - The recording's audio clips (see audio-clips-module.js).
+ * @param {string} [language=''] - The dream's language code, '' to follow the user's language (see language-module.js).
  * @returns {Promise<string|null>} The ID of the saved/updated draft or null if failed.
  */
-export async function saveDraftDream(dreamText, dreamTitle = '', isPreAnalyzed = false) {
+export async function saveDraftDream(dreamText, dreamTitle = '', isPreAnalyzed = false, tags = [], metadata = null, audioClipIds = [], language = '') {
     if (!userId || !isAuthReady) {
         showMessage('error', 'Please sign in to save dreams.');
         return null;
     }
     showLoading();
     try {
-        const newDraftRef = await addDoc(collection(db, `artifacts/${appId}/users/${userId}/draft_dreams`), {
-            dreamText: dreamText,
-            dreamTitle: dreamTitle,
-            timestamp: serverTimestamp(),
-            isPreAnalyzed: isPreAnalyzed
+        // Saved to the local outbox when offline and synced later
+        const { id, queued } = await draftsRepository.add(await buildNewDraft(dreamText, dreamTitle, isPreAnalyzed, tags, metadata, audioClipIds, language), {
+            description: `Draft "${dreamTitle || dreamText.substring(0, 30)}"`
         });
-        showMessage('success', 'Dream draft saved!');
-        return newDraftRef.id;
+        showMessage('success', queued ? 'You are offline. Dream draft saved on this device and will sync later.' : 'Dream draft saved!');
+        return id;
     } catch (error) {
         console.error("Error saving draft dream:", error);
         showMessage('error', `Failed to save dream draft: ${error.message}`);
@@ -46,28 +109,128 @@ export async function saveDraftDream(dreamText, dreamTitle = '', isPreAnalyzed =
     }
 }
 
+/**
+ * Autosaves the transcription of a recording that is still running to its in-progress draft, creating the
+ * draft on the first save. Runs in the background while the user speaks, so it shows no loading indicator or
+ * message; a failed save is retried with the next one.
+ * @param {string|null} draftId - The recording's in-progress draft, null if it has none yet.
+ * @param {string} dreamText - The transcription so far.
+ * @param {string} [dreamTitle=''] - The title given so far.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - The details entered so far, null for none.
+ * @param {Array<string>} [audioClipIds=[]] - The recording's audio clips so far.
+ * @param {string} [language=''] - The recording's language code, '' to follow the user's language.
+ * @returns {Promise<string|null>} The ID of the in-progress draft; the given one if the save failed.
+ */
+export async function saveInProgressDraft(draftId, dreamText, dreamTitle = '', metadata = null, audioClipIds = [], language = '') {
+    if (!userId || !isAuthReady) return draftId;
+    try {
+        if (draftId) {
+            await draftsRepository.update(draftId, { dreamText, dreamTitle, metadata: metadata || emptyDreamMetadata(), audioClipIds, language }, {
+                description: 'Autosave of a recording'
+            });
+            return draftId;
+        }
+        const { id } = await draftsRepository.add({ ...await buildNewDraft(dreamText, dreamTitle, false, [], metadata, audioClipIds, language), inProgress: true }, {
+            description: 'Autosave of a recording'
+        });
+        return id;
+    } catch (error) {
+        console.error("Error autosaving recording:", error);
+        return draftId;
+    }
+}
+
+/**
+ * Turns the in-progress draft of a stopped or recovered recording into a regular draft, with its final text.
+ * Without an in-progress draft (e.g. the recording was made offline, or its draft was deleted meanwhile)
+ * a new draft is saved instead.
+ * @param {string|null} draftId - The recording's in-progress draft, null for none.
+ * @param {string} dreamText - The final transcription.
+ * @param {string} [dreamTitle=''] - The dream's title.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - The dream's details, null for none.
+ * @param {Array<string>} [audioClipIds=[]] - The recording's audio clips.
+ * @param {string} [language=''] - The recording's language code, '' to follow the user's language.
+ * @returns {Promise<string|null>} The ID of the draft or null if failed.
+ */
+export async function finishInProgressDraft(draftId, dreamText, dreamTitle = '', metadata = null, audioClipIds = [], language = '') {
+    if (!draftId) return saveDraftDream(dreamText, dreamTitle, false, [], metadata, audioClipIds, language);
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to save dreams.');
+        return null;
+    }
+    showLoading();
+    try {
+        const { queued } = await draftsRepository.update(draftId, {
+            dreamText,
+            dreamTitle,
+            metadata: metadata || emptyDreamMetadata(),
+            audioClipIds,
+            language,
+            inProgress: false
+        }, {
+            stampTimestamp: true,
+            description: `Draft "${dreamTitle || dreamText.substring(0, 30)}"`
+        });
+        showMessage('success', queued ? 'You are offline. Dream draft saved on this device and will sync later.' : 'Dream draft saved!');
+        return draftId;
+    } catch (error) {
+        console.error("Error finishing in-progress draft:", error);
+        // Only a draft deleted meanwhile is replaced by a new one; saving a copy of one that still exists would duplicate it
+        if (!await isDraftGone(draftId)) {
+            showMessage('error', `Failed to save dream draft: ${error.message}`);
+            return null;
+        }
+    } finally {
+        hideLoading();
+    }
+    return saveDraftDream(dreamText, dreamTitle, false, [], metadata, audioClipIds, language);
+}
+
+/**
+ * Checks whether a draft no longer exists, e.g. because it was deleted on another device.
+ * @param {string} draftId - The draft ID.
+ * @returns {Promise<boolean>} True if the draft is gone, false if it exists or could not be read.
+ */
+async function isDraftGone(draftId) {
+    try {
+        return !await draftsRepository.get(draftId);
+    } catch (error) {
+        console.error("Error reading draft:", error);
+        return false;
+    }
+}
+
 /**
  * Updates an existing dream draft in Firestore.
  * @param {string} draftId - The ID of the draft dream to update.
  * @param {string} dreamText - The updated text content of the dream.
  * @param {string} dreamTitle - The updated title of the dream.
  * @param {boolean} isPreAnalyzed - The updated pre-analyzed status.
+ * @param {object|null} [original=null] - The draft's text and title before the edit, used to detect offline conflicts.
+ * @param {Array<string>|null} [tags=null] - The updated tag IDs, null to leave the tags unchanged.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - The updated metadata, null to leave it unchanged.
+ * @param {string|null} [language=null] - The updated language code ('' to follow the user's language), null to leave it unchanged.
  */
-export async function updateDraftDream(draftId, dreamText, dreamTitle = '', isPreAnalyzed = false) {
+export async function updateDraftDream(draftId, dreamText, dreamTitle = '', isPreAnalyzed = false, original = null, tags = null, metadata = null, language = null) {
     if (!userId || !isAuthReady || !draftId) {
         showMessage('error', 'Cannot update draft. Please sign in or select a draft.');
         return;
     }
     showLoading();
     try {
-        const draftRef = doc(db, `artifacts/${appId}/users/${userId}/draft_dreams`, draftId);
-        await updateDoc(draftRef, {
+        const { queued } = await draftsRepository.update(draftId, {
             dreamText: dreamText,
             dreamTitle: dreamTitle,
-            timestamp: serverTimestamp(), // Update timestamp on edit
-            isPreAnalyzed: isPreAnalyzed
+            isPreAnalyzed: isPreAnalyzed,
+            ...(tags ? { tags } : {}),
+            ...(metadata ? { metadata } : {}),
+            ...(language !== null ? { language } : {})
+        }, {
+            stampTimestamp: true, // Update timestamp on edit
+            expected: original,
+            description: `Edit of draft "${dreamTitle || dreamText.substring(0, 30)}"`
         });
-        console.log(`Draft ${draftId} updated. isPreAnalyzed set to: ${isPreAnalyzed}`);
+        console.log(`Draft ${draftId} ${queued ? 'queued for update' : 'updated'}. isPreAnalyzed set to: ${isPreAnalyzed}`);
         // No message here, as this is often called internally by other functions
     } catch (error) {
         console.error("Error updating draft dream:", error);
@@ -78,17 +241,18 @@ export async function updateDraftDream(draftId, dreamText, dreamTitle = '', isPr
 }
 
 /**
- * Deletes a dream draft from Firestore.
+ * Deletes a dream draft from Firestore. Its audio clips are kept, as the draft may have moved to the archive.
  * @param {string} draftId - The ID of the draft dream to delete.
+ * @returns {Promise<boolean>} True if the draft was deleted.
  */
 export async function deleteDraftDream(draftId) {
     if (!userId || !isAuthReady || !draftId) {
         showMessage('error', 'Cannot delete draft. Please sign in or select a draft.');
-        return;
+        return false;
     }
     showLoading();
     try {
-        await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/draft_dreams`, draftId));
+        await draftsRepository.remove(draftId);
         showMessage('success', 'Draft dream deleted!');
         // Clear current input if the deleted draft was being edited
         const dreamInputDraft = document.getElementById('dream-input-draft');
@@ -99,39 +263,82 @@ export async function deleteDraftDream(draftId) {
         if (currentDraftId === draftId) {
             if (dreamInputDraft) dreamInputDraft.value = '';
             if (dreamTitleDraft) dreamTitleDraft.value = '';
+            if (draftTagInput) draftTagInput.setTagIds([]);
+            if (draftMetadataForm) draftMetadataForm.setMetadata(null);
+            if (draftLanguageSelect) draftLanguageSelect.setLanguage('');
+            renderDraftAudio(null);
             currentDraftId = null;
         }
         // Also clear analysis input/output if the deleted draft was loaded there
         if (analysisContent) analysisContent.innerHTML = '';
         if (dreamAnalysisOutput) dreamAnalysisOutput.classList.add('hidden');
+        return true;
     } catch (error) {
         console.error("Error deleting draft dream:", error);
         showMessage('error', `Failed to delete draft dream: ${error.message}`);
+        return false;
     } finally {
         hideLoading();
     }
 }
 
+/**
+ * Returns the links of a draft or archived dream, with defaults for older records.
+ * @param {object|null} record - The draft, archived dream or links.
+ * @returns {import('./dreams-data-service.js').DreamLinks} The links.
+ */
+function dreamLinks(record) {
+    return {
+        night: (record && record.night) || '',
+        sessionId: (record && record.sessionId) || '',
+        wakeUpAt: (record && record.wakeUpAt) || null,
+        incubationId: (record && record.incubationId) || '',
+        audioClipIds: (record && record.audioClipIds) || [],
+        language: (record && record.language) || ''
+    };
+}
+
+/**
+ * Adds an analyzed dream to the archive, with its analysis as the first and active version.
+ * @param {string} dreamText - The original text of the dream.
+ * @param {import('./dreams-data-service.js').AnalysisVersion} analysisVersion - The dream analysis.
+ * @param {string} [dreamTitle=''] - The title of the dream.
+ * @param {Array<string>} [tags=[]] - Tag IDs, usually those of the draft.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - The draft's metadata, null for none.
+ * @param {import('./dreams-data-service.js').DreamLinks|null} [links=null] - The draft's night, night session and incubation, null for none.
+ * @returns {Promise<string>} The archived dream's ID.
+ */
+async function addArchivedDream(dreamText, analysisVersion, dreamTitle = '', tags = [], metadata = null, links = null) {
+    const { id } = await archivedDreamsRepository.add({
+        dreamText: dreamText,
+        analysisText: analysisVersion.analysisText, // The active analysis, read by stats and search
+        analyses: [analysisVersion],
+        activeAnalysisId: analysisVersion.id,
+        dreamTitle: dreamTitle,
+        tags: tags,
+        metadata: metadata || emptyDreamMetadata(),
+        ...dreamLinks(links)
+    }, { description: `Archived dream "${dreamTitle || dreamText.substring(0, 30)}"` });
+    return id;
+}
+
 /**
  * Saves an analyzed dream to the archived_dreams collection in Firestore.
  * @param {string} dreamText - The original text of the dream.
- * @param {string} analysisJsonString - The JSON string of the dream analysis.
+ * @param {import('./dreams-data-service.js').AnalysisVersion} analysisVersion - The dream analysis, which becomes its first version.
  * @param {string} dreamTitle - The title of the dream (optional).
+ * @param {Array<string>} [tags=[]] - Tag IDs.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - Details such as lucidity and mood.
+ * @param {import('./dreams-data-service.js').DreamLinks|null} [links=null] - The night, night session and incubation the dream belongs to.
  */
-export async function saveAnalyzedDream(dreamText, analysisJsonString, dreamTitle = '') {
+export async function saveAnalyzedDream(dreamText, analysisVersion, dreamTitle = '', tags = [], metadata = null, links = null) {
     if (!userId || !isAuthReady) {
         showMessage('error', 'Please sign in to save dreams.');
         return;
     }
     showLoading();
     try {
-        await addDoc(collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`), {
-            dreamText: dreamText,
-            analysisText: analysisJsonString, // Save the full JSON string
-            dreamTitle: dreamTitle,
-            timestamp: serverTimestamp(),
-            matchedRealityEvent: '' // Initialize with empty string for no match
-        });
+        await addArchivedDream(dreamText, analysisVersion, dreamTitle, tags, metadata, links);
         showMessage('success', 'Dream analyzed and archived successfully!');
     } catch (error) {
         console.error("Error saving analyzed dream:", error);
@@ -146,8 +353,11 @@ export async function saveAnalyzedDream(dreamText, analysisJsonString, dreamTitl
  * @param {string} draftId - The ID of the draft dream to analyze and archive.
  * @param {string} dreamText - The text content of the dream to analyze.
  * @param {string} dreamTitle - The title of the dream.
+ * @param {Array<string>} [tags=[]] - The draft's tag IDs, carried over to the archive.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} [metadata=null] - The draft's metadata, carried over to the archive.
+ * @param {import('./dreams-data-service.js').DreamLinks|null} [links=null] - The draft's night, night session and incubation, carried over to the archive.
  */
-export async function analyzeAndArchiveDream(draftId, dreamText, dreamTitle = '') {
+export async function analyzeAndArchiveDream(draftId, dreamText, dreamTitle = '', tags = [], metadata = null, links = null) {
     if (!userId || !isAuthReady) {
         showMessage('error', 'Please sign in to analyze and archive dreams.');
         return;
@@ -155,11 +365,11 @@ export async function analyzeAndArchiveDream(draftId, dreamText, dreamTitle = ''
     showLoading();
     try {
         // Perform analysis, requesting expanded JSON for archiving
-        const analysisJsonString = await performDreamAnalysis(dreamText, dreamTitle, true);
+        const analysisVersion = await performDreamAnalysis(dreamText, dreamTitle, true, dreamLanguage(links));
 
-        if (analysisJsonString) {
+        if (analysisVersion) {
             // Save to archived_dreams
-            await saveAnalyzedDream(dreamText, analysisJsonString, dreamTitle);
+            await saveAnalyzedDream(dreamText, analysisVersion, dreamTitle, tags, metadata, links);
             // Delete from draft_dreams
             await deleteDraftDream(draftId);
 
@@ -188,9 +398,12 @@ export async function deleteArchivedDream(dreamId) {
         showMessage('error', 'Cannot delete archived dream. Please sign in or select a dream.');
         return;
     }
+    const dream = archivedDreams.find(candidate => candidate.id === dreamId);
     showLoading();
     try {
-        await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/archived_dreams`, dreamId));
+        await archivedDreamsRepository.remove(dreamId);
+        await deleteMatchesForDream(dreamId); // Remove its links to daily events
+        if (dream) await removeAudioClips(dream.audioClipIds);
         showMessage('success', 'Archived dream deleted!');
     } catch (error) {
         console.error("Error deleting archived dream:", error);
@@ -201,77 +414,417 @@ export async function deleteArchivedDream(dreamId) {
 }
 
 /**
- * Loads and displays draft dreams from Firestore.
+ * Re-analyzes an archived dream with the current analysis schema and keeps the result as a new version.
+ * @param {object} dreamData - The archived dream.
+ * @param {boolean} [makeActive=true] - Whether the new version becomes the one used for stats.
+ * @returns {Promise<object|null>} The updated dream, or null if the AI returned no analysis.
+ * @throws {Error} If the analysis request or the update fails.
  */
-export async function loadDraftDreams() {
-    console.log("loadDraftDreams called. userId:", userId, "isAuthReady:", isAuthReady);
-    const draftDreamsList = document.getElementById('draft-dreams-list');
+export async function reanalyzeArchivedDream(dreamData, makeActive = true) {
+    const requestedVersion = await requestDreamAnalysis(dreamData.dreamText, dreamData.dreamTitle, dreamLanguage(dreamData));
+    if (!requestedVersion) return null;
+    const analysisVersion = { ...requestedVersion, revisionId: currentRevision(dreamData).id };
+
+    const activeVersion = makeActive ? analysisVersion : dreamData.analyses.find(version => version.id === dreamData.activeAnalysisId);
+    const changes = {
+        analyses: [...dreamData.analyses, analysisVersion],
+        activeAnalysisId: activeVersion ? activeVersion.id : analysisVersion.id,
+        analysisText: activeVersion ? activeVersion.analysisText : analysisVersion.analysisText,
+        analysisStale: isAnalysisStale(dreamData.revisions, activeVersion || analysisVersion, dreamData.dreamText)
+    };
+    await archivedDreamsRepository.update(dreamData.id, changes, {
+        description: `Re-analyzed dream "${dreamData.dreamTitle || dreamData.dreamText.substring(0, 30)}"`
+    });
+    return { ...dreamData, ...changes };
+}
+
+/**
+ * Chooses which analysis version of an archived dream counts for stats, search and suggestions.
+ * @param {object} dreamData - The archived dream.
+ * @param {string} versionId - The analysis version to activate.
+ * @returns {Promise<object>} The updated dream.
+ * @throws {Error} If the version does not exist or the update fails.
+ */
+export async function setActiveAnalysisVersion(dreamData, versionId) {
+    const version = dreamData.analyses.find(candidate => candidate.id === versionId);
+    if (!version) throw new Error('That analysis version no longer exists.');
+
+    // The versions are written too, so dreams archived before versions were kept store their original analysis
+    const changes = {
+        analyses: dreamData.analyses,
+        activeAnalysisId: version.id,
+        analysisText: version.analysisText,
+        analysisStale: isAnalysisStale(dreamData.revisions, version, dreamData.dreamText)
+    };
+    await archivedDreamsRepository.update(dreamData.id, changes, {
+        description: `Changed active analysis of "${dreamData.dreamTitle || dreamData.dreamText.substring(0, 30)}"`
+    });
+    return { ...dreamData, ...changes };
+}
+
+/**
+ * Whether the active analysis of a dream was made with an older schema or prompt than the current ones,
+ * for text that has since been edited, or in another language than the dream's.
+ * @param {object} dreamData - The archived dream.
+ * @returns {boolean} True if a re-analysis would use different categories, wording, text or language.
+ */
+function hasOutdatedAnalysis(dreamData) {
+    const active = dreamData.analyses.find(version => version.id === dreamData.activeAnalysisId);
+    return !active || dreamData.analysisStale || active.schemaVersion !== getAnalysisSchemaVersion() || active.promptTemplate !== ANALYSIS_PROMPT_TEMPLATE ||
+        analysisLanguage(dreamData) !== dreamLanguage(dreamData);
+}
+
+/**
+ * Returns the revision an archived dream currently shows.
+ * @param {object} dreamData - The archived dream.
+ * @returns {import('./dreams-data-service.js').DreamRevision} The latest revision.
+ */
+function currentRevision(dreamData) {
+    return dreamData.revisions[dreamData.revisions.length - 1];
+}
+
+/**
+ * Whether an analysis was made for different text than the dream now has.
+ * Only the text counts; a changed title does not make an analysis stale.
+ * @param {Array<import('./dreams-data-service.js').DreamRevision>} revisions - The dream's revisions.
+ * @param {import('./dreams-data-service.js').AnalysisVersion|undefined} analysisVersion - The analysis.
+ * @param {string} dreamText - The dream's current text.
+ * @returns {boolean} True if the analysed text differs from the current text.
+ */
+function isAnalysisStale(revisions, analysisVersion, dreamText) {
+    if (!analysisVersion) return false;
+    const analyzedRevision = revisions.find(revision => revision.id === analysisVersion.revisionId);
+    return !analyzedRevision || analyzedRevision.dreamText !== dreamText;
+}
+
+/**
+ * Changes the title and text of an archived dream, keeping the previous version in its revision history.
+ * The analysis is kept; it is flagged as stale if the text changed.
+ * @param {object} dreamData - The archived dream.
+ * @param {{dreamTitle: string, dreamText: string}} edit - The new title and text.
+ * @param {object} [original=dreamData] - The dream as it was when editing started, used to detect offline conflicts.
+ * @returns {Promise<object>} The updated dream (the same object if the title and text are unchanged).
+ * @throws {Error} If the text is empty or the update fails.
+ */
+export async function editArchivedDream(dreamData, { dreamTitle, dreamText }, original = dreamData) {
+    if (!dreamText.trim()) throw new Error('The dream text cannot be empty.');
+    if (dreamTitle === dreamData.dreamTitle && dreamText === dreamData.dreamText) return dreamData;
+
+    const revision = { id: createVersionId(), dreamTitle, dreamText, editedAt: new Date() };
+    const revisions = [...dreamData.revisions, revision];
+    const activeVersion = dreamData.analyses.find(version => version.id === dreamData.activeAnalysisId);
+    const changes = {
+        dreamTitle,
+        dreamText,
+        revisions,
+        analysisStale: isAnalysisStale(revisions, activeVersion, dreamText)
+    };
+    // The timestamp is when the dream was dreamt, so editing leaves it alone
+    await archivedDreamsRepository.update(dreamData.id, changes, {
+        expected: { dreamTitle: original.dreamTitle, dreamText: original.dreamText },
+        description: `Edit of archived dream "${dreamTitle || dreamText.substring(0, 30)}"`
+    });
+    return { ...dreamData, ...changes };
+}
+
+/**
+ * Creates an error that the analysis queue does not retry.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+}
+
+/**
+ * Analyzes a queued draft and moves it to the archive. Handler for 'archiveDraft' tasks.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} task - The task; `targetId` is the draft ID.
+ * @param {function(object): Promise<void>} recordProgress - Records finished steps on the task.
+ */
+async function runArchiveDraftTask(task, recordProgress) {
+    const draft = await draftsRepository.get(task.targetId);
+    if (!draft) {
+        // A retry after the draft was archived but before the task was marked done
+        if (task.progress.archivedDreamId) return;
+        throw permanentError('The draft no longer exists.');
+    }
+    if (!task.progress.archivedDreamId) {
+        const analysisVersion = await requestDreamAnalysis(draft.dreamText, draft.dreamTitle, dreamLanguage(draft));
+        if (!analysisVersion) throw new Error('The AI returned no analysis.');
+        const archivedDreamId = await addArchivedDream(draft.dreamText, analysisVersion, draft.dreamTitle, draft.tags, draft.metadata, dreamLinks(draft));
+        await recordProgress({ archivedDreamId }); // A retry must not archive the dream twice
+    }
+    await draftsRepository.remove(draft.id);
+    selectedDraftIds.delete(draft.id);
+}
+
+/**
+ * Re-analyzes a queued archived dream. Handler for 'reanalyzeDream' tasks.
+ * @param {import('./dreams-data-service.js').AnalysisQueueItem} task - The task; `targetId` is the dream ID
+ *     and `options.makeActive` whether the new analysis becomes the active one.
+ */
+async function runReanalyzeDreamTask(task) {
+    const dreamData = await archivedDreamsRepository.get(task.targetId);
+    if (!dreamData) throw permanentError('The dream no longer exists.');
+    const updatedDream = await reanalyzeArchivedDream(dreamData, task.options.makeActive !== false);
+    if (!updatedDream) throw new Error('The AI returned no analysis.');
+}
+
+/**
+ * Queues drafts for analysis and archiving.
+ * @param {Array<object>} drafts - The drafts.
+ */
+async function queueDraftsForAnalysis(drafts) {
     if (!userId || !isAuthReady) {
-        if (draftDreamsList) draftDreamsList.innerHTML = '<p class="text-gray-500">Please sign in to see your drafts.</p>';
+        showMessage('error', 'Please sign in to analyze dreams.');
+        return;
+    }
+    if (drafts.length === 0) {
+        showMessage('info', 'No drafts to analyze.');
         return;
     }
 
-    if (draftDreamsList) draftDreamsList.innerHTML = '<p class="text-gray-500">Loading drafts...</p>';
     showLoading();
+    try {
+        const added = await enqueueAnalyses(drafts.map(draft => ({
+            kind: 'archiveDraft',
+            targetId: draft.id,
+            label: draft.dreamTitle || draft.dreamText.substring(0, 30)
+        })));
+        selectedDraftIds.clear();
+        renderDraftDreams();
+        showMessage('success', added > 0
+            ? `Queued ${added} ${added === 1 ? 'draft' : 'drafts'} for analysis. They will be archived as they finish.`
+            : 'These drafts are already in the analysis queue.');
+    } catch (error) {
+        console.error("Error queuing drafts for analysis:", error);
+        showMessage('error', `Failed to queue drafts: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
 
-    const q = query(
-        collection(db, `artifacts/${appId}/users/${userId}/draft_dreams`),
-        orderBy("timestamp", "desc")
-    );
+/**
+ * Queues the archived dreams selected by the Archive sub-tab's filter for re-analysis.
+ */
+async function handleReanalyzeDreamsClick() {
+    const reanalyzeFilterSelect = document.getElementById('reanalyze-filter-select');
+    const reanalyzeMakeActive = document.getElementById('reanalyze-make-active');
 
-    onSnapshot(q, (snapshot) => {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to re-analyze dreams.');
+        return;
+    }
+
+    const filter = reanalyzeFilterSelect ? reanalyzeFilterSelect.value : 'outdated';
+    const makeActive = reanalyzeMakeActive ? reanalyzeMakeActive.checked : true;
+    const now = new Date();
+    const selectedDreams = archivedDreams.filter(dreamData => {
+        if (filter === 'outdated') return hasOutdatedAnalysis(dreamData);
+        if (filter === 'last7Days' || filter === 'last30Days') return isDreamInPeriod(dreamData, scopeStartDate(filter, now), scopeEndDate(filter, now));
+        return true;
+    });
+    if (selectedDreams.length === 0) {
+        showMessage('info', 'No archived dreams match this filter.');
+        return;
+    }
+
+    showLoading();
+    try {
+        const added = await enqueueAnalyses(selectedDreams.map(dreamData => ({
+            kind: 'reanalyzeDream',
+            targetId: dreamData.id,
+            label: dreamData.dreamTitle || dreamData.dreamText.substring(0, 30),
+            options: { makeActive }
+        })));
+        showMessage('success', added > 0
+            ? `Queued ${added} ${added === 1 ? 'dream' : 'dreams'} for re-analysis.`
+            : 'These dreams are already in the analysis queue.');
+    } catch (error) {
+        console.error("Error queuing dreams for re-analysis:", error);
+        showMessage('error', `Failed to queue dreams: ${error.message}`);
+    } finally {
         hideLoading();
-        if (draftDreamsList) draftDreamsList.innerHTML = ''; // Clear to prevent duplicates on updates
-        if (snapshot.empty) {
-            if (draftDreamsList) draftDreamsList.innerHTML = '<p class="text-gray-500">No draft dreams yet. Record a dream on the "Record" tab!</p>';
+    }
+}
+
+/**
+ * Loads a draft dream into the draft editor.
+ * @param {object} dreamData - The draft dream.
+ */
+export function editDraftDream(dreamData) {
+    const dreamInputDraft = document.getElementById('dream-input-draft');
+    const dreamTitleDraft = document.getElementById('dream-title-draft');
+    if (dreamInputDraft) dreamInputDraft.value = dreamData.dreamText;
+    if (dreamTitleDraft) dreamTitleDraft.value = dreamData.dreamTitle || '';
+    if (draftTagInput) draftTagInput.setTagIds(dreamData.tags || []);
+    if (draftMetadataForm) draftMetadataForm.setMetadata(dreamData.metadata);
+    if (draftLanguageSelect) draftLanguageSelect.setLanguage(dreamData.language);
+    currentDraftId = dreamData.id; // Set the current draft being edited
+    currentDraftOriginal = { dreamText: dreamData.dreamText, dreamTitle: dreamData.dreamTitle || '' };
+    renderDraftAudio(dreamData);
+}
+
+/**
+ * Renders the audio player of the draft in the draft editor. A new transcript from the audio replaces the
+ * editor's text, to be reviewed and saved by the user.
+ * @param {object|null} dreamData - The draft, null to clear the player.
+ */
+function renderDraftAudio(dreamData) {
+    const draftAudioClips = document.getElementById('draft-audio-clips');
+    const dreamInputDraft = document.getElementById('dream-input-draft');
+    if (!draftAudioClips) return;
+    renderAudioClips(draftAudioClips, dreamData ? dreamData.audioClipIds : [], {
+        getText: () => (dreamInputDraft ? dreamInputDraft.value : ''),
+        getLanguage: () => dreamLanguage({ language: draftLanguageSelect ? draftLanguageSelect.getLanguage() : '' }),
+        onTranscribed: (text) => {
+            if (dreamInputDraft) dreamInputDraft.value = text;
+            showMessage('info', 'The new transcript is in the editor. Check it against the recording and save the draft to keep it.');
         }
-        snapshot.forEach((docEntry) => {
-            const dreamData = docEntry.data();
-            const dreamId = docEntry.id;
-            const dreamDate = dreamData.timestamp && dreamData.timestamp.toDate ?
-                             new Date(dreamData.timestamp.toDate()).toLocaleString() :
-                             'N/A';
-            const snippet = dreamData.dreamText.substring(0, 100) + (dreamData.dreamText.length > 100 ? '...' : '');
-            const dreamTitle = dreamData.dreamTitle || 'Untitled Dream';
-            const isPreAnalyzed = dreamData.isPreAnalyzed || false;
-
-            const dreamItem = document.createElement('div');
-            dreamItem.classList.add('draft-item');
-            if (isPreAnalyzed) {
-                dreamItem.classList.add('pre-analyzed-draft');
+    });
+}
+
+/**
+ * Describes where a draft is in the analysis queue, for its badge.
+ * @param {string} draftId - The draft ID.
+ * @returns {{label: string, status: string}|null} The badge, or null if the draft is not queued.
+ */
+function draftQueueBadge(draftId) {
+    const item = findQueueItem('archiveDraft', draftId);
+    if (!item || item.status === 'done') return null;
+    const labels = { pending: 'Queued', running: 'Analyzing...', failed: 'Analysis failed' };
+    return { label: labels[item.status] || item.status, status: item.status };
+}
+
+/**
+ * Inserts a summary line (the dream's metadata or incubation) as plain text before an element of a list item.
+ * @param {HTMLElement} beforeElement - The element the line goes in front of.
+ * @param {string} className - The line's classes.
+ * @param {string} text - The summary; nothing is inserted when it is empty.
+ */
+function insertSummaryLine(beforeElement, className, text) {
+    if (!text) return;
+    const line = document.createElement('p');
+    line.className = className;
+    line.textContent = text;
+    beforeElement.before(line);
+}
+
+/**
+ * Renders the loaded drafts into the Drafts sub-tab.
+ */
+function renderDraftDreams() {
+    const draftDreamsList = document.getElementById('draft-dreams-list');
+    const analyzeSelectedDraftsButton = document.getElementById('analyze-selected-drafts-button');
+    if (!draftDreamsList) return;
+
+    // Forget selections of drafts that are gone or still being recorded
+    [...selectedDraftIds].forEach(id => {
+        if (!draftDreams.some(draft => draft.id === id && !draft.inProgress)) selectedDraftIds.delete(id);
+    });
+    if (analyzeSelectedDraftsButton) {
+        analyzeSelectedDraftsButton.disabled = selectedDraftIds.size === 0;
+        analyzeSelectedDraftsButton.textContent = selectedDraftIds.size > 0 ? `Analyze Selected (${selectedDraftIds.size})` : 'Analyze Selected';
+    }
+
+    draftDreamsList.innerHTML = ''; // Clear to prevent duplicates on updates
+    if (draftDreams.length === 0) {
+        draftDreamsList.innerHTML = '<p class="text-gray-500">No draft dreams yet. Record a dream on the "Record" tab!</p>';
+    }
+    let headerNight; // Drafts are grouped by night, under a header per night
+    orderByNight(draftDreams).forEach((dreamData) => {
+        if (dreamNightKey(dreamData) !== headerNight) {
+            headerNight = dreamNightKey(dreamData);
+            draftDreamsList.appendChild(createNightHeader(headerNight, draftDreams));
+        }
+        const dreamId = dreamData.id;
+        const dreamDate = dreamData.timestamp ? dreamData.timestamp.toLocaleString() : 'N/A';
+        const snippet = dreamData.dreamText.substring(0, 100) + (dreamData.dreamText.length > 100 ? '...' : '');
+        const dreamTitle = dreamData.dreamTitle || 'Untitled Dream';
+        const isPreAnalyzed = dreamData.isPreAnalyzed || false;
+        const queueBadge = draftQueueBadge(dreamId);
+        const metadataSummary = describeDreamMetadata(dreamData.metadata);
+        const incubationSummary = describeIncubation(dreamData.incubationId);
+
+        const dreamItem = document.createElement('div');
+        dreamItem.classList.add('draft-item');
+        if (isPreAnalyzed) {
+            dreamItem.classList.add('pre-analyzed-draft');
+        }
+        if (dreamData.pendingSync) {
+            dreamItem.classList.add('pending-sync-item'); // Saved offline, still waiting to sync
+        }
+        dreamItem.innerHTML = `
+            <div class="draft-item-content">
+                <p class="text-gray-700 text-sm font-semibold"><input type="checkbox" class="draft-select-checkbox form-checkbox text-purple-600 mr-2" ${selectedDraftIds.has(dreamId) ? 'checked' : ''} ${dreamData.inProgress ? 'disabled' : ''}>${dreamTitle} (${dreamDate}) ${isPreAnalyzed ? '<span class="tick-icon">✓</span>' : ''} ${dreamData.pendingSync ? '<span class="pending-sync-badge">Waiting to sync</span>' : ''} ${dreamData.inProgress ? '<span class="in-progress-badge">Unfinished recording</span>' : ''} ${queueBadge ? `<span class="queue-status queue-status-${queueBadge.status}">${queueBadge.label}</span>` : ''}</p>
+                <p class="text-gray-600 text-xs mt-1">${snippet}</p>
+                <div class="draft-item-tags mt-1"></div>
+            </div>
+            <div class="draft-item-actions">
+                <button class="px-3 py-1 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 edit-draft-button" data-id="${dreamId}">Edit</button>
+                <button class="px-3 py-1 bg-green-500 text-white rounded-md hover:bg-green-600 pre-analyse-button" data-id="${dreamId}" data-dream-text="${dreamData.dreamText}" data-dream-title="${dreamData.dreamTitle || ''}">Pre-analyse</button>
+                <button class="px-3 py-1 bg-red-500 text-white rounded-md hover:bg-red-600 delete-draft-button" data-id="${dreamId}">Delete</button>
+            </div>
+        `;
+        const draftTags = dreamItem.querySelector('.draft-item-tags');
+        insertSummaryLine(draftTags, 'dream-metadata-summary', metadataSummary);
+        insertSummaryLine(draftTags, 'dream-incubation-summary', incubationSummary);
+        draftDreamsList.appendChild(dreamItem);
+        renderTagChips(draftTags, dreamData.tags);
+
+        dreamItem.querySelector('.draft-select-checkbox').addEventListener('change', (event) => {
+            if (event.target.checked) {
+                selectedDraftIds.add(dreamId);
+            } else {
+                selectedDraftIds.delete(dreamId);
             }
-            dreamItem.innerHTML = `
-                <div class="draft-item-content">
-                    <p class="text-gray-700 text-sm font-semibold">${dreamTitle} (${dreamDate}) ${isPreAnalyzed ? '<span class="tick-icon">✓</span>' : ''}</p>
-                    <p class="text-gray-600 text-xs mt-1">${snippet}</p>
-                </div>
-                <div class="draft-item-actions">
-                    <button class="px-3 py-1 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 edit-draft-button" data-id="${dreamId}">Edit</button>
-                    <button class="px-3 py-1 bg-green-500 text-white rounded-md hover:bg-green-600 pre-analyse-button" data-id="${dreamId}" data-dream-text="${dreamData.dreamText}" data-dream-title="${dreamData.dreamTitle || ''}">Pre-analyse</button>
-                    <button class="px-3 py-1 bg-red-500 text-white rounded-md hover:bg-red-600 delete-draft-button" data-id="${dreamId}">Delete</button>
-                </div>
-            `;
-            if (draftDreamsList) draftDreamsList.appendChild(dreamItem);
-
-            dreamItem.querySelector('.edit-draft-button').addEventListener('click', () => {
-                const dreamInputDraft = document.getElementById('dream-input-draft');
-                const dreamTitleDraft = document.getElementById('dream-title-draft');
-                if (dreamInputDraft) dreamInputDraft.value = dreamData.dreamText;
-                if (dreamTitleDraft) dreamTitleDraft.value = dreamData.dreamTitle || '';
-                currentDraftId = dreamId; // Set the current draft being edited
-            });
+            if (analyzeSelectedDraftsButton) {
+                analyzeSelectedDraftsButton.disabled = selectedDraftIds.size === 0;
+                analyzeSelectedDraftsButton.textContent = selectedDraftIds.size > 0 ? `Analyze Selected (${selectedDraftIds.size})` : 'Analyze Selected';
+            }
+        });
 
-            dreamItem.querySelector('.pre-analyse-button').addEventListener('click', async (event) => {
-                const id = event.target.dataset.id;
-                const text = event.target.dataset.dreamText;
-                const title = event.target.dataset.dreamTitle;
-                await analyzeAndArchiveDream(id, text, title);
-            });
+        dreamItem.querySelector('.edit-draft-button').addEventListener('click', () => {
+            editDraftDream(dreamData);
+        });
 
-            dreamItem.querySelector('.delete-draft-button').addEventListener('click', () => {
-                deleteDraftDream(dreamId);
-            });
+        const preAnalyseButton = dreamItem.querySelector('.pre-analyse-button');
+        // The queue will archive it; an unfinished recording is still being written by the recorder
+        preAnalyseButton.disabled = Boolean(queueBadge && queueBadge.status !== 'failed') || Boolean(dreamData.inProgress);
+        preAnalyseButton.addEventListener('click', async (event) => {
+            const id = event.target.dataset.id;
+            const text = event.target.dataset.dreamText;
+            const title = event.target.dataset.dreamTitle;
+            await analyzeAndArchiveDream(id, text, title, dreamData.tags, dreamData.metadata, dreamLinks(dreamData));
         });
+
+        dreamItem.querySelector('.delete-draft-button').addEventListener('click', async () => {
+            if (await deleteDraftDream(dreamId)) removeAudioClips(dreamData.audioClipIds);
+        });
+    });
+}
+
+/**
+ * Loads and displays draft dreams from Firestore.
+ */
+export async function loadDraftDreams() {
+    console.log("loadDraftDreams called. userId:", userId, "isAuthReady:", isAuthReady);
+    const draftDreamsList = document.getElementById('draft-dreams-list');
+    if (!userId || !isAuthReady) {
+        if (draftDreamsList) draftDreamsList.innerHTML = '<p class="text-gray-500">Please sign in to see your drafts.</p>';
+        return;
+    }
+
+    if (draftDreamsList) draftDreamsList.innerHTML = '<p class="text-gray-500">Loading drafts...</p>';
+    showLoading();
+
+    if (unsubscribeDrafts) unsubscribeDrafts();
+    unsubscribeDrafts = draftsRepository.subscribe({ orderBy: 'timestamp', direction: 'desc' }, (drafts) => {
+        hideLoading();
+        draftDreams = drafts;
+        renderDraftDreams();
     }, (error) => {
         hideLoading();
         console.error("Error loading draft dreams:", error);
@@ -279,6 +832,71 @@ export async function loadDraftDreams() {
     });
 }
 
+/**
+ * Renders the loaded archived dreams into the Archive sub-tab, only those with the tag chosen in its tag filter.
+ */
+function renderArchivedDreams() {
+    const archivedDreamsList = document.getElementById('archived-dreams-list');
+    const archiveTagFilter = document.getElementById('archive-tag-filter');
+    if (!archivedDreamsList) return;
+
+    const tagId = archiveTagFilter ? archiveTagFilter.value : '';
+    const shownDreams = tagId ? archivedDreams.filter(dreamData => dreamData.tags.includes(tagId)) : archivedDreams;
+
+    archivedDreamsList.innerHTML = ''; // Clear to prevent duplicates on updates
+    if (archivedDreams.length === 0) {
+        archivedDreamsList.innerHTML = '<p class="text-gray-500">No archived dreams yet. Analyze and save your dreams!</p>';
+    } else if (shownDreams.length === 0) {
+        archivedDreamsList.innerHTML = '<p class="text-gray-500">No archived dreams have this tag.</p>';
+    }
+    let headerNight; // Dreams are grouped by night, under a header per night
+    orderByNight(shownDreams).forEach((dreamData) => {
+        if (dreamNightKey(dreamData) !== headerNight) {
+            headerNight = dreamNightKey(dreamData);
+            archivedDreamsList.appendChild(createNightHeader(headerNight, shownDreams));
+        }
+        const dreamId = dreamData.id;
+        const dreamDate = dreamData.timestamp ? dreamData.timestamp.toLocaleDateString() : 'N/A';
+        const dreamTitle = dreamData.dreamTitle || 'Untitled Dream';
+        const analysisTextContent = dreamData.analysisText;
+
+        const parsedAnalysis = parseAnalysisText(analysisTextContent);
+        const displayAnalysisSummary = parsedAnalysis ? summarizeAnalysis(parsedAnalysis) : analysisTextContent;
+        const versionNote = dreamData.analyses.length > 1 ? ` <span class="text-xs text-gray-500">(${dreamData.analyses.length} analysis versions)</span>` : '';
+        const staleNote = dreamData.analysisStale ? ' <span class="stale-analysis-badge">Edited since analysis</span>' : '';
+        const metadataSummary = describeDreamMetadata(dreamData.metadata);
+        const incubationSummary = describeIncubation(dreamData.incubationId);
+
+        const dreamItem = document.createElement('div');
+        dreamItem.classList.add('archive-item');
+        dreamItem.innerHTML = `
+            <div class="archive-item-content">
+                <h4 class="font-semibold text-purple-600 mb-1">${dreamTitle} (${dreamDate})${versionNote}${staleNote}</h4>
+                <div class="archive-item-tags"></div>
+                <p class="text-gray-700 text-sm mb-2"><strong>Your Dream:</strong> ${dreamData.dreamText.substring(0, 150)}...</p>
+                <p class="text-gray-600 text-sm"><strong>Summary:</strong> ${displayAnalysisSummary}</p>
+            </div>
+            <div class="archive-item-actions">
+                <button class="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 view-details-button" data-id="${dreamId}">View Details</button>
+                <button class="px-3 py-1 bg-red-500 text-white rounded-md hover:bg-red-600 delete-archived-button" data-id="${dreamId}">Delete</button>
+            </div>
+        `;
+        const archiveTags = dreamItem.querySelector('.archive-item-tags');
+        const dreamTextLine = archiveTags.nextElementSibling;
+        insertSummaryLine(dreamTextLine, 'dream-metadata-summary mb-1', metadataSummary);
+        insertSummaryLine(dreamTextLine, 'dream-incubation-summary mb-1', incubationSummary);
+        archivedDreamsList.appendChild(dreamItem);
+        renderTagChips(archiveTags, dreamData.tags);
+
+        dreamItem.querySelector('.view-details-button').addEventListener('click', () => {
+            displayArchivedDreamDetails(dreamData);
+        });
+        dreamItem.querySelector('.delete-archived-button').addEventListener('click', () => {
+            deleteArchivedDream(dreamId);
+        });
+    });
+}
+
 /**
  * Loads and displays archived dreams from Firestore.
  */
@@ -293,56 +911,19 @@ export async function loadArchivedDreams() {
     if (archivedDreamsList) archivedDreamsList.innerHTML = '<p class="text-gray-500">Loading archived dreams...</p>';
     showLoading();
 
-    const q = query(
-        collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`),
-        orderBy("timestamp", "desc")
-    );
-
-    onSnapshot(q, (snapshot) => {
+    if (unsubscribeArchivedDreams) unsubscribeArchivedDreams();
+    unsubscribeArchivedDreams = archivedDreamsRepository.subscribe({ orderBy: 'timestamp', direction: 'desc' }, (dreams) => {
         hideLoading();
-        if (archivedDreamsList) archivedDreamsList.innerHTML = ''; // Clear to prevent duplicates on updates
-        if (snapshot.empty) {
-            if (archivedDreamsList) archivedDreamsList.innerHTML = '<p class="text-gray-500">No archived dreams yet. Analyze and save your dreams!</p>';
-        }
-        snapshot.forEach((docEntry) => {
-            const dreamData = docEntry.data();
-            const dreamId = docEntry.id;
-            const dreamDate = dreamData.timestamp && dreamData.timestamp.toDate ?
-                             new Date(dreamData.timestamp.toDate()).toLocaleDateString() :
-                             'N/A';
-            const dreamTitle = dreamData.dreamTitle || 'Untitled Dream';
-            const analysisTextContent = dreamData.analysisText;
-
-            let displayAnalysisSummary = '';
-            try {
-                const parsedAnalysis = JSON.parse(analysisTextContent);
-                displayAnalysisSummary = `Actions: ${parsedAnalysis.actionsPerformed || 'N/A'}. Emotions: ${parsedAnalysis.emotionalContent || 'N/A'}. Location: ${parsedAnalysis.location || 'N/A'}.`;
-            } catch (e) {
-                displayAnalysisSummary = analysisTextContent;
+        archivedDreams = dreams;
+        if (detailsDream) {
+            // Keep the details modal in step with changes from other devices
+            const updatedDetailsDream = dreams.find(dream => dream.id === detailsDream.id);
+            if (updatedDetailsDream) {
+                detailsDream = updatedDetailsDream;
+                renderDetailsDream();
             }
-
-            const dreamItem = document.createElement('div');
-            dreamItem.classList.add('archive-item');
-            dreamItem.innerHTML = `
-                <div class="archive-item-content">
-                    <h4 class="font-semibold text-purple-600 mb-1">${dreamTitle} (${dreamDate})</h4>
-                    <p class="text-gray-700 text-sm mb-2"><strong>Your Dream:</strong> ${dreamData.dreamText.substring(0, 150)}...</p>
-                    <p class="text-gray-600 text-sm"><strong>Summary:</strong> ${displayAnalysisSummary}</p>
-                </div>
-                <div class="archive-item-actions">
-                    <button class="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 view-details-button" data-id="${dreamId}">View Details</button>
-                    <button class="px-3 py-1 bg-red-500 text-white rounded-md hover:bg-red-600 delete-archived-button" data-id="${dreamId}">Delete</button>
-                </div>
-            `;
-            if (archivedDreamsList) archivedDreamsList.appendChild(dreamItem);
-
-            dreamItem.querySelector('.view-details-button').addEventListener('click', () => {
-                displayArchivedDreamDetails(dreamData);
-            });
-            dreamItem.querySelector('.delete-archived-button').addEventListener('click', () => {
-                deleteArchivedDream(dreamId);
-            });
-        });
+        }
+        renderArchivedDreams();
     }, (error) => {
         hideLoading();
         console.error("Error loading archived dreams:", error);
@@ -351,10 +932,161 @@ export async function loadArchivedDreams() {
 }
 
 /**
- * Displays the detailed analysis of an archived dream in a modal.
+ * Renders one heading and paragraph per filled-in analysis category, in schema order.
+ * @param {HTMLElement} container - The element to append the sections to.
+ * @param {object} parsedAnalysis - The parsed analysis JSON.
+ */
+function renderAnalysisSections(container, parsedAnalysis) {
+    analysisEntries(parsedAnalysis).forEach(({ name, text }) => {
+        const div = document.createElement('div');
+        div.classList.add('analysis-section-item');
+        const h4 = document.createElement('h4');
+        h4.textContent = name;
+        const p = document.createElement('p');
+        p.textContent = text;
+        div.appendChild(h4);
+        div.appendChild(p);
+        container.appendChild(div);
+    });
+}
+
+/**
+ * Renders the daily events linked to the dream shown in the details modal.
+ */
+function renderDetailsMatches() {
+    const viewDreamMatches = document.getElementById('view-dream-matches');
+    if (viewDreamMatches && detailsDreamId) renderDreamMatches(viewDreamMatches, detailsDreamId);
+}
+
+/**
+ * Describes an analysis version for the version selects, e.g. '#2 · 5/3/2025 · gemini-2.0-flash · schema 3 (active)'.
+ * @param {import('./dreams-data-service.js').AnalysisVersion} version - The version.
+ * @param {number} index - Its position in the dream's history, oldest first.
+ * @param {boolean} isActive - Whether it is the active version.
+ * @returns {string} The label.
+ */
+function describeAnalysisVersion(version, index, isActive) {
+    const parts = [`#${index + 1}`];
+    if (version.createdAt) parts.push(version.createdAt.toLocaleDateString());
+    parts.push(version.model || 'unknown model');
+    if (version.schemaVersion !== null) parts.push(`schema ${version.schemaVersion}`);
+    return parts.join(' · ') + (isActive ? ' (active)' : '');
+}
+
+/**
+ * Renders two analysis versions side by side, one row per category, with changed rows highlighted.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Array<{label: string, analysis: object|null}>} columns - The two versions.
+ */
+function renderAnalysisComparison(container, columns) {
+    const entriesByColumn = columns.map(column => new Map(analysisEntries(column.analysis).map(entry => [entry.key, entry])));
+    const keys = [];
+    entriesByColumn.forEach(entries => entries.forEach((entry, key) => { if (!keys.includes(key)) keys.push(key); }));
+
+    const table = document.createElement('table');
+    table.classList.add('analysis-compare-table');
+    const headerRow = document.createElement('tr');
+    ['Category', ...columns.map(column => column.label)].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    table.appendChild(headerRow);
+
+    keys.forEach(key => {
+        const cells = entriesByColumn.map(entries => entries.get(key));
+        const row = document.createElement('tr');
+        const texts = cells.map(entry => entry ? entry.text : '');
+        if (texts[0] !== texts[1]) row.classList.add('analysis-compare-changed');
+        const th = document.createElement('th');
+        th.textContent = (cells.find(Boolean) || {}).name || key;
+        row.appendChild(th);
+        texts.forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text || '—';
+            row.appendChild(td);
+        });
+        table.appendChild(row);
+    });
+    container.appendChild(table);
+}
+
+/**
+ * Renders the analysis part of the details modal: the version selects, the version details and
+ * either the selected version or its comparison with a second version.
+ */
+function renderDetailsAnalysis() {
+    const viewAnalysisContent = document.getElementById('view-analysis-content');
+    const viewAnalysisVersionSelect = document.getElementById('view-analysis-version-select');
+    const viewAnalysisCompareSelect = document.getElementById('view-analysis-compare-select');
+    const viewAnalysisVersionInfo = document.getElementById('view-analysis-version-info');
+    const viewAnalysisMakeActiveButton = document.getElementById('view-analysis-make-active-button');
+    if (!detailsDream || !viewAnalysisContent) return;
+
+    const versions = detailsDream.analyses;
+    if (!versions.some(version => version.id === detailsVersionId)) detailsVersionId = detailsDream.activeAnalysisId;
+    if (detailsCompareVersionId === detailsVersionId || !versions.some(version => version.id === detailsCompareVersionId)) {
+        detailsCompareVersionId = null;
+    }
+    const labels = new Map(versions.map((version, index) => [version.id, describeAnalysisVersion(version, index, version.id === detailsDream.activeAnalysisId)]));
+    const newestFirst = [...versions].reverse();
+
+    if (viewAnalysisVersionSelect) {
+        viewAnalysisVersionSelect.innerHTML = '';
+        newestFirst.forEach(version => viewAnalysisVersionSelect.appendChild(new Option(labels.get(version.id), version.id)));
+        viewAnalysisVersionSelect.value = detailsVersionId || '';
+    }
+    if (viewAnalysisCompareSelect) {
+        viewAnalysisCompareSelect.innerHTML = '';
+        viewAnalysisCompareSelect.appendChild(new Option('No comparison', ''));
+        newestFirst
+            .filter(version => version.id !== detailsVersionId)
+            .forEach(version => viewAnalysisCompareSelect.appendChild(new Option(labels.get(version.id), version.id)));
+        viewAnalysisCompareSelect.value = detailsCompareVersionId || '';
+        viewAnalysisCompareSelect.disabled = versions.length < 2;
+    }
+
+    const selectedVersion = versions.find(version => version.id === detailsVersionId);
+    if (viewAnalysisVersionInfo) {
+        viewAnalysisVersionInfo.textContent = selectedVersion
+            ? `Model: ${selectedVersion.model || 'unknown'} · Prompt: ${selectedVersion.promptTemplate || 'unknown'} · ` +
+              `Schema version: ${selectedVersion.schemaVersion ?? 'unknown'} · ` +
+              `Language: ${LANGUAGES[selectedVersion.language || DEFAULT_LANGUAGE].name} · ` +
+              `Created: ${selectedVersion.createdAt ? selectedVersion.createdAt.toLocaleString() : 'unknown'}`
+            : 'This dream has no analysis yet.';
+    }
+    if (viewAnalysisMakeActiveButton) {
+        viewAnalysisMakeActiveButton.disabled = !selectedVersion || selectedVersion.id === detailsDream.activeAnalysisId;
+    }
+
+    viewAnalysisContent.innerHTML = ''; // Clear previous content
+    if (!selectedVersion) return;
+
+    const compareVersion = versions.find(version => version.id === detailsCompareVersionId);
+    if (compareVersion) {
+        renderAnalysisComparison(viewAnalysisContent, [
+            { label: labels.get(selectedVersion.id), analysis: parseAnalysisText(selectedVersion.analysisText) },
+            { label: labels.get(compareVersion.id), analysis: parseAnalysisText(compareVersion.analysisText) }
+        ]);
+        return;
+    }
+
+    const parsedAnalysis = parseAnalysisText(selectedVersion.analysisText);
+    if (parsedAnalysis) {
+        renderAnalysisSections(viewAnalysisContent, parsedAnalysis);
+    } else {
+        console.error("Failed to parse JSON for archived dream details.");
+        const p = document.createElement('p');
+        p.textContent = "Error: Could not display detailed analysis. Raw content: " + selectedVersion.analysisText;
+        viewAnalysisContent.appendChild(p);
+    }
+}
+
+/**
+ * Displays the detailed analysis of an archived dream in a modal, starting with its active analysis.
  * @param {object} dreamData - The data of the dream to display.
  */
-function displayArchivedDreamDetails(dreamData) {
+export function displayArchivedDreamDetails(dreamData) {
     const viewDreamDetailsModal = document.getElementById('view-dream-details-modal');
     const viewDreamDetailsTitle = document.getElementById('view-dream-details-title');
     const viewDreamText = document.getElementById('view-dream-text');
@@ -365,112 +1097,302 @@ function displayArchivedDreamDetails(dreamData) {
         return;
     }
 
-    viewDreamDetailsTitle.textContent = dreamData.dreamTitle || 'Untitled Dream';
-    viewDreamText.textContent = dreamData.dreamText;
-    viewAnalysisContent.innerHTML = ''; // Clear previous content
+    detailsDreamId = dreamData.id;
+    detailsDream = dreamData;
+    detailsVersionId = dreamData.activeAnalysisId;
+    detailsCompareVersionId = null;
+    detailsRevisionId = currentRevision(dreamData).id;
+    isStaleNoticeDismissed = false;
+    closeDetailsEditForm();
+    renderDetailsMatches();
+    renderDetailsDream();
+    renderDetailsAudio();
+    viewDreamDetailsModal.classList.remove('hidden');
+}
 
-    try {
-        const parsedAnalysis = JSON.parse(dreamData.analysisText);
-        const analysisHeadings = {
-            "actionsPerformed": "Actions Performed",
-            "location": "Location",
-            "timeInDream": "Time in Dream",
-            "movementsThroughTime": "Movements Through Time",
-            "emotionalContent": "Emotional Content",
-            "surfacePsychologicalContent": "Surface Psychological Content",
-            "workDoneInDream": "Work Done Within the Dream",
-            "familiarPersonsSpokenTo": "Familiar Persons Spoken To",
-            "relationToPastEvents": "Relation to Past Events",
-            "relationToFutureEvents": "Relation to Future Events",
-            "messagesReceived": "Messages Given or Received",
-            "awarenessOfSpace": "Awareness of Space"
-        };
-
-        for (const key in analysisHeadings) {
-            if (parsedAnalysis[key] && parsedAnalysis[key].trim() !== '') {
-                const div = document.createElement('div');
-                div.classList.add('analysis-section-item');
-                const h4 = document.createElement('h4');
-                h4.textContent = analysisHeadings[key];
-                const p = document.createElement('p');
-                p.textContent = parsedAnalysis[key];
-                div.appendChild(h4);
-                div.appendChild(p);
-                viewAnalysisContent.appendChild(div);
-            }
+/**
+ * Renders the audio player of the dream in the details modal. A new transcript from the audio opens the
+ * edit form with it, so saving it keeps the old text as a revision.
+ */
+function renderDetailsAudio() {
+    const viewDreamAudioClips = document.getElementById('view-dream-audio-clips');
+    const viewDreamEditText = document.getElementById('view-dream-edit-text');
+    if (!viewDreamAudioClips || !detailsDream) return;
+    renderAudioClips(viewDreamAudioClips, detailsDream.audioClipIds, {
+        getText: () => detailsDream.dreamText,
+        getLanguage: () => dreamLanguage(detailsDream),
+        onTranscribed: (text) => {
+            openDetailsEditForm();
+            if (viewDreamEditText) viewDreamEditText.value = text;
+            showMessage('info', 'The new transcript is in the edit form. Check it against the recording and save to keep it.');
         }
-    } catch (jsonError) {
-        console.error("Failed to parse JSON for archived dream details:", jsonError);
-        const p = document.createElement('p');
-        p.textContent = "Error: Could not display detailed analysis. Raw content: " + dreamData.analysisText;
-        viewAnalysisContent.appendChild(p);
+    });
+}
+
+/**
+ * Renders the dream part of the details modal: title, text, the stale-analysis notice, tags, metadata,
+ * the revision history and the analysis.
+ */
+function renderDetailsDream() {
+    const viewDreamDetailsTitle = document.getElementById('view-dream-details-title');
+    const viewDreamText = document.getElementById('view-dream-text');
+    const viewDreamStaleNotice = document.getElementById('view-dream-stale-notice');
+    if (!detailsDream) return;
+
+    if (viewDreamDetailsTitle) viewDreamDetailsTitle.textContent = detailsDream.dreamTitle || 'Untitled Dream';
+    if (viewDreamText) viewDreamText.textContent = detailsDream.dreamText;
+    if (viewDreamStaleNotice) viewDreamStaleNotice.classList.toggle('hidden', !detailsDream.analysisStale || isStaleNoticeDismissed);
+    if (detailsTagInput) detailsTagInput.setTagIds(detailsDream.tags);
+    if (detailsMetadataForm) detailsMetadataForm.setMetadata(detailsDream.metadata);
+    if (detailsLanguageSelect) detailsLanguageSelect.setLanguage(detailsDream.language);
+    renderDetailsRevisions();
+    renderDetailsAnalysis();
+}
+
+/**
+ * Renders the revision history in the details modal: a revision select and what that revision changed
+ * compared with the one before it.
+ */
+function renderDetailsRevisions() {
+    const viewDreamHistory = document.getElementById('view-dream-history');
+    const viewDreamHistorySummary = document.getElementById('view-dream-history-summary');
+    const viewDreamRevisionSelect = document.getElementById('view-dream-revision-select');
+    const viewDreamRevisionDiff = document.getElementById('view-dream-revision-diff');
+    const viewDreamRestoreRevisionButton = document.getElementById('view-dream-restore-revision-button');
+    if (!detailsDream || !viewDreamRevisionDiff) return;
+
+    const revisions = detailsDream.revisions;
+    if (viewDreamHistory) viewDreamHistory.classList.toggle('hidden', revisions.length < 2); // Nothing to show until the first edit
+    if (viewDreamHistorySummary) viewDreamHistorySummary.textContent = `Revision History (${revisions.length} versions)`;
+    if (!revisions.some(revision => revision.id === detailsRevisionId)) detailsRevisionId = currentRevision(detailsDream).id;
+    const revisionIndex = revisions.findIndex(revision => revision.id === detailsRevisionId);
+    const revision = revisions[revisionIndex];
+    const isCurrent = revisionIndex === revisions.length - 1;
+
+    if (viewDreamRevisionSelect) {
+        viewDreamRevisionSelect.innerHTML = '';
+        revisions.map((candidate, index) => {
+            const date = candidate.editedAt ? candidate.editedAt.toLocaleString() : 'unknown date';
+            const label = `#${index + 1} · ${date}${index === 0 ? ' (archived)' : ''}${index === revisions.length - 1 ? ' (current)' : ''}`;
+            return new Option(label, candidate.id);
+        }).reverse().forEach(option => viewDreamRevisionSelect.appendChild(option));
+        viewDreamRevisionSelect.value = detailsRevisionId;
     }
-    viewDreamDetailsModal.classList.remove('hidden');
+    if (viewDreamRestoreRevisionButton) viewDreamRestoreRevisionButton.disabled = isCurrent;
+
+    viewDreamRevisionDiff.innerHTML = '';
+    const previous = revisions[revisionIndex - 1];
+    const summary = document.createElement('p');
+    summary.classList.add('text-xs', 'text-gray-500', 'mb-1');
+    viewDreamRevisionDiff.appendChild(summary);
+    if (!previous) {
+        summary.textContent = 'The text as it was archived.';
+        const text = document.createElement('p');
+        text.textContent = revision.dreamText;
+        viewDreamRevisionDiff.appendChild(text);
+        return;
+    }
+
+    const parts = diffWords(previous.dreamText, revision.dreamText);
+    const { added, removed } = countChangedWords(parts);
+    const titleChange = previous.dreamTitle !== revision.dreamTitle
+        ? ` Title changed from "${previous.dreamTitle || 'Untitled Dream'}" to "${revision.dreamTitle || 'Untitled Dream'}".`
+        : '';
+    summary.textContent = `Changes from revision #${revisionIndex}: ${added} words added, ${removed} removed.${titleChange}`;
+    const text = document.createElement('p');
+    parts.forEach(part => {
+        if (part.type === 'equal') {
+            text.appendChild(document.createTextNode(part.text));
+            return;
+        }
+        const span = document.createElement(part.type === 'insert' ? 'ins' : 'del');
+        span.classList.add(part.type === 'insert' ? 'diff-insert' : 'diff-delete');
+        span.textContent = part.text;
+        text.appendChild(span);
+    });
+    viewDreamRevisionDiff.appendChild(text);
+}
+
+/**
+ * Saves the tags chosen in the details modal on the dream shown there.
+ * @param {Array<string>} tagIds - The tag IDs.
+ */
+async function handleDetailsTagsChange(tagIds) {
+    if (!detailsDream) return;
+    const dreamData = detailsDream;
+    try {
+        await archivedDreamsRepository.update(dreamData.id, { tags: tagIds }, {
+            description: `Tags of dream "${dreamData.dreamTitle || dreamData.dreamText.substring(0, 30)}"`
+        });
+        if (detailsDream && detailsDream.id === dreamData.id) detailsDream = { ...detailsDream, tags: tagIds };
+    } catch (error) {
+        console.error("Error saving dream tags:", error);
+        showMessage('error', `Failed to save tags: ${error.message}`);
+    }
+}
+
+/**
+ * Saves the metadata changed in the details modal on the dream shown there.
+ * @param {import('./dreams-data-service.js').DreamMetadata} metadata - The metadata.
+ */
+async function handleDetailsMetadataChange(metadata) {
+    if (!detailsDream) return;
+    const dreamData = detailsDream;
+    try {
+        await archivedDreamsRepository.update(dreamData.id, { metadata }, {
+            description: `Details of dream "${dreamData.dreamTitle || dreamData.dreamText.substring(0, 30)}"`
+        });
+        if (detailsDream && detailsDream.id === dreamData.id) detailsDream = { ...detailsDream, metadata };
+    } catch (error) {
+        console.error("Error saving dream metadata:", error);
+        showMessage('error', `Failed to save dream details: ${error.message}`);
+    }
+}
+
+/**
+ * Saves the language chosen in the details modal on the dream shown there. Its analysis is then in another
+ * language than the dream, so the re-analysis of outdated dreams picks it up.
+ * @param {string} language - The language code, '' to follow the user's language.
+ */
+async function handleDetailsLanguageChange(language) {
+    if (!detailsDream) return;
+    const dreamData = detailsDream;
+    try {
+        await archivedDreamsRepository.update(dreamData.id, { language }, {
+            description: `Language of dream "${dreamData.dreamTitle || dreamData.dreamText.substring(0, 30)}"`
+        });
+        if (detailsDream && detailsDream.id === dreamData.id) detailsDream = { ...detailsDream, language };
+    } catch (error) {
+        console.error("Error saving dream language:", error);
+        showMessage('error', `Failed to save the language: ${error.message}`);
+    }
+}
+
+/**
+ * Shows the edit form in the details modal, filled with the dream's current title and text.
+ */
+function openDetailsEditForm() {
+    const viewDreamEditForm = document.getElementById('view-dream-edit-form');
+    const viewDreamEditTitle = document.getElementById('view-dream-edit-title');
+    const viewDreamEditText = document.getElementById('view-dream-edit-text');
+    const viewDreamText = document.getElementById('view-dream-text');
+    if (!detailsDream || !viewDreamEditForm) return;
+
+    detailsEditOriginal = detailsDream;
+    if (viewDreamEditTitle) viewDreamEditTitle.value = detailsDream.dreamTitle;
+    if (viewDreamEditText) viewDreamEditText.value = detailsDream.dreamText;
+    viewDreamEditForm.classList.remove('hidden');
+    if (viewDreamText) viewDreamText.classList.add('hidden');
+}
+
+/**
+ * Hides the edit form in the details modal without saving.
+ */
+function closeDetailsEditForm() {
+    const viewDreamEditForm = document.getElementById('view-dream-edit-form');
+    const viewDreamText = document.getElementById('view-dream-text');
+    detailsEditOriginal = null;
+    if (viewDreamEditForm) viewDreamEditForm.classList.add('hidden');
+    if (viewDreamText) viewDreamText.classList.remove('hidden');
 }
 
 /**
- * Loads and displays dreams that have a matched reality event from Firestore.
+ * Saves the edit form in the details modal as a new revision.
  */
-export async function loadMatchedDreams() {
-    const matchedDreamsList = document.getElementById('matched-dreams-list');
+async function handleSaveDreamEditClick() {
+    const viewDreamEditTitle = document.getElementById('view-dream-edit-title');
+    const viewDreamEditText = document.getElementById('view-dream-edit-text');
+    if (!detailsDream || !detailsEditOriginal) return;
     if (!userId || !isAuthReady) {
-        if (matchedDreamsList) matchedDreamsList.innerHTML = '<p class="text-gray-500">Please sign in to see your matched dreams.</p>';
+        showMessage('error', 'Please sign in to edit dreams.');
         return;
     }
 
-    if (matchedDreamsList) matchedDreamsList.innerHTML = '<p class="text-gray-500">Loading matched dreams...</p>';
+    const dreamTitle = viewDreamEditTitle ? viewDreamEditTitle.value.trim() : detailsDream.dreamTitle;
+    const dreamText = viewDreamEditText ? viewDreamEditText.value.trim() : detailsDream.dreamText;
     showLoading();
+    try {
+        const updatedDream = await editArchivedDream(detailsDream, { dreamTitle, dreamText }, detailsEditOriginal);
+        const wasChanged = updatedDream !== detailsDream;
+        detailsDream = updatedDream;
+        detailsRevisionId = currentRevision(detailsDream).id;
+        isStaleNoticeDismissed = false;
+        closeDetailsEditForm();
+        renderDetailsDream();
+        if (!wasChanged) {
+            showMessage('info', 'Nothing was changed.');
+        } else if (detailsDream.analysisStale) {
+            showMessage('info', 'Dream updated. Its analysis was made for the old text: re-analyze it or keep the existing analysis.');
+        } else {
+            showMessage('success', 'Dream updated.');
+        }
+    } catch (error) {
+        console.error("Error editing archived dream:", error);
+        showMessage('error', `Failed to update dream: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
 
-    const q = query(
-        collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`),
-        orderBy("timestamp", "desc")
-    );
+/**
+ * Restores the revision selected in the details modal's history. The restored text becomes a new revision.
+ */
+async function handleRestoreRevisionClick() {
+    if (!detailsDream) return;
+    const revision = detailsDream.revisions.find(candidate => candidate.id === detailsRevisionId);
+    if (!revision || revision === currentRevision(detailsDream)) return;
 
-    onSnapshot(q, (snapshot) => {
+    showLoading();
+    try {
+        detailsDream = await editArchivedDream(detailsDream, { dreamTitle: revision.dreamTitle, dreamText: revision.dreamText });
+        detailsRevisionId = currentRevision(detailsDream).id;
+        isStaleNoticeDismissed = false;
+        renderDetailsDream();
+        showMessage('success', 'Revision restored.');
+    } catch (error) {
+        console.error("Error restoring revision:", error);
+        showMessage('error', `Failed to restore revision: ${error.message}`);
+    } finally {
         hideLoading();
-        if (matchedDreamsList) matchedDreamsList.innerHTML = ''; // Clear previous content
-
-        let hasMatches = false;
-        snapshot.forEach((docEntry) => {
-            const dreamData = docEntry.data();
-            const matchedEvent = dreamData.matchedRealityEvent || '';
-
-            if (matchedEvent) { // Filter in JavaScript
-                hasMatches = true;
-                const dreamDate = dreamData.timestamp && dreamData.timestamp.toDate ?
-                                 new Date(dreamData.timestamp.toDate()).toLocaleString() :
-                                 'N/A';
-                const dreamTitle = dreamData.dreamTitle || 'Untitled Dream';
-
-                const dreamItem = document.createElement('div');
-                dreamItem.classList.add('p-4', 'bg-white', 'rounded-lg', 'shadow-sm', 'border', 'border-blue-200', 'flex', 'flex-col', 'md:flex-row', 'gap-4', 'mb-4');
-
-                dreamItem.innerHTML = `
-                    <div class="flex-1 p-2 bg-blue-50 rounded-lg border border-blue-100">
-                        <h4 class="font-semibold text-blue-700 mb-1">${dreamTitle} (${dreamDate})</h4>
-                        <p class="text-gray-700 text-sm mb-2"><strong>Dream:</strong> ${dreamData.dreamText}</p>
-                    </div>
-                    <div class="flex-1 p-2 bg-green-50 rounded-lg border border-green-100">
-                        <h4 class="font-semibold text-green-700 mb-1">Matched Reality Event:</h4>
-                        <p class="text-gray-700 text-sm">${matchedEvent}</p>
-                    </div>
-                `;
-                if (matchedDreamsList) matchedDreamsList.appendChild(dreamItem);
-            }
-        });
+    }
+}
 
-        if (!hasMatches) {
-            if (matchedDreamsList) matchedDreamsList.innerHTML = '<p class="text-gray-600">No dream-reality matches found yet. Use the \'Search\' tab to find dreams and add matches.</p>';
+/**
+ * Re-analyzes the dream open in the details modal and shows the new analysis next to the previous one.
+ */
+async function handleDetailsReanalyzeClick() {
+    if (!detailsDream) return;
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to re-analyze dreams.');
+        return;
+    }
+    const viewAnalysisReanalyzeButton = document.getElementById('view-analysis-reanalyze-button');
+    showLoading();
+    if (viewAnalysisReanalyzeButton) viewAnalysisReanalyzeButton.disabled = true;
+    try {
+        const previousVersionId = detailsDream.activeAnalysisId;
+        const updatedDream = await reanalyzeArchivedDream(detailsDream);
+        if (!updatedDream) {
+            showMessage('error', 'Could not analyze dream. Please try again.');
+            return;
         }
-    }, (error) => {
+        // Show the new analysis next to the one it replaces
+        detailsDream = updatedDream;
+        detailsVersionId = updatedDream.activeAnalysisId;
+        detailsCompareVersionId = previousVersionId;
+        renderDetailsDream();
+        showMessage('success', 'Dream re-analyzed. The new analysis is now active.');
+    } catch (error) {
+        console.error("Error re-analyzing dream:", error);
+        showMessage('error', `Re-analysis failed: ${error.message}`);
+    } finally {
+        if (viewAnalysisReanalyzeButton) viewAnalysisReanalyzeButton.disabled = false;
         hideLoading();
-        console.error("Error loading matched dreams:", error);
-        showMessage('error', `Failed to load matched dreams: ${error.message}`);
-    });
+    }
 }
 
 /**
- * Loads dreams for analysis based on the selected time scope.
+ * Loads dreams for analysis based on the selected time scope and tag.
  * This function now loads from archived_dreams.
  */
 export async function loadDreamsForAnalysisTab() {
@@ -481,52 +1403,36 @@ export async function loadDreamsForAnalysisTab() {
     }
 
     const timeScopeSelect = document.getElementById('time-scope-select');
+    const analysisTagFilter = document.getElementById('analysis-tag-filter');
     const analyzeDreamInAnalysisTabButton = document.getElementById('analyze-dream-in-analysis-tab');
 
     const selectedScope = timeScopeSelect ? timeScopeSelect.value : 'allTime'; // Default if element not found
+    const selectedTagId = analysisTagFilter ? analysisTagFilter.value : '';
     if (perDreamAnalysisList) perDreamAnalysisList.innerHTML = '<p class="text-gray-500">Loading dreams...</p>';
     showLoading();
 
-    let q;
-
     console.log(`loadDreamsForAnalysisTab: Selected scope: ${selectedScope}`);
 
-    // Always query archived dreams
-    q = query(
-        collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`),
-        orderBy("timestamp", "desc")
-    );
-
     try {
-        const snapshot = await getDocs(q);
-        let fetchedDreams = [];
-        console.log(`Found ${snapshot.size} archived dreams.`);
-        snapshot.forEach(doc => {
-            const dreamData = doc.data();
-            fetchedDreams.push({ id: doc.id, ...dreamData });
-        });
+        // Always load archived dreams
+        const fetchedDreams = await archivedDreamsRepository.list({ orderBy: 'timestamp', direction: 'desc' });
+        console.log(`Found ${fetchedDreams.length} archived dreams.`);
 
         const now = new Date();
-        let startDate;
+        // Scopes select whole nights, so a dream recorded at 3 a.m. counts for the night before (see nights.js)
+        const startDate = scopeStartDate(selectedScope, now);
+        const endDate = scopeEndDate(selectedScope, now);
+        const inScope = (dream) => isDreamInPeriod(dream, startDate, endDate);
 
         // Filter dreams based on time scope in JavaScript
         switch (selectedScope) {
             case 'lastNight':
-                startDate = new Date(now);
-                startDate.setHours(0, 0, 0, 0); // Start of today (midnight)
-                dreamsToAnalyze = fetchedDreams.filter(dream => {
-                    const dreamTimestamp = dream.timestamp ? dream.timestamp.toDate().getTime() : 0;
-                    return dreamTimestamp >= startDate.getTime();
-                });
+                dreamsToAnalyze = fetchedDreams.filter(inScope);
                 if (perDreamAnalysisList) perDreamAnalysisList.classList.remove('hidden'); // Show the list for individual dreams
                 if (analyzeDreamInAnalysisTabButton) analyzeDreamInAnalysisTabButton.classList.add('hidden'); // Hide the main button for 'lastNight'
                 break;
             case 'last7Days':
-                startDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-                dreamsToAnalyze = fetchedDreams.filter(dream => {
-                    const dreamTimestamp = dream.timestamp ? dream.timestamp.toDate().getTime() : 0;
-                    return dreamTimestamp >= startDate.getTime();
-                });
+                dreamsToAnalyze = fetchedDreams.filter(inScope);
                 if (perDreamAnalysisList) perDreamAnalysisList.classList.add('hidden'); // Hide for holistic view
                 if (analyzeDreamInAnalysisTabButton) {
                     analyzeDreamInAnalysisTabButton.classList.remove('hidden'); // Show the main button
@@ -536,11 +1442,7 @@ export async function loadDreamsForAnalysisTab() {
                 }
                 break;
             case 'last30Days':
-                startDate = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-                dreamsToAnalyze = fetchedDreams.filter(dream => {
-                    const dreamTimestamp = dream.timestamp ? dream.timestamp.toDate().getTime() : 0;
-                    return dreamTimestamp >= startDate.getTime();
-                });
+                dreamsToAnalyze = fetchedDreams.filter(inScope);
                 if (perDreamAnalysisList) perDreamAnalysisList.classList.add('hidden');
                 if (analyzeDreamInAnalysisTabButton) {
                     analyzeDreamInAnalysisTabButton.classList.remove('hidden');
@@ -550,11 +1452,7 @@ export async function loadDreamsForAnalysisTab() {
                 }
                 break;
             case 'lastYear':
-                startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-                dreamsToAnalyze = fetchedDreams.filter(dream => {
-                    const dreamTimestamp = dream.timestamp ? dream.timestamp.toDate().getTime() : 0;
-                    return dreamTimestamp >= startDate.getTime();
-                });
+                dreamsToAnalyze = fetchedDreams.filter(inScope);
                 if (perDreamAnalysisList) perDreamAnalysisList.classList.add('hidden');
                 if (analyzeDreamInAnalysisTabButton) {
                     analyzeDreamInAnalysisTabButton.classList.remove('hidden');
@@ -579,11 +1477,14 @@ export async function loadDreamsForAnalysisTab() {
                 return;
         }
 
+        if (selectedTagId) {
+            dreamsToAnalyze = dreamsToAnalyze.filter(dream => dream.tags.includes(selectedTagId));
+        }
+        analysisPeriod = { scope: selectedScope, start: startDate || null, end: endDate, tagId: selectedTagId };
+
         // Always sort the dreams in JavaScript after filtering
         dreamsToAnalyze.sort((a, b) => {
-            const timestampA = a.timestamp ? a.timestamp.toDate().getTime() : 0;
-            const timestampB = b.timestamp ? b.timestamp.toDate().getTime() : 0;
-            return timestampB - timestampA; // Sort descending (most recent first)
+            return timestampMillis(b) - timestampMillis(a); // Sort descending (most recent first)
         });
 
         if (perDreamAnalysisList) perDreamAnalysisList.innerHTML = ''; // Clear previous content
@@ -593,9 +1494,7 @@ export async function loadDreamsForAnalysisTab() {
                 if (perDreamAnalysisList) perDreamAnalysisList.innerHTML = '<p class="text-gray-500">No archived dreams logged from last night.</p>';
             } else {
                 dreamsToAnalyze.forEach((dreamData, index) => {
-                    const dreamDate = dreamData.timestamp && dreamData.timestamp.toDate ?
-                                     new Date(dreamData.timestamp.toDate()).toLocaleString() :
-                                     'N/A';
+                    const dreamDate = dreamData.timestamp ? dreamData.timestamp.toLocaleString() : 'N/A';
                     const snippet = dreamData.dreamText.substring(0, 100) + (dreamData.dreamText.length > 100 ? '...' : '');
                     const dreamTitle = dreamData.dreamTitle || 'Untitled Dream';
                     const dreamItem = document.createElement('div');
@@ -638,6 +1537,15 @@ export async function loadDreamsForAnalysisTab() {
     }
 }
 
+/**
+ * Returns the period loaded in the Analysis sub-tab.
+ * @returns {{scope: string, start: (Date|null), end: Date, tagId: string, dreams: Array<object>}|null} The period,
+ *     the tag it is limited to ('' for none) and its dreams (most recent first), or null if no scope has been loaded yet.
+ */
+export function getAnalysisPeriod() {
+    return analysisPeriod ? { ...analysisPeriod, dreams: [...dreamsToAnalyze] } : null;
+}
+
 /**
  * Displays individual archived dream analysis based on selected format.
  * @param {object} dreamData - The data of the dream whose analysis is to be displayed.
@@ -666,39 +1574,11 @@ function displayIndividualAnalysis(dreamData) {
         const parsedAnalysis = JSON.parse(analysisOutputJsonString);
 
         if (selectedFormatForDisplay === 'summary') {
-            const summaryText = `Actions: ${parsedAnalysis.actionsPerformed || 'N/A'}. Emotions: ${parsedAnalysis.emotionalContent || 'N/A'}. Location: ${parsedAnalysis.location || 'N/A'}.`;
             const p = document.createElement('p');
-            p.textContent = summaryText;
+            p.textContent = summarizeAnalysis(parsedAnalysis);
             analysisContent.appendChild(p);
         } else if (selectedFormatForDisplay === 'expanded') {
-            const analysisHeadings = {
-                "actionsPerformed": "Actions Performed",
-                "location": "Location",
-                "timeInDream": "Time in Dream",
-                "movementsThroughTime": "Movements Through Time",
-                "emotionalContent": "Emotional Content",
-                "surfacePsychologicalContent": "Surface Psychological Content",
-                "workDoneInDream": "Work Done Within the Dream",
-                "familiarPersonsSpokenTo": "Familiar Persons Spoken To",
-                "relationToPastEvents": "Relation to Past Events",
-                "relationToFutureEvents": "Relation to Future Events",
-                "messagesReceived": "Messages Given or Received",
-                "awarenessOfSpace": "Awareness of Space"
-            };
-
-            for (const key in analysisHeadings) {
-                if (parsedAnalysis[key]) {
-                    const div = document.createElement('div');
-                    div.classList.add('analysis-section-item');
-                    const h4 = document.createElement('h4');
-                    h4.textContent = analysisHeadings[key];
-                    const p = document.createElement('p');
-                    p.textContent = parsedAnalysis[key];
-                    div.appendChild(h4);
-                    div.appendChild(p);
-                    analysisContent.appendChild(div);
-                }
-            }
+            renderAnalysisSections(analysisContent, parsedAnalysis);
         }
         dreamAnalysisOutput.classList.remove('hidden');
     } catch (jsonError) {
@@ -711,13 +1591,56 @@ function displayIndividualAnalysis(dreamData) {
 }
 
 /**
- * Performs dream analysis using the Gemini API.
+ * Creates an ID for a new analysis version or dream revision.
+ * @returns {string} The ID.
+ */
+function createVersionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Requests a structured analysis from the server's AI proxy, using the current analysis schema.
+ * @param {string} dreamText - The text content of the dream(s) to analyze.
+ * @param {string} [dreamTitle=''] - The title of the dream (optional, for single dream analysis).
+ * @param {string} [language] - The language code to write the analysis in; the user's language by default.
+ * @returns {Promise<import('./dreams-data-service.js').AnalysisVersion|null>} The analysis with its model,
+ *     prompt template, schema version and language, or null if the AI returned no analysis.
+ * @throws {Error} If the request fails.
+ */
+export async function requestDreamAnalysis(dreamText, dreamTitle = '', language = getLanguage()) {
+    const fullDreamText = dreamTitle ? `Title: ${dreamTitle}\nDream: ${dreamText}` : dreamText;
+
+    // ALWAYS request expanded JSON for saving, regardless of user's display preference.
+    // The keys and their types come from the user's analysis schema (see analysis-schema.js).
+    const enabledCategories = getAnalysisCategories();
+    const prompt = buildAnalysisPrompt(enabledCategories, fullDreamText, language);
+    const responseSchema = buildResponseSchema(enabledCategories);
+
+    console.log("Sending prompt to AI proxy:", prompt);
+
+    // The server's /api/ai/analyze route holds the API key and forwards the request
+    const result = await requestAnalysis(prompt, responseSchema);
+    if (!result || !result.text) return null;
+    return {
+        id: createVersionId(),
+        analysisText: result.text,
+        model: result.model || null,
+        promptTemplate: ANALYSIS_PROMPT_TEMPLATE,
+        schemaVersion: getAnalysisSchemaVersion(),
+        language,
+        createdAt: new Date()
+    };
+}
+
+/**
+ * Performs dream analysis through the server's AI proxy.
  * @param {string} dreamText - The text content of the dream(s) to analyze.
  * @param {string} dreamTitle - The title of the dream (optional, for single dream analysis).
  * @param {boolean} forArchiving - True if analysis is for archiving, false for display only.
- * @returns {Promise<string|null>} The raw JSON string of the analysis or null if failed.
+ * @param {string} [language] - The language code to write the analysis in; the user's language by default.
+ * @returns {Promise<import('./dreams-data-service.js').AnalysisVersion|null>} The analysis or null if failed.
  */
-export async function performDreamAnalysis(dreamText, dreamTitle = '', forArchiving = false) {
+export async function performDreamAnalysis(dreamText, dreamTitle = '', forArchiving = false, language = getLanguage()) {
     const loadingDreamAnalysis = document.getElementById('loading-dream-analysis');
     const analyzeDreamInAnalysisTabButton = document.getElementById('analyze-dream-in-analysis-tab');
     const analysisContent = document.getElementById('analysis-content');
@@ -733,75 +1656,10 @@ export async function performDreamAnalysis(dreamText, dreamTitle = '', forArchiv
     if (loadingDreamAnalysis) loadingDreamAnalysis.classList.remove('hidden');
     if (analyzeDreamInAnalysisTabButton) analyzeDreamInAnalysisTabButton.disabled = true;
 
-    let prompt;
-    let payload;
-
-    const fullDreamText = dreamTitle ? `Title: ${dreamTitle}\nDream: ${dreamText}` : dreamText;
-
-    // ALWAYS request expanded JSON for saving, regardless of user's display preference
-    prompt = `Analyze the following dream(s) and provide a structured JSON response with these keys:
-    "actionsPerformed": Summarize actions.
-    "location": Describe the location.
-    "timeInDream": Indicate the time.
-    "movementsThroughTime": Describe any time shifts.
-    "emotionalContent": Detail emotions felt.
-    "surfacePsychologicalContent": Explain surface psychological aspects.
-    "workDoneInDream": Describe any "work" or processing.
-    "familiarPersonsSpokenTo": List familiar persons spoken to.
-    "relationToPastEvents": Relate to past events.
-    "relationToFutureEvents": Relate to future events.
-    "messagesReceived": Any messages given or received.
-    "awarenessOfSpace": Comment on spatial awareness.
-
-    Dream(s): "${fullDreamText}"`;
-
-    payload = {
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    "actionsPerformed": { "type": "STRING" },
-                    "location": { "type": "STRING" },
-                    "timeInDream": { "type": "STRING" },
-                    "movementsThroughTime": { "type": "STRING" },
-                    "emotionalContent": { "type": "STRING" },
-                    "surfacePsychologicalContent": { "type": "STRING" },
-                    "workDoneInDream": { "type": "STRING" },
-                    "familiarPersonsSpokenTo": { "type": "STRING" },
-                    "relationToPastEvents": { "type": "STRING" },
-                    "relationToFutureEvents": { "type": "STRING" },
-                    "messagesReceived": { "type": "STRING" },
-                    "awarenessOfSpace": { "type": "STRING" }
-                },
-                required: [
-                    "actionsPerformed", "location", "timeInDream", "movementsThroughTime",
-                    "emotionalContent", "surfacePsychologicalContent", "workDoneInDream",
-                    "familiarPersonsSpokenTo", "relationToPastEvents", "relationToFutureEvents",
-                    "messagesReceived", "awarenessOfSpace"
-                ]
-            }
-        }
-    };
-
-    console.log("Sending prompt to Gemini:", prompt);
-
-    const apiKey = ""; // Canvas will provide this
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
     try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        const result = await response.json();
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-            const analysisOutputJsonString = result.candidates[0].content.parts[0].text; // This is the JSON string
+        const analysisVersion = await requestDreamAnalysis(dreamText, dreamTitle, language);
+        if (analysisVersion) {
+            const analysisOutputJsonString = analysisVersion.analysisText; // This is the JSON string
 
             if (!forArchiving) { // Only display if not for direct archiving
                 if (analysisContent) analysisContent.innerHTML = ''; // Clear previous content
@@ -809,9 +1667,8 @@ export async function performDreamAnalysis(dreamText, dreamTitle = '', forArchiv
                 if (selectedFormatForDisplay === 'summary') {
                     try {
                         const parsedAnalysis = JSON.parse(analysisOutputJsonString);
-                        const summaryText = `Actions: ${parsedAnalysis.actionsPerformed || 'N/A'}. Emotions: ${parsedAnalysis.emotionalContent || 'N/A'}. Location: ${parsedAnalysis.location || 'N/A'}.`;
                         const p = document.createElement('p');
-                        p.textContent = summaryText;
+                        p.textContent = summarizeAnalysis(parsedAnalysis);
                         if (analysisContent) analysisContent.appendChild(p);
                     } catch (jsonError) {
                         console.error("Failed to parse JSON for summary display:", jsonError);
@@ -822,34 +1679,7 @@ export async function performDreamAnalysis(dreamText, dreamTitle = '', forArchiv
                 } else if (selectedFormatForDisplay === 'expanded') {
                     try {
                         const parsedAnalysis = JSON.parse(analysisOutputJsonString);
-                        const analysisHeadings = {
-                            "actionsPerformed": "Actions Performed",
-                            "location": "Location",
-                            "timeInDream": "Time in Dream",
-                            "movementsThroughTime": "Movements Through Time",
-                            "emotionalContent": "Emotional Content",
-                            "surfacePsychologicalContent": "Surface Psychological Content",
-                            "workDoneInDream": "Work Done Within the Dream",
-                            "familiarPersonsSpokenTo": "Familiar Persons Spoken To",
-                            "relationToPastEvents": "Relation to Past Events",
-                            "relationToFutureEvents": "Relation to Future Events",
-                            "messagesReceived": "Messages Given or Received",
-                            "awarenessOfSpace": "Awareness of Space"
-                        };
-
-                        for (const key in analysisHeadings) {
-                            if (parsedAnalysis[key]) {
-                                const div = document.createElement('div');
-                                div.classList.add('analysis-section-item');
-                                const h4 = document.createElement('h4');
-                                h4.textContent = analysisHeadings[key];
-                                const p = document.createElement('p');
-                                p.textContent = parsedAnalysis[key];
-                                div.appendChild(h4);
-                                div.appendChild(p);
-                                if (analysisContent) analysisContent.appendChild(div);
-                            }
-                        }
+                        if (analysisContent) renderAnalysisSections(analysisContent, parsedAnalysis);
                     } catch (jsonError) {
                         console.error("Failed to parse JSON analysis for expanded display:", jsonError);
                         const p = document.createElement('p');
@@ -859,7 +1689,7 @@ export async function performDreamAnalysis(dreamText, dreamTitle = '', forArchiv
                 }
                 if (dreamAnalysisOutput) dreamAnalysisOutput.classList.remove('hidden');
             }
-            return analysisOutputJsonString; // Return the full JSON string
+            return analysisVersion; // Return the analysis with its version details
         } else {
             showMessage('error', 'Could not analyze dream. Please try again.');
             if (analysisContent) analysisContent.innerHTML = 'Failed to get analysis.';
@@ -889,18 +1719,59 @@ export function initializeDreamsModule() {
     const addDreamButton = document.getElementById('add-dream-button');
     const analyzeDreamInAnalysisTabButton = document.getElementById('analyze-dream-in-analysis-tab');
     const timeScopeSelect = document.getElementById('time-scope-select');
-    const saveMatchButton = document.getElementById('save-match-button');
-    const cancelMatchButton = document.getElementById('cancel-match-button');
     const closeDreamDetailsButton = document.getElementById('close-dream-details-button');
-    const addMatchModal = document.getElementById('add-match-modal');
-    const matchedEventInput = document.getElementById('matched-event-input');
-
+    const viewDreamAddMatchButton = document.getElementById('view-dream-add-match-button');
+    const viewAnalysisVersionSelect = document.getElementById('view-analysis-version-select');
+    const viewAnalysisCompareSelect = document.getElementById('view-analysis-compare-select');
+    const viewAnalysisMakeActiveButton = document.getElementById('view-analysis-make-active-button');
+    const viewAnalysisReanalyzeButton = document.getElementById('view-analysis-reanalyze-button');
+    const reanalyzeDreamsButton = document.getElementById('reanalyze-dreams-button');
+    const viewDreamEditButton = document.getElementById('view-dream-edit-button');
+    const viewDreamSaveEditButton = document.getElementById('view-dream-save-edit-button');
+    const viewDreamCancelEditButton = document.getElementById('view-dream-cancel-edit-button');
+    const viewDreamStaleReanalyzeButton = document.getElementById('view-dream-stale-reanalyze-button');
+    const viewDreamStaleKeepButton = document.getElementById('view-dream-stale-keep-button');
+    const viewDreamRevisionSelect = document.getElementById('view-dream-revision-select');
+    const viewDreamRestoreRevisionButton = document.getElementById('view-dream-restore-revision-button');
+    const analyzeSelectedDraftsButton = document.getElementById('analyze-selected-drafts-button');
+    const analyzeAllDraftsButton = document.getElementById('analyze-all-drafts-button');
+    const draftTagsInput = document.getElementById('draft-tags-input');
+    const viewDreamTags = document.getElementById('view-dream-tags');
+    const archiveTagFilter = document.getElementById('archive-tag-filter');
+    const analysisTagFilter = document.getElementById('analysis-tag-filter');
+    const draftMetadataInput = document.getElementById('draft-metadata-input');
+    const viewDreamMetadata = document.getElementById('view-dream-metadata');
+    const draftLanguageInput = document.getElementById('draft-language-select');
+    const viewDreamLanguage = document.getElementById('view-dream-language-select');
+
+    // Tags: the draft editor's tags are saved with the draft, the details modal's at once
+    if (draftTagsInput) draftTagInput = createTagInput(draftTagsInput);
+    if (viewDreamTags) detailsTagInput = createTagInput(viewDreamTags, { onChange: handleDetailsTagsChange });
+    if (archiveTagFilter) archiveTagFilter.addEventListener('change', renderArchivedDreams);
+    if (analysisTagFilter) analysisTagFilter.addEventListener('change', loadDreamsForAnalysisTab);
+    // Metadata works the same way: saved with the draft, or at once in the details modal
+    if (draftMetadataInput) draftMetadataForm = createMetadataForm(draftMetadataInput);
+    if (viewDreamMetadata) detailsMetadataForm = createMetadataForm(viewDreamMetadata, { onChange: handleDetailsMetadataChange });
+    // And so does the language
+    if (draftLanguageInput) draftLanguageSelect = createLanguageSelect(draftLanguageInput);
+    if (viewDreamLanguage) detailsLanguageSelect = createLanguageSelect(viewDreamLanguage, { onChange: handleDetailsLanguageChange });
+    onTagsChange(() => {
+        renderTagFilterOptions(archiveTagFilter);
+        renderTagFilterOptions(analysisTagFilter, 'All dreams');
+        if (draftTagInput) draftTagInput.refresh();
+        if (detailsTagInput) detailsTagInput.refresh();
+        renderDraftDreams();
+        renderArchivedDreams();
+    });
 
     // Event listener for Add Dream button (replaces save-draft-changes-button and adds new manual dreams)
     if (addDreamButton) {
         addDreamButton.addEventListener('click', async () => {
             const dreamText = dreamInputDraft ? dreamInputDraft.value.trim() : '';
             const dreamTitle = dreamTitleDraft ? dreamTitleDraft.value.trim() : '';
+            const tags = draftTagInput ? draftTagInput.getTagIds() : [];
+            const metadata = draftMetadataForm ? draftMetadataForm.getMetadata() : null;
+            const language = draftLanguageSelect ? draftLanguageSelect.getLanguage() : '';
             if (!dreamText) {
                 showMessage('info', 'Please enter some text for your dream.');
                 return;
@@ -910,16 +1781,20 @@ export function initializeDreamsModule() {
                 if (currentDraftId) {
                     // If currentDraftId is set, it means we are editing an existing draft
                     // When editing, we should reset isPreAnalyzed to false as content might change
-                    await updateDraftDream(currentDraftId, dreamText, dreamTitle, false);
+                    await updateDraftDream(currentDraftId, dreamText, dreamTitle, false, currentDraftOriginal, tags, metadata, language);
                     currentDraftId = null; // Clear currentDraftId after update
+                    currentDraftOriginal = null;
                     showMessage('success', 'Draft dream updated!');
                 } else {
-                    // If no currentDraftId, save as a new draft
-                    await saveDraftDream(dreamText, dreamTitle);
-                    showMessage('success', 'New dream added to drafts!');
+                    // If no currentDraftId, save as a new draft (saveDraftDream reports success or offline queuing)
+                    await saveDraftDream(dreamText, dreamTitle, false, tags, metadata, [], language);
                 }
                 if (dreamInputDraft) dreamInputDraft.value = ''; // Clear input after adding/updating
                 if (dreamTitleDraft) dreamTitleDraft.value = ''; // Clear title input
+                if (draftTagInput) draftTagInput.setTagIds([]);
+                if (draftMetadataForm) draftMetadataForm.setMetadata(null);
+                if (draftLanguageSelect) draftLanguageSelect.setLanguage('');
+                renderDraftAudio(null);
                 loadDraftDreams(); // Reload drafts to show updated list
             } catch (error) {
                 console.error("Error adding/updating dream:", error);
@@ -973,77 +1848,89 @@ export function initializeDreamsModule() {
         timeScopeSelect.addEventListener('change', loadDreamsForAnalysisTab);
     }
 
-    // Event listeners for match modal
-    if (saveMatchButton) {
-        saveMatchButton.addEventListener('click', async () => {
-            if (!currentDreamIdForMatch) {
-                showMessage('error', 'No dream selected for matching.');
-                return;
-            }
-            const matchedEventText = matchedEventInput ? matchedEventInput.value.trim() : '';
-            if (!matchedEventText) {
-                showMessage('info', 'Please describe the matched reality event.');
-                return;
-            }
+    if (closeDreamDetailsButton) {
+        closeDreamDetailsButton.addEventListener('click', () => {
+            const viewDreamDetailsModal = document.getElementById('view-dream-details-modal');
+            if (viewDreamDetailsModal) viewDreamDetailsModal.classList.add('hidden');
+            detailsDreamId = null;
+            detailsDream = null;
+            closeDetailsEditForm();
+        });
+    }
+
+    if (viewDreamAddMatchButton) {
+        viewDreamAddMatchButton.addEventListener('click', () => {
+            if (detailsDreamId) openMatchModal(detailsDreamId);
+        });
+    }
 
+    // Analysis versions in the details modal
+    if (viewAnalysisVersionSelect) {
+        viewAnalysisVersionSelect.addEventListener('change', () => {
+            detailsVersionId = viewAnalysisVersionSelect.value;
+            renderDetailsAnalysis();
+        });
+    }
+    if (viewAnalysisCompareSelect) {
+        viewAnalysisCompareSelect.addEventListener('change', () => {
+            detailsCompareVersionId = viewAnalysisCompareSelect.value || null;
+            renderDetailsAnalysis();
+        });
+    }
+    if (viewAnalysisMakeActiveButton) {
+        viewAnalysisMakeActiveButton.addEventListener('click', async () => {
+            if (!detailsDream || !detailsVersionId) return;
             showLoading();
             try {
-                const dreamRef = doc(db, `artifacts/${appId}/users/${userId}/archived_dreams`, currentDreamIdForMatch);
-                await updateDoc(dreamRef, {
-                    matchedRealityEvent: matchedEventText
-                });
-                showMessage('success', 'Reality match saved!');
-                if (addMatchModal) addMatchModal.classList.add('hidden');
-                if (matchedEventInput) matchedEventInput.value = ''; // Clear input
-                currentDreamIdForMatch = null; // Clear selected dream
-                loadMatchedDreams(); // Refresh the list of matched dreams
-                // If we are on the search tab, re-run search to update the match status
-                // This cross-module call will be handled by app.js later. For now, just a console log.
-                console.log("Match saved. If on Search tab, remember to refresh search results.");
+                detailsDream = await setActiveAnalysisVersion(detailsDream, detailsVersionId);
+                renderDetailsAnalysis();
+                showMessage('success', 'This analysis now counts for stats and search.');
             } catch (error) {
-                console.error("Error saving reality match:", error);
-                showMessage('error', `Failed to save reality match: ${error.message}`);
+                console.error("Error changing active analysis:", error);
+                showMessage('error', `Failed to change the active analysis: ${error.message}`);
             } finally {
                 hideLoading();
             }
         });
     }
-
-    if (cancelMatchButton) {
-        cancelMatchButton.addEventListener('click', () => {
-            if (addMatchModal) addMatchModal.classList.add('hidden');
-            if (matchedEventInput) matchedEventInput.value = '';
-            currentDreamIdForMatch = null;
+    if (viewAnalysisReanalyzeButton) viewAnalysisReanalyzeButton.addEventListener('click', handleDetailsReanalyzeClick);
+
+    // Editing and revision history in the details modal
+    if (viewDreamEditButton) viewDreamEditButton.addEventListener('click', openDetailsEditForm);
+    if (viewDreamSaveEditButton) viewDreamSaveEditButton.addEventListener('click', handleSaveDreamEditClick);
+    if (viewDreamCancelEditButton) viewDreamCancelEditButton.addEventListener('click', closeDetailsEditForm);
+    if (viewDreamStaleReanalyzeButton) viewDreamStaleReanalyzeButton.addEventListener('click', handleDetailsReanalyzeClick);
+    if (viewDreamStaleKeepButton) {
+        viewDreamStaleKeepButton.addEventListener('click', () => {
+            isStaleNoticeDismissed = true;
+            renderDetailsDream();
         });
     }
-
-    if (closeDreamDetailsButton) {
-        closeDreamDetailsButton.addEventListener('click', () => {
-            const viewDreamDetailsModal = document.getElementById('view-dream-details-modal');
-            if (viewDreamDetailsModal) viewDreamDetailsModal.classList.add('hidden');
+    if (viewDreamRevisionSelect) {
+        viewDreamRevisionSelect.addEventListener('change', () => {
+            detailsRevisionId = viewDreamRevisionSelect.value;
+            renderDetailsRevisions();
         });
     }
-}
-
-/**
- * Exported function to open the match modal from the search module.
- * @param {string} dreamId - The ID of the dream to match.
- * @param {string} dreamText - The text of the dream to display in the modal.
- * @param {string} [existingMatchText=''] - Existing matched event text if editing.
- */
-export function openMatchModalForSearch(dreamId, dreamText, existingMatchText = '') {
-    const addMatchModal = document.getElementById('add-match-modal');
-    const matchDreamSnippet = document.getElementById('match-dream-snippet');
-    const matchedEventInput = document.getElementById('matched-event-input');
-
-    if (!addMatchModal || !matchDreamSnippet || !matchedEventInput) {
-        console.error("Missing UI elements for match modal.");
-        showMessage('error', 'Could not open match modal due to missing UI elements.');
-        return;
+    if (viewDreamRestoreRevisionButton) viewDreamRestoreRevisionButton.addEventListener('click', handleRestoreRevisionClick);
+    if (reanalyzeDreamsButton) reanalyzeDreamsButton.addEventListener('click', handleReanalyzeDreamsClick);
+
+    // Batch analysis through the analysis queue
+    registerAnalysisHandler('archiveDraft', runArchiveDraftTask);
+    registerAnalysisHandler('reanalyzeDream', runReanalyzeDreamTask);
+    if (analyzeSelectedDraftsButton) {
+        analyzeSelectedDraftsButton.addEventListener('click', () => {
+            queueDraftsForAnalysis(draftDreams.filter(draft => selectedDraftIds.has(draft.id) && !draft.inProgress));
+        });
+    }
+    if (analyzeAllDraftsButton) {
+        analyzeAllDraftsButton.addEventListener('click', () => {
+            // Drafts whose analysis failed are left to the Retry buttons, unfinished recordings to the recorder
+            queueDraftsForAnalysis(draftDreams.filter(draft => !draftQueueBadge(draft.id) && !draft.inProgress));
+        });
     }
+    onAnalysisQueueChange(renderDraftDreams);
 
-    currentDreamIdForMatch = dreamId;
-    matchDreamSnippet.textContent = dreamText.substring(0, 200) + (dreamText.length > 200 ? '...' : '');
-    matchedEventInput.value = existingMatchText;
-    addMatchModal.classList.remove('hidden');
+    // Keep the linked events in the details modal current as matches change
+    onMatchesChange(renderDetailsMatches);
 }
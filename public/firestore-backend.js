@@ -0,0 +1,168 @@
+// firestore-backend.js
+
+// Firestore storage backend for dreams-data-service.js.
+// Creates, updates and deletes go through the offline outbox (offline-sync.js), so they are
+// queued when the network is down. Records read from Firestore have their Timestamps converted
+// to JS Dates, and queued creates and updates are merged into lists with `pendingSync: true`.
+
+// Import Firebase variables and functions
+import { db } from './firebase-init.js';
+import { writeOrQueue, listPendingCreates, listPendingUpdates, onSyncStatusChange } from './offline-sync.js';
+import { sortRecords } from './dreams-data-service.js';
+import {
+    collection, doc, getDoc, getDocs, query, where, orderBy, limit, onSnapshot, runTransaction, Timestamp
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+/**
+ * Recursively converts Firestore Timestamps to JS Dates.
+ * @param {*} value - A value read from Firestore.
+ * @returns {*} The value with Dates instead of Timestamps.
+ */
+function fromFirestore(value) {
+    if (value instanceof Timestamp) return value.toDate();
+    if (Array.isArray(value)) return value.map(fromFirestore);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromFirestore(item)]));
+    }
+    return value;
+}
+
+/**
+ * Builds a Firestore query from list options.
+ * Filtered queries are sorted on the client instead, so they don't need composite indexes.
+ * @param {string} path - The collection path.
+ * @param {import('./dreams-data-service.js').ListOptions} options - The list options.
+ * @returns {import("https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js").Query} The query.
+ */
+function buildQuery(path, options) {
+    const filters = options.where || [];
+    const constraints = filters.map(({ field, value }) => where(field, '==', value));
+    if (options.orderBy && filters.length === 0) {
+        constraints.push(orderBy(options.orderBy, options.direction || 'asc'));
+        if (options.limit) constraints.push(limit(options.limit));
+    }
+    return query(collection(db, path), ...constraints);
+}
+
+/**
+ * Merges queued creates into the stored records and applies queued updates to them, then filters,
+ * sorts and limits the result.
+ * @param {string} path - The collection path.
+ * @param {Array<object>} stored - Records read from Firestore.
+ * @param {import('./dreams-data-service.js').ListOptions} options - The list options.
+ * @returns {Promise<Array<object>>} The combined records.
+ */
+async function withPendingWrites(path, stored, options) {
+    const storedIds = new Set(stored.map(record => record.id));
+    const created = (await listPendingCreates(path))
+        .filter(entry => !storedIds.has(entry.id))
+        .map(entry => ({ id: entry.id, ...entry.data, timestamp: entry.data.timestamp || new Date(entry.queuedAt), pendingSync: true }));
+
+    const recordsById = new Map([...stored, ...created].map(record => [record.id, record]));
+    for (const entry of await listPendingUpdates(path)) {
+        const record = recordsById.get(entry.id);
+        if (!record) continue; // Not in this list
+        recordsById.set(entry.id, {
+            ...record,
+            ...entry.data,
+            ...(entry.stampTimestamp ? { timestamp: new Date(entry.queuedAt) } : {}),
+            pendingSync: true
+        });
+    }
+
+    // An offline edit may have moved a record out of a filtered list
+    let records = [...recordsById.values()]
+        .filter(record => (options.where || []).every(({ field, value }) => record[field] === value));
+    sortRecords(records, options.orderBy, options.direction);
+    if (options.limit) records = records.slice(0, options.limit);
+    return records;
+}
+
+/**
+ * Converts a query snapshot to plain records.
+ * @param {object} snapshot - The Firestore query snapshot.
+ * @returns {Array<object>} The records.
+ */
+function snapshotToRecords(snapshot) {
+    return snapshot.docs.map(docSnapshot => ({ id: docSnapshot.id, ...fromFirestore(docSnapshot.data({ serverTimestamps: 'estimate' })) }));
+}
+
+/**
+ * Creates the Firestore backend.
+ * @returns {import('./dreams-data-service.js').DataBackend} The backend.
+ */
+export function createFirestoreBackend() {
+    return {
+        async add(path, data, options = {}) {
+            return writeOrQueue({
+                op: 'set',
+                collectionPath: path,
+                data,
+                stampTimestamp: options.stampTimestamp !== false,
+                description: options.description || ''
+            });
+        },
+
+        async update(path, id, data, options = {}) {
+            const { queued } = await writeOrQueue({
+                op: 'update',
+                collectionPath: path,
+                docId: id,
+                data,
+                stampTimestamp: options.stampTimestamp || false,
+                expected: options.expected || null,
+                description: options.description || ''
+            });
+            return { queued };
+        },
+
+        async transact(path, id, change) {
+            const docRef = doc(db, path, id);
+            return runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(docRef);
+                const changes = change(snapshot.exists() ? { id: snapshot.id, ...fromFirestore(snapshot.data()) } : null);
+                if (!changes || !snapshot.exists()) return null;
+                transaction.update(docRef, changes);
+                return changes;
+            });
+        },
+
+        async remove(path, id) {
+            await writeOrQueue({ op: 'delete', collectionPath: path, docId: id });
+        },
+
+        async get(path, id) {
+            const snapshot = await getDoc(doc(db, path, id));
+            return snapshot.exists() ? { id: snapshot.id, ...fromFirestore(snapshot.data({ serverTimestamps: 'estimate' })) } : null;
+        },
+
+        async list(path, options = {}) {
+            const snapshot = await getDocs(buildQuery(path, options));
+            return withPendingWrites(path, snapshotToRecords(snapshot), options);
+        },
+
+        subscribe(path, options, onChange, onError) {
+            let latest = null;
+            const emit = () => {
+                if (!latest) return;
+                withPendingWrites(path, latest, options)
+                    .then(onChange)
+                    .catch(error => { if (onError) onError(error); });
+            };
+
+            const unsubscribeSnapshot = onSnapshot(buildQuery(path, options), (snapshot) => {
+                latest = snapshotToRecords(snapshot);
+                emit();
+            }, (error) => {
+                if (onError) onError(error);
+            });
+            // Re-emit when the outbox changes so queued records appear and disappear.
+            const unsubscribeSync = onSyncStatusChange(emit);
+
+            return () => {
+                unsubscribeSnapshot();
+                unsubscribeSync();
+            };
+        }
+    };
+}
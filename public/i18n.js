@@ -0,0 +1,282 @@
+// i18n.js
+
+// The languages the app supports, and its UI strings in each of them. A string missing from a language falls
+// back to English. Strings are placed in the page by language-module.js, from `data-i18n` attributes in
+// index.html, and looked up with its t() in code. Pure data and lookup: no DOM, no storage.
+
+/** The language used when nothing else is known, and the one every string exists in. */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * The supported languages: their name in the language itself, their English name (used in AI prompts) and
+ * the locale of the speech recognizer.
+ */
+export const LANGUAGES = {
+    en: { name: 'English', englishName: 'English', speechLocale: 'en-US' },
+    de: { name: 'Deutsch', englishName: 'German', speechLocale: 'de-DE' },
+    es: { name: 'Español', englishName: 'Spanish', speechLocale: 'es-ES' },
+    ru: { name: 'Русский', englishName: 'Russian', speechLocale: 'ru-RU' }
+};
+
+const STRINGS = {
+    en: {
+        'tab.record': 'Record',
+        'tab.dreams': 'Dreams',
+        'tab.reality': 'Reality',
+        'tab.lucid': 'Lucid',
+        'tab.search': 'Search',
+        'tab.stats': 'Stats',
+        'tab.settings': 'Settings',
+        'subtab.drafts': 'Drafts',
+        'subtab.analysis': 'Analysis',
+        'subtab.archive': 'Archive',
+        'subtab.matches': 'Matches',
+        'language.default': 'Default ({language})',
+        'record.heading': 'Record Your Dream',
+        'record.resume': 'Resume Recording',
+        'record.saveRecovered': 'Save as Draft',
+        'record.discardRecovered': 'Discard',
+        'record.titleLabel': 'Dream Title (Optional, or say "title" and the title)',
+        'record.titlePlaceholder': 'e.g., The Flooded Library',
+        'record.textLabel': 'Dream Text (or speak into microphone)',
+        'record.textPlaceholder': 'Start typing or click \'Start Recording\' to speak your dream...',
+        'record.voiceHelp': 'Voice commands, each said on its own with a pause before and after: "new dream" saves the dream and starts the next one, "title" followed by the title sets the title, "scratch that" removes the last sentence, "stop recording" stops and saves.',
+        'record.languageLabel': 'Language of this Dream',
+        'record.detailsLabel': 'Dream Details (Optional, saved with the recording)',
+        'record.start': 'Start Recording',
+        'record.stop': 'Stop Recording',
+        'record.intentionLabel': 'Tonight\'s Intention (Optional, dreams recorded from this night are linked to it)',
+        'record.setIntention': 'Set for Tonight',
+        'record.suggestion': 'Generate Suggestion',
+        'night.start': 'Going to Bed',
+        'night.wakeUp': 'Log Wake-up',
+        'night.end': 'End Night',
+        'status.ready': 'Ready to record.',
+        'status.listening': 'Listening...',
+        'status.listeningForDream': 'Listening for your dream... Speak clearly.',
+        'status.heard': 'Listening: "{text}"',
+        'status.restarting': 'Listening (restarting)...',
+        'status.stoppedKept': 'Speech recognition stopped. Your transcription is kept: start recording again to continue, or stop to save it.',
+        'status.failed': 'Speech recognition failed.',
+        'status.saved': 'Recording stopped. Transcription saved to Drafts.',
+        'status.saveFailed': 'Recording stopped. Failed to save transcription to Drafts.',
+        'status.noSpeech': 'Recording stopped. No speech detected.',
+        'cue.newDream': 'New dream: the previous one is saved to Drafts.',
+        'cue.title': 'Title set: "{title}"',
+        'cue.titleNext': 'Say the title.',
+        'cue.scratch': 'Scratched the last sentence.',
+        'cue.stop': 'Stopping the recording.',
+        'recovery.interrupted': 'A recording from {time} was interrupted before it was saved.',
+        'recovery.interruptedEarlier': 'A recording from an earlier session was interrupted before it was saved.',
+        'error.noSpeechApi': 'Your browser does not support Web Speech API for transcription. Please type your dream.',
+        'error.recognition': 'Speech recognition error: {error}.',
+        'error.network': 'Please check your internet connection and try again. If the issue persists, you can type your dream manually.',
+        'error.notAllowed': 'Microphone access denied. Please allow microphone access in your browser settings.',
+        'error.tryAgain': 'Please try again or type your dream.',
+        'settings.languageHeading': 'Language',
+        'settings.languageHelp': 'Your language for recording, analysis and the app. It sets the speech recognition language, the language the AI writes analyses in and the words Top Insights leaves out. A dream can be given its own language on the Record tab, in the draft editor and in its details.'
+    },
+    de: {
+        'tab.record': 'Aufnahme',
+        'tab.dreams': 'Träume',
+        'tab.reality': 'Realität',
+        'tab.lucid': 'Luzid',
+        'tab.search': 'Suche',
+        'tab.stats': 'Statistik',
+        'tab.settings': 'Einstellungen',
+        'subtab.drafts': 'Entwürfe',
+        'subtab.analysis': 'Analyse',
+        'subtab.archive': 'Archiv',
+        'subtab.matches': 'Treffer',
+        'language.default': 'Standard ({language})',
+        'record.heading': 'Traum aufnehmen',
+        'record.resume': 'Aufnahme fortsetzen',
+        'record.saveRecovered': 'Als Entwurf speichern',
+        'record.discardRecovered': 'Verwerfen',
+        'record.titleLabel': 'Traumtitel (optional, oder sag „Titel“ und den Titel)',
+        'record.titlePlaceholder': 'z. B. Die überflutete Bibliothek',
+        'record.textLabel': 'Traumtext (oder ins Mikrofon sprechen)',
+        'record.textPlaceholder': 'Tippe los oder klicke auf „Aufnahme starten“, um deinen Traum zu erzählen …',
+        'record.voiceHelp': 'Sprachbefehle, jeweils für sich mit einer Pause davor und danach: „neuer Traum“ speichert den Traum und beginnt den nächsten, „Titel“ und danach der Titel setzt den Titel, „streich das“ entfernt den letzten Satz, „Aufnahme beenden“ beendet und speichert.',
+        'record.languageLabel': 'Sprache dieses Traums',
+        'record.detailsLabel': 'Traumdetails (optional, werden mit der Aufnahme gespeichert)',
+        'record.start': 'Aufnahme starten',
+        'record.stop': 'Aufnahme beenden',
+        'record.intentionLabel': 'Vorsatz für heute Nacht (optional, die Träume dieser Nacht werden damit verknüpft)',
+        'record.setIntention': 'Für heute Nacht setzen',
+        'record.suggestion': 'Vorschlag erzeugen',
+        'night.start': 'Ich gehe schlafen',
+        'night.wakeUp': 'Aufwachen notieren',
+        'night.end': 'Nacht beenden',
+        'status.ready': 'Bereit zur Aufnahme.',
+        'status.listening': 'Ich höre zu …',
+        'status.listeningForDream': 'Ich höre zu … Erzähl deinen Traum deutlich.',
+        'status.heard': 'Ich höre: „{text}“',
+        'status.restarting': 'Ich höre zu (Neustart) …',
+        'status.stoppedKept': 'Die Spracherkennung wurde beendet. Deine Transkription bleibt erhalten: Starte die Aufnahme erneut, um fortzufahren, oder beende sie, um sie zu speichern.',
+        'status.failed': 'Die Spracherkennung ist fehlgeschlagen.',
+        'status.saved': 'Aufnahme beendet. Transkription in den Entwürfen gespeichert.',
+        'status.saveFailed': 'Aufnahme beendet. Die Transkription konnte nicht in den Entwürfen gespeichert werden.',
+        'status.noSpeech': 'Aufnahme beendet. Keine Sprache erkannt.',
+        'cue.newDream': 'Neuer Traum: Der vorherige ist in den Entwürfen gespeichert.',
+        'cue.title': 'Titel gesetzt: „{title}“',
+        'cue.titleNext': 'Sag den Titel.',
+        'cue.scratch': 'Letzter Satz gestrichen.',
+        'cue.stop': 'Die Aufnahme wird beendet.',
+        'recovery.interrupted': 'Eine Aufnahme vom {time} wurde unterbrochen, bevor sie gespeichert wurde.',
+        'recovery.interruptedEarlier': 'Eine Aufnahme aus einer früheren Sitzung wurde unterbrochen, bevor sie gespeichert wurde.',
+        'error.noSpeechApi': 'Dein Browser unterstützt die Web Speech API zur Transkription nicht. Bitte tippe deinen Traum.',
+        'error.recognition': 'Fehler der Spracherkennung: {error}.',
+        'error.network': 'Bitte prüfe deine Internetverbindung und versuche es erneut. Wenn das Problem bleibt, kannst du deinen Traum auch tippen.',
+        'error.notAllowed': 'Der Zugriff auf das Mikrofon wurde verweigert. Bitte erlaube ihn in den Einstellungen deines Browsers.',
+        'error.tryAgain': 'Bitte versuche es erneut oder tippe deinen Traum.',
+        'settings.languageHeading': 'Sprache',
+        'settings.languageHelp': 'Deine Sprache für Aufnahmen, Analysen und die App. Sie bestimmt die Sprache der Spracherkennung, die Sprache, in der die KI Analysen schreibt, und die Wörter, die Top Insights auslässt. Ein Traum kann im Aufnahme-Tab, im Entwurfseditor und in seinen Details eine eigene Sprache bekommen.'
+    },
+    es: {
+        'tab.record': 'Grabar',
+        'tab.dreams': 'Sueños',
+        'tab.reality': 'Realidad',
+        'tab.lucid': 'Lúcido',
+        'tab.search': 'Buscar',
+        'tab.stats': 'Estadísticas',
+        'tab.settings': 'Ajustes',
+        'subtab.drafts': 'Borradores',
+        'subtab.analysis': 'Análisis',
+        'subtab.archive': 'Archivo',
+        'subtab.matches': 'Coincidencias',
+        'language.default': 'Predeterminado ({language})',
+        'record.heading': 'Graba tu sueño',
+        'record.resume': 'Reanudar grabación',
+        'record.saveRecovered': 'Guardar como borrador',
+        'record.discardRecovered': 'Descartar',
+        'record.titleLabel': 'Título del sueño (opcional, o di «título» y el título)',
+        'record.titlePlaceholder': 'p. ej., La biblioteca inundada',
+        'record.textLabel': 'Texto del sueño (o habla al micrófono)',
+        'record.textPlaceholder': 'Empieza a escribir o pulsa «Iniciar grabación» para contar tu sueño...',
+        'record.voiceHelp': 'Comandos de voz, cada uno por separado con una pausa antes y después: «nuevo sueño» guarda el sueño y empieza el siguiente, «título» seguido del título fija el título, «borra eso» elimina la última frase, «detener grabación» detiene y guarda.',
+        'record.languageLabel': 'Idioma de este sueño',
+        'record.detailsLabel': 'Detalles del sueño (opcional, se guardan con la grabación)',
+        'record.start': 'Iniciar grabación',
+        'record.stop': 'Detener grabación',
+        'record.intentionLabel': 'Intención para esta noche (opcional, los sueños de esta noche se vinculan a ella)',
+        'record.setIntention': 'Fijar para esta noche',
+        'record.suggestion': 'Generar sugerencia',
+        'night.start': 'Me voy a dormir',
+        'night.wakeUp': 'Registrar despertar',
+        'night.end': 'Terminar la noche',
+        'status.ready': 'Listo para grabar.',
+        'status.listening': 'Escuchando...',
+        'status.listeningForDream': 'Escuchando tu sueño... Habla con claridad.',
+        'status.heard': 'Escuchando: «{text}»',
+        'status.restarting': 'Escuchando (reiniciando)...',
+        'status.stoppedKept': 'El reconocimiento de voz se detuvo. Tu transcripción se conserva: vuelve a iniciar la grabación para continuar o detenla para guardarla.',
+        'status.failed': 'El reconocimiento de voz falló.',
+        'status.saved': 'Grabación detenida. Transcripción guardada en Borradores.',
+        'status.saveFailed': 'Grabación detenida. No se pudo guardar la transcripción en Borradores.',
+        'status.noSpeech': 'Grabación detenida. No se detectó voz.',
+        'cue.newDream': 'Nuevo sueño: el anterior se guardó en Borradores.',
+        'cue.title': 'Título fijado: «{title}»',
+        'cue.titleNext': 'Di el título.',
+        'cue.scratch': 'Se borró la última frase.',
+        'cue.stop': 'Deteniendo la grabación.',
+        'recovery.interrupted': 'Una grabación del {time} se interrumpió antes de guardarse.',
+        'recovery.interruptedEarlier': 'Una grabación de una sesión anterior se interrumpió antes de guardarse.',
+        'error.noSpeechApi': 'Tu navegador no admite la Web Speech API para transcribir. Escribe tu sueño, por favor.',
+        'error.recognition': 'Error de reconocimiento de voz: {error}.',
+        'error.network': 'Comprueba tu conexión a internet e inténtalo de nuevo. Si el problema persiste, puedes escribir tu sueño.',
+        'error.notAllowed': 'Se denegó el acceso al micrófono. Permítelo en los ajustes del navegador.',
+        'error.tryAgain': 'Inténtalo de nuevo o escribe tu sueño.',
+        'settings.languageHeading': 'Idioma',
+        'settings.languageHelp': 'Tu idioma para las grabaciones, los análisis y la aplicación. Define el idioma del reconocimiento de voz, el idioma en que la IA escribe los análisis y las palabras que omite Top Insights. Cada sueño puede tener su propio idioma en la pestaña Grabar, en el editor de borradores y en sus detalles.'
+    },
+    ru: {
+        'tab.record': 'Запись',
+        'tab.dreams': 'Сны',
+        'tab.reality': 'Реальность',
+        'tab.lucid': 'Осознанность',
+        'tab.search': 'Поиск',
+        'tab.stats': 'Статистика',
+        'tab.settings': 'Настройки',
+        'subtab.drafts': 'Черновики',
+        'subtab.analysis': 'Анализ',
+        'subtab.archive': 'Архив',
+        'subtab.matches': 'Совпадения',
+        'language.default': 'По умолчанию ({language})',
+        'record.heading': 'Запишите свой сон',
+        'record.resume': 'Продолжить запись',
+        'record.saveRecovered': 'Сохранить как черновик',
+        'record.discardRecovered': 'Удалить',
+        'record.titleLabel': 'Название сна (необязательно, или скажите «название» и само название)',
+        'record.titlePlaceholder': 'например, Затопленная библиотека',
+        'record.textLabel': 'Текст сна (или говорите в микрофон)',
+        'record.textPlaceholder': 'Начните печатать или нажмите «Начать запись», чтобы рассказать свой сон...',
+        'record.voiceHelp': 'Голосовые команды, каждая отдельно, с паузой до и после: «новый сон» сохраняет сон и начинает следующий, «название» и затем само название задаёт название, «удали это» удаляет последнее предложение, «остановить запись» останавливает запись и сохраняет её.',
+        'record.languageLabel': 'Язык этого сна',
+        'record.detailsLabel': 'Подробности сна (необязательно, сохраняются вместе с записью)',
+        'record.start': 'Начать запись',
+        'record.stop': 'Остановить запись',
+        'record.intentionLabel': 'Намерение на эту ночь (необязательно, сны этой ночи связываются с ним)',
+        'record.setIntention': 'Задать на эту ночь',
+        'record.suggestion': 'Предложить намерение',
+        'night.start': 'Ложусь спать',
+        'night.wakeUp': 'Отметить пробуждение',
+        'night.end': 'Завершить ночь',
+        'status.ready': 'Готово к записи.',
+        'status.listening': 'Слушаю...',
+        'status.listeningForDream': 'Слушаю ваш сон... Говорите чётко.',
+        'status.heard': 'Слушаю: «{text}»',
+        'status.restarting': 'Слушаю (перезапуск)...',
+        'status.stoppedKept': 'Распознавание речи остановлено. Расшифровка сохранена: начните запись снова, чтобы продолжить, или остановите её, чтобы сохранить.',
+        'status.failed': 'Не удалось распознать речь.',
+        'status.saved': 'Запись остановлена. Расшифровка сохранена в черновиках.',
+        'status.saveFailed': 'Запись остановлена. Не удалось сохранить расшифровку в черновиках.',
+        'status.noSpeech': 'Запись остановлена. Речь не обнаружена.',
+        'cue.newDream': 'Новый сон: предыдущий сохранён в черновиках.',
+        'cue.title': 'Название задано: «{title}»',
+        'cue.titleNext': 'Скажите название.',
+        'cue.scratch': 'Последнее предложение удалено.',
+        'cue.stop': 'Запись останавливается.',
+        'recovery.interrupted': 'Запись от {time} была прервана до сохранения.',
+        'recovery.interruptedEarlier': 'Запись из предыдущего сеанса была прервана до сохранения.',
+        'error.noSpeechApi': 'Ваш браузер не поддерживает Web Speech API для расшифровки. Пожалуйста, напечатайте свой сон.',
+        'error.recognition': 'Ошибка распознавания речи: {error}.',
+        'error.network': 'Проверьте подключение к интернету и попробуйте снова. Если проблема не исчезнет, напечатайте сон вручную.',
+        'error.notAllowed': 'Доступ к микрофону запрещён. Разрешите его в настройках браузера.',
+        'error.tryAgain': 'Попробуйте ещё раз или напечатайте сон.',
+        'settings.languageHeading': 'Язык',
+        'settings.languageHelp': 'Ваш язык для записи, анализа и приложения. Он задаёт язык распознавания речи, язык, на котором ИИ пишет анализ, и слова, которые пропускает Top Insights. Для отдельного сна язык можно изменить на вкладке «Запись», в редакторе черновиков и в подробностях сна.'
+    }
+};
+
+/**
+ * Whether a language code is one of the supported languages.
+ * @param {string} language - The code, e.g. 'de'.
+ * @returns {boolean} True if supported.
+ */
+export function isSupportedLanguage(language) {
+    return Object.hasOwn(LANGUAGES, language);
+}
+
+/**
+ * Returns a supported language for a code, falling back to the default.
+ * @param {string} language - The code, e.g. 'de', or a browser locale such as 'de-AT'.
+ * @returns {string} The supported language code.
+ */
+export function normalizeLanguage(language) {
+    const code = String(language || '').slice(0, 2).toLowerCase();
+    return isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Looks up a UI string in a language, filling in its `{name}` placeholders.
+ * @param {string} language - The language code.
+ * @param {string} key - The string key, e.g. 'record.start'.
+ * @param {object} [params={}] - Values for the placeholders.
+ * @returns {string} The string; the English one if the language lacks it, the key if English lacks it too.
+ */
+export function translate(language, key, params = {}) {
+    const table = STRINGS[language] || STRINGS[DEFAULT_LANGUAGE];
+    const text = Object.hasOwn(table, key) ? table[key] : (STRINGS[DEFAULT_LANGUAGE][key] ?? key);
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (Object.hasOwn(params, name) ? String(params[name]) : placeholder));
+}
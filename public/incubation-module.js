@@ -0,0 +1,604 @@
+// incubation-module.js
+
+// Dream incubation: the user keeps a list of intentions and questions to dream about and sets one for
+// each night. Dreams recorded from that night are linked to it (drafts get its `incubationId`, which
+// is carried over to the archive). Each morning the night can be evaluated: did the dreams address the
+// intention? The user gives a verdict and can let the AI score the dreams against the intention.
+// Intentions and nights are managed in the Lucid tab; tonight's intention is set on the Record tab.
+// Success over time is charted in the Stats tab (stats-module.js); the calculations are in incubation-stats.js.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { requestAnalysis } from './ai-client.js';
+import {
+    incubationIntentionsRepository, incubationNightsRepository, draftsRepository, archivedDreamsRepository
+} from './dreams-data-service.js';
+import { dayKey, nightKey, dreamNightKey, describeNight } from './nights.js';
+import { INCUBATION_VERDICTS, effectiveVerdict } from './incubation-stats.js';
+
+/** Built-in suggestions, offered by the Record tab's Generate Suggestion button until the user has intentions of their own. */
+export const SUGGESTED_INTENTIONS = [
+    "I will give special attention to the nature of time and space.",
+    "I may dream of myself in dependent positions. I SUGGEST THAT MY SUBCONSCIOUS MAINTAINS THE ORGANIC INTEGRITY OF MY PHYSICAL ORGANISM.",
+    "Constructive suggestions are given free reign, and only those will be reacted to.",
+    "Suggestions are those that are in harmony with all levels of the personality structure.",
+    "I suggest to wake up the moment my conscious Self finishes with the dream and record it.",
+    "I remember my dreams from the more deeper levels of my subconsciousness.",
+    "I ask my subconsciousness to recall my dreams.",
+    "I will (wake up) after each of my first 5 dreams (and) record each one immediately.",
+    "As I fall asleep, I awaken into another kind of wakefulness; Imagine I am awakening the 'next morning'.",
+    "I am free of negative influences."
+];
+
+/** Kinds of intentions, with their labels. */
+export const INTENTION_KINDS = {
+    intention: 'Intention',
+    question: 'Question'
+};
+
+const MORNING_HOUR = 6; // Before this hour, "tonight" is the night that is still going on
+const SHOWN_NIGHTS = 14; // Incubation nights listed in the Lucid tab
+const MAX_DREAM_CHARS = 1500; // Dream texts are shortened in the scoring prompt
+
+const INCUBATION_SCORE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        score: { type: 'INTEGER', minimum: 0, maximum: 10 },
+        verdict: { type: 'STRING', enum: Object.keys(INCUBATION_VERDICTS) },
+        reasoning: { type: 'STRING' }
+    },
+    required: ['score', 'verdict', 'reasoning']
+};
+
+// Internal state variables for dream incubation
+let intentions = []; // The user's intentions and questions, oldest first
+let incubationNights = []; // The intention set for each night, newest night first
+let incubatedDrafts = []; // Drafts and archived dreams last loaded for the Lucid tab
+let incubatedDreams = [];
+let unsubscribeIntentions = null;
+let unsubscribeIncubationNights = null;
+
+/**
+ * Returns the night an intention set now is for: tonight, or the night still going on before the morning.
+ * @returns {string} The night's day key.
+ */
+export function tonightKey() {
+    const now = new Date();
+    return now.getHours() < MORNING_HOUR ? nightKey(now) : dayKey(now);
+}
+
+/**
+ * Returns the incubation a newly recorded dream belongs to: the one set for the night the dream happened in.
+ * @param {string} night - The dream's night (see nights.js).
+ * @returns {string} The incubation night's ID, '' if no intention was set for that night.
+ */
+export function incubationIdForNight(night) {
+    const incubation = incubationNights.find(candidate => candidate.night === night);
+    return incubation ? incubation.id : '';
+}
+
+/**
+ * Describes the incubation a dream is linked to, for the dream lists.
+ * @param {string} incubationId - The dream's incubation night ID.
+ * @returns {string} E.g. 'Incubated: "Where did I leave my keys?"', '' if the dream has no (known) incubation.
+ */
+export function describeIncubation(incubationId) {
+    const incubation = incubationId ? incubationNights.find(candidate => candidate.id === incubationId) : null;
+    return incubation ? `Incubated: "${incubation.intentionText}"` : '';
+}
+
+// --- Intentions ---
+
+/**
+ * Adds an intention or question.
+ * @param {string} text - The intention.
+ * @param {'intention'|'question'} [kind='intention'] - Whether it is an intention or a question.
+ */
+export async function addIntention(text, kind = 'intention') {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to manage intentions.');
+        return;
+    }
+    if (!text) {
+        showMessage('info', 'Please enter an intention or question.');
+        return;
+    }
+    try {
+        const { queued } = await incubationIntentionsRepository.add({ text, kind: INTENTION_KINDS[kind] ? kind : 'intention' }, {
+            description: `Intention "${text.substring(0, 30)}"`
+        });
+        if (queued) showMessage('info', 'You are offline. Intention saved on this device and will sync later.');
+    } catch (error) {
+        console.error("Error adding intention:", error);
+        showMessage('error', `Failed to add intention: ${error.message}`);
+    }
+}
+
+/**
+ * Adds the built-in suggestions the user does not have yet, as a starting point for their own list.
+ */
+async function addSuggestedIntentions() {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to manage intentions.');
+        return;
+    }
+    const existing = new Set(intentions.map(intention => intention.text.toLowerCase()));
+    const missing = SUGGESTED_INTENTIONS.filter(text => !existing.has(text.toLowerCase()));
+    if (missing.length === 0) {
+        showMessage('info', 'All suggested intentions are already in your list.');
+        return;
+    }
+    showLoading();
+    try {
+        for (const text of missing) {
+            await incubationIntentionsRepository.add({ text, kind: 'intention' }, { description: `Intention "${text.substring(0, 30)}"` });
+        }
+        showMessage('success', `${missing.length} suggested ${missing.length === 1 ? 'intention' : 'intentions'} added.`);
+    } catch (error) {
+        console.error("Error adding suggested intentions:", error);
+        showMessage('error', `Failed to add suggested intentions: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Deletes an intention. Nights it was set for keep its text, so their evaluations still count.
+ * @param {string} intentionId - The intention ID.
+ */
+async function deleteIntention(intentionId) {
+    try {
+        await incubationIntentionsRepository.remove(intentionId);
+    } catch (error) {
+        console.error("Error deleting intention:", error);
+        showMessage('error', `Failed to delete intention: ${error.message}`);
+    }
+}
+
+/**
+ * Sets an intention for tonight, replacing the one set before for the same night.
+ * @param {string} intentionId - The intention ID.
+ */
+export async function setIntentionForTonight(intentionId) {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to set an intention.');
+        return;
+    }
+    const intention = intentions.find(candidate => candidate.id === intentionId);
+    if (!intention) {
+        showMessage('info', 'Please choose an intention first.');
+        return;
+    }
+    const night = tonightKey();
+    const data = { night, intentionId: intention.id, intentionText: intention.text, kind: intention.kind };
+    try {
+        const existing = incubationNights.find(candidate => candidate.night === night);
+        let queued;
+        if (existing) {
+            ({ queued } = await incubationNightsRepository.update(existing.id, data, { stampTimestamp: true, description: `Intention for ${night}` }));
+        } else {
+            ({ queued } = await incubationNightsRepository.add({ ...data, evaluation: null }, { description: `Intention for ${night}` }));
+        }
+        showMessage(queued ? 'info' : 'success', queued
+            ? 'You are offline. Tonight\'s intention is saved on this device and will sync later.'
+            : 'Intention set for tonight. Dreams you record from this night will be linked to it.');
+    } catch (error) {
+        console.error("Error setting tonight's intention:", error);
+        showMessage('error', `Failed to set tonight's intention: ${error.message}`);
+    }
+}
+
+/**
+ * Picks a random intention for the Record tab's Generate Suggestion button: one of the user's own,
+ * selected so it can be set for tonight, or a built-in suggestion if the user has none yet.
+ */
+export function suggestIntention() {
+    if (intentions.length === 0) {
+        const suggestion = SUGGESTED_INTENTIONS[Math.floor(Math.random() * SUGGESTED_INTENTIONS.length)];
+        showMessage('info', suggestion);
+        return;
+    }
+    const intention = intentions[Math.floor(Math.random() * intentions.length)];
+    const tonightIntentionSelect = document.getElementById('tonight-intention-select');
+    if (tonightIntentionSelect) tonightIntentionSelect.value = intention.id;
+    showMessage('info', intention.text);
+}
+
+/**
+ * Renders the intention list of the Lucid tab and the intention choices of the Record tab.
+ */
+function renderIntentions() {
+    const intentionsList = document.getElementById('intentions-list');
+    const tonightIntentionSelect = document.getElementById('tonight-intention-select');
+
+    if (tonightIntentionSelect) {
+        const selected = tonightIntentionSelect.value;
+        tonightIntentionSelect.innerHTML = '';
+        tonightIntentionSelect.appendChild(new Option(intentions.length > 0 ? 'Choose an intention...' : 'No intentions yet (add them in the Lucid tab)', ''));
+        intentions.forEach(intention => {
+            tonightIntentionSelect.appendChild(new Option(`${intention.kind === 'question' ? '? ' : ''}${intention.text}`, intention.id));
+        });
+        tonightIntentionSelect.value = intentions.some(intention => intention.id === selected) ? selected : '';
+    }
+
+    if (!intentionsList) return;
+    intentionsList.innerHTML = '';
+    if (intentions.length === 0) {
+        intentionsList.innerHTML = '<p class="text-gray-500 text-sm">No intentions yet. Add your own above, or start from the suggested ones.</p>';
+        return;
+    }
+    intentions.forEach(intention => {
+        const item = document.createElement('div');
+        item.classList.add('lucid-list-item');
+        if (intention.pendingSync) item.classList.add('pending-sync-item');
+        const text = document.createElement('span');
+        const kind = document.createElement('span');
+        kind.classList.add('intention-kind', 'mr-1');
+        kind.textContent = INTENTION_KINDS[intention.kind] || intention.kind;
+        text.appendChild(kind);
+        text.appendChild(document.createTextNode(intention.text));
+        const actions = document.createElement('span');
+        actions.classList.add('flex', 'gap-1', 'shrink-0');
+        const setButton = document.createElement('button');
+        setButton.classList.add('px-2', 'py-0.5', 'bg-purple-500', 'text-white', 'rounded-md', 'hover:bg-purple-600', 'text-xs');
+        setButton.textContent = 'Set for Tonight';
+        setButton.addEventListener('click', () => setIntentionForTonight(intention.id));
+        const deleteButton = document.createElement('button');
+        deleteButton.classList.add('px-2', 'py-0.5', 'bg-red-500', 'text-white', 'rounded-md', 'hover:bg-red-600', 'text-xs');
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteIntention(intention.id));
+        actions.appendChild(setButton);
+        actions.appendChild(deleteButton);
+        item.appendChild(text);
+        item.appendChild(actions);
+        intentionsList.appendChild(item);
+    });
+}
+
+/**
+ * Shows the intention set for tonight on the Record tab.
+ */
+function renderTonightIntention() {
+    const tonightIntentionStatus = document.getElementById('tonight-intention-status');
+    if (!tonightIntentionStatus) return;
+    const tonight = incubationNights.find(candidate => candidate.night === tonightKey());
+    tonightIntentionStatus.textContent = tonight
+        ? `Tonight's ${tonight.kind === 'question' ? 'question' : 'intention'}: "${tonight.intentionText}"`
+        : 'No intention set for tonight.';
+}
+
+// --- Incubation nights ---
+
+/**
+ * Returns the dreams linked to an incubation night.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ * @returns {Array<{dream: object, isDraft: boolean}>} The linked drafts and archived dreams.
+ */
+function linkedDreams(incubation) {
+    return [
+        ...incubatedDrafts.filter(dream => dream.incubationId === incubation.id).map(dream => ({ dream, isDraft: true })),
+        ...incubatedDreams.filter(dream => dream.incubationId === incubation.id).map(dream => ({ dream, isDraft: false }))
+    ];
+}
+
+/**
+ * Links the dreams of an incubation's night that are not linked to any incubation yet, e.g. dreams recorded
+ * before the intention was set.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ */
+async function linkNightDreams(incubation) {
+    const unlinked = [
+        ...incubatedDrafts.filter(dream => !dream.incubationId && dreamNightKey(dream) === incubation.night).map(dream => ({ dream, repository: draftsRepository })),
+        ...incubatedDreams.filter(dream => !dream.incubationId && dreamNightKey(dream) === incubation.night).map(dream => ({ dream, repository: archivedDreamsRepository }))
+    ];
+    if (unlinked.length === 0) {
+        showMessage('info', `No unlinked dreams recorded for the night of ${describeNight(incubation.night)}.`);
+        return;
+    }
+    showLoading();
+    try {
+        for (const { dream, repository } of unlinked) {
+            await repository.update(dream.id, { incubationId: incubation.id }, { description: `Incubation link of "${dream.dreamTitle || dream.dreamText.substring(0, 30)}"` });
+        }
+        showMessage('success', `${unlinked.length} ${unlinked.length === 1 ? 'dream' : 'dreams'} linked.`);
+        await loadIncubation();
+    } catch (error) {
+        console.error("Error linking dreams to incubation:", error);
+        showMessage('error', `Failed to link dreams: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Unlinks a dream from its incubation, e.g. a dream from a nap.
+ * @param {object} dream - The draft or archived dream.
+ * @param {boolean} isDraft - Whether the dream is a draft.
+ */
+async function unlinkDream(dream, isDraft) {
+    try {
+        const repository = isDraft ? draftsRepository : archivedDreamsRepository;
+        await repository.update(dream.id, { incubationId: '' }, { description: `Incubation link of "${dream.dreamTitle || dream.dreamText.substring(0, 30)}"` });
+        await loadIncubation();
+    } catch (error) {
+        console.error("Error unlinking dream from incubation:", error);
+        showMessage('error', `Failed to unlink the dream: ${error.message}`);
+    }
+}
+
+/**
+ * Saves the user's evaluation of an incubation night, keeping the AI's score.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ * @param {{verdict: ('yes'|'partly'|'no'|null), notes: string}} evaluation - The verdict and notes.
+ */
+async function saveEvaluation(incubation, { verdict, notes }) {
+    try {
+        await incubationNightsRepository.update(incubation.id, {
+            evaluation: { ...incubation.evaluation, verdict, notes, evaluatedAt: new Date() }
+        }, { description: `Evaluation of ${incubation.night}` });
+        showMessage('success', 'Evaluation saved.');
+    } catch (error) {
+        console.error("Error saving incubation evaluation:", error);
+        showMessage('error', `Failed to save the evaluation: ${error.message}`);
+    }
+}
+
+/**
+ * Builds the prompt that asks the AI whether a night's dreams addressed its intention.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ * @param {Array<object>} dreams - The linked dreams.
+ * @returns {string} The prompt.
+ */
+function buildScorePrompt(incubation, dreams) {
+    const dreamLines = dreams.map((dream, index) => {
+        const text = dream.dreamText.length > MAX_DREAM_CHARS ? `${dream.dreamText.substring(0, MAX_DREAM_CHARS)}...` : dream.dreamText;
+        return `Dream ${index + 1}${dream.dreamTitle ? ` ("${dream.dreamTitle}")` : ''}: ${text}`;
+    }).join('\n\n');
+    const target = incubation.kind === 'question'
+        ? `the question "${incubation.intentionText}". A dream addresses it if it answers the question or explores its subject.`
+        : `the intention "${incubation.intentionText}". A dream addresses it if it is about the intention's subject or fulfills it.`;
+
+    return `A person practicing dream incubation went to sleep with ${target}
+Judge whether the dreams of that night addressed it, directly or through clear symbolism. Do not stretch for far-fetched connections.
+Provide a JSON response with these keys:
+    "score": 0 (unrelated) to 10 (clearly and fully addressed).
+    "verdict": "yes", "partly" or "no".
+    "reasoning": one or two sentences on which parts of the dreams relate to it, or why none do.
+
+${dreamLines}`;
+}
+
+/**
+ * Lets the AI score how well the dreams of an incubation night addressed its intention and saves the score.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ */
+async function scoreIncubation(incubation) {
+    const dreams = linkedDreams(incubation).map(({ dream }) => dream);
+    if (dreams.length === 0) {
+        showMessage('info', 'No dreams are linked to this night yet.');
+        return;
+    }
+    showLoading();
+    try {
+        const result = await requestAnalysis(buildScorePrompt(incubation, dreams), INCUBATION_SCORE_SCHEMA);
+        const score = JSON.parse(result && result.text ? result.text : '{}');
+        if (!INCUBATION_VERDICTS[score.verdict]) throw new Error('The AI returned no verdict.');
+        await incubationNightsRepository.update(incubation.id, {
+            evaluation: {
+                ...incubation.evaluation,
+                aiVerdict: score.verdict,
+                aiScore: Number.isFinite(score.score) ? Math.min(10, Math.max(0, Math.round(score.score))) : null,
+                aiReasoning: score.reasoning || '',
+                aiModel: result.model || null,
+                evaluatedAt: new Date()
+            }
+        }, { description: `AI score of ${incubation.night}` });
+        showMessage('success', 'The AI scored the night.');
+    } catch (error) {
+        console.error("Error scoring incubation:", error);
+        showMessage('error', `Failed to score the night: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Deletes an incubation night and unlinks its dreams.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ */
+async function deleteIncubationNight(incubation) {
+    try {
+        for (const { dream, isDraft } of linkedDreams(incubation)) {
+            const repository = isDraft ? draftsRepository : archivedDreamsRepository;
+            await repository.update(dream.id, { incubationId: '' }, { description: `Incubation link of "${dream.dreamTitle || dream.dreamText.substring(0, 30)}"` });
+        }
+        await incubationNightsRepository.remove(incubation.id);
+        await loadIncubation();
+    } catch (error) {
+        console.error("Error deleting incubation night:", error);
+        showMessage('error', `Failed to delete the night: ${error.message}`);
+    }
+}
+
+/**
+ * Creates the card of one incubation night: its intention, the linked dreams and the evaluation form.
+ * @param {import('./dreams-data-service.js').IncubationNight} incubation - The incubation night.
+ * @returns {HTMLElement} The card.
+ */
+function createIncubationCard(incubation) {
+    const dreams = linkedDreams(incubation);
+    const verdict = effectiveVerdict(incubation);
+    const { evaluation } = incubation;
+
+    const card = document.createElement('div');
+    card.classList.add('lucid-plan-card');
+    card.innerHTML = `
+        <div class="flex flex-wrap justify-between items-center gap-2">
+            <h4 class="font-semibold text-purple-700"></h4>
+            <span class="text-sm text-gray-600"></span>
+        </div>
+        <p class="incubation-intention-text text-sm text-gray-700 my-2"></p>
+        <div class="incubation-dreams space-y-1 mb-2"></div>
+    `;
+    card.querySelector('h4').textContent = describeNight(incubation.night);
+    card.querySelector('h4 + span').textContent = verdict
+        ? `${INCUBATION_VERDICTS[verdict].label}${evaluation.verdict ? '' : ' (AI)'}`
+        : 'Not evaluated';
+    card.querySelector('.incubation-intention-text').textContent = `${INTENTION_KINDS[incubation.kind] || 'Intention'}: ${incubation.intentionText}`;
+
+    const dreamsContainer = card.querySelector('.incubation-dreams');
+    if (dreams.length === 0) {
+        dreamsContainer.innerHTML = '<p class="text-xs text-gray-500">No dreams linked yet.</p>';
+    }
+    dreams.forEach(({ dream, isDraft }) => {
+        const item = document.createElement('div');
+        item.classList.add('lucid-list-item');
+        const text = document.createElement('span');
+        text.classList.add('text-xs');
+        text.textContent = `${dream.dreamTitle || 'Untitled Dream'}${isDraft ? ' (draft)' : ''}: ${dream.dreamText.substring(0, 80)}${dream.dreamText.length > 80 ? '...' : ''}`;
+        const unlinkButton = document.createElement('button');
+        unlinkButton.classList.add('px-2', 'py-0.5', 'bg-gray-500', 'text-white', 'rounded-md', 'hover:bg-gray-600', 'text-xs');
+        unlinkButton.textContent = 'Unlink';
+        unlinkButton.addEventListener('click', () => unlinkDream(dream, isDraft));
+        item.appendChild(text);
+        item.appendChild(unlinkButton);
+        dreamsContainer.appendChild(item);
+    });
+
+    if (evaluation.aiVerdict) {
+        const aiScore = document.createElement('p');
+        aiScore.classList.add('text-xs', 'text-gray-600', 'mb-2');
+        aiScore.textContent = `AI score ${evaluation.aiScore ?? '?'}/10 (${INCUBATION_VERDICTS[evaluation.aiVerdict].label.toLowerCase()})${evaluation.aiModel ? ` by ${evaluation.aiModel}` : ''}: ${evaluation.aiReasoning}`;
+        card.appendChild(aiScore);
+    }
+
+    const form = document.createElement('div');
+    form.classList.add('flex', 'flex-wrap', 'items-center', 'gap-2', 'text-sm');
+    const verdictButtons = Object.entries(INCUBATION_VERDICTS).map(([key, { label }]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('metadata-option');
+        button.textContent = label;
+        button.dataset.verdict = key;
+        form.appendChild(button);
+        return button;
+    });
+    let selectedVerdict = evaluation.verdict;
+    const renderVerdict = () => verdictButtons.forEach(button => {
+        button.classList.toggle('selected', button.dataset.verdict === selectedVerdict);
+        button.setAttribute('aria-pressed', String(button.dataset.verdict === selectedVerdict));
+    });
+    verdictButtons.forEach(button => button.addEventListener('click', () => {
+        selectedVerdict = selectedVerdict === button.dataset.verdict ? null : button.dataset.verdict;
+        renderVerdict();
+    }));
+    renderVerdict();
+    const notesInput = document.createElement('input');
+    notesInput.type = 'text';
+    notesInput.classList.add('flex-grow', 'rounded-md', 'border-gray-300', 'shadow-sm', 'text-sm');
+    notesInput.placeholder = 'Notes (optional)';
+    notesInput.value = evaluation.notes;
+    form.appendChild(notesInput);
+    card.appendChild(form);
+
+    const actions = document.createElement('div');
+    actions.classList.add('flex', 'flex-wrap', 'gap-2', 'mt-2');
+    const addAction = (label, colorClasses, onClick) => {
+        const button = document.createElement('button');
+        button.classList.add('px-3', 'py-1', ...colorClasses, 'text-white', 'rounded-md', 'text-sm');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    };
+    addAction('Save Evaluation', ['bg-purple-500', 'hover:bg-purple-600'], () => saveEvaluation(incubation, { verdict: selectedVerdict, notes: notesInput.value.trim() }));
+    addAction('Score with AI', ['bg-indigo-500', 'hover:bg-indigo-600'], () => scoreIncubation(incubation));
+    addAction('Link Dreams of This Night', ['bg-blue-500', 'hover:bg-blue-600'], () => linkNightDreams(incubation));
+    addAction('Delete', ['bg-red-500', 'hover:bg-red-600'], () => deleteIncubationNight(incubation));
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Renders the latest incubation nights in the Lucid tab.
+ */
+function renderIncubationNights() {
+    const incubationNightsList = document.getElementById('incubation-nights-list');
+    if (!incubationNightsList) return;
+
+    incubationNightsList.innerHTML = '';
+    if (incubationNights.length === 0) {
+        incubationNightsList.innerHTML = '<p class="text-gray-500 text-sm">No intentions set yet. Set one for tonight from your list above or on the Record tab.</p>';
+        return;
+    }
+    incubationNights.slice(0, SHOWN_NIGHTS).forEach(incubation => incubationNightsList.appendChild(createIncubationCard(incubation)));
+}
+
+/**
+ * Loads the drafts and archived dreams and refreshes the incubation part of the Lucid tab.
+ */
+export async function loadIncubation() {
+    renderIntentions();
+    if (!userId || !isAuthReady) return;
+    try {
+        [incubatedDrafts, incubatedDreams] = await Promise.all([draftsRepository.list(), archivedDreamsRepository.list()]);
+    } catch (error) {
+        console.error("Error loading incubated dreams:", error);
+        showMessage('error', `Failed to load the dreams of your incubation nights: ${error.message}`);
+    }
+    renderIncubationNights();
+}
+
+/**
+ * Starts watching the intentions and the incubation nights.
+ */
+function watchIncubation() {
+    if (unsubscribeIntentions) unsubscribeIntentions();
+    if (unsubscribeIncubationNights) unsubscribeIncubationNights();
+    const onError = (error) => {
+        console.error("Error loading dream incubation:", error);
+        showMessage('error', `Failed to load dream incubation: ${error.message}`);
+    };
+    unsubscribeIntentions = incubationIntentionsRepository.subscribe({ orderBy: 'timestamp' }, (records) => {
+        intentions = records;
+        renderIntentions();
+    }, onError);
+    unsubscribeIncubationNights = incubationNightsRepository.subscribe({ orderBy: 'night', direction: 'desc' }, (records) => {
+        incubationNights = records;
+        renderTonightIntention();
+        renderIncubationNights();
+    }, onError);
+}
+
+/**
+ * Initializes event listeners for dream incubation on the Record and Lucid tabs.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeIncubationModule() {
+    const setTonightIntentionButton = document.getElementById('set-tonight-intention-button');
+    const tonightIntentionSelect = document.getElementById('tonight-intention-select');
+    const newIntentionInput = document.getElementById('new-intention-input');
+    const newIntentionKind = document.getElementById('new-intention-kind');
+    const addIntentionButton = document.getElementById('add-intention-button');
+    const addSuggestedIntentionsButton = document.getElementById('add-suggested-intentions-button');
+
+    if (setTonightIntentionButton) {
+        setTonightIntentionButton.addEventListener('click', () => {
+            setIntentionForTonight(tonightIntentionSelect ? tonightIntentionSelect.value : '');
+        });
+    }
+    if (newIntentionKind) {
+        newIntentionKind.innerHTML = '';
+        Object.entries(INTENTION_KINDS).forEach(([kind, label]) => newIntentionKind.appendChild(new Option(label, kind)));
+    }
+    if (addIntentionButton) {
+        addIntentionButton.addEventListener('click', async () => {
+            await addIntention(newIntentionInput ? newIntentionInput.value.trim() : '', newIntentionKind ? newIntentionKind.value : 'intention');
+            if (newIntentionInput) newIntentionInput.value = '';
+        });
+    }
+    if (addSuggestedIntentionsButton) addSuggestedIntentionsButton.addEventListener('click', addSuggestedIntentions);
+
+    if (!userId || !isAuthReady) return;
+    watchIncubation();
+}
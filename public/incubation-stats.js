@@ -0,0 +1,85 @@
+// incubation-stats.js
+
+// Statistics for dream incubation: how often the dreams of a night addressed the intention set for it,
+// overall, per month and per intention. A night counts once it has a verdict, the user's or else the AI's;
+// 'yes' counts as a success, 'partly' as half a success. Pure logic: no Firestore, no DOM.
+
+/** Verdicts of an incubation evaluation, with their labels and how much of a success they are. */
+export const INCUBATION_VERDICTS = {
+    yes: { label: 'Addressed', score: 1 },
+    partly: { label: 'Partly', score: 0.5 },
+    no: { label: 'Not addressed', score: 0 }
+};
+
+/**
+ * Returns the verdict a night counts with: the user's, or else the AI's.
+ * @param {import('./dreams-data-service.js').IncubationNight} night - The incubation night.
+ * @returns {'yes'|'partly'|'no'|null} The verdict, null if the night was not evaluated.
+ */
+export function effectiveVerdict(night) {
+    const verdict = night.evaluation.verdict || night.evaluation.aiVerdict;
+    return INCUBATION_VERDICTS[verdict] ? verdict : null;
+}
+
+/**
+ * Summarizes the success of a set of incubation nights.
+ * @param {Array<import('./dreams-data-service.js').IncubationNight>} nights - The incubation nights.
+ * @returns {{nights: number, evaluated: number, yes: number, partly: number, no: number, rate: number}} The counts per
+ *     verdict and the success rate of the evaluated nights (0 if none were evaluated).
+ */
+export function summarizeIncubations(nights) {
+    const summary = { nights: nights.length, evaluated: 0, yes: 0, partly: 0, no: 0, rate: 0 };
+    let score = 0;
+    nights.forEach(night => {
+        const verdict = effectiveVerdict(night);
+        if (!verdict) return;
+        summary.evaluated++;
+        summary[verdict]++;
+        score += INCUBATION_VERDICTS[verdict].score;
+    });
+    summary.rate = summary.evaluated > 0 ? score / summary.evaluated : 0;
+    return summary;
+}
+
+/**
+ * Computes the incubation success per month, to show how it develops over time.
+ * @param {Array<import('./dreams-data-service.js').IncubationNight>} nights - The incubation nights.
+ * @returns {Array<{month: string, nights: number, evaluated: number, rate: number}>} One entry per month with
+ *     incubation nights, as 'YYYY-MM', oldest first.
+ */
+export function incubationSuccessByMonth(nights) {
+    const nightsByMonth = new Map();
+    nights.filter(night => night.night).forEach(night => {
+        const month = night.night.substring(0, 7);
+        if (!nightsByMonth.has(month)) nightsByMonth.set(month, []);
+        nightsByMonth.get(month).push(night);
+    });
+    return [...nightsByMonth.entries()]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([month, monthNights]) => {
+            const { nights: count, evaluated, rate } = summarizeIncubations(monthNights);
+            return { month, nights: count, evaluated, rate };
+        });
+}
+
+/**
+ * Computes the incubation success per intention. Nights are grouped by intention text, so an intention
+ * that was deleted and added again counts as one.
+ * @param {Array<import('./dreams-data-service.js').IncubationNight>} nights - The incubation nights.
+ * @returns {Array<{text: string, nights: number, evaluated: number, rate: number}>} One entry per intention,
+ *     highest rate first; intentions without evaluated nights last.
+ */
+export function incubationSuccessByIntention(nights) {
+    const nightsByText = new Map();
+    nights.forEach(night => {
+        const key = night.intentionText.trim().toLowerCase();
+        if (!nightsByText.has(key)) nightsByText.set(key, { text: night.intentionText.trim(), nights: [] });
+        nightsByText.get(key).nights.push(night);
+    });
+    return [...nightsByText.values()]
+        .map(({ text, nights: intentionNights }) => {
+            const { nights: count, evaluated, rate } = summarizeIncubations(intentionNights);
+            return { text, nights: count, evaluated, rate };
+        })
+        .sort((a, b) => (b.evaluated > 0) - (a.evaluated > 0) || b.rate - a.rate || b.nights - a.nights);
+}
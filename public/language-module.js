@@ -0,0 +1,156 @@
+// language-module.js
+
+// The user's language. It is set in the Settings tab and can be overridden per dream (on the Record tab, in
+// the draft editor and in the dream details), and drives the speech recognizer's locale, the language the AI
+// writes analyses in, the stop words of Top Insights (see stop-words.js) and the UI strings (see i18n.js).
+// The setting is stored as a 'language' record in the settings collection; until one is saved, the browser's
+// language is used if it is supported, English otherwise. A dream's `language` is '' while it follows the setting.
+
+import { userId, isAuthReady } from './firebase-init.js';
+import { settingsRepository } from './dreams-data-service.js';
+import { LANGUAGES, normalizeLanguage, isSupportedLanguage, translate } from './i18n.js';
+
+const SETTINGS_KIND = 'language';
+
+// Internal state variables for the language
+let language = normalizeLanguage(typeof navigator !== 'undefined' ? navigator.language : '');
+let settingsRecordId = null; // The stored setting, null while the browser's language is in use
+let unsubscribeLanguage = null;
+const languageListeners = new Set();
+
+/**
+ * Returns the user's language.
+ * @returns {string} The language code, e.g. 'de'.
+ */
+export function getLanguage() {
+    return language;
+}
+
+/**
+ * Returns the language of a dream: its own, or the user's if it follows the setting.
+ * @param {{language: (string|undefined)}|null} record - The draft or archived dream, null for the user's language.
+ * @returns {string} The language code.
+ */
+export function dreamLanguage(record) {
+    return record && isSupportedLanguage(record.language) ? record.language : language;
+}
+
+/**
+ * Looks up a UI string in the user's language.
+ * @param {string} key - The string key (see i18n.js).
+ * @param {object} [params={}] - Values for the string's placeholders.
+ * @returns {string} The string.
+ */
+export function t(key, params = {}) {
+    return translate(language, key, params);
+}
+
+/**
+ * Registers a listener that is called whenever the user's language changes.
+ * @param {function(string): void} listener - Receives the language code.
+ * @returns {function(): void} Unregisters the listener.
+ */
+export function onLanguageChange(listener) {
+    languageListeners.add(listener);
+    return () => languageListeners.delete(listener);
+}
+
+/**
+ * Replaces the user's language, translates the page and notifies the listeners.
+ * @param {string} newLanguage - The language code.
+ */
+function setLanguage(newLanguage) {
+    language = newLanguage;
+    applyTranslations();
+    languageListeners.forEach(listener => listener(language));
+}
+
+/**
+ * Places the UI strings of the user's language in the page: the text of elements with a `data-i18n` key and
+ * the placeholder of those with a `data-i18n-placeholder` key.
+ * @param {ParentNode} [root=document] - Where to translate.
+ */
+export function applyTranslations(root = document) {
+    if (root === document) document.documentElement.lang = language;
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
+
+/**
+ * Subscribes to the stored language of the signed-in user. Safe to call again after signing in.
+ */
+export function watchLanguageSetting() {
+    if (unsubscribeLanguage) unsubscribeLanguage();
+    unsubscribeLanguage = settingsRepository.subscribe({ where: [{ field: 'kind', value: SETTINGS_KIND }] }, (records) => {
+        const record = records[0];
+        settingsRecordId = record ? record.id : null;
+        if (record && isSupportedLanguage(record.language) && record.language !== language) setLanguage(record.language);
+    }, (error) => {
+        console.error("Error loading language setting:", error);
+    });
+}
+
+/**
+ * Saves the user's language.
+ * @param {string} newLanguage - The language code.
+ * @returns {Promise<void>}
+ * @throws {Error} If the language is not supported.
+ */
+export async function saveLanguageSetting(newLanguage) {
+    if (!isSupportedLanguage(newLanguage)) throw new Error(`"${newLanguage}" is not a supported language.`);
+    if (settingsRecordId) {
+        await settingsRepository.update(settingsRecordId, { language: newLanguage }, { description: 'Update language' });
+    } else {
+        const { id } = await settingsRepository.add({ kind: SETTINGS_KIND, language: newLanguage }, { description: 'Save language' });
+        settingsRecordId = id;
+    }
+    if (newLanguage !== language) setLanguage(newLanguage);
+}
+
+/**
+ * Fills a select with the supported languages, each in its own name, keeping its selection.
+ * @param {HTMLSelectElement} select - The select.
+ * @param {boolean} [withDefault=false] - Whether to offer '' for following the user's language.
+ */
+export function renderLanguageOptions(select, withDefault = false) {
+    const selected = select.value;
+    select.innerHTML = '';
+    if (withDefault) select.appendChild(new Option(t('language.default', { language: LANGUAGES[language].name }), ''));
+    Object.entries(LANGUAGES).forEach(([code, { name }]) => select.appendChild(new Option(name, code)));
+    select.value = selected;
+    if (select.selectedIndex === -1) select.value = withDefault ? '' : language;
+}
+
+/**
+ * Turns a select into the language choice of a dream: the user's language (the default) or one of its own.
+ * The default option names the user's language and follows changes of the setting.
+ * @param {HTMLSelectElement} select - The select.
+ * @param {{onChange: (function(string): void|undefined)}} [options] - A listener called with the chosen
+ *     language ('' for the default) whenever the user changes it.
+ * @returns {{getLanguage: function(): string, setLanguage: function(string): void}} The choice.
+ */
+export function createLanguageSelect(select, { onChange = null } = {}) {
+    renderLanguageOptions(select, true);
+    onLanguageChange(() => renderLanguageOptions(select, true));
+    if (onChange) select.addEventListener('change', () => onChange(select.value));
+    return {
+        getLanguage: () => select.value,
+        setLanguage: (newLanguage) => {
+            select.value = isSupportedLanguage(newLanguage) ? newLanguage : '';
+        }
+    };
+}
+
+/**
+ * Translates the page and starts watching the stored language.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeLanguageModule() {
+    applyTranslations();
+    if (!userId || !isAuthReady) return;
+    watchLanguageSetting();
+}
@@ -0,0 +1,452 @@
+// lucid-module.js
+
+// Lucid-dreaming training (the Lucid tab): reality checks logged during the day, technique plans
+// (MILD, WBTB, SSILD) with a check-in for each night, and personal dream signs detected from the analyses
+// of archived dreams. The success rate per technique and per reality-check frequency is charted in the
+// Stats tab (stats-module.js); the calculations are in lucid-stats.js.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import {
+    realityChecksRepository, lucidPlansRepository, lucidCheckInsRepository, archivedDreamsRepository, daysBetween
+} from './dreams-data-service.js';
+import { getAnalysisCategories } from './analysis-schema.js';
+import { detectDreamSigns } from './lucid-stats.js';
+import { dayKey, nightKey, dateFromDayKey, describeNight } from './nights.js';
+
+/** Ways to check reality, with their labels. */
+export const REALITY_CHECK_METHODS = {
+    nose: 'Nose pinch',
+    hands: 'Look at hands',
+    text: 'Read text twice',
+    clock: 'Check a clock',
+    lightSwitch: 'Flip a light switch',
+    other: 'Other'
+};
+
+/** Lucid-dreaming techniques a plan can practice, with short instructions. */
+export const LUCID_TECHNIQUES = {
+    MILD: {
+        name: 'MILD',
+        fullName: 'Mnemonic Induction of Lucid Dreams',
+        instructions: 'When you wake from a dream, recall it in detail. Then, while falling asleep again, repeat "Next time I am dreaming, I will remember that I am dreaming" and picture yourself back in the dream, noticing a dream sign and becoming lucid.'
+    },
+    WBTB: {
+        name: 'WBTB',
+        fullName: 'Wake Back to Bed',
+        instructions: 'Set an alarm for about 5 hours after falling asleep. Stay up for 20–60 minutes, reading about lucid dreaming or reviewing your dream signs, then go back to sleep with the intention of becoming lucid.'
+    },
+    SSILD: {
+        name: 'SSILD',
+        fullName: 'Senses Initiated Lucid Dream',
+        instructions: 'After waking up around 5 hours into the night, cycle your attention through sight (the darkness behind closed eyes), hearing and body sensations, a few seconds each. Do 4–6 short cycles, then a few slow ones, and fall asleep without forcing it.'
+    }
+};
+
+const DEFAULT_PLAN_NIGHTS = 14;
+const SHOWN_REALITY_CHECKS = 10; // Reality checks listed in the Lucid tab
+
+// Internal state variables for lucid-dreaming training
+let realityChecks = []; // All reality checks, newest first
+let lucidPlans = []; // All technique plans, newest first
+let checkIns = []; // All nightly check-ins
+let unsubscribeRealityChecks = null;
+let unsubscribeLucidPlans = null;
+let unsubscribeCheckIns = null;
+
+// --- Reality checks ---
+
+/**
+ * Logs a reality check done now.
+ * @param {string} method - One of REALITY_CHECK_METHODS.
+ * @param {string} [note=''] - What prompted the check or what was noticed.
+ */
+export async function logRealityCheck(method, note = '') {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to log reality checks.');
+        return;
+    }
+    try {
+        // Saved to the local outbox when offline and synced later
+        const { queued } = await realityChecksRepository.add({ method, note }, {
+            description: `Reality check (${REALITY_CHECK_METHODS[method] || method})`
+        });
+        if (queued) showMessage('info', 'You are offline. Reality check saved on this device and will sync later.');
+    } catch (error) {
+        console.error("Error logging reality check:", error);
+        showMessage('error', `Failed to log reality check: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes a reality check, e.g. one logged by mistake.
+ * @param {string} realityCheckId - The reality check ID.
+ */
+async function deleteRealityCheck(realityCheckId) {
+    try {
+        await realityChecksRepository.remove(realityCheckId);
+    } catch (error) {
+        console.error("Error deleting reality check:", error);
+        showMessage('error', `Failed to delete reality check: ${error.message}`);
+    }
+}
+
+/**
+ * Renders today's reality-check count and the latest reality checks.
+ */
+function renderRealityChecks() {
+    const realityCheckTodayCount = document.getElementById('reality-check-today-count');
+    const realityCheckList = document.getElementById('reality-check-list');
+
+    const today = dayKey(new Date());
+    const todayCount = realityChecks.filter(realityCheck => realityCheck.timestamp && dayKey(realityCheck.timestamp) === today).length;
+    if (realityCheckTodayCount) realityCheckTodayCount.textContent = `${todayCount} ${todayCount === 1 ? 'reality check' : 'reality checks'} today`;
+    if (!realityCheckList) return;
+
+    realityCheckList.innerHTML = '';
+    if (realityChecks.length === 0) {
+        realityCheckList.innerHTML = '<p class="text-gray-500 text-sm">No reality checks logged yet.</p>';
+        return;
+    }
+    realityChecks.slice(0, SHOWN_REALITY_CHECKS).forEach(realityCheck => {
+        const item = document.createElement('div');
+        item.classList.add('lucid-list-item');
+        if (realityCheck.pendingSync) item.classList.add('pending-sync-item');
+        const text = document.createElement('span');
+        const time = realityCheck.timestamp ? realityCheck.timestamp.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : 'N/A';
+        text.textContent = `${time} · ${REALITY_CHECK_METHODS[realityCheck.method] || realityCheck.method}${realityCheck.note ? ` · ${realityCheck.note}` : ''}`;
+        const deleteButton = document.createElement('button');
+        deleteButton.classList.add('px-2', 'py-0.5', 'bg-red-500', 'text-white', 'rounded-md', 'hover:bg-red-600', 'text-xs');
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => deleteRealityCheck(realityCheck.id));
+        item.appendChild(text);
+        item.appendChild(deleteButton);
+        realityCheckList.appendChild(item);
+    });
+}
+
+// --- Technique plans and nightly check-ins ---
+
+/**
+ * Starts a technique plan; its first night is tonight.
+ * @param {string} technique - One of LUCID_TECHNIQUES.
+ * @param {number} nights - How many nights the plan runs.
+ */
+export async function startLucidPlan(technique, nights) {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to start a technique plan.');
+        return;
+    }
+    if (!LUCID_TECHNIQUES[technique]) {
+        showMessage('error', 'Please choose a technique.');
+        return;
+    }
+    showLoading();
+    try {
+        await lucidPlansRepository.add({
+            technique,
+            startNight: dayKey(new Date()),
+            nights: Number.isInteger(nights) && nights > 0 ? nights : DEFAULT_PLAN_NIGHTS,
+            status: 'active',
+            notes: ''
+        }, { description: `${technique} plan` });
+        showMessage('success', `${technique} plan started. Check in each morning to record how the night went.`);
+    } catch (error) {
+        console.error("Error starting technique plan:", error);
+        showMessage('error', `Failed to start the plan: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Ends a technique plan early or after its last night. Its check-ins are kept.
+ * @param {import('./dreams-data-service.js').LucidPlan} plan - The plan.
+ */
+async function endLucidPlan(plan) {
+    try {
+        await lucidPlansRepository.update(plan.id, { status: 'ended' }, { description: `End of ${plan.technique} plan` });
+    } catch (error) {
+        console.error("Error ending technique plan:", error);
+        showMessage('error', `Failed to end the plan: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes a technique plan. Its check-ins are kept, so the statistics still count them.
+ * @param {import('./dreams-data-service.js').LucidPlan} plan - The plan.
+ */
+async function deleteLucidPlan(plan) {
+    try {
+        await lucidPlansRepository.remove(plan.id);
+        showMessage('success', `${plan.technique} plan deleted. Its check-ins still count in the statistics.`);
+    } catch (error) {
+        console.error("Error deleting technique plan:", error);
+        showMessage('error', `Failed to delete the plan: ${error.message}`);
+    }
+}
+
+/**
+ * Saves the check-in of one night of a plan, replacing an earlier check-in of the same night.
+ * @param {import('./dreams-data-service.js').LucidPlan} plan - The plan.
+ * @param {string} night - The night's day key.
+ * @param {{practiced: boolean, becameLucid: boolean, notes: string}} checkIn - How the night went.
+ */
+export async function saveCheckIn(plan, night, { practiced, becameLucid, notes }) {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to check in.');
+        return;
+    }
+    if (!dateFromDayKey(night)) {
+        showMessage('info', 'Please choose the night you are checking in for.');
+        return;
+    }
+    showLoading();
+    try {
+        const existing = checkIns.find(candidate => candidate.planId === plan.id && candidate.night === night);
+        const data = { planId: plan.id, technique: plan.technique, night, practiced, becameLucid, notes };
+        if (existing) {
+            await lucidCheckInsRepository.update(existing.id, data, { stampTimestamp: true, description: `${plan.technique} check-in` });
+        } else {
+            await lucidCheckInsRepository.add(data, { description: `${plan.technique} check-in` });
+        }
+        showMessage('success', becameLucid ? 'Check-in saved. Congratulations on the lucid dream!' : 'Check-in saved.');
+    } catch (error) {
+        console.error("Error saving check-in:", error);
+        showMessage('error', `Failed to save the check-in: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Creates the card of one technique plan: its progress, instructions and, while it is active, the check-in form.
+ * @param {import('./dreams-data-service.js').LucidPlan} plan - The plan.
+ * @returns {HTMLElement} The card.
+ */
+function createPlanCard(plan) {
+    const technique = LUCID_TECHNIQUES[plan.technique] || { name: plan.technique, fullName: plan.technique, instructions: '' };
+    const planCheckIns = checkIns.filter(checkIn => checkIn.planId === plan.id);
+    const practicedCount = planCheckIns.filter(checkIn => checkIn.practiced).length;
+    const lucidCount = planCheckIns.filter(checkIn => checkIn.becameLucid).length;
+    const lastNight = nightKey(new Date());
+    const nightNumber = (daysBetween(dateFromDayKey(plan.startNight), dateFromDayKey(lastNight)) ?? -1) + 1;
+    const isActive = plan.status === 'active';
+
+    const card = document.createElement('div');
+    card.classList.add('lucid-plan-card');
+    if (!isActive) card.classList.add('lucid-plan-ended');
+    const progress = isActive
+        ? (nightNumber < 1 ? 'Starts tonight' : nightNumber > plan.nights ? `All ${plan.nights} nights done` : `Night ${nightNumber} of ${plan.nights}`)
+        : 'Ended';
+    card.innerHTML = `
+        <div class="flex flex-wrap justify-between items-center gap-2">
+            <h4 class="font-semibold text-purple-700">${technique.name} <span class="text-sm font-normal text-gray-600">${technique.fullName}</span></h4>
+            <span class="text-sm text-gray-600">${progress} · ${planCheckIns.length} check-ins · practiced ${practicedCount} · lucid ${lucidCount}</span>
+        </div>
+        <p class="text-sm text-gray-700 my-2">${technique.instructions}</p>
+    `;
+
+    if (isActive) {
+        const form = document.createElement('div');
+        form.classList.add('flex', 'flex-wrap', 'items-center', 'gap-3', 'text-sm', 'mb-2');
+        form.innerHTML = `
+            <label class="text-gray-700">Night of <input type="date" class="check-in-night rounded-md border-gray-300 shadow-sm text-sm"></label>
+            <label class="flex items-center gap-1"><input type="checkbox" class="check-in-practiced form-checkbox text-purple-600"> Practiced</label>
+            <label class="flex items-center gap-1"><input type="checkbox" class="check-in-lucid form-checkbox text-purple-600"> Became lucid</label>
+            <input type="text" class="check-in-notes flex-grow rounded-md border-gray-300 shadow-sm text-sm" placeholder="Notes (optional)">
+            <button class="save-check-in-button px-3 py-1 bg-purple-500 text-white rounded-md hover:bg-purple-600 text-sm">Save Check-in</button>
+        `;
+        const nightInput = form.querySelector('.check-in-night');
+        const practicedInput = form.querySelector('.check-in-practiced');
+        const lucidInput = form.querySelector('.check-in-lucid');
+        const notesInput = form.querySelector('.check-in-notes');
+        // Fills the form with the night's check-in if there is one, so re-saving corrects it
+        const showNight = () => {
+            const existing = planCheckIns.find(checkIn => checkIn.night === nightInput.value);
+            practicedInput.checked = existing ? existing.practiced : true;
+            lucidInput.checked = existing ? existing.becameLucid : false;
+            notesInput.value = existing ? existing.notes : '';
+        };
+        nightInput.value = lastNight;
+        nightInput.max = dayKey(new Date());
+        nightInput.min = plan.startNight;
+        nightInput.addEventListener('change', showNight);
+        showNight();
+        form.querySelector('.save-check-in-button').addEventListener('click', () => {
+            saveCheckIn(plan, nightInput.value, { practiced: practicedInput.checked, becameLucid: lucidInput.checked, notes: notesInput.value.trim() });
+        });
+        card.appendChild(form);
+    }
+
+    if (planCheckIns.length > 0) {
+        const history = document.createElement('p');
+        history.classList.add('text-xs', 'text-gray-600');
+        history.textContent = [...planCheckIns]
+            .sort((a, b) => a.night.localeCompare(b.night))
+            .map(checkIn => `${describeNight(checkIn.night)}: ${checkIn.becameLucid ? 'lucid' : checkIn.practiced ? 'practiced' : 'skipped'}`)
+            .join(' · ');
+        card.appendChild(history);
+    }
+
+    const actions = document.createElement('div');
+    actions.classList.add('flex', 'gap-2', 'mt-2');
+    if (isActive) {
+        const endButton = document.createElement('button');
+        endButton.classList.add('px-3', 'py-1', 'bg-gray-500', 'text-white', 'rounded-md', 'hover:bg-gray-600', 'text-sm');
+        endButton.textContent = 'End Plan';
+        endButton.addEventListener('click', () => endLucidPlan(plan));
+        actions.appendChild(endButton);
+    }
+    const deleteButton = document.createElement('button');
+    deleteButton.classList.add('px-3', 'py-1', 'bg-red-500', 'text-white', 'rounded-md', 'hover:bg-red-600', 'text-sm');
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => deleteLucidPlan(plan));
+    actions.appendChild(deleteButton);
+    card.appendChild(actions);
+    return card;
+}
+
+/**
+ * Renders the technique plans, active ones first.
+ */
+function renderLucidPlans() {
+    const lucidPlansList = document.getElementById('lucid-plans-list');
+    if (!lucidPlansList) return;
+
+    lucidPlansList.innerHTML = '';
+    if (lucidPlans.length === 0) {
+        lucidPlansList.innerHTML = '<p class="text-gray-500 text-sm">No technique plans yet. Choose a technique above to start one.</p>';
+        return;
+    }
+    [...lucidPlans]
+        .sort((a, b) => (a.status === 'active' ? 0 : 1) - (b.status === 'active' ? 0 : 1))
+        .forEach(plan => lucidPlansList.appendChild(createPlanCard(plan)));
+}
+
+/**
+ * Shows the instructions of the technique chosen for a new plan.
+ */
+function renderTechniqueDescription() {
+    const lucidTechniqueSelect = document.getElementById('lucid-technique-select');
+    const lucidTechniqueDescription = document.getElementById('lucid-technique-description');
+    if (!lucidTechniqueSelect || !lucidTechniqueDescription) return;
+    const technique = LUCID_TECHNIQUES[lucidTechniqueSelect.value];
+    lucidTechniqueDescription.textContent = technique ? `${technique.fullName}: ${technique.instructions}` : '';
+}
+
+// --- Dream signs ---
+
+/**
+ * Detects personal dream signs in the archived dreams and lists them in the Lucid tab.
+ */
+export async function loadDreamSigns() {
+    const dreamSignsList = document.getElementById('dream-signs-list');
+    if (!dreamSignsList) return;
+    if (!userId || !isAuthReady) {
+        dreamSignsList.innerHTML = '<p class="text-gray-500 text-sm">Please sign in to see your dream signs.</p>';
+        return;
+    }
+
+    dreamSignsList.innerHTML = '<p class="text-gray-500 text-sm">Looking for dream signs...</p>';
+    try {
+        const dreams = await archivedDreamsRepository.list();
+        const signs = detectDreamSigns(dreams, getAnalysisCategories({ includeDisabled: true }));
+        dreamSignsList.innerHTML = '';
+        if (signs.length === 0) {
+            dreamSignsList.innerHTML = '<p class="text-gray-500 text-sm">No dream signs yet. An element becomes a dream sign once it recurs in the analyses of at least three dreams.</p>';
+            return;
+        }
+        signs.forEach(sign => {
+            const item = document.createElement('div');
+            item.classList.add('lucid-list-item');
+            const term = document.createElement('span');
+            term.innerHTML = `<strong class="text-purple-700"></strong> <span class="text-xs text-gray-500"></span>`;
+            term.querySelector('strong').textContent = sign.term;
+            term.querySelector('span').textContent = sign.categoryName;
+            const counts = document.createElement('span');
+            counts.classList.add('text-xs', 'text-gray-600');
+            counts.textContent = `in ${sign.dreamCount} dreams (${Math.round(sign.share * 100)}%)${sign.lucidCount > 0 ? ` · lucid in ${sign.lucidCount}` : ''}`;
+            item.appendChild(term);
+            item.appendChild(counts);
+            dreamSignsList.appendChild(item);
+        });
+    } catch (error) {
+        console.error("Error detecting dream signs:", error);
+        dreamSignsList.innerHTML = '<p class="text-red-500 text-sm">Failed to load dream signs.</p>';
+    }
+}
+
+/**
+ * Refreshes the Lucid tab when it is shown: the lists, and the dream signs from the current archive.
+ */
+export function loadLucidTraining() {
+    renderRealityChecks();
+    renderLucidPlans();
+    renderTechniqueDescription();
+    loadDreamSigns();
+}
+
+/**
+ * Starts watching the reality checks, technique plans and check-ins.
+ */
+function watchLucidTraining() {
+    if (unsubscribeRealityChecks) unsubscribeRealityChecks();
+    if (unsubscribeLucidPlans) unsubscribeLucidPlans();
+    if (unsubscribeCheckIns) unsubscribeCheckIns();
+    const onError = (error) => {
+        console.error("Error loading lucid-dreaming training:", error);
+        showMessage('error', `Failed to load lucid-dreaming training: ${error.message}`);
+    };
+    unsubscribeRealityChecks = realityChecksRepository.subscribe({ orderBy: 'timestamp', direction: 'desc' }, (records) => {
+        realityChecks = records;
+        renderRealityChecks();
+    }, onError);
+    unsubscribeLucidPlans = lucidPlansRepository.subscribe({ orderBy: 'timestamp', direction: 'desc' }, (records) => {
+        lucidPlans = records;
+        renderLucidPlans();
+    }, onError);
+    unsubscribeCheckIns = lucidCheckInsRepository.subscribe({ orderBy: 'night' }, (records) => {
+        checkIns = records;
+        renderLucidPlans();
+    }, onError);
+}
+
+/**
+ * Initializes event listeners for the Lucid tab.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeLucidModule() {
+    const realityCheckButtons = document.querySelectorAll('.reality-check-button');
+    const realityCheckNote = document.getElementById('reality-check-note');
+    const lucidTechniqueSelect = document.getElementById('lucid-technique-select');
+    const lucidPlanNights = document.getElementById('lucid-plan-nights');
+    const startLucidPlanButton = document.getElementById('start-lucid-plan-button');
+
+    realityCheckButtons.forEach(button => {
+        button.addEventListener('click', async () => {
+            await logRealityCheck(button.dataset.method, realityCheckNote ? realityCheckNote.value.trim() : '');
+            if (realityCheckNote) realityCheckNote.value = '';
+        });
+    });
+
+    if (lucidTechniqueSelect) {
+        lucidTechniqueSelect.innerHTML = '';
+        Object.values(LUCID_TECHNIQUES).forEach(technique => {
+            lucidTechniqueSelect.appendChild(new Option(`${technique.name} (${technique.fullName})`, technique.name));
+        });
+        lucidTechniqueSelect.addEventListener('change', renderTechniqueDescription);
+        renderTechniqueDescription();
+    }
+    if (startLucidPlanButton) {
+        startLucidPlanButton.addEventListener('click', () => {
+            const technique = lucidTechniqueSelect ? lucidTechniqueSelect.value : 'MILD';
+            const nights = lucidPlanNights ? parseInt(lucidPlanNights.value, 10) : DEFAULT_PLAN_NIGHTS;
+            startLucidPlan(technique, nights);
+        });
+    }
+
+    if (!userId || !isAuthReady) return;
+    watchLucidTraining();
+}
@@ -0,0 +1,163 @@
+// lucid-stats.js
+
+// Statistics for lucid-dreaming training: which nights were lucid, personal dream signs (elements that
+// keep recurring in the analyses of the user's dreams), and the lucid success rate per technique and per
+// number of reality checks done during the day before. A dream is lucid if its lucidity (see dream-metadata.js)
+// is 1 or more; a night is lucid if it had a lucid dream or its check-in says so. Pure logic: no Firestore, no DOM.
+
+import { extractTerms } from './match-suggestions.js';
+import { parseAnalysisText, analysisValueText } from './analysis-schema.js';
+import { dayKey, dreamNightKey } from './nights.js';
+
+/** Buckets for reality checks per day. `max` is inclusive. */
+export const REALITY_CHECK_BUCKETS = [
+    { label: 'None', min: 0, max: 0 },
+    { label: '1–2', min: 1, max: 2 },
+    { label: '3–5', min: 3, max: 5 },
+    { label: '6–9', min: 6, max: 9 },
+    { label: '10 or more', min: 10, max: Infinity }
+];
+
+const DEFAULT_SIGN_OPTIONS = {
+    minDreams: 3, // An element must recur in at least this many dreams to count as a dream sign
+    limit: 12 // At most this many dream signs
+};
+
+/**
+ * Tells whether a dream was lucid.
+ * @param {object} dream - A draft or archived dream.
+ * @returns {boolean} True if its lucidity is 1 or more.
+ */
+export function isLucidDream(dream) {
+    return Boolean(dream.metadata) && typeof dream.metadata.lucidity === 'number' && dream.metadata.lucidity >= 1;
+}
+
+/**
+ * Finds the nights that were lucid, from the dreams and the technique check-ins.
+ * @param {Array<object>} dreams - Drafts and archived dreams.
+ * @param {Array<import('./dreams-data-service.js').LucidCheckIn>} checkIns - The check-ins.
+ * @returns {Set<string>} The night keys of lucid nights.
+ */
+export function lucidNights(dreams, checkIns) {
+    const nights = new Set();
+    dreams.filter(isLucidDream).forEach(dream => {
+        const night = dreamNightKey(dream);
+        if (night) nights.add(night);
+    });
+    checkIns.filter(checkIn => checkIn.becameLucid).forEach(checkIn => nights.add(checkIn.night));
+    return nights;
+}
+
+/**
+ * Finds personal dream signs: elements of the analyses that recur across dreams, such as a place, a person
+ * or an action. Words of text categories are compared by stem; items of list and choice categories as a whole.
+ * @param {Array<object>} dreams - Archived dreams.
+ * @param {Array<import('./analysis-schema.js').AnalysisCategory>} categories - The analysis categories to look in.
+ * @param {{minDreams: (number|undefined), limit: (number|undefined)}} [options] - Overrides DEFAULT_SIGN_OPTIONS.
+ * @returns {Array<{term: string, categoryKey: string, categoryName: string, dreamCount: number, lucidCount: number, share: number}>}
+ *     The dream signs, most frequent first. `share` is the fraction of analyzed dreams the sign occurs in.
+ */
+export function detectDreamSigns(dreams, categories, options = {}) {
+    const { minDreams, limit } = { ...DEFAULT_SIGN_OPTIONS, ...options };
+    const signs = new Map(); // categoryKey + stem -> { term, categoryKey, categoryName, dreamIds, lucidIds }
+    let analyzedCount = 0;
+
+    dreams.forEach(dream => {
+        const analysis = parseAnalysisText(dream.analysisText);
+        if (!analysis) return;
+        analyzedCount++;
+        categories.filter(category => category.type !== 'number').forEach(category => {
+            const value = analysis[category.key];
+            let terms;
+            if (category.type === 'list' && Array.isArray(value)) {
+                terms = new Map(value.map(item => analysisValueText(item).toLowerCase().trim()).filter(Boolean).map(item => [item, item]));
+            } else if (category.type === 'enum') {
+                const choice = analysisValueText(value).trim();
+                terms = new Map(choice ? [[choice.toLowerCase(), choice]] : []);
+            } else {
+                terms = extractTerms(analysisValueText(value));
+            }
+            terms.forEach((term, key) => {
+                const signKey = `${category.key}:${key}`;
+                if (!signs.has(signKey)) {
+                    signs.set(signKey, { term, categoryKey: category.key, categoryName: category.name, dreamIds: new Set(), lucidIds: new Set() });
+                }
+                const sign = signs.get(signKey);
+                sign.dreamIds.add(dream.id);
+                if (isLucidDream(dream)) sign.lucidIds.add(dream.id);
+            });
+        });
+    });
+
+    return [...signs.values()]
+        .filter(sign => sign.dreamIds.size >= minDreams)
+        .map(sign => ({
+            term: sign.term,
+            categoryKey: sign.categoryKey,
+            categoryName: sign.categoryName,
+            dreamCount: sign.dreamIds.size,
+            lucidCount: sign.lucidIds.size,
+            share: sign.dreamIds.size / analyzedCount
+        }))
+        .sort((a, b) => b.dreamCount - a.dreamCount || a.term.localeCompare(b.term))
+        .slice(0, limit);
+}
+
+/**
+ * Computes the lucid success rate per technique: of the nights a technique was practiced, how many were lucid.
+ * @param {Array<import('./dreams-data-service.js').LucidCheckIn>} checkIns - The check-ins.
+ * @param {Array<object>} dreams - Drafts and archived dreams.
+ * @returns {Array<{technique: string, nights: number, lucid: number, rate: number}>} One entry per technique practiced,
+ *     highest rate first.
+ */
+export function lucidRateByTechnique(checkIns, dreams) {
+    const lucid = lucidNights(dreams, checkIns);
+    const nightsByTechnique = new Map();
+    checkIns.filter(checkIn => checkIn.practiced).forEach(checkIn => {
+        if (!nightsByTechnique.has(checkIn.technique)) nightsByTechnique.set(checkIn.technique, new Set());
+        nightsByTechnique.get(checkIn.technique).add(checkIn.night);
+    });
+    return [...nightsByTechnique.entries()]
+        .map(([technique, nights]) => {
+            const lucidCount = [...nights].filter(night => lucid.has(night)).length;
+            return { technique, nights: nights.size, lucid: lucidCount, rate: lucidCount / nights.size };
+        })
+        .sort((a, b) => b.rate - a.rate || b.nights - a.nights);
+}
+
+/**
+ * Computes the lucid success rate by how many reality checks were done during the day before a night.
+ * Only nights with a recorded dream or a check-in count, since nothing is known about the others.
+ * @param {Array<import('./dreams-data-service.js').RealityCheck>} realityChecks - The reality checks.
+ * @param {Array<import('./dreams-data-service.js').LucidCheckIn>} checkIns - The check-ins.
+ * @param {Array<object>} dreams - Drafts and archived dreams.
+ * @returns {Array<{label: string, nights: number, lucid: number, rate: number}>} One entry per bucket with nights,
+ *     in REALITY_CHECK_BUCKETS order.
+ */
+export function lucidRateByRealityChecks(realityChecks, checkIns, dreams) {
+    const lucid = lucidNights(dreams, checkIns);
+    const checksPerDay = new Map();
+    realityChecks.forEach(realityCheck => {
+        if (!(realityCheck.timestamp instanceof Date)) return;
+        const day = dayKey(realityCheck.timestamp);
+        checksPerDay.set(day, (checksPerDay.get(day) || 0) + 1);
+    });
+
+    // The night of a day key follows that day, so the day's checks count for it
+    const nights = new Set(checkIns.map(checkIn => checkIn.night));
+    dreams.forEach(dream => {
+        const night = dreamNightKey(dream);
+        if (night) nights.add(night);
+    });
+
+    return REALITY_CHECK_BUCKETS
+        .map(bucket => {
+            const bucketNights = [...nights].filter(night => {
+                const count = checksPerDay.get(night) || 0;
+                return count >= bucket.min && count <= bucket.max;
+            });
+            const lucidCount = bucketNights.filter(night => lucid.has(night)).length;
+            return { label: bucket.label, nights: bucketNights.length, lucid: lucidCount, rate: bucketNights.length > 0 ? lucidCount / bucketNights.length : 0 };
+        })
+        .filter(bucket => bucket.nights > 0);
+}
@@ -0,0 +1,177 @@
+// match-suggestions.js
+
+// Suggestion engine for dream-reality matches.
+// For each archived dream, daily events from the following days and weeks are ranked by how many
+// distinctive words they share with the dream text and its analysis (location, people, actions).
+// Rare words count more than common ones, and nearer events rank higher. Pure logic: no Firestore, no DOM.
+
+import { tokenizeAndClean } from './stats-module.js';
+import { daysBetween } from './dreams-data-service.js';
+import { parseAnalysisText, analysisValueText } from './analysis-schema.js';
+
+/** Where dream terms come from, with how much a shared term from each source counts. */
+export const SUGGESTION_SOURCES = {
+    location: { label: 'Location', weight: 2 },
+    familiarPersonsSpokenTo: { label: 'People', weight: 2 },
+    actionsPerformed: { label: 'Actions', weight: 1.5 },
+    dreamText: { label: 'Dream text', weight: 1 }
+};
+
+const DEFAULT_OPTIONS = {
+    windowDays: 30, // Only events up to this many days after the dream are considered
+    minScore: 2, // Suggestions below this score are dropped
+    perDream: 3, // At most this many suggestions per dream
+    limit: 20 // At most this many suggestions overall
+};
+
+/**
+ * Reduces a word to a simple stem so plurals and -ing/-ed forms match ("walking", "walked" -> "walk").
+ * Also used by search-index.js.
+ * @param {string} word - A lowercased word.
+ * @returns {string} The stem.
+ */
+export function stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Tokenizes text into a set of stems, keyed by stem with the first original word as display form.
+ * @param {string} text - The text.
+ * @returns {Map<string, string>} Stem -> word.
+ */
+export function extractTerms(text) {
+    const terms = new Map();
+    tokenizeAndClean(text).forEach(word => {
+        const wordStem = stem(word);
+        if (!terms.has(wordStem)) terms.set(wordStem, word);
+    });
+    return terms;
+}
+
+/**
+ * Collects the terms of a dream per suggestion source.
+ * @param {object} dream - The archived dream.
+ * @returns {object} Source key -> Map of stem -> word.
+ */
+function dreamTermsBySource(dream) {
+    // Dreams without a parsable analysis are matched on their text only
+    const analysis = parseAnalysisText(dream.analysisText) || {};
+    const termsBySource = {};
+    Object.keys(SUGGESTION_SOURCES).forEach(source => {
+        const text = source === 'dreamText' ? `${dream.dreamTitle || ''} ${dream.dreamText}` : analysisValueText(analysis[source]);
+        termsBySource[source] = extractTerms(text);
+    });
+    return termsBySource;
+}
+
+/**
+ * Creates a function that scores how similar a dream and an event are.
+ * Words are weighted by how rare they are across the given events, so the scorer is built once per event set.
+ * @param {Array<object>} events - All daily events.
+ * @returns {function(object, object): {similarity: number, reasons: Array<{source: string, label: string, terms: Array<string>}>}} The scorer.
+ */
+export function createPairScorer(events) {
+    const eventTermsById = new Map(events.map(event => [event.id, extractTerms(event.eventText)]));
+    const dreamTermsById = new Map();
+
+    // Inverse document frequency over events: words found in many events say little about a match
+    const documentFrequency = new Map();
+    eventTermsById.forEach(terms => {
+        terms.forEach((word, wordStem) => documentFrequency.set(wordStem, (documentFrequency.get(wordStem) || 0) + 1));
+    });
+    const idf = (wordStem) => Math.log(1 + eventTermsById.size / (documentFrequency.get(wordStem) || 1));
+
+    return (dream, event) => {
+        if (!dreamTermsById.has(dream.id)) dreamTermsById.set(dream.id, dreamTermsBySource(dream));
+        const termsBySource = dreamTermsById.get(dream.id);
+        const terms = eventTermsById.get(event.id) || extractTerms(event.eventText);
+
+        let overlap = 0;
+        const reasons = [];
+        const countedStems = new Set(); // A word shared through several sources counts once, at its best weight
+        Object.entries(SUGGESTION_SOURCES).forEach(([source, { label, weight }]) => {
+            const shared = [...termsBySource[source].keys()].filter(wordStem => terms.has(wordStem));
+            if (shared.length === 0) return;
+            shared.forEach(wordStem => {
+                if (countedStems.has(wordStem)) return;
+                countedStems.add(wordStem);
+                overlap += weight * idf(wordStem);
+            });
+            reasons.push({ source, label, terms: shared.map(wordStem => terms.get(wordStem)) });
+        });
+
+        // Long event descriptions share words by chance
+        const lengthPenalty = Math.sqrt(Math.max(terms.size, 4) / 4);
+        return { similarity: overlap / lengthPenalty, reasons };
+    };
+}
+
+/**
+ * @typedef {object} MatchSuggestion
+ * @property {string} dreamId
+ * @property {string} eventId
+ * @property {number} score - Higher is a better candidate.
+ * @property {number} daysAfter - Calendar days from the dream to the event.
+ * @property {Array<{source: string, label: string, terms: Array<string>}>} reasons - Shared words per source.
+ */
+
+/**
+ * Ranks daily events that happened after each dream as candidate matches.
+ * @param {Array<object>} dreams - Archived dreams.
+ * @param {Array<object>} events - Daily events.
+ * @param {object} [exclude]
+ * @param {Array<{dreamId: string, eventId: string}>} [exclude.matches=[]] - Pairs that are already matched.
+ * @param {Array<{dreamId: string, eventId: string}>} [exclude.rejections=[]] - Pairs the user rejected.
+ * @param {object} [options] - Overrides for windowDays, minScore, perDream and limit.
+ * @returns {Array<MatchSuggestion>} The suggestions, best first.
+ */
+export function suggestMatches(dreams, events, { matches = [], rejections = [] } = {}, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const excludedPairs = new Set([...matches, ...rejections].map(pair => `${pair.dreamId}|${pair.eventId}`));
+
+    const datedEvents = events.filter(event => event.timestamp instanceof Date);
+    if (datedEvents.length === 0) return [];
+    const scorePair = createPairScorer(events);
+
+    const suggestions = [];
+    dreams.forEach(dream => {
+        if (!(dream.timestamp instanceof Date)) return;
+        const dreamSuggestions = [];
+
+        datedEvents.forEach(event => {
+            const daysAfter = daysBetween(dream.timestamp, event.timestamp);
+            if (daysAfter < 0 || daysAfter > settings.windowDays) return;
+            if (excludedPairs.has(`${dream.id}|${event.id}`)) return;
+
+            const { similarity, reasons } = scorePair(dream, event);
+            if (similarity === 0) return;
+
+            // Nearer events are more interesting
+            const recency = 1 / (1 + daysAfter / 7);
+            const score = similarity * (0.5 + 0.5 * recency);
+            if (score < settings.minScore) return;
+
+            dreamSuggestions.push({ dreamId: dream.id, eventId: event.id, score, daysAfter, reasons });
+        });
+
+        dreamSuggestions
+            .sort((a, b) => b.score - a.score)
+            .slice(0, settings.perDream)
+            .forEach(suggestion => suggestions.push(suggestion));
+    });
+
+    return suggestions.sort((a, b) => b.score - a.score).slice(0, settings.limit);
+}
+
+/**
+ * Describes why a pair was suggested, e.g. 'Location: beach; People: anna'.
+ * @param {MatchSuggestion} suggestion - The suggestion.
+ * @returns {string} The explanation.
+ */
+export function describeSuggestionReasons(suggestion) {
+    return suggestion.reasons.map(reason => `${reason.label}: ${reason.terms.join(', ')}`).join('; ');
+}
@@ -0,0 +1,736 @@
+// matches-module.js
+
+// Links between archived dreams and daily events (the `matches` collection).
+// Dreams and events are many-to-many: a dream can match several events and an event several dreams.
+// The module keeps a live index of matches, dreams and events, so other modules can show the
+// links in both directions without querying per item.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import {
+    matchesRepository, matchRejectionsRepository, archivedDreamsRepository, dailyEventsRepository,
+    timestampMillis, daysBetween
+} from './dreams-data-service.js';
+import { suggestMatches, describeSuggestionReasons } from './match-suggestions.js';
+
+/** Match types and their labels. */
+export const MATCH_TYPES = {
+    literal: 'Literal',
+    symbolic: 'Symbolic',
+    emotional: 'Emotional',
+    thematic: 'Thematic',
+    other: 'Other'
+};
+
+const NEW_EVENT_OPTION = '__new__'; // Event select value for logging a new event from the match modal
+const LEGACY_SEARCH_MATCH_PATTERN = /^Matched with daily event: "([\s\S]*)"$/; // Text written by the old search "Match Selected" flow
+
+// Internal state variables for Matches module
+let matches = [];
+let dreamsById = new Map();
+let eventsById = new Map();
+let rejections = []; // Suggested pairs the user rejected
+let loadedCollections = new Set(); // Which of 'matches', 'rejections', 'dreams', 'events' have delivered their first snapshot
+let unsubscribeMatchData = [];
+let migratedForUserId = null; // Legacy matches are migrated once per user and session
+let editingMatch = null; // { id, dreamId, original } for the match being edited in the modal
+const changeListeners = [];
+
+/**
+ * Describes the days between a dream and an event in words.
+ * @param {number|null} days - The days from dream to event.
+ * @returns {string} The description.
+ */
+export function describeDaysBetween(days) {
+    if (days === null || days === undefined) return 'Timing unknown';
+    if (days === 0) return 'Same day as the dream';
+    const count = Math.abs(days);
+    return `${count} day${count === 1 ? '' : 's'} ${days > 0 ? 'after' : 'before'} the dream`;
+}
+
+/**
+ * Renders a 1-5 strength as filled and empty dots.
+ * @param {number} strength - The strength.
+ * @returns {string} The dots.
+ */
+function strengthDots(strength) {
+    return '●'.repeat(strength) + '○'.repeat(5 - strength);
+}
+
+/**
+ * Subscribes to match data changes (matches, rejected suggestions, archived dreams or daily events).
+ * @param {function()} listener - Called after every change.
+ * @returns {function()} Unsubscribes the listener.
+ */
+export function onMatchesChange(listener) {
+    changeListeners.push(listener);
+    return () => {
+        const index = changeListeners.indexOf(listener);
+        if (index !== -1) changeListeners.splice(index, 1);
+    };
+}
+
+function notifyMatchesChange() {
+    changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Whether matches, rejections, dreams and events have all been loaded.
+ * @returns {boolean} True once the index is complete.
+ */
+function isMatchDataLoaded() {
+    return loadedCollections.size === 4;
+}
+
+/**
+ * Starts (or restarts) the live subscriptions behind the match index.
+ */
+function watchMatchData() {
+    unsubscribeMatchData.forEach(unsubscribe => unsubscribe());
+    loadedCollections = new Set();
+
+    const onError = (error) => {
+        console.error("Error loading match data:", error);
+        showMessage('error', `Failed to load matches: ${error.message}`);
+    };
+
+    unsubscribeMatchData = [
+        matchesRepository.subscribe({ orderBy: 'timestamp', direction: 'desc' }, (records) => {
+            matches = records;
+            loadedCollections.add('matches');
+            notifyMatchesChange();
+        }, onError),
+        matchRejectionsRepository.subscribe({}, (records) => {
+            rejections = records;
+            loadedCollections.add('rejections');
+            notifyMatchesChange();
+        }, onError),
+        archivedDreamsRepository.subscribe({}, (records) => {
+            dreamsById = new Map(records.map(record => [record.id, record]));
+            loadedCollections.add('dreams');
+            notifyMatchesChange();
+        }, onError),
+        dailyEventsRepository.subscribe({}, (records) => {
+            eventsById = new Map(records.map(record => [record.id, record]));
+            loadedCollections.add('events');
+            notifyMatchesChange();
+        }, onError)
+    ];
+}
+
+/**
+ * Returns the matches of a dream with their linked events, earliest event first.
+ * @param {string} dreamId - The archived dream ID.
+ * @returns {Array<object>} Matches with an `event` property (null if the event no longer exists).
+ */
+export function getMatchesForDream(dreamId) {
+    return matches
+        .filter(match => match.dreamId === dreamId)
+        .map(match => ({ ...match, event: eventsById.get(match.eventId) || null }))
+        .sort((a, b) => timestampMillis(a.event) - timestampMillis(b.event));
+}
+
+/**
+ * Returns the matches of a daily event with their linked dreams, earliest dream first.
+ * @param {string} eventId - The daily event ID.
+ * @returns {Array<object>} Matches with a `dream` property (null if the dream no longer exists).
+ */
+export function getMatchesForEvent(eventId) {
+    return matches
+        .filter(match => match.eventId === eventId)
+        .map(match => ({ ...match, dream: dreamsById.get(match.dreamId) || null }))
+        .sort((a, b) => timestampMillis(a.dream) - timestampMillis(b.dream));
+}
+
+/**
+ * Creates or updates a match. The days between dream and event are computed from their timestamps.
+ * @param {object} details - The match details.
+ * @param {string|null} [details.id] - The match ID when editing.
+ * @param {string} details.dreamId - The archived dream ID.
+ * @param {string} details.eventId - The daily event ID.
+ * @param {string} details.matchType - One of MATCH_TYPES.
+ * @param {number} details.strength - 1 to 5.
+ * @param {string} details.notes - Free-text notes.
+ * @param {object|null} [details.original] - The match fields before the edit, used to detect offline conflicts.
+ * @returns {Promise<{queued: boolean}>} Whether the write was queued offline.
+ */
+export async function saveMatch({ id = null, dreamId, eventId, matchType, strength, notes, original = null }) {
+    const dream = dreamsById.get(dreamId);
+    const event = eventsById.get(eventId);
+    const data = {
+        dreamId: dreamId,
+        eventId: eventId,
+        matchType: matchType,
+        strength: strength,
+        daysBetween: event && event.legacyMatch ? null : daysBetween(dream ? dream.timestamp : null, event ? event.timestamp : null),
+        notes: notes
+    };
+
+    // Linking the same dream and event twice edits the existing match instead
+    const existing = id ? null : matches.find(match => match.dreamId === dreamId && match.eventId === eventId);
+    const matchId = id || (existing ? existing.id : null);
+    if (matchId) {
+        return matchesRepository.update(matchId, data, {
+            stampTimestamp: true,
+            expected: original,
+            description: 'Reality match edit'
+        });
+    }
+    return matchesRepository.add(data, { description: 'Reality match' });
+}
+
+/**
+ * Deletes a match.
+ * @param {string} matchId - The match ID.
+ */
+export async function deleteMatch(matchId) {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to remove matches.');
+        return;
+    }
+    showLoading();
+    try {
+        await matchesRepository.remove(matchId);
+        showMessage('success', 'Match removed.');
+    } catch (error) {
+        console.error("Error deleting match:", error);
+        showMessage('error', `Failed to remove match: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Deletes all matches of a dream. Called when the dream itself is deleted.
+ * @param {string} dreamId - The archived dream ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteMatchesForDream(dreamId) {
+    const dreamMatches = await matchesRepository.list({ where: [{ field: 'dreamId', value: dreamId }] });
+    await Promise.all(dreamMatches.map(match => matchesRepository.remove(match.id)));
+}
+
+/**
+ * Migrates legacy free-text `matchedRealityEvent` strings on archived dreams into `matches`.
+ * The text is linked to a daily event with the same text if one exists; otherwise a daily event
+ * flagged `legacyMatch` is created for it, dated like the dream. The string is cleared afterwards.
+ * @returns {Promise<number>} The number of dreams migrated.
+ */
+export async function migrateLegacyMatches() {
+    const dreams = await archivedDreamsRepository.list();
+    const legacyDreams = dreams.filter(dream => dream.matchedRealityEvent.trim() !== '');
+    if (legacyDreams.length === 0) return 0;
+
+    const events = await dailyEventsRepository.list();
+    const existingMatches = await matchesRepository.list();
+    let migratedCount = 0;
+
+    for (const dream of legacyDreams) {
+        try {
+            const legacyText = dream.matchedRealityEvent.trim();
+            const searchMatch = legacyText.match(LEGACY_SEARCH_MATCH_PATTERN);
+            const eventText = (searchMatch ? searchMatch[1] : legacyText).trim();
+
+            let event = events.find(item => item.eventText.trim() === eventText);
+            if (!event) {
+                const eventData = { eventText: eventText, legacyMatch: true, timestamp: dream.timestamp || new Date() };
+                const { id } = await dailyEventsRepository.add(eventData, {
+                    stampTimestamp: false,
+                    description: `Daily event from match "${eventText.substring(0, 30)}"`
+                });
+                event = { id, ...eventData };
+                events.push(event);
+            }
+
+            // A previous, interrupted migration may already have linked them
+            if (!existingMatches.some(match => match.dreamId === dream.id && match.eventId === event.id)) {
+                const { id } = await matchesRepository.add({
+                    dreamId: dream.id,
+                    eventId: event.id,
+                    matchType: 'other',
+                    strength: 3,
+                    daysBetween: event.legacyMatch ? null : daysBetween(dream.timestamp, event.timestamp),
+                    notes: ''
+                }, { description: 'Migrated reality match' });
+                existingMatches.push({ id, dreamId: dream.id, eventId: event.id });
+            }
+
+            await archivedDreamsRepository.update(dream.id, { matchedRealityEvent: '' }, {
+                expected: { matchedRealityEvent: dream.matchedRealityEvent },
+                description: 'Migrated reality match'
+            });
+            migratedCount++;
+        } catch (error) {
+            console.error("Error migrating legacy match for dream:", dream.id, error);
+        }
+    }
+
+    if (migratedCount > 0) console.log(`Migrated ${migratedCount} legacy reality match(es).`);
+    return migratedCount;
+}
+
+/**
+ * Fills the event select of the match modal with the user's daily events, newest first.
+ * @param {HTMLSelectElement} select - The select element.
+ * @param {string|null} selectedEventId - The event to preselect.
+ */
+function populateEventSelect(select, selectedEventId) {
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Select a daily event...';
+    select.appendChild(placeholder);
+
+    const newEventOption = document.createElement('option');
+    newEventOption.value = NEW_EVENT_OPTION;
+    newEventOption.textContent = '+ Log a new event';
+    select.appendChild(newEventOption);
+
+    [...eventsById.values()]
+        .sort((a, b) => timestampMillis(b) - timestampMillis(a))
+        .forEach(event => {
+            const option = document.createElement('option');
+            option.value = event.id;
+            const eventDate = event.timestamp ? event.timestamp.toLocaleDateString() : 'N/A';
+            option.textContent = `${eventDate} — ${event.eventText.substring(0, 60)}${event.eventText.length > 60 ? '...' : ''}`;
+            select.appendChild(option);
+        });
+
+    select.value = selectedEventId && eventsById.has(selectedEventId) ? selectedEventId : '';
+}
+
+/**
+ * Updates the match modal's "days between" line and the new-event input for the current selection.
+ */
+function updateMatchModalSelection() {
+    const matchEventSelect = document.getElementById('match-event-select');
+    const matchNewEventInput = document.getElementById('match-new-event-input');
+    const matchDaysBetween = document.getElementById('match-days-between');
+    if (!matchEventSelect || !editingMatch) return;
+
+    const isNewEvent = matchEventSelect.value === NEW_EVENT_OPTION;
+    if (matchNewEventInput) matchNewEventInput.classList.toggle('hidden', !isNewEvent);
+
+    if (matchDaysBetween) {
+        const dream = dreamsById.get(editingMatch.dreamId);
+        const event = isNewEvent ? { timestamp: new Date() } : eventsById.get(matchEventSelect.value);
+        matchDaysBetween.textContent = event && dream ? describeDaysBetween(daysBetween(dream.timestamp, event.timestamp)) : '';
+    }
+}
+
+/**
+ * Opens the match modal to link a dream to a daily event, or to edit an existing match.
+ * @param {string} dreamId - The archived dream ID.
+ * @param {object} [options]
+ * @param {string|null} [options.eventId=null] - The event to preselect.
+ * @param {string|null} [options.matchId=null] - The match to edit.
+ */
+export function openMatchModal(dreamId, { eventId = null, matchId = null } = {}) {
+    const addMatchModal = document.getElementById('add-match-modal');
+    const matchDreamSnippet = document.getElementById('match-dream-snippet');
+    const matchEventSelect = document.getElementById('match-event-select');
+    const matchNewEventInput = document.getElementById('match-new-event-input');
+    const matchTypeSelect = document.getElementById('match-type-select');
+    const matchStrengthInput = document.getElementById('match-strength-input');
+    const matchStrengthValue = document.getElementById('match-strength-value');
+    const matchNotesInput = document.getElementById('match-notes-input');
+
+    if (!addMatchModal || !matchDreamSnippet || !matchEventSelect || !matchTypeSelect || !matchStrengthInput || !matchNotesInput) {
+        console.error("Missing UI elements for match modal.");
+        showMessage('error', 'Could not open match modal due to missing UI elements.');
+        return;
+    }
+    if (!isMatchDataLoaded()) {
+        showMessage('info', 'Your dreams and events are still loading. Please try again in a moment.');
+        return;
+    }
+
+    const dream = dreamsById.get(dreamId);
+    if (!dream) {
+        showMessage('error', 'This dream could not be found.');
+        return;
+    }
+    const match = matchId ? matches.find(item => item.id === matchId) : null;
+
+    editingMatch = {
+        id: match ? match.id : null,
+        dreamId: dreamId,
+        original: match ? { eventId: match.eventId, matchType: match.matchType, strength: match.strength, notes: match.notes } : null
+    };
+
+    matchDreamSnippet.textContent = dream.dreamText.substring(0, 200) + (dream.dreamText.length > 200 ? '...' : '');
+    populateEventSelect(matchEventSelect, match ? match.eventId : eventId);
+    if (matchNewEventInput) matchNewEventInput.value = '';
+    matchTypeSelect.value = match ? match.matchType : 'literal';
+    matchStrengthInput.value = String(match ? match.strength : 3);
+    if (matchStrengthValue) matchStrengthValue.textContent = matchStrengthInput.value;
+    matchNotesInput.value = match ? match.notes : '';
+    updateMatchModalSelection();
+    addMatchModal.classList.remove('hidden');
+}
+
+/**
+ * Closes the match modal and forgets the match being edited.
+ */
+function closeMatchModal() {
+    const addMatchModal = document.getElementById('add-match-modal');
+    if (addMatchModal) addMatchModal.classList.add('hidden');
+    editingMatch = null;
+}
+
+/**
+ * Saves the match currently shown in the modal.
+ */
+async function handleSaveMatchClick() {
+    const matchEventSelect = document.getElementById('match-event-select');
+    const matchNewEventInput = document.getElementById('match-new-event-input');
+    const matchTypeSelect = document.getElementById('match-type-select');
+    const matchStrengthInput = document.getElementById('match-strength-input');
+    const matchNotesInput = document.getElementById('match-notes-input');
+
+    if (!editingMatch) {
+        showMessage('error', 'No dream selected for matching.');
+        return;
+    }
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to save matches.');
+        return;
+    }
+
+    const selectedEvent = matchEventSelect ? matchEventSelect.value : '';
+    const newEventText = matchNewEventInput ? matchNewEventInput.value.trim() : '';
+    if (!selectedEvent || (selectedEvent === NEW_EVENT_OPTION && !newEventText)) {
+        showMessage('info', 'Please select the daily event that matches this dream, or describe a new one.');
+        return;
+    }
+
+    showLoading();
+    try {
+        let eventId = selectedEvent;
+        if (selectedEvent === NEW_EVENT_OPTION) {
+            const { id } = await dailyEventsRepository.add({ eventText: newEventText }, {
+                description: `Daily event "${newEventText.substring(0, 30)}"`
+            });
+            eventId = id;
+            eventsById.set(id, { id, eventText: newEventText, timestamp: new Date() });
+        }
+
+        const { queued } = await saveMatch({
+            id: editingMatch.id,
+            dreamId: editingMatch.dreamId,
+            eventId: eventId,
+            matchType: matchTypeSelect ? matchTypeSelect.value : 'other',
+            strength: matchStrengthInput ? parseInt(matchStrengthInput.value, 10) : 3,
+            notes: matchNotesInput ? matchNotesInput.value.trim() : '',
+            original: editingMatch.original
+        });
+        showMessage('success', queued ? 'You are offline. Reality match saved on this device and will sync later.' : 'Reality match saved!');
+        closeMatchModal();
+    } catch (error) {
+        console.error("Error saving reality match:", error);
+        showMessage('error', `Failed to save reality match: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Builds the element for one linked record (an event under a dream, or a dream under an event).
+ * @param {object} match - The match.
+ * @param {string} heading - The linked record's date and title.
+ * @param {string} text - The linked record's text.
+ * @returns {HTMLElement} The element.
+ */
+function createMatchLinkElement(match, heading, text) {
+    const item = document.createElement('div');
+    item.classList.add('match-link');
+
+    const header = document.createElement('div');
+    header.classList.add('flex', 'flex-wrap', 'items-center', 'gap-2', 'mb-1');
+    const headingSpan = document.createElement('span');
+    headingSpan.classList.add('font-semibold', 'text-gray-800', 'text-sm');
+    headingSpan.textContent = heading;
+    const typeBadge = document.createElement('span');
+    typeBadge.classList.add('match-type-badge');
+    typeBadge.textContent = MATCH_TYPES[match.matchType] || MATCH_TYPES.other;
+    const strengthSpan = document.createElement('span');
+    strengthSpan.classList.add('text-purple-600', 'text-xs');
+    strengthSpan.title = `Strength ${match.strength} of 5`;
+    strengthSpan.textContent = strengthDots(match.strength);
+    header.appendChild(headingSpan);
+    header.appendChild(typeBadge);
+    header.appendChild(strengthSpan);
+    if (match.pendingSync) {
+        const badge = document.createElement('span');
+        badge.classList.add('pending-sync-badge');
+        badge.textContent = 'Waiting to sync';
+        header.appendChild(badge);
+    }
+    item.appendChild(header);
+
+    const textPara = document.createElement('p');
+    textPara.classList.add('text-gray-700', 'text-sm');
+    textPara.textContent = text;
+    item.appendChild(textPara);
+
+    const daysPara = document.createElement('p');
+    daysPara.classList.add('text-gray-500', 'text-xs', 'mt-1');
+    daysPara.textContent = describeDaysBetween(match.daysBetween);
+    item.appendChild(daysPara);
+
+    if (match.notes) {
+        const notesPara = document.createElement('p');
+        notesPara.classList.add('text-gray-600', 'text-xs', 'italic', 'mt-1');
+        notesPara.textContent = match.notes;
+        item.appendChild(notesPara);
+    }
+
+    const actions = document.createElement('div');
+    actions.classList.add('flex', 'gap-2', 'mt-2');
+    const editButton = document.createElement('button');
+    editButton.classList.add('px-2', 'py-0.5', 'bg-indigo-500', 'text-white', 'rounded-md', 'hover:bg-indigo-600', 'text-xs');
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => openMatchModal(match.dreamId, { matchId: match.id }));
+    const removeButton = document.createElement('button');
+    removeButton.classList.add('px-2', 'py-0.5', 'bg-red-500', 'text-white', 'rounded-md', 'hover:bg-red-600', 'text-xs');
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => deleteMatch(match.id));
+    actions.appendChild(editButton);
+    actions.appendChild(removeButton);
+    item.appendChild(actions);
+
+    return item;
+}
+
+/**
+ * Renders the daily events linked to a dream.
+ * @param {HTMLElement} container - The element to render into (its content is replaced).
+ * @param {string} dreamId - The archived dream ID.
+ */
+export function renderDreamMatches(container, dreamId) {
+    container.innerHTML = '';
+    const dreamMatches = getMatchesForDream(dreamId);
+    if (dreamMatches.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-sm">No linked reality events yet.</p>';
+        return;
+    }
+    dreamMatches.forEach(match => {
+        const heading = match.event && match.event.timestamp ? match.event.timestamp.toLocaleDateString() : 'Unknown date';
+        const text = match.event ? match.event.eventText : '(This event was deleted.)';
+        container.appendChild(createMatchLinkElement(match, heading, text));
+    });
+}
+
+/**
+ * Renders the dreams linked to a daily event.
+ * @param {HTMLElement} container - The element to render into (its content is replaced).
+ * @param {string} eventId - The daily event ID.
+ */
+export function renderEventMatches(container, eventId) {
+    container.innerHTML = '';
+    const eventMatches = getMatchesForEvent(eventId);
+    if (eventMatches.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-sm">No linked dreams yet.</p>';
+        return;
+    }
+    eventMatches.forEach(match => {
+        const dreamDate = match.dream && match.dream.timestamp ? match.dream.timestamp.toLocaleDateString() : 'Unknown date';
+        const heading = match.dream ? `${match.dream.dreamTitle || 'Untitled Dream'} (${dreamDate})` : 'Deleted dream';
+        const text = match.dream ? match.dream.dreamText.substring(0, 200) + (match.dream.dreamText.length > 200 ? '...' : '') : '';
+        container.appendChild(createMatchLinkElement(match, heading, text));
+    });
+}
+
+/**
+ * Accepts a suggestion: links the dream and event, with the reasons as notes.
+ * @param {import('./match-suggestions.js').MatchSuggestion} suggestion - The suggestion.
+ */
+async function acceptSuggestion(suggestion) {
+    showLoading();
+    try {
+        const { queued } = await saveMatch({
+            dreamId: suggestion.dreamId,
+            eventId: suggestion.eventId,
+            matchType: 'literal',
+            strength: Math.min(5, Math.max(1, Math.round(suggestion.score / 2))),
+            notes: `Suggested for shared words (${describeSuggestionReasons(suggestion)})`
+        });
+        showMessage('success', queued ? 'You are offline. Match saved on this device and will sync later.' : 'Suggestion accepted as a match!');
+    } catch (error) {
+        console.error("Error accepting match suggestion:", error);
+        showMessage('error', `Failed to accept suggestion: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Rejects a suggestion so it is not suggested again.
+ * @param {import('./match-suggestions.js').MatchSuggestion} suggestion - The suggestion.
+ */
+async function rejectSuggestion(suggestion) {
+    try {
+        await matchRejectionsRepository.add({ dreamId: suggestion.dreamId, eventId: suggestion.eventId }, {
+            description: 'Rejected match suggestion'
+        });
+    } catch (error) {
+        console.error("Error rejecting match suggestion:", error);
+        showMessage('error', `Failed to reject suggestion: ${error.message}`);
+    }
+}
+
+/**
+ * Renders suggested matches: daily events from the weeks after a dream that share words with it.
+ */
+function renderMatchSuggestions() {
+    const matchSuggestionsList = document.getElementById('match-suggestions-list');
+    if (!matchSuggestionsList) return;
+
+    const suggestions = suggestMatches([...dreamsById.values()], [...eventsById.values()], { matches, rejections });
+    matchSuggestionsList.innerHTML = '';
+    if (suggestions.length === 0) {
+        matchSuggestionsList.innerHTML = '<p class="text-gray-500 text-sm">No suggestions right now. Log daily events to get suggestions for your dreams.</p>';
+        return;
+    }
+
+    suggestions.forEach(suggestion => {
+        const dream = dreamsById.get(suggestion.dreamId);
+        const event = eventsById.get(suggestion.eventId);
+
+        const item = document.createElement('div');
+        item.classList.add('p-3', 'bg-white', 'rounded-lg', 'border', 'border-yellow-200', 'text-sm', 'text-left');
+
+        const dreamPara = document.createElement('p');
+        dreamPara.classList.add('text-blue-700');
+        const dreamDate = dream.timestamp ? dream.timestamp.toLocaleDateString() : 'N/A';
+        dreamPara.textContent = `Dream: ${dream.dreamTitle || 'Untitled Dream'} (${dreamDate}) — ${dream.dreamText.substring(0, 100)}${dream.dreamText.length > 100 ? '...' : ''}`;
+        const eventPara = document.createElement('p');
+        eventPara.classList.add('text-green-700', 'mt-1');
+        eventPara.textContent = `Event: ${event.eventText.substring(0, 150)}${event.eventText.length > 150 ? '...' : ''} (${describeDaysBetween(suggestion.daysAfter)})`;
+        const reasonPara = document.createElement('p');
+        reasonPara.classList.add('text-gray-600', 'text-xs', 'mt-1');
+        reasonPara.textContent = `Why: shared words — ${describeSuggestionReasons(suggestion)}`;
+        item.appendChild(dreamPara);
+        item.appendChild(eventPara);
+        item.appendChild(reasonPara);
+
+        const actions = document.createElement('div');
+        actions.classList.add('flex', 'gap-2', 'mt-2');
+        const acceptButton = document.createElement('button');
+        acceptButton.classList.add('px-3', 'py-1', 'bg-green-500', 'text-white', 'rounded-md', 'hover:bg-green-600');
+        acceptButton.textContent = 'Accept';
+        acceptButton.addEventListener('click', () => acceptSuggestion(suggestion));
+        const rejectButton = document.createElement('button');
+        rejectButton.classList.add('px-3', 'py-1', 'bg-gray-300', 'text-gray-800', 'rounded-md', 'hover:bg-gray-400');
+        rejectButton.textContent = 'Reject';
+        rejectButton.addEventListener('click', () => rejectSuggestion(suggestion));
+        actions.appendChild(acceptButton);
+        actions.appendChild(rejectButton);
+        item.appendChild(actions);
+
+        matchSuggestionsList.appendChild(item);
+    });
+}
+
+/**
+ * Loads and displays match suggestions and dream-reality matches, grouped by dream or by event.
+ */
+export async function loadMatchedDreams() {
+    const matchedDreamsList = document.getElementById('matched-dreams-list');
+    const matchesViewSelect = document.getElementById('matches-view-select');
+    if (!matchedDreamsList) return;
+    if (!userId || !isAuthReady) {
+        matchedDreamsList.innerHTML = '<p class="text-gray-500">Please sign in to see your matched dreams.</p>';
+        return;
+    }
+    if (!isMatchDataLoaded()) {
+        matchedDreamsList.innerHTML = '<p class="text-gray-500">Loading matched dreams...</p>';
+        return; // Rendered again by the change listener once everything has loaded
+    }
+
+    renderMatchSuggestions();
+    matchedDreamsList.innerHTML = '';
+    if (matches.length === 0) {
+        matchedDreamsList.innerHTML = '<p class="text-gray-600">No dream-reality matches found yet. Use the \'Search\' tab or a dream\'s details to add matches.</p>';
+        return;
+    }
+
+    const groupByEvent = matchesViewSelect && matchesViewSelect.value === 'by-event';
+    const groupIds = [...new Set(matches.map(match => groupByEvent ? match.eventId : match.dreamId))];
+    const groups = groupIds
+        .map(id => ({ id, record: groupByEvent ? eventsById.get(id) : dreamsById.get(id) }))
+        .filter(group => group.record)
+        .sort((a, b) => timestampMillis(b.record) - timestampMillis(a.record));
+
+    groups.forEach(({ id, record }) => {
+        const groupItem = document.createElement('div');
+        groupItem.classList.add('p-4', 'bg-white', 'rounded-lg', 'shadow-sm', 'border', 'border-blue-200', 'flex', 'flex-col', 'md:flex-row', 'gap-4', 'mb-4');
+
+        const recordColumn = document.createElement('div');
+        recordColumn.classList.add('flex-1', 'p-2', 'rounded-lg', 'border', groupByEvent ? 'bg-green-50' : 'bg-blue-50', groupByEvent ? 'border-green-100' : 'border-blue-100');
+        const recordHeading = document.createElement('h4');
+        recordHeading.classList.add('font-semibold', 'mb-1', groupByEvent ? 'text-green-700' : 'text-blue-700');
+        const recordDate = record.timestamp ? record.timestamp.toLocaleString() : 'N/A';
+        recordHeading.textContent = groupByEvent ? `Reality Event (${recordDate})` : `${record.dreamTitle || 'Untitled Dream'} (${recordDate})`;
+        const recordText = document.createElement('p');
+        recordText.classList.add('text-gray-700', 'text-sm');
+        recordText.textContent = groupByEvent ? record.eventText : record.dreamText;
+        recordColumn.appendChild(recordHeading);
+        recordColumn.appendChild(recordText);
+
+        const linksColumn = document.createElement('div');
+        linksColumn.classList.add('flex-1', 'p-2', 'rounded-lg', 'border', 'space-y-2', groupByEvent ? 'bg-blue-50' : 'bg-green-50', groupByEvent ? 'border-blue-100' : 'border-green-100');
+        const linksHeading = document.createElement('h4');
+        linksHeading.classList.add('font-semibold', 'mb-1', groupByEvent ? 'text-blue-700' : 'text-green-700');
+        linksHeading.textContent = groupByEvent ? 'Matched Dreams:' : 'Matched Reality Events:';
+        const linksList = document.createElement('div');
+        linksList.classList.add('space-y-2');
+        if (groupByEvent) {
+            renderEventMatches(linksList, id);
+        } else {
+            renderDreamMatches(linksList, id);
+        }
+        linksColumn.appendChild(linksHeading);
+        linksColumn.appendChild(linksList);
+
+        groupItem.appendChild(recordColumn);
+        groupItem.appendChild(linksColumn);
+        matchedDreamsList.appendChild(groupItem);
+    });
+}
+
+/**
+ * Initializes the Matches module: the live match index, the match modal and the legacy migration.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeMatchesModule() {
+    const saveMatchButton = document.getElementById('save-match-button');
+    const cancelMatchButton = document.getElementById('cancel-match-button');
+    const matchEventSelect = document.getElementById('match-event-select');
+    const matchStrengthInput = document.getElementById('match-strength-input');
+    const matchStrengthValue = document.getElementById('match-strength-value');
+    const matchesViewSelect = document.getElementById('matches-view-select');
+
+    if (saveMatchButton) saveMatchButton.addEventListener('click', handleSaveMatchClick);
+    if (cancelMatchButton) cancelMatchButton.addEventListener('click', closeMatchModal);
+    if (matchEventSelect) matchEventSelect.addEventListener('change', updateMatchModalSelection);
+    if (matchStrengthInput && matchStrengthValue) {
+        matchStrengthInput.addEventListener('input', () => { matchStrengthValue.textContent = matchStrengthInput.value; });
+    }
+    if (matchesViewSelect) matchesViewSelect.addEventListener('change', loadMatchedDreams);
+
+    // Keep the Matches sub-tab current while it is visible
+    onMatchesChange(() => {
+        const matchesSection = document.getElementById('matches-section');
+        if (matchesSection && !matchesSection.classList.contains('hidden')) loadMatchedDreams();
+    });
+
+    if (!userId || !isAuthReady) return;
+    watchMatchData();
+
+    if (migratedForUserId !== userId) {
+        migratedForUserId = userId;
+        migrateLegacyMatches().catch(error => console.error("Error migrating legacy matches:", error));
+    }
+}
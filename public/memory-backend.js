@@ -0,0 +1,111 @@
+// memory-backend.js
+
+// In-memory storage backend for dreams-data-service.js.
+// Has no Firebase dependency, so the data logic can run in development (?backend=memory)
+// or outside the browser. Data lives only as long as the page.
+
+import { sortRecords } from './dreams-data-service.js';
+
+/**
+ * Deep-copies stored data so callers can't mutate the store by accident. Dates stay Dates.
+ * @param {*} value - The value to copy.
+ * @returns {*} The copy.
+ */
+function clone(value) {
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+/**
+ * Creates an in-memory backend.
+ * @returns {import('./dreams-data-service.js').DataBackend} The backend.
+ */
+export function createMemoryBackend() {
+    const collections = new Map(); // path -> Map(id -> data)
+    const listeners = new Map(); // path -> Set of notify functions
+    let nextId = 1;
+
+    function collectionFor(path) {
+        if (!collections.has(path)) collections.set(path, new Map());
+        return collections.get(path);
+    }
+
+    function query(path, options = {}) {
+        let records = [...collectionFor(path).entries()].map(([id, data]) => ({ id, ...clone(data) }));
+        (options.where || []).forEach(({ field, value }) => {
+            records = records.filter(record => record[field] === value);
+        });
+        sortRecords(records, options.orderBy, options.direction);
+        if (options.limit) records = records.slice(0, options.limit);
+        return records;
+    }
+
+    function notify(path) {
+        (listeners.get(path) || new Set()).forEach(listener => listener());
+    }
+
+    return {
+        async add(path, data, options = {}) {
+            const id = `mem-${nextId++}`;
+            const stored = clone(data);
+            if (options.stampTimestamp) stored.timestamp = new Date();
+            collectionFor(path).set(id, stored);
+            notify(path);
+            return { id, queued: false };
+        },
+
+        async update(path, id, data, options = {}) {
+            const collection = collectionFor(path);
+            if (!collection.has(id)) {
+                throw new Error(`No document to update: ${path}/${id}`);
+            }
+            const stored = { ...collection.get(id), ...clone(data) };
+            if (options.stampTimestamp) stored.timestamp = new Date();
+            collection.set(id, stored);
+            notify(path);
+            return { queued: false };
+        },
+
+        async transact(path, id, change) {
+            const collection = collectionFor(path);
+            const data = collection.get(id);
+            const changes = change(data ? { id, ...clone(data) } : null);
+            if (!changes || !data) return null;
+            collection.set(id, { ...data, ...clone(changes) });
+            notify(path);
+            return changes;
+        },
+
+        async remove(path, id) {
+            collectionFor(path).delete(id);
+            notify(path);
+        },
+
+        async get(path, id) {
+            const data = collectionFor(path).get(id);
+            return data ? { id, ...clone(data) } : null;
+        },
+
+        async list(path, options = {}) {
+            return query(path, options);
+        },
+
+        subscribe(path, options, onChange, onError) {
+            const listener = () => {
+                try {
+                    onChange(query(path, options));
+                } catch (error) {
+                    if (onError) onError(error);
+                }
+            };
+            if (!listeners.has(path)) listeners.set(path, new Set());
+            listeners.get(path).add(listener);
+            listener();
+            return () => listeners.get(path).delete(listener);
+        }
+    };
+}
@@ -0,0 +1,262 @@
+// night-session-module.js
+
+// Night sessions: the user starts a session when going to bed, logs wake-ups during the night and ends it
+// on the final wake-up. Every dream recorded while a session runs (or shortly after it ended) is attached to
+// it, together with the wake-up it was recorded after, so a night with several recordings stays together.
+// Controlled from the Record tab; the Drafts and Archive sub-tabs group dreams by night under the headers
+// created here. Statistics on dreams per night and productive wake-ups are in nights.js and stats-module.js.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { nightSessionsRepository } from './dreams-data-service.js';
+import { nightKey, dreamNightKey, describeNight, sessionWakeUps } from './nights.js';
+
+const MAX_SESSION_HOURS = 16; // A session still running after this long was forgotten; recordings no longer join it
+const AFTER_END_MINUTES = 120; // Recordings this long after the final wake-up still belong to the session
+const WAKE_UP_WINDOW_MINUTES = 45; // A recording this soon after a logged wake-up belongs to that wake-up
+
+// Internal state variables for night sessions
+let nightSessions = []; // All night sessions, newest first
+let unsubscribeNightSessions = null;
+
+/**
+ * Formats a time of the night, e.g. "23:10".
+ * @param {Date|null} date - The time.
+ * @returns {string} The formatted time, '?' for none.
+ */
+function formatTime(date) {
+    return date instanceof Date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '?';
+}
+
+/**
+ * Returns the running session, unless it was started too long ago to still be running.
+ * @returns {import('./dreams-data-service.js').NightSession|null} The session, or null.
+ */
+function activeSession() {
+    const session = nightSessions.find(candidate => candidate.status === 'active');
+    if (!session || !session.bedtime) return null;
+    return Date.now() - session.bedtime.getTime() <= MAX_SESSION_HOURS * 60 * 60 * 1000 ? session : null;
+}
+
+/**
+ * Returns the session a recording made now belongs to: the running one, or one that ended shortly before.
+ * @returns {import('./dreams-data-service.js').NightSession|null} The session, or null.
+ */
+function currentSession() {
+    const running = activeSession();
+    if (running) return running;
+    const ended = nightSessions.find(candidate => candidate.status === 'ended' && candidate.finalWakeAt);
+    return ended && Date.now() - ended.finalWakeAt.getTime() <= AFTER_END_MINUTES * 60 * 1000 ? ended : null;
+}
+
+/**
+ * Returns the night, night session and wake-up a dream recorded now belongs to. If a session is running and
+ * no wake-up was logged shortly before, the recording itself counts as a wake-up and is logged.
+ * @param {import('./dreams-data-service.js').DreamMetadata|null} metadata - The dream's metadata. A dream that
+ *     happened before the session's bedtime is not attached to the session.
+ * @returns {Promise<{night: string, sessionId: string, wakeUpAt: (Date|null)}>} The links to save with the draft.
+ */
+export async function linkToNightSession(metadata) {
+    const occurredAt = metadata && metadata.occurredAt;
+    const session = currentSession();
+    if (!session || (occurredAt && session.bedtime && occurredAt < session.bedtime)) {
+        return { night: nightKey(occurredAt || new Date()), sessionId: '', wakeUpAt: null };
+    }
+
+    let wakeUpAt = session.finalWakeAt;
+    if (!wakeUpAt) {
+        const now = new Date();
+        const lastWakeUp = session.wakeUps[session.wakeUps.length - 1];
+        if (lastWakeUp && now.getTime() - lastWakeUp.getTime() <= WAKE_UP_WINDOW_MINUTES * 60 * 1000) {
+            wakeUpAt = lastWakeUp;
+        } else {
+            wakeUpAt = now;
+            try {
+                const wakeUps = [...session.wakeUps, now];
+                await nightSessionsRepository.update(session.id, { wakeUps }, { description: `Wake-up of ${session.night}` });
+                session.wakeUps = wakeUps; // So a second recording before the next update joins this wake-up
+            } catch (error) {
+                console.error("Error logging wake-up:", error);
+            }
+        }
+    }
+    return { night: session.night, sessionId: session.id, wakeUpAt };
+}
+
+/**
+ * Starts a night session now.
+ */
+async function startNightSession() {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to start a night session.');
+        return;
+    }
+    if (activeSession()) {
+        showMessage('info', 'A night session is already running.');
+        return;
+    }
+    const now = new Date();
+    showLoading();
+    try {
+        const { queued } = await nightSessionsRepository.add({
+            night: nightKey(now),
+            bedtime: now,
+            wakeUps: [],
+            finalWakeAt: null,
+            status: 'active',
+            notes: ''
+        }, { description: `Night session of ${nightKey(now)}` });
+        showMessage(queued ? 'info' : 'success', queued
+            ? 'You are offline. The night session is saved on this device and will sync later.'
+            : 'Good night! Dreams you record tonight will be kept together.');
+    } catch (error) {
+        console.error("Error starting night session:", error);
+        showMessage('error', `Failed to start the night session: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Logs a wake-up of the running session, e.g. one without a dream to record.
+ */
+async function logWakeUp() {
+    const session = activeSession();
+    if (!session) {
+        showMessage('info', 'No night session is running.');
+        return;
+    }
+    try {
+        await nightSessionsRepository.update(session.id, { wakeUps: [...session.wakeUps, new Date()] }, { description: `Wake-up of ${session.night}` });
+        showMessage('success', 'Wake-up logged. Record a dream now, or go back to sleep.');
+    } catch (error) {
+        console.error("Error logging wake-up:", error);
+        showMessage('error', `Failed to log the wake-up: ${error.message}`);
+    }
+}
+
+/**
+ * Ends a session. The running session ends now, with its final wake-up; a wake-up logged shortly before
+ * (e.g. by recording the last dream first) becomes the final one. A forgotten session ends without one.
+ * @param {import('./dreams-data-service.js').NightSession} session - The session.
+ */
+async function endNightSession(session) {
+    const isRunning = session === activeSession();
+    const now = new Date();
+    const wakeUps = [...session.wakeUps];
+    let finalWakeAt = null;
+    if (isRunning) {
+        const lastWakeUp = wakeUps[wakeUps.length - 1];
+        finalWakeAt = lastWakeUp && now.getTime() - lastWakeUp.getTime() <= WAKE_UP_WINDOW_MINUTES * 60 * 1000 ? wakeUps.pop() : now;
+    }
+    try {
+        await nightSessionsRepository.update(session.id, { status: 'ended', wakeUps, finalWakeAt }, {
+            description: `End of night session ${session.night}`
+        });
+        showMessage('success', isRunning
+            ? `Good morning! Dreams you record in the next ${AFTER_END_MINUTES / 60} hours still belong to this night.`
+            : 'Night session ended.');
+    } catch (error) {
+        console.error("Error ending night session:", error);
+        showMessage('error', `Failed to end the night session: ${error.message}`);
+    }
+}
+
+/**
+ * Describes a session in a short line, e.g. "Bed 23:10 · 2 wake-ups · Up 07:05".
+ * @param {import('./dreams-data-service.js').NightSession} session - The session.
+ * @returns {string} The description.
+ */
+function describeSession(session) {
+    const parts = [`Bed ${formatTime(session.bedtime)}`];
+    parts.push(`${session.wakeUps.length} ${session.wakeUps.length === 1 ? 'wake-up' : 'wake-ups'}`);
+    parts.push(session.finalWakeAt ? `Up ${formatTime(session.finalWakeAt)}` : session.status === 'active' ? 'running' : 'ended');
+    return parts.join(' · ');
+}
+
+/**
+ * Creates the header of a night in the Drafts and Archive sub-tabs: the night, its number of dreams and its
+ * night sessions.
+ * @param {string|null} night - The night's day key, null for dreams without a date.
+ * @param {Array<object>} dreams - The dreams of the list, to count those of the night.
+ * @returns {HTMLElement} The header.
+ */
+export function createNightHeader(night, dreams) {
+    const count = dreams.filter(dream => dreamNightKey(dream) === night).length;
+    const sessions = night ? nightSessions.filter(session => session.night === night) : [];
+    const header = document.createElement('div');
+    header.classList.add('night-group-header');
+    header.textContent = [
+        night ? `Night of ${describeNight(night)}` : 'Undated',
+        `${count} ${count === 1 ? 'dream' : 'dreams'}`,
+        ...sessions.map(describeSession)
+    ].join(' · ');
+    return header;
+}
+
+/**
+ * Renders the running session's status and controls on the Record tab.
+ */
+function renderNightSession() {
+    const nightSessionStatus = document.getElementById('night-session-status');
+    const startNightSessionButton = document.getElementById('start-night-session-button');
+    const logWakeUpButton = document.getElementById('log-wake-up-button');
+    const endNightSessionButton = document.getElementById('end-night-session-button');
+
+    const running = activeSession();
+    const forgotten = running ? null : nightSessions.find(session => session.status === 'active');
+    const session = currentSession();
+    if (nightSessionStatus) {
+        if (running) {
+            const wakeUps = running.wakeUps.map(formatTime).join(', ');
+            nightSessionStatus.textContent = `Night session running since ${formatTime(running.bedtime)}${wakeUps ? `. Wake-ups: ${wakeUps}` : ''}. Each recording joins this night.`;
+        } else if (session) {
+            nightSessionStatus.textContent = `Night ended at ${formatTime(session.finalWakeAt)} (${sessionWakeUps(session).length} wake-ups). Recordings made now still join it.`;
+        } else if (forgotten) {
+            nightSessionStatus.textContent = `The night session of ${describeNight(forgotten.night)} was never ended. End it before starting a new one.`;
+        } else {
+            nightSessionStatus.textContent = 'No night session running. Start one when you go to bed to keep the night\'s recordings together.';
+        }
+    }
+    if (startNightSessionButton) startNightSessionButton.disabled = Boolean(running || forgotten);
+    if (logWakeUpButton) logWakeUpButton.disabled = !running;
+    if (endNightSessionButton) endNightSessionButton.disabled = !(running || forgotten);
+}
+
+/**
+ * Starts watching the night sessions.
+ */
+function watchNightSessions() {
+    if (unsubscribeNightSessions) unsubscribeNightSessions();
+    unsubscribeNightSessions = nightSessionsRepository.subscribe({ orderBy: 'bedtime', direction: 'desc' }, (records) => {
+        nightSessions = records;
+        renderNightSession();
+    }, (error) => {
+        console.error("Error loading night sessions:", error);
+        showMessage('error', `Failed to load night sessions: ${error.message}`);
+    });
+}
+
+/**
+ * Initializes event listeners for night sessions on the Record tab.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeNightSessionModule() {
+    const startNightSessionButton = document.getElementById('start-night-session-button');
+    const logWakeUpButton = document.getElementById('log-wake-up-button');
+    const endNightSessionButton = document.getElementById('end-night-session-button');
+
+    if (startNightSessionButton) startNightSessionButton.addEventListener('click', startNightSession);
+    if (logWakeUpButton) logWakeUpButton.addEventListener('click', logWakeUp);
+    if (endNightSessionButton) {
+        endNightSessionButton.addEventListener('click', () => {
+            const session = activeSession() || nightSessions.find(candidate => candidate.status === 'active');
+            if (session) endNightSession(session);
+        });
+    }
+
+    renderNightSession();
+    if (!userId || !isAuthReady) return;
+    watchNightSessions();
+}
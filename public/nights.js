@@ -0,0 +1,232 @@
+// nights.js
+
+// Nights are how dreams are grouped and scoped: a dream belongs to the night it happened in, named after
+// the evening the night starts on, so a dream recorded at 3 a.m. belongs to the previous day's night.
+// Nights and days are identified by 'YYYY-MM-DD' keys. Time scopes ('lastNight', 'last7Days', ...) select
+// whole nights up to last night, the latest one that has ended (or is ending, before noon), and the Drafts
+// and Archive sub-tabs group dreams by night. Night sessions (night-session-module.js) record bedtime,
+// wake-ups and the final wake time; this module also computes their statistics. Pure logic: no Firestore,
+// no DOM.
+
+/** How many nights each time scope covers, up to and including last night. 'lastYear' and 'allTime' are handled separately. */
+const SCOPE_NIGHTS = {
+    lastNight: 1,
+    last7Days: 7,
+    last30Days: 30
+};
+
+const NIGHT_START_HOUR = 12; // Nights run from noon to noon (see nightKey)
+
+/**
+ * Formats a date as a 'YYYY-MM-DD' day key in local time.
+ * @param {Date} date - The date.
+ * @returns {string} The day key.
+ */
+export function dayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the night a moment belongs to, named after the evening it starts on: 3 a.m. on the 19th is the
+ * night of the 18th. Nights run from noon to noon.
+ * @param {Date} date - The moment.
+ * @returns {string} The night's day key.
+ */
+export function nightKey(date) {
+    return dayKey(new Date(date.getTime() - (12 * 60 * 60 * 1000)));
+}
+
+/**
+ * Parses a 'YYYY-MM-DD' day key into a local date.
+ * @param {string} key - The day key.
+ * @returns {Date|null} The date at local midnight, or null if the key is invalid.
+ */
+export function dateFromDayKey(key) {
+    const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+    return parts ? new Date(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])) : null;
+}
+
+/**
+ * Formats a night for display, e.g. "Sat, 10/17 → Sun, 10/18".
+ * @param {string} key - The night's day key.
+ * @returns {string} The description.
+ */
+export function describeNight(key) {
+    const evening = dateFromDayKey(key);
+    if (!evening) return key;
+    const morning = new Date(evening.getFullYear(), evening.getMonth(), evening.getDate() + 1);
+    const format = (date) => date.toLocaleDateString([], { weekday: 'short', month: 'numeric', day: 'numeric' });
+    return `${format(evening)} → ${format(morning)}`;
+}
+
+/**
+ * Returns the night a dream happened in: from its recorded time if given, else the night it was recorded in
+ * (saved with the dream since night sessions, see night-session-module.js), else from when it was saved.
+ * @param {object} dream - A draft or archived dream.
+ * @returns {string|null} The night's day key, or null if the dream has no date.
+ */
+export function dreamNightKey(dream) {
+    const occurredAt = dream.metadata && dream.metadata.occurredAt;
+    if (occurredAt instanceof Date) return nightKey(occurredAt);
+    if (dream.night) return dream.night;
+    return dream.timestamp instanceof Date ? nightKey(dream.timestamp) : null;
+}
+
+/**
+ * Returns last night: the latest night that has ended or is ending. Before noon that is the night still running,
+ * after noon it is the one that ended at noon, not the night just beginning.
+ * @param {Date} now - The current time.
+ * @returns {Date} The evening last night started on, at local midnight.
+ */
+function lastNightDate(now) {
+    const night = now.getHours() >= NIGHT_START_HOUR ? nightKey(new Date(now.getTime() - (12 * 60 * 60 * 1000))) : nightKey(now);
+    return dateFromDayKey(night);
+}
+
+/**
+ * Returns the first night of a time scope.
+ * @param {string} scope - 'lastNight', 'last7Days', 'last30Days', 'lastYear' or 'allTime'.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {string|null} The first night's day key, or null for all time.
+ */
+export function scopeStartNight(scope, now = new Date()) {
+    const lastNight = lastNightDate(now);
+    if (SCOPE_NIGHTS[scope]) {
+        return dayKey(new Date(lastNight.getFullYear(), lastNight.getMonth(), lastNight.getDate() - SCOPE_NIGHTS[scope] + 1));
+    }
+    if (scope === 'lastYear') {
+        return dayKey(new Date(lastNight.getFullYear() - 1, lastNight.getMonth(), lastNight.getDate() + 1));
+    }
+    return null;
+}
+
+/**
+ * Returns when a time scope starts: at noon on the evening of its first night, so that records with only a
+ * timestamp (daily events, chats) are scoped the same way as dreams.
+ * @param {string} scope - The time scope, see scopeStartNight.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date|null} The start, or null for all time.
+ */
+export function scopeStartDate(scope, now = new Date()) {
+    const startNight = dateFromDayKey(scopeStartNight(scope, now));
+    return startNight ? new Date(startNight.getFullYear(), startNight.getMonth(), startNight.getDate(), NIGHT_START_HOUR) : null;
+}
+
+/**
+ * Returns when a time scope ends: at the end of last night (just before noon the morning after), so the night
+ * just beginning is left out. All time ends now.
+ * @param {string} scope - The time scope, see scopeStartNight.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Date} The end.
+ */
+export function scopeEndDate(scope, now = new Date()) {
+    if (scope === 'allTime') return now;
+    const lastNight = lastNightDate(now);
+    return new Date(new Date(lastNight.getFullYear(), lastNight.getMonth(), lastNight.getDate() + 1, NIGHT_START_HOUR).getTime() - 1);
+}
+
+/**
+ * Tells whether a dream belongs to a period, by the night it happened in rather than when it was saved.
+ * @param {object} dream - A draft or archived dream.
+ * @param {Date|null} start - Start of the period, null for all time.
+ * @param {Date} end - End of the period.
+ * @returns {boolean} True if the dream's night lies in the period.
+ */
+export function isDreamInPeriod(dream, start, end) {
+    const night = dreamNightKey(dream);
+    if (!night) return false;
+    return (!start || night >= nightKey(start)) && night <= nightKey(end);
+}
+
+/**
+ * Orders dreams by night, latest night first, keeping the given order within a night.
+ * Dreams without a date come last.
+ * @param {Array<object>} dreams - Drafts or archived dreams.
+ * @returns {Array<object>} The ordered dreams.
+ */
+export function orderByNight(dreams) {
+    return dreams
+        .map((dream, index) => ({ dream, index, night: dreamNightKey(dream) || '' }))
+        .sort((a, b) => b.night.localeCompare(a.night) || a.index - b.index)
+        .map(({ dream }) => dream);
+}
+
+/**
+ * Lists every wake-up of a night session: those logged during the night, then the final wake-up.
+ * @param {import('./dreams-data-service.js').NightSession} session - The session.
+ * @returns {Array<Date>} The wake-up times, in order.
+ */
+export function sessionWakeUps(session) {
+    const wakeUps = [...session.wakeUps].sort((a, b) => a - b);
+    if (session.finalWakeAt) wakeUps.push(session.finalWakeAt);
+    return wakeUps;
+}
+
+/**
+ * Counts dreams per night, over the nights with at least one dream.
+ * @param {Array<object>} dreams - Drafts and archived dreams.
+ * @returns {{nights: number, dreams: number, average: number, histogram: Array<{dreams: number, nights: number}>}}
+ *     The number of nights and dreams, the average, and how many nights had 1, 2, 3, ... dreams.
+ */
+export function dreamsPerNight(dreams) {
+    const countsByNight = new Map();
+    dreams.forEach(dream => {
+        const night = dreamNightKey(dream);
+        if (night) countsByNight.set(night, (countsByNight.get(night) || 0) + 1);
+    });
+    const nightsByCount = new Map();
+    countsByNight.forEach(count => nightsByCount.set(count, (nightsByCount.get(count) || 0) + 1));
+    const dreamCount = [...countsByNight.values()].reduce((sum, count) => sum + count, 0);
+    return {
+        nights: countsByNight.size,
+        dreams: dreamCount,
+        average: countsByNight.size > 0 ? dreamCount / countsByNight.size : 0,
+        histogram: [...nightsByCount.entries()].sort((a, b) => a[0] - b[0]).map(([count, nights]) => ({ dreams: count, nights }))
+    };
+}
+
+/**
+ * Computes how many wake-ups of the night sessions produced a recorded dream. A dream produced a wake-up if
+ * it was recorded in the session right after it (its `wakeUpAt`).
+ * @param {Array<import('./dreams-data-service.js').NightSession>} sessions - The night sessions.
+ * @param {Array<object>} dreams - Drafts and archived dreams.
+ * @returns {{wakeUps: number, productive: number, rate: number, byOrder: Array<{label: string, wakeUps: number, productive: number, rate: number}>}}
+ *     The totals, and the same per wake-up of the night (1st, 2nd, ..., final).
+ */
+export function wakeUpYield(sessions, dreams) {
+    const dreamWakeUps = new Set(dreams
+        .filter(dream => dream.sessionId && dream.wakeUpAt instanceof Date)
+        .map(dream => `${dream.sessionId}:${dream.wakeUpAt.getTime()}`));
+    const byOrder = new Map(); // wake-up number (Infinity for the final one) -> { wakeUps, productive }
+    let total = 0;
+    let productive = 0;
+
+    sessions.forEach(session => {
+        const nightWakeUps = sessionWakeUps(session);
+        nightWakeUps.forEach((wakeUp, index) => {
+            const isFinal = Boolean(session.finalWakeAt) && index === nightWakeUps.length - 1;
+            const order = isFinal ? Infinity : index + 1;
+            const isProductive = dreamWakeUps.has(`${session.id}:${wakeUp.getTime()}`);
+            if (!byOrder.has(order)) byOrder.set(order, { wakeUps: 0, productive: 0 });
+            byOrder.get(order).wakeUps++;
+            total++;
+            if (isProductive) {
+                byOrder.get(order).productive++;
+                productive++;
+            }
+        });
+    });
+
+    return {
+        wakeUps: total,
+        productive,
+        rate: total > 0 ? productive / total : 0,
+        byOrder: [...byOrder.entries()]
+            .sort((a, b) => (a[0] === Infinity) - (b[0] === Infinity) || a[0] - b[0])
+            .map(([order, counts]) => ({
+                label: order === Infinity ? 'Final wake-up' : `Wake-up ${order}`,
+                ...counts,
+                rate: counts.productive / counts.wakeUps
+            }))
+    };
+}
@@ -0,0 +1,95 @@
+// offline-outbox.js
+
+// Local IndexedDB store for writes made while offline.
+// Entries wait here until offline-sync.js replays them against Firestore.
+
+const DB_NAME = 'dream-weaver-offline';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the offline IndexedDB database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openOfflineDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+                    const store = database.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                    store.createIndex('queuedAt', 'queuedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single IndexedDB request inside a transaction on the outbox store.
+ * @param {'readonly'|'readwrite'} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request from the store.
+ * @returns {Promise<*>} The request result.
+ */
+async function runOutboxRequest(mode, makeRequest) {
+    const database = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(OUTBOX_STORE, mode);
+        const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {string} id - Unique entry ID.
+ * @property {'set'|'update'|'delete'} op - 'set' creates a document, 'update' changes fields on one, 'delete' removes it.
+ * @property {string} userId - The user the write belongs to.
+ * @property {string} collectionPath - The Firestore collection path.
+ * @property {string} docId - The target document ID (pre-generated for 'set').
+ * @property {object} data - The fields to write, without server timestamps.
+ * @property {boolean} stampTimestamp - Whether to write `timestamp` as the time the entry was queued.
+ * @property {object|null} expected - Field values the document had when the edit started; used to detect conflicts.
+ * @property {string} description - Human-readable label for the sync UI.
+ * @property {number} queuedAt - Milliseconds since epoch when the entry was queued.
+ * @property {'pending'|'conflict'} status - Sync status.
+ * @property {object|null} conflict - Details when status is 'conflict'.
+ */
+
+/**
+ * Adds or replaces an entry in the outbox.
+ * @param {OutboxEntry} entry - The entry to store.
+ * @returns {Promise<void>}
+ */
+export async function putOutboxEntry(entry) {
+    await runOutboxRequest('readwrite', store => store.put(entry));
+}
+
+/**
+ * Lists all outbox entries, oldest first.
+ * @returns {Promise<Array<OutboxEntry>>} The entries.
+ */
+export async function listOutboxEntries() {
+    const entries = await runOutboxRequest('readonly', store => store.index('queuedAt').getAll());
+    return entries || [];
+}
+
+/**
+ * Removes an entry from the outbox.
+ * @param {string} id - The entry ID.
+ * @returns {Promise<void>}
+ */
+export async function removeOutboxEntry(id) {
+    await runOutboxRequest('readwrite', store => store.delete(id));
+}
@@ -0,0 +1,486 @@
+// offline-sync.js
+
+// Import Firebase variables and functions
+import { db, userId, isAuthReady } from './firebase-init.js';
+import { showMessage } from './ui-utils.js';
+import { putOutboxEntry, listOutboxEntries, removeOutboxEntry } from './offline-outbox.js';
+import {
+    collection, doc, setDoc, updateDoc, deleteDoc, getDoc, serverTimestamp, Timestamp
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+// How long an online write may take before we assume the connection is dead and queue it instead.
+// The SDK keeps the timed-out write pending; if it still completes, the queued copy is dropped again.
+const ONLINE_WRITE_TIMEOUT_MS = 8000;
+
+// Internal state variables for offline sync
+let isSyncing = false;
+let syncStatus = { online: navigator.onLine, pending: 0, conflicts: 0, syncing: false };
+const syncStatusListeners = [];
+
+/**
+ * Registers the service worker that precaches the app shell and Firebase SDK modules.
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.warn("Service workers are not supported in this browser. Offline mode is unavailable.");
+        return;
+    }
+    navigator.serviceWorker.register('/sw.js', { scope: '/' })
+        .then(registration => console.log("Service worker registered with scope:", registration.scope))
+        .catch(error => console.error("Service worker registration failed:", error));
+}
+
+/**
+ * Whether an error means the write could not reach Firestore (as opposed to being rejected by it).
+ * @param {Error} error - The error thrown by the write.
+ * @returns {boolean} True for connectivity failures.
+ */
+function isConnectivityError(error) {
+    if (!navigator.onLine) return true;
+    return !!error && (error.code === 'unavailable' || error.code === 'deadline-exceeded' || error.isTimeout === true);
+}
+
+/**
+ * Rejects if the promise does not settle within the given time.
+ * @param {Promise} promise - The promise to wait for.
+ * @param {number} ms - The timeout in milliseconds.
+ * @returns {Promise} The original promise's result.
+ */
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            const error = new Error('Write timed out.');
+            error.isTimeout = true;
+            reject(error);
+        }, ms);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
+
+/**
+ * Applies a single write to Firestore.
+ * @param {'set'|'update'|'delete'|'force'} op - 'force' merges the data even if the document was deleted.
+ * @param {string} collectionPath - The collection path.
+ * @param {string} docId - The document ID.
+ * @param {object} data - The fields to write.
+ * @param {*} [timestampValue] - Value for the `timestamp` field, or null to leave it untouched.
+ * @returns {Promise<void>}
+ */
+async function applyWrite(op, collectionPath, docId, data, timestampValue = null) {
+    const payload = { ...data };
+    if (timestampValue) payload.timestamp = timestampValue;
+    const docRef = doc(db, collectionPath, docId);
+
+    if (op === 'set') {
+        await setDoc(docRef, payload);
+    } else if (op === 'force') {
+        await setDoc(docRef, payload, { merge: true });
+    } else if (op === 'delete') {
+        await deleteDoc(docRef);
+    } else {
+        await updateDoc(docRef, payload);
+    }
+}
+
+/**
+ * Drops the queued writes to a document, e.g. because it is being deleted.
+ * @param {string} collectionPath - The Firestore collection path.
+ * @param {string} docId - The document ID.
+ * @returns {Promise<void>}
+ */
+async function dropOutboxEntriesFor(collectionPath, docId) {
+    const entries = await listOutboxEntries();
+    await Promise.all(entries
+        .filter(entry => entry.userId === userId && entry.collectionPath === collectionPath && entry.docId === docId)
+        .map(entry => removeOutboxEntry(entry.id)));
+}
+
+/**
+ * Writes to Firestore, or saves the write to the local outbox when the network is unavailable.
+ * Queued writes are replayed by flushOutbox() when the connection comes back.
+ * @param {object} write - The write to perform.
+ * @param {'set'|'update'|'delete'} write.op - 'set' creates a new document, 'update' changes an existing one, 'delete' removes one.
+ * @param {string} write.collectionPath - The Firestore collection path.
+ * @param {string} [write.docId] - The document ID. Required for 'update' and 'delete'; generated for 'set' if omitted.
+ * @param {object} [write.data={}] - The fields to write, without `timestamp`.
+ * @param {boolean} [write.stampTimestamp=false] - Whether to set `timestamp` to the time of the write.
+ * @param {object|null} [write.expected=null] - Field values the document had when the edit started, used to detect offline conflicts.
+ * @param {string} [write.description=''] - Label shown in the sync UI.
+ * @returns {Promise<{id: string, queued: boolean}>} The document ID and whether the write was queued.
+ */
+export async function writeOrQueue({ op, collectionPath, docId = null, data = {}, stampTimestamp = false, expected = null, description = '' }) {
+    if (!userId || !isAuthReady) {
+        throw new Error('Please sign in to save your data.');
+    }
+
+    const targetId = docId || doc(collection(db, collectionPath)).id;
+    const entryId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    // Earlier queued writes to a deleted document would bring it back when replayed
+    if (op === 'delete') await dropOutboxEntriesFor(collectionPath, targetId);
+
+    let timedOutWrite = null;
+    if (navigator.onLine) {
+        const write = applyWrite(op, collectionPath, targetId, data, stampTimestamp ? serverTimestamp() : null);
+        try {
+            await withTimeout(write, ONLINE_WRITE_TIMEOUT_MS);
+            return { id: targetId, queued: false };
+        } catch (error) {
+            if (!isConnectivityError(error)) throw error;
+            console.warn("Write could not reach Firestore, queuing it offline:", error);
+            if (error.isTimeout) timedOutWrite = write;
+        }
+    }
+
+    await putOutboxEntry({
+        id: entryId,
+        op,
+        userId,
+        collectionPath,
+        docId: targetId,
+        data,
+        stampTimestamp,
+        expected,
+        description,
+        queuedAt: Date.now(),
+        status: 'pending',
+        conflict: null
+    });
+    await refreshSyncStatus();
+    if (timedOutWrite) {
+        // The SDK may still deliver the timed-out write; then the queued copy must not be applied a second time
+        timedOutWrite
+            .then(() => removeOutboxEntry(entryId))
+            .then(refreshSyncStatus)
+            .catch(() => {}); // Not delivered: the queued copy is replayed by flushOutbox()
+    }
+    return { id: targetId, queued: true };
+}
+
+/**
+ * Reads the signed-in user's queued writes of one kind to a collection, oldest first.
+ * @param {string} collectionPath - The Firestore collection path.
+ * @param {'set'|'update'} op - The kind of write.
+ * @returns {Promise<Array<object>>} The outbox entries, or none if the outbox cannot be read.
+ */
+async function listQueuedWrites(collectionPath, op) {
+    if (!userId) return [];
+    try {
+        const entries = await listOutboxEntries();
+        return entries.filter(entry => entry.op === op && entry.userId === userId && entry.collectionPath === collectionPath);
+    } catch (error) {
+        console.error("Error reading offline outbox:", error);
+        return [];
+    }
+}
+
+/**
+ * Lists queued document creations for a collection,
+ * so lists can show items that were saved offline and are waiting to sync.
+ * @param {string} collectionPath - The Firestore collection path.
+ * @returns {Promise<Array<{id: string, queuedAt: number, data: object}>>} The pending documents, newest first.
+ */
+export async function listPendingCreates(collectionPath) {
+    return (await listQueuedWrites(collectionPath, 'set'))
+        .map(entry => ({ id: entry.docId, queuedAt: entry.queuedAt, data: entry.data }))
+        .reverse();
+}
+
+/**
+ * Lists queued document updates for a collection, so lists show edits made offline instead of
+ * the stored values until they sync. Updates held as conflicts wait for the user's decision and are left out.
+ * @param {string} collectionPath - The Firestore collection path.
+ * @returns {Promise<Array<{id: string, queuedAt: number, data: object, stampTimestamp: boolean}>>} The pending updates, oldest first.
+ */
+export async function listPendingUpdates(collectionPath) {
+    return (await listQueuedWrites(collectionPath, 'update'))
+        .filter(entry => entry.status === 'pending')
+        .map(entry => ({ id: entry.docId, queuedAt: entry.queuedAt, data: entry.data, stampTimestamp: entry.stampTimestamp }));
+}
+
+/**
+ * Whether a server value and a queued value are the same, comparing Timestamps and Dates by time
+ * and arrays and objects by content.
+ * @param {*} remoteValue - The value read from Firestore.
+ * @param {*} localValue - The value from the outbox.
+ * @returns {boolean} True if they are equal.
+ */
+function isSameValue(remoteValue, localValue) {
+    const comparable = (value) => {
+        if (value instanceof Timestamp) return value.toMillis();
+        if (value instanceof Date) return value.getTime();
+        if (Array.isArray(value)) return value.map(comparable);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.keys(value).sort().map(key => [key, comparable(value[key])]));
+        }
+        return value ?? '';
+    };
+    return JSON.stringify(comparable(remoteValue)) === JSON.stringify(comparable(localValue));
+}
+
+/**
+ * Checks a queued update against the current server document.
+ * An update the server already has (e.g. a timed-out write the SDK delivered after all) is not a conflict.
+ * @param {object} entry - The outbox entry.
+ * @returns {Promise<object|null>} Conflict details, or null if the update can be applied.
+ */
+async function detectConflict(entry) {
+    if (entry.op !== 'update' || !entry.expected) return null;
+
+    const snapshot = await getDoc(doc(db, entry.collectionPath, entry.docId));
+    if (!snapshot.exists()) {
+        return { reason: 'The record was deleted on another device.', remoteData: null };
+    }
+    const remoteData = snapshot.data();
+    if (Object.keys(entry.data).every(field => isSameValue(remoteData[field], entry.data[field]))) return null;
+    const changedFields = Object.keys(entry.expected).filter(field => !isSameValue(remoteData[field], entry.expected[field]));
+    if (changedFields.length === 0) return null;
+
+    const remoteValues = {};
+    changedFields.forEach(field => { remoteValues[field] = remoteData[field] ?? ''; });
+    return { reason: `Changed elsewhere while you were offline (${changedFields.join(', ')}).`, remoteData: remoteValues };
+}
+
+/**
+ * Replays queued writes for the signed-in user against Firestore.
+ * Updates whose target changed in the meantime are kept as conflicts for the user to resolve.
+ * @returns {Promise<number>} The number of writes synced.
+ */
+export async function flushOutbox() {
+    if (isSyncing || !navigator.onLine || !userId || !isAuthReady) return 0;
+
+    isSyncing = true;
+    await refreshSyncStatus();
+    let syncedCount = 0;
+
+    try {
+        const entries = await listOutboxEntries();
+        for (const entry of entries) {
+            if (entry.status !== 'pending' || entry.userId !== userId) continue;
+            try {
+                const conflict = await detectConflict(entry);
+                if (conflict) {
+                    await putOutboxEntry({ ...entry, status: 'conflict', conflict });
+                    continue;
+                }
+                await applyWrite(
+                    entry.op,
+                    entry.collectionPath,
+                    entry.docId,
+                    entry.data,
+                    entry.stampTimestamp ? Timestamp.fromMillis(entry.queuedAt) : null
+                );
+                await removeOutboxEntry(entry.id);
+                syncedCount++;
+            } catch (error) {
+                if (isConnectivityError(error)) {
+                    console.warn("Lost connection while syncing the outbox. Will retry when back online.");
+                    break;
+                }
+                console.error("Error syncing queued write:", error);
+                await putOutboxEntry({ ...entry, status: 'conflict', conflict: { reason: error.message, remoteData: null } });
+            }
+        }
+    } catch (error) {
+        console.error("Error reading offline outbox:", error);
+    } finally {
+        isSyncing = false;
+        await refreshSyncStatus();
+    }
+
+    if (syncedCount > 0) console.log(`Synced ${syncedCount} offline change(s).`);
+    return syncedCount;
+}
+
+/**
+ * Resolves an offline conflict.
+ * @param {string} entryId - The outbox entry ID.
+ * @param {'keep-mine'|'discard'} resolution - Apply the offline change anyway, or drop it.
+ * @returns {Promise<void>}
+ */
+export async function resolveConflict(entryId, resolution) {
+    const entries = await listOutboxEntries();
+    const entry = entries.find(item => item.id === entryId);
+    if (!entry) return;
+
+    try {
+        if (resolution === 'keep-mine') {
+            await applyWrite(
+                'force',
+                entry.collectionPath,
+                entry.docId,
+                entry.data,
+                entry.stampTimestamp ? Timestamp.fromMillis(entry.queuedAt) : null
+            );
+        }
+        await removeOutboxEntry(entry.id);
+    } catch (error) {
+        console.error("Error resolving offline conflict:", error);
+        showMessage('error', `Failed to resolve conflict: ${error.message}`);
+    } finally {
+        await refreshSyncStatus();
+    }
+}
+
+/**
+ * Recounts pending and conflicting outbox entries and notifies listeners.
+ * @returns {Promise<void>}
+ */
+async function refreshSyncStatus() {
+    let entries = [];
+    try {
+        entries = (await listOutboxEntries()).filter(entry => entry.userId === userId);
+    } catch (error) {
+        console.error("Error reading offline outbox:", error);
+    }
+    syncStatus = {
+        online: navigator.onLine,
+        pending: entries.filter(entry => entry.status === 'pending').length,
+        conflicts: entries.filter(entry => entry.status === 'conflict').length,
+        syncing: isSyncing
+    };
+    syncStatusListeners.forEach(listener => listener(syncStatus));
+}
+
+/**
+ * Subscribes to sync status changes. The listener is also called whenever the outbox changes.
+ * @param {function({online: boolean, pending: number, conflicts: number, syncing: boolean})} listener - Called with the new status.
+ * @returns {function()} Unsubscribes the listener.
+ */
+export function onSyncStatusChange(listener) {
+    syncStatusListeners.push(listener);
+    listener(syncStatus);
+    return () => {
+        const index = syncStatusListeners.indexOf(listener);
+        if (index !== -1) syncStatusListeners.splice(index, 1);
+    };
+}
+
+/**
+ * Renders the sync status badge in the app header.
+ * @param {{online: boolean, pending: number, conflicts: number, syncing: boolean}} status - The current status.
+ */
+function renderSyncStatus(status) {
+    const syncStatusDisplay = document.getElementById('sync-status');
+    const syncConflictsButton = document.getElementById('sync-conflicts-button');
+
+    if (syncStatusDisplay) {
+        let text;
+        let colorClass;
+        if (!status.online) {
+            text = status.pending > 0 ? `Offline · ${status.pending} waiting to sync` : 'Offline · changes are saved on this device';
+            colorClass = 'text-yellow-600';
+        } else if (status.syncing) {
+            text = 'Syncing...';
+            colorClass = 'text-blue-600';
+        } else if (status.pending > 0) {
+            text = `${status.pending} waiting to sync`;
+            colorClass = 'text-yellow-600';
+        } else {
+            text = 'All changes synced';
+            colorClass = 'text-green-600';
+        }
+        syncStatusDisplay.textContent = text;
+        syncStatusDisplay.className = `text-sm ${colorClass}`;
+    }
+
+    if (syncConflictsButton) {
+        syncConflictsButton.textContent = `${status.conflicts} sync conflict${status.conflicts === 1 ? '' : 's'}`;
+        syncConflictsButton.classList.toggle('hidden', status.conflicts === 0);
+    }
+}
+
+/**
+ * Opens the modal listing offline conflicts with keep/discard actions.
+ */
+async function openConflictsModal() {
+    const syncConflictsModal = document.getElementById('sync-conflicts-modal');
+    const syncConflictsList = document.getElementById('sync-conflicts-list');
+    if (!syncConflictsModal || !syncConflictsList) return;
+
+    const entries = (await listOutboxEntries()).filter(entry => entry.userId === userId && entry.status === 'conflict');
+    syncConflictsList.innerHTML = '';
+    if (entries.length === 0) {
+        syncConflictsList.innerHTML = '<p class="text-gray-500">No conflicts.</p>';
+    }
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.classList.add('p-3', 'bg-yellow-50', 'rounded-lg', 'border', 'border-yellow-200', 'text-sm', 'text-left', 'mb-3');
+
+        const title = document.createElement('p');
+        title.classList.add('font-semibold', 'text-gray-800');
+        title.textContent = `${entry.description || entry.collectionPath.split('/').pop()} (${new Date(entry.queuedAt).toLocaleString()})`;
+        item.appendChild(title);
+
+        const reason = document.createElement('p');
+        reason.classList.add('text-yellow-700', 'mb-1');
+        reason.textContent = entry.conflict ? entry.conflict.reason : '';
+        item.appendChild(reason);
+
+        Object.keys(entry.data).forEach(field => {
+            const line = document.createElement('p');
+            line.classList.add('text-gray-700');
+            const remoteValue = entry.conflict && entry.conflict.remoteData && field in entry.conflict.remoteData ?
+                ` — on server: "${entry.conflict.remoteData[field]}"` : '';
+            line.textContent = `${field}: "${entry.data[field]}"${remoteValue}`;
+            item.appendChild(line);
+        });
+
+        const actions = document.createElement('div');
+        actions.classList.add('flex', 'gap-2', 'mt-2');
+        const keepButton = document.createElement('button');
+        keepButton.classList.add('px-3', 'py-1', 'bg-purple-600', 'text-white', 'rounded-md', 'hover:bg-purple-700');
+        keepButton.textContent = 'Keep mine';
+        keepButton.addEventListener('click', async () => {
+            await resolveConflict(entry.id, 'keep-mine');
+            openConflictsModal();
+        });
+        const discardButton = document.createElement('button');
+        discardButton.classList.add('px-3', 'py-1', 'bg-gray-300', 'text-gray-800', 'rounded-md', 'hover:bg-gray-400');
+        discardButton.textContent = 'Discard mine';
+        discardButton.addEventListener('click', async () => {
+            await resolveConflict(entry.id, 'discard');
+            openConflictsModal();
+        });
+        actions.appendChild(keepButton);
+        actions.appendChild(discardButton);
+        item.appendChild(actions);
+
+        syncConflictsList.appendChild(item);
+    });
+
+    syncConflictsModal.classList.remove('hidden');
+}
+
+/**
+ * Initializes offline sync: status UI, conflict modal and replaying the outbox when the connection returns.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ */
+export function initializeOfflineSync() {
+    const syncConflictsButton = document.getElementById('sync-conflicts-button');
+    const closeSyncConflictsButton = document.getElementById('close-sync-conflicts-button');
+
+    onSyncStatusChange(renderSyncStatus);
+
+    window.addEventListener('online', () => {
+        refreshSyncStatus();
+        flushOutbox();
+    });
+    window.addEventListener('offline', refreshSyncStatus);
+
+    if (syncConflictsButton) {
+        syncConflictsButton.addEventListener('click', openConflictsModal);
+    }
+    if (closeSyncConflictsButton) {
+        closeSyncConflictsButton.addEventListener('click', () => {
+            const syncConflictsModal = document.getElementById('sync-conflicts-modal');
+            if (syncConflictsModal) syncConflictsModal.classList.add('hidden');
+        });
+    }
+
+    // Sync anything left over from a previous offline session
+    flushOutbox();
+}
@@ -0,0 +1,482 @@
+// period-reports.js
+
+// Period reports: one AI synthesis across all dreams of a time period, covering recurring themes,
+// how emotions changed, recurring people and places, and links to the daily events of the period.
+// Reports are saved in the user's 'period_reports' collection and can be re-run (the same period
+// with the current dreams, analyses and events) and exported as Markdown.
+// The report cites dreams and events as [D1], [E1], ...; the mapping to records is saved with it.
+// A report can be limited to the dreams with one tag, as chosen in the Analysis sub-tab.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { requestAnalysis } from './ai-client.js';
+import {
+    periodReportsRepository, archivedDreamsRepository, dailyEventsRepository, matchesRepository, timestampMillis
+} from './dreams-data-service.js';
+import { parseAnalysisText } from './analysis-schema.js';
+import { getAnalysisPeriod } from './dreams-module.js';
+import { MATCH_TYPES } from './matches-module.js';
+import { getTag, onTagsChange } from './tags-module.js';
+import { isDreamInPeriod } from './nights.js';
+import { appendTextWithCitations, expandCitations } from './citations.js';
+import { citedDreamEntry, citedEventEntry } from './cited-records.js';
+
+/** ID of the report prompt, saved with each report so reports from older prompts can be told apart. */
+export const PERIOD_REPORT_TEMPLATE = 'period-synthesis-v1';
+
+const SCOPE_LABELS = {
+    lastNight: 'Last night',
+    last7Days: 'Last 7 days',
+    last30Days: 'Last 30 days',
+    lastYear: 'Last year',
+    allTime: 'All time'
+};
+
+/** The report sections listing recurring things, with their headings. */
+const RECURRING_SECTIONS = [
+    { key: 'recurringThemes', heading: 'Recurring Themes' },
+    { key: 'recurringPeople', heading: 'Recurring People' },
+    { key: 'recurringPlaces', heading: 'Recurring Places' }
+];
+
+const REF_LIST_SCHEMA = { type: 'ARRAY', items: { type: 'STRING' } };
+const RECURRING_ITEM_SCHEMA = {
+    type: 'OBJECT',
+    properties: { name: { type: 'STRING' }, description: { type: 'STRING' }, dreams: REF_LIST_SCHEMA },
+    required: ['name', 'description', 'dreams']
+};
+const PERIOD_REPORT_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        overview: { type: 'STRING' },
+        recurringThemes: { type: 'ARRAY', items: RECURRING_ITEM_SCHEMA },
+        emotionalArc: { type: 'STRING' },
+        recurringPeople: { type: 'ARRAY', items: RECURRING_ITEM_SCHEMA },
+        recurringPlaces: { type: 'ARRAY', items: RECURRING_ITEM_SCHEMA },
+        eventLinks: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: { event: { type: 'STRING' }, dreams: REF_LIST_SCHEMA, connection: { type: 'STRING' } },
+                required: ['event', 'dreams', 'connection']
+            }
+        }
+    },
+    required: ['overview', 'recurringThemes', 'emotionalArc', 'recurringPeople', 'recurringPlaces', 'eventLinks']
+};
+
+// Internal state variables for period reports
+let periodReports = [];
+let openReportId = null; // The report shown below the list
+let unsubscribePeriodReports = null;
+
+/**
+ * Describes a report's period, e.g. 'Last 7 days (5/1/2025 – 5/8/2025)' or, for a report limited to a tag,
+ * 'Last 7 days (5/1/2025 – 5/8/2025), tagged "work"'.
+ * @param {import('./dreams-data-service.js').PeriodReport} report - The report.
+ * @returns {string} The title.
+ */
+export function describeReportPeriod(report) {
+    const label = SCOPE_LABELS[report.scope] || report.scope;
+    const end = report.periodEnd ? report.periodEnd.toLocaleDateString() : '';
+    let title;
+    if (!report.periodStart) {
+        title = end ? `${label} (until ${end})` : label;
+    } else {
+        title = `${label} (${report.periodStart.toLocaleDateString()} – ${end})`;
+    }
+    if (!report.tagId) return title;
+    const tag = getTag(report.tagId);
+    return `${title}, tagged "${tag ? tag.name : 'deleted tag'}"`;
+}
+
+/**
+ * Loads the dreams, daily events and matches of a period, oldest first.
+ * Dreams belong to the period by the night they happened in (see nights.js), events by their timestamp.
+ * @param {Date|null} start - Start of the period, null for all time.
+ * @param {Date} end - End of the period.
+ * @param {string} tagId - Only dreams with this tag, '' for all dreams. Events are not filtered.
+ * @returns {Promise<{dreams: Array<object>, events: Array<object>, matches: Array<object>}>} The records.
+ */
+async function loadPeriodRecords(start, end, tagId) {
+    const inPeriod = (record) => {
+        const time = timestampMillis(record);
+        return (!start || time >= start.getTime()) && time <= end.getTime();
+    };
+    const [allDreams, allEvents, allMatches] = await Promise.all([
+        archivedDreamsRepository.list({ orderBy: 'timestamp', direction: 'asc' }),
+        dailyEventsRepository.list({ orderBy: 'timestamp', direction: 'asc' }),
+        matchesRepository.list()
+    ]);
+    const dreams = allDreams.filter(dream => isDreamInPeriod(dream, start, end) && (!tagId || dream.tags.includes(tagId)));
+    const events = allEvents.filter(inPeriod);
+    const dreamIds = new Set(dreams.map(dream => dream.id));
+    const eventIds = new Set(events.map(event => event.id));
+    const matches = allMatches.filter(match => dreamIds.has(match.dreamId) && eventIds.has(match.eventId));
+    return { dreams, events, matches };
+}
+
+/**
+ * Builds the report prompt. Dreams and events are numbered so the report can cite them.
+ * @param {string} periodTitle - The period, as shown to the user.
+ * @param {Array<{ref: string, record: object}>} dreamEntries - The dreams with their references.
+ * @param {Array<{ref: string, record: object}>} eventEntries - The events with their references.
+ * @param {Array<object>} matches - Matches the user made between these dreams and events.
+ * @returns {string} The prompt.
+ */
+function buildPeriodReportPrompt(periodTitle, dreamEntries, eventEntries, matches) {
+    const dreamLines = dreamEntries.map(citedDreamEntry).join('\n\n');
+    const eventLines = eventEntries.map(citedEventEntry).join('\n');
+    const refsById = new Map([...dreamEntries, ...eventEntries].map(({ ref, record }) => [record.id, ref]));
+    const matchLines = matches.map(match => {
+        const type = MATCH_TYPES[match.matchType] || match.matchType;
+        return `${refsById.get(match.dreamId)} and ${refsById.get(match.eventId)} (${type}${match.notes ? `: ${match.notes}` : ''})`;
+    }).join('\n');
+
+    return `You are writing a report on a person's dream journal for the period ${periodTitle}.
+Read all dreams together and describe patterns across them rather than each dream on its own.
+Cite dreams as [D1], [D2], ... and daily events as [E1], [E2], ... exactly as numbered below.
+Provide a JSON response with these keys:
+    "overview": a short synthesis of the period's dreams.
+    "recurringThemes": themes or symbols that appear in more than one dream, each with "name", "description" and the "dreams" it appears in (e.g. ["D1", "D4"]).
+    "emotionalArc": how the emotions in the dreams changed over the period.
+    "recurringPeople": people who appear in more than one dream, in the same form as recurringThemes.
+    "recurringPlaces": places that appear in more than one dream, in the same form as recurringThemes.
+    "eventLinks": daily events that relate to dreams, each with "event" (e.g. "E2"), "dreams" and "connection". Use an empty list if there are no events.
+
+Dreams:
+${dreamLines}
+
+Daily events:
+${eventLines || 'None recorded.'}
+${matchLines ? `\nThe person already linked these dreams and events:\n${matchLines}\n` : ''}`;
+}
+
+/**
+ * Generates a report for a period.
+ * @param {string} scope - The scope, e.g. 'last7Days'.
+ * @param {Date|null} start - Start of the period, null for all time.
+ * @param {Date} end - End of the period.
+ * @param {string} [tagId=''] - Only dreams with this tag, '' for all dreams.
+ * @returns {Promise<object|null>} The report fields to save, or null if the period has no dreams.
+ * @throws {Error} If the AI request fails or returns no report.
+ */
+async function generatePeriodReport(scope, start, end, tagId = '') {
+    const { dreams, events, matches } = await loadPeriodRecords(start, end, tagId);
+    if (dreams.length === 0) return null;
+
+    const dreamEntries = dreams.map((record, index) => ({ ref: `D${index + 1}`, record }));
+    const eventEntries = events.map((record, index) => ({ ref: `E${index + 1}`, record }));
+    const periodTitle = describeReportPeriod({ scope, periodStart: start, periodEnd: end, tagId });
+    const prompt = buildPeriodReportPrompt(periodTitle, dreamEntries, eventEntries, matches);
+
+    const result = await requestAnalysis(prompt, PERIOD_REPORT_SCHEMA);
+    if (!result || !result.text) throw new Error('The AI returned no report.');
+
+    return {
+        scope,
+        periodStart: start,
+        periodEnd: end,
+        tagId,
+        dreamRefs: dreamEntries.map(({ ref, record }) => ({ ref, id: record.id, title: record.dreamTitle || 'Untitled Dream', date: record.timestamp })),
+        eventRefs: eventEntries.map(({ ref, record }) => ({ ref, id: record.id, text: record.eventText, date: record.timestamp })),
+        reportText: result.text,
+        model: result.model || null,
+        promptTemplate: PERIOD_REPORT_TEMPLATE,
+        generatedAt: new Date()
+    };
+}
+
+/**
+ * Synthesizes the period loaded in the Analysis sub-tab and saves the report.
+ */
+async function handleSynthesizePeriodClick() {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to create reports.');
+        return;
+    }
+    const period = getAnalysisPeriod();
+    if (!period || period.dreams.length === 0) {
+        showMessage('info', 'There are no archived dreams in this period to synthesize.');
+        return;
+    }
+
+    showLoading();
+    try {
+        const reportFields = await generatePeriodReport(period.scope, period.start, period.end, period.tagId);
+        if (!reportFields) {
+            showMessage('info', 'There are no archived dreams in this period to synthesize.');
+            return;
+        }
+        const { id } = await periodReportsRepository.add(reportFields, { description: `Period report: ${describeReportPeriod(reportFields)}` });
+        openReportId = id;
+        renderPeriodReports();
+        showMessage('success', 'Period report saved.');
+    } catch (error) {
+        console.error("Error creating period report:", error);
+        showMessage('error', `Failed to create period report: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Generates a report again for the same period, with the current dreams, analyses and events.
+ * @param {import('./dreams-data-service.js').PeriodReport} report - The report.
+ */
+async function rerunPeriodReport(report) {
+    showLoading();
+    try {
+        const reportFields = await generatePeriodReport(report.scope, report.periodStart, report.periodEnd || new Date(), report.tagId);
+        if (!reportFields) {
+            showMessage('info', 'The dreams of this period have been deleted.');
+            return;
+        }
+        await periodReportsRepository.update(report.id, reportFields, { description: `Re-ran period report: ${describeReportPeriod(report)}` });
+        openReportId = report.id;
+        renderPeriodReports();
+        showMessage('success', 'Period report updated.');
+    } catch (error) {
+        console.error("Error re-running period report:", error);
+        showMessage('error', `Failed to re-run period report: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Deletes a report.
+ * @param {string} reportId - The report ID.
+ */
+async function deletePeriodReport(reportId) {
+    showLoading();
+    try {
+        await periodReportsRepository.remove(reportId);
+        if (openReportId === reportId) openReportId = null;
+        renderPeriodReports();
+        showMessage('success', 'Period report deleted.');
+    } catch (error) {
+        console.error("Error deleting period report:", error);
+        showMessage('error', `Failed to delete period report: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Converts a report to Markdown for export.
+ * @param {import('./dreams-data-service.js').PeriodReport} report - The report.
+ * @returns {string} The Markdown document.
+ */
+export function periodReportToMarkdown(report) {
+    const content = parseAnalysisText(report.reportText);
+    const lines = [`# Dream Report: ${describeReportPeriod(report)}`, ''];
+    lines.push(`Generated ${report.generatedAt ? report.generatedAt.toLocaleString() : 'at an unknown time'}${report.model ? ` by ${report.model}` : ''} from ${report.dreamRefs.length} dreams and ${report.eventRefs.length} daily events.`, '');
+    if (!content) {
+        lines.push(report.reportText);
+        return lines.join('\n');
+    }
+
+    lines.push('## Overview', '', expandCitations(content.overview, report), '');
+    lines.push('## Emotional Arc', '', expandCitations(content.emotionalArc, report), '');
+    RECURRING_SECTIONS.forEach(({ key, heading }) => {
+        const entries = Array.isArray(content[key]) ? content[key] : [];
+        if (entries.length === 0) return;
+        lines.push(`## ${heading}`, '');
+        entries.forEach(entry => {
+            const dreams = Array.isArray(entry.dreams) && entry.dreams.length > 0 ? ` (${entry.dreams.join(', ')})` : '';
+            lines.push(`- **${entry.name}**${dreams}: ${expandCitations(entry.description, report)}`);
+        });
+        lines.push('');
+    });
+    const eventLinks = Array.isArray(content.eventLinks) ? content.eventLinks : [];
+    if (eventLinks.length > 0) {
+        lines.push('## Links to Daily Events', '');
+        eventLinks.forEach(link => {
+            const dreams = Array.isArray(link.dreams) ? link.dreams.join(', ') : '';
+            lines.push(`- ${expandCitations(`[${link.event}]`, report)} ↔ ${dreams}: ${expandCitations(link.connection, report)}`);
+        });
+        lines.push('');
+    }
+
+    lines.push('## Sources', '');
+    report.dreamRefs.forEach(entry => lines.push(`- ${entry.ref}: ${entry.title} (${entry.date ? entry.date.toLocaleDateString() : 'unknown date'})`));
+    report.eventRefs.forEach(entry => lines.push(`- ${entry.ref}: ${entry.text} (${entry.date ? entry.date.toLocaleDateString() : 'unknown date'})`));
+    return lines.join('\n');
+}
+
+/**
+ * Downloads a report as a Markdown file.
+ * @param {import('./dreams-data-service.js').PeriodReport} report - The report.
+ */
+function exportPeriodReport(report) {
+    const blob = new Blob([periodReportToMarkdown(report)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    const date = (report.generatedAt || new Date()).toISOString().slice(0, 10);
+    link.download = `dream-report-${report.scope}-${date}.md`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Renders the open report below the list.
+ */
+function renderOpenReport() {
+    const periodReportView = document.getElementById('period-report-view');
+    if (!periodReportView) return;
+    const report = periodReports.find(candidate => candidate.id === openReportId);
+    periodReportView.innerHTML = '';
+    periodReportView.classList.toggle('hidden', !report);
+    if (!report) return;
+
+    const title = document.createElement('h4');
+    title.classList.add('text-lg', 'font-bold', 'text-purple-800');
+    title.textContent = describeReportPeriod(report);
+    periodReportView.appendChild(title);
+    const meta = document.createElement('p');
+    meta.classList.add('text-xs', 'text-gray-500', 'mb-3');
+    meta.textContent = `${report.dreamRefs.length} dreams · ${report.eventRefs.length} daily events · ` +
+        `Generated ${report.generatedAt ? report.generatedAt.toLocaleString() : 'at an unknown time'}${report.model ? ` by ${report.model}` : ''}`;
+    periodReportView.appendChild(meta);
+
+    const content = parseAnalysisText(report.reportText);
+    if (!content) {
+        const p = document.createElement('p');
+        p.textContent = "Error: Could not display the report. Raw content: " + report.reportText;
+        periodReportView.appendChild(p);
+        return;
+    }
+
+    const addSection = (heading) => {
+        const h5 = document.createElement('h5');
+        h5.classList.add('font-semibold', 'text-purple-700', 'mt-3');
+        h5.textContent = heading;
+        periodReportView.appendChild(h5);
+    };
+    const addParagraph = (text) => {
+        const p = document.createElement('p');
+        p.classList.add('text-gray-700');
+        appendTextWithCitations(p, text, report);
+        periodReportView.appendChild(p);
+    };
+    const addList = (items, renderItem) => {
+        const ul = document.createElement('ul');
+        ul.classList.add('list-disc', 'ml-5', 'text-gray-700');
+        items.forEach(item => {
+            const li = document.createElement('li');
+            renderItem(li, item);
+            ul.appendChild(li);
+        });
+        periodReportView.appendChild(ul);
+    };
+    const citationsText = (refs) => (Array.isArray(refs) ? refs.map(ref => `[${ref}]`).join(' ') : '');
+
+    addSection('Overview');
+    addParagraph(content.overview);
+    addSection('Emotional Arc');
+    addParagraph(content.emotionalArc);
+    RECURRING_SECTIONS.forEach(({ key, heading }) => {
+        const entries = Array.isArray(content[key]) ? content[key] : [];
+        if (entries.length === 0) return;
+        addSection(heading);
+        addList(entries, (li, entry) => {
+            const name = document.createElement('strong');
+            name.textContent = `${entry.name}: `;
+            li.appendChild(name);
+            appendTextWithCitations(li, `${entry.description} ${citationsText(entry.dreams)}`, report);
+        });
+    });
+    const eventLinks = Array.isArray(content.eventLinks) ? content.eventLinks : [];
+    if (eventLinks.length > 0) {
+        addSection('Links to Daily Events');
+        addList(eventLinks, (li, link) => {
+            appendTextWithCitations(li, `[${link.event}] ↔ ${citationsText(link.dreams)}: ${link.connection}`, report);
+        });
+    }
+}
+
+/**
+ * Renders the list of saved reports.
+ */
+function renderPeriodReports() {
+    const periodReportsList = document.getElementById('period-reports-list');
+    if (!periodReportsList) return;
+
+    periodReportsList.innerHTML = '';
+    if (periodReports.length === 0) {
+        periodReportsList.innerHTML = '<p class="text-gray-500">No period reports yet. Choose a period above and click "Synthesize Period".</p>';
+    }
+    periodReports.forEach(report => {
+        const reportItem = document.createElement('div');
+        reportItem.classList.add('archive-item');
+        if (report.id === openReportId) reportItem.classList.add('selected-report');
+        const content = document.createElement('div');
+        content.classList.add('archive-item-content');
+        const title = document.createElement('p');
+        title.classList.add('text-sm', 'font-semibold', 'text-gray-700');
+        title.textContent = describeReportPeriod(report);
+        const meta = document.createElement('p');
+        meta.classList.add('text-xs', 'text-gray-500');
+        meta.textContent = `${report.dreamRefs.length} dreams · generated ${report.generatedAt ? report.generatedAt.toLocaleString() : 'N/A'}`;
+        content.appendChild(title);
+        content.appendChild(meta);
+        reportItem.appendChild(content);
+
+        const actions = document.createElement('div');
+        actions.classList.add('archive-item-actions');
+        const addAction = (text, classes, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.classList.add('px-3', 'py-1', 'text-white', 'rounded-md', 'text-sm', ...classes);
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        addAction(report.id === openReportId ? 'Hide' : 'View', ['bg-blue-500', 'hover:bg-blue-600'], () => {
+            openReportId = report.id === openReportId ? null : report.id;
+            renderPeriodReports();
+        });
+        addAction('Re-run', ['bg-indigo-500', 'hover:bg-indigo-600'], () => rerunPeriodReport(report));
+        addAction('Export', ['bg-green-500', 'hover:bg-green-600'], () => exportPeriodReport(report));
+        addAction('Delete', ['bg-red-500', 'hover:bg-red-600'], () => deletePeriodReport(report.id));
+        reportItem.appendChild(actions);
+        periodReportsList.appendChild(reportItem);
+    });
+    renderOpenReport();
+}
+
+/**
+ * Loads and displays the saved period reports.
+ */
+export function loadPeriodReports() {
+    const periodReportsList = document.getElementById('period-reports-list');
+    if (!userId || !isAuthReady) {
+        if (periodReportsList) periodReportsList.innerHTML = '<p class="text-gray-500">Please sign in to see your reports.</p>';
+        return;
+    }
+
+    if (unsubscribePeriodReports) unsubscribePeriodReports();
+    unsubscribePeriodReports = periodReportsRepository.subscribe({ orderBy: 'timestamp', direction: 'desc' }, (reports) => {
+        periodReports = reports;
+        renderPeriodReports();
+    }, (error) => {
+        console.error("Error loading period reports:", error);
+        showMessage('error', `Failed to load period reports: ${error.message}`);
+    });
+}
+
+/**
+ * Initializes event listeners for period reports.
+ */
+export function initializePeriodReports() {
+    const synthesizePeriodButton = document.getElementById('synthesize-period-button');
+    if (synthesizePeriodButton) synthesizePeriodButton.addEventListener('click', handleSynthesizePeriodClick);
+    onTagsChange(renderPeriodReports); // Report titles show the name of their tag
+
+    if (!userId || !isAuthReady) return;
+    loadPeriodReports();
+}
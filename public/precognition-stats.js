@@ -0,0 +1,177 @@
+// precognition-stats.js
+
+// Statistics over confirmed dream-reality matches: how many days separate a dream from its event,
+// how the share of matched dreams develops month by month, which analysis categories share words
+// with the matched events, and a permutation baseline that compares the matches with random pairings.
+// Pure logic: no Firestore, no DOM.
+
+import { createPairScorer, extractTerms } from './match-suggestions.js';
+import { parseAnalysisText, analysisValueText } from './analysis-schema.js';
+
+/** Buckets for the days-between histogram. `max` is inclusive; `null` days fall into 'unknown'. */
+export const DAY_BUCKETS = [
+    { key: 'before', label: 'Event before dream', min: -Infinity, max: -1 },
+    { key: 'same', label: 'Same day', min: 0, max: 0 },
+    { key: '1', label: '1 day', min: 1, max: 1 },
+    { key: '2', label: '2 days', min: 2, max: 2 },
+    { key: '3-7', label: '3–7 days', min: 3, max: 7 },
+    { key: '8-14', label: '8–14 days', min: 8, max: 14 },
+    { key: '15-30', label: '15–30 days', min: 15, max: 30 },
+    { key: 'over-30', label: 'Over 30 days', min: 31, max: Infinity },
+    { key: 'unknown', label: 'Unknown date', min: null, max: null }
+];
+
+const DEFAULT_ITERATIONS = 1000;
+
+/**
+ * Counts matches per days-between bucket.
+ * @param {Array<import('./dreams-data-service.js').Match>} matches - The matches.
+ * @returns {Array<{key: string, label: string, count: number}>} One entry per bucket, in DAY_BUCKETS order.
+ */
+export function daysBetweenHistogram(matches) {
+    const counts = new Map(DAY_BUCKETS.map(bucket => [bucket.key, 0]));
+    matches.forEach(match => {
+        const days = match.daysBetween;
+        const bucket = typeof days === 'number'
+            ? DAY_BUCKETS.find(candidate => candidate.min !== null && days >= candidate.min && days <= candidate.max)
+            : DAY_BUCKETS.find(candidate => candidate.key === 'unknown');
+        counts.set(bucket.key, counts.get(bucket.key) + 1);
+    });
+    return DAY_BUCKETS.map(({ key, label }) => ({ key, label, count: counts.get(key) }));
+}
+
+/**
+ * Formats a date as a 'YYYY-MM' month key in local time.
+ * @param {Date} date - The date.
+ * @returns {string} The month key.
+ */
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Computes per month how many dreams were recorded and how many of them have at least one match.
+ * @param {Array<object>} dreams - Archived dreams.
+ * @param {Array<import('./dreams-data-service.js').Match>} matches - The matches.
+ * @returns {Array<{month: string, dreams: number, matched: number, rate: number}>} Months in chronological order.
+ */
+export function matchRateByMonth(dreams, matches) {
+    const matchedDreamIds = new Set(matches.map(match => match.dreamId));
+    const months = new Map();
+    dreams.forEach(dream => {
+        if (!(dream.timestamp instanceof Date)) return;
+        const key = monthKey(dream.timestamp);
+        const month = months.get(key) || { month: key, dreams: 0, matched: 0, rate: 0 };
+        month.dreams++;
+        if (matchedDreamIds.has(dream.id)) month.matched++;
+        months.set(key, month);
+    });
+    return [...months.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(month => ({ ...month, rate: month.matched / month.dreams }));
+}
+
+/**
+ * Pairs each match with its dream and event, dropping matches whose records are gone.
+ * @param {Array<import('./dreams-data-service.js').Match>} matches - The matches.
+ * @param {Map<string, object>} dreamsById - Archived dreams by ID.
+ * @param {Map<string, object>} eventsById - Daily events by ID.
+ * @returns {Array<{match: object, dream: object, event: object}>} The complete pairs.
+ */
+function resolvePairs(matches, dreamsById, eventsById) {
+    return matches
+        .map(match => ({ match, dream: dreamsById.get(match.dreamId), event: eventsById.get(match.eventId) }))
+        .filter(pair => pair.dream && pair.event);
+}
+
+/**
+ * Counts, per analysis category, in how many matches the category shares at least one word with the event.
+ * The dream text itself is counted under the 'dreamText' key.
+ * @param {Array<import('./dreams-data-service.js').Match>} matches - The matches.
+ * @param {Map<string, object>} dreamsById - Archived dreams by ID.
+ * @param {Map<string, object>} eventsById - Daily events by ID.
+ * @param {object} categories - Analysis category key -> display label.
+ * @returns {Array<{key: string, label: string, count: number}>} Categories with at least one shared word, most frequent first.
+ */
+export function categoryMatchCounts(matches, dreamsById, eventsById, categories) {
+    const counts = new Map();
+    resolvePairs(matches, dreamsById, eventsById).forEach(({ dream, event }) => {
+        // Dreams without a parsable analysis only count towards the dream text
+        const analysis = parseAnalysisText(dream.analysisText) || {};
+        const eventTerms = extractTerms(event.eventText);
+        const texts = { ...analysis, dreamText: `${dream.dreamTitle || ''} ${dream.dreamText}` };
+
+        Object.keys(categories).forEach(key => {
+            const text = analysisValueText(texts[key]);
+            if (!text) return;
+            const shares = [...extractTerms(text).keys()].some(wordStem => eventTerms.has(wordStem));
+            if (shares) counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+    return [...counts.entries()]
+        .map(([key, count]) => ({ key, label: categories[key], count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Counts matches per match type.
+ * @param {Array<import('./dreams-data-service.js').Match>} matches - The matches.
+ * @returns {object} Match type -> count.
+ */
+export function matchTypeCounts(matches) {
+    const counts = {};
+    matches.forEach(match => {
+        counts[match.matchType] = (counts[match.matchType] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * @typedef {object} PermutationBaseline
+ * @property {number} pairCount - How many matched pairs were compared.
+ * @property {number} iterations - How many random pairings were drawn.
+ * @property {number} observedMean - Mean word similarity of the matched pairs.
+ * @property {number} baselineMean - Mean word similarity over all random pairings.
+ * @property {number} atLeastAsHigh - How many random pairings had a mean similarity >= observedMean.
+ * @property {number} pValue - (atLeastAsHigh + 1) / (iterations + 1): the chance of doing as well at random.
+ */
+
+/**
+ * Compares the word similarity of the matched pairs with random pairings.
+ * Each iteration pairs every matched dream with an event drawn at random from all events and
+ * averages the similarity, using the same scorer as the match suggestions.
+ * @param {Array<import('./dreams-data-service.js').Match>} matches - The matches.
+ * @param {Array<object>} dreams - Archived dreams.
+ * @param {Array<object>} events - Daily events.
+ * @param {object} [options]
+ * @param {number} [options.iterations=1000] - How many random pairings to draw.
+ * @param {function(): number} [options.random=Math.random] - Random number source in [0, 1).
+ * @returns {PermutationBaseline|null} The baseline, or null with fewer than two events or no matched pairs.
+ */
+export function permutationBaseline(matches, dreams, events, { iterations = DEFAULT_ITERATIONS, random = Math.random } = {}) {
+    const dreamsById = new Map(dreams.map(dream => [dream.id, dream]));
+    const eventsById = new Map(events.map(event => [event.id, event]));
+    const pairs = resolvePairs(matches, dreamsById, eventsById);
+    if (pairs.length === 0 || events.length < 2) return null;
+
+    const scorePair = createPairScorer(events);
+    const meanSimilarity = (pairings) => pairings.reduce((sum, { dream, event }) => sum + scorePair(dream, event).similarity, 0) / pairings.length;
+
+    const observedMean = meanSimilarity(pairs);
+    let baselineTotal = 0;
+    let atLeastAsHigh = 0;
+    for (let i = 0; i < iterations; i++) {
+        const randomMean = meanSimilarity(pairs.map(({ dream }) => ({ dream, event: events[Math.floor(random() * events.length)] })));
+        baselineTotal += randomMean;
+        if (randomMean >= observedMean) atLeastAsHigh++;
+    }
+
+    return {
+        pairCount: pairs.length,
+        iterations,
+        observedMean,
+        baselineMean: baselineTotal / iterations,
+        atLeastAsHigh,
+        pValue: (atLeastAsHigh + 1) / (iterations + 1)
+    };
+}
@@ -1,35 +1,58 @@
 // reality-module.js
 
+// The Reality tab: daily events, and the AI chat. The chat is grounded in the user's journal: each question
+// is sent with the most relevant dreams and daily events (see chat-context.js), and the reply's citations
+// of them open the dream or event (see citations.js). The conversations are listed beside the chat
+// (see conversations-module.js), and the open one can be searched.
+
 // Import Firebase variables and functions
-import { db, userId, isAuthReady, appId } from './firebase-init.js';
+import { userId, isAuthReady } from './firebase-init.js';
 import { showLoading, hideLoading, showMessage, displayMessage } from './ui-utils.js';
+import { requestChatReply, requestImage } from './ai-client.js';
+import {
+    dailyEventsRepository, conversationsRepository, messagesRepository, archivedDreamsRepository
+} from './dreams-data-service.js';
+import { getMatchesForEvent, renderEventMatches, onMatchesChange } from './matches-module.js';
+import { createTagInput, onTagsChange } from './tags-module.js';
+import { selectChatSources, buildChatContext, chatCitationRefs } from './chat-context.js';
+import { appendTextWithCitations } from './citations.js';
 import {
-    serverTimestamp, collection, addDoc, doc, updateDoc, query, where, orderBy, limit, getDocs, onSnapshot
-} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+    renderConversationList, syncConversationSummary, getConversation, lastActivityMillis
+} from './conversations-module.js';
 
 // Internal state variables for Reality module
 let currentConversationId = null; // To track the ID of the active chat conversation
+let unsubscribeDailyEvents = null; // Active subscriptions, replaced each time a list is (re)loaded
+let unsubscribeMessages = null;
+let currentMessages = []; // Messages of the active conversation, oldest first
+let chatSearchTerm = ''; // Only messages containing this are shown; '' shows all
+let latestDailyEvents = null; // The events last shown in the daily events list
+let focusedDailyEvent = null; // An event opened from search, highlighted and shown even if it is not among the latest
+let scrollToFocusedEvent = false; // Scroll the focused event into view on the next render
+let dailyEventTagInput = null; // Tag input for the event being logged
 
 // --- Firebase Operations for Daily Events ---
 
 /**
  * Saves a new daily event to Firestore.
  * @param {string} eventText - The text content of the daily event.
+ * @param {Array<string>} [tags=[]] - Tag IDs.
  */
-export async function saveDailyEvent(eventText) {
+export async function saveDailyEvent(eventText, tags = []) {
     if (!userId || !isAuthReady) {
         showMessage('error', 'Please sign in to log daily events.');
         return;
     }
     showLoading();
     try {
-        await addDoc(collection(db, `artifacts/${appId}/users/${userId}/daily_events`), {
-            eventText: eventText,
-            timestamp: serverTimestamp()
+        // Saved to the local outbox when offline and synced later
+        const { queued } = await dailyEventsRepository.add({ eventText: eventText, tags: tags }, {
+            description: `Daily event "${eventText.substring(0, 30)}"`
         });
-        showMessage('success', 'Daily event logged!');
+        showMessage('success', queued ? 'You are offline. Daily event saved on this device and will sync later.' : 'Daily event logged!');
         const dailyEventInput = document.getElementById('daily-event-input');
         if (dailyEventInput) dailyEventInput.value = ''; // Clear input after saving
+        if (dailyEventTagInput) dailyEventTagInput.setTagIds([]);
     } catch (error) {
         console.error("Error saving daily event:", error);
         showMessage('error', `Failed to log daily event: ${error.message}`);
@@ -38,6 +61,89 @@ export async function saveDailyEvent(eventText) {
     }
 }
 
+/**
+ * Saves the tags of a daily event.
+ * @param {object} eventData - The daily event.
+ * @param {Array<string>} tagIds - The tag IDs.
+ */
+async function updateDailyEventTags(eventData, tagIds) {
+    try {
+        await dailyEventsRepository.update(eventData.id, { tags: tagIds }, {
+            description: `Tags of daily event "${eventData.eventText.substring(0, 30)}"`
+        });
+    } catch (error) {
+        console.error("Error saving daily event tags:", error);
+        showMessage('error', `Failed to save tags: ${error.message}`);
+    }
+}
+
+/**
+ * Renders the latest daily events, each with its tags and the dreams it has been matched to.
+ */
+function renderDailyEvents() {
+    const dailyEventsList = document.getElementById('daily-events-list');
+    if (!dailyEventsList || !latestDailyEvents) return;
+
+    dailyEventsList.innerHTML = ''; // Clear to prevent duplicates on updates
+    if (latestDailyEvents.length === 0) {
+        dailyEventsList.innerHTML = '<p class="text-gray-500">No daily events logged yet.</p>';
+    }
+    const shownEvents = [...latestDailyEvents];
+    if (focusedDailyEvent && !shownEvents.some(eventData => eventData.id === focusedDailyEvent.id)) {
+        shownEvents.unshift(focusedDailyEvent);
+    }
+    shownEvents.forEach((eventData) => {
+        const eventDate = eventData.timestamp ? eventData.timestamp.toLocaleString() : 'N/A';
+
+        const eventItem = document.createElement('div');
+        eventItem.classList.add('p-3', 'bg-gray-50', 'rounded-lg', 'border', 'border-gray-200', 'text-gray-700', 'text-sm');
+        eventItem.dataset.id = eventData.id;
+        if (focusedDailyEvent && focusedDailyEvent.id === eventData.id) {
+            eventItem.classList.add('focused-item');
+        }
+        if (eventData.pendingSync) {
+            eventItem.classList.add('pending-sync-item'); // Saved offline, still waiting to sync
+        }
+        eventItem.innerHTML = `
+            <p class="font-semibold">${eventDate}${eventData.pendingSync ? '<span class="pending-sync-badge ml-2">Waiting to sync</span>' : ''}</p>
+            <p>${eventData.eventText}</p>
+            <div class="daily-event-tags mt-2"></div>
+        `;
+        createTagInput(eventItem.querySelector('.daily-event-tags'), {
+            tagIds: eventData.tags,
+            onChange: (tagIds) => updateDailyEventTags(eventData, tagIds)
+        });
+
+        if (getMatchesForEvent(eventData.id).length > 0) {
+            const matchesHeading = document.createElement('p');
+            matchesHeading.classList.add('font-semibold', 'text-blue-700', 'mt-2', 'mb-1');
+            matchesHeading.textContent = 'Matched Dreams:';
+            const matchesList = document.createElement('div');
+            matchesList.classList.add('space-y-2');
+            renderEventMatches(matchesList, eventData.id);
+            eventItem.appendChild(matchesHeading);
+            eventItem.appendChild(matchesList);
+        }
+        dailyEventsList.appendChild(eventItem);
+        if (scrollToFocusedEvent && focusedDailyEvent && focusedDailyEvent.id === eventData.id) {
+            scrollToFocusedEvent = false;
+            eventItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    });
+}
+
+/**
+ * Highlights one event in the daily events list and scrolls it into view.
+ * Used to open an event from the search results or a citation; the event is shown even if it is older than the latest ten.
+ * Call after the Daily Events sub-tab has been shown.
+ * @param {object} eventData - The daily event.
+ */
+export function focusDailyEvent(eventData) {
+    focusedDailyEvent = eventData;
+    scrollToFocusedEvent = true;
+    renderDailyEvents();
+}
+
 /**
  * Loads and displays the most recent daily events from Firestore.
  */
@@ -50,33 +156,17 @@ export async function loadDailyEvents() {
 
     if (dailyEventsList) dailyEventsList.innerHTML = '<p class="text-gray-500">Loading daily events...</p>';
     showLoading();
-
-    const q = query(
-        collection(db, `artifacts/${appId}/users/${userId}/daily_events`),
-        orderBy("timestamp", "desc"),
-        limit(10) // Limit to 10 most recent events
-    );
-
-    onSnapshot(q, (snapshot) => {
+    focusedDailyEvent = null; // Reopening the list clears a highlight from search
+
+    if (unsubscribeDailyEvents) unsubscribeDailyEvents();
+    unsubscribeDailyEvents = dailyEventsRepository.subscribe({
+        orderBy: 'timestamp',
+        direction: 'desc',
+        limit: 10 // Limit to 10 most recent events
+    }, (events) => {
         hideLoading();
-        if (dailyEventsList) dailyEventsList.innerHTML = ''; // Clear to prevent duplicates on updates
-        if (snapshot.empty) {
-            if (dailyEventsList) dailyEventsList.innerHTML = '<p class="text-gray-500">No daily events logged yet.</p>';
-        }
-        snapshot.forEach((docEntry) => {
-            const eventData = docEntry.data();
-            const eventDate = eventData.timestamp && eventData.timestamp.toDate ?
-                             new Date(eventData.timestamp.toDate()).toLocaleString() :
-                             'N/A';
-
-            const eventItem = document.createElement('div');
-            eventItem.classList.add('p-3', 'bg-gray-50', 'rounded-lg', 'border', 'border-gray-200', 'text-gray-700', 'text-sm');
-            eventItem.innerHTML = `
-                <p class="font-semibold">${eventDate}</p>
-                <p>${eventData.eventText}</p>
-            `;
-            if (dailyEventsList) dailyEventsList.appendChild(eventItem);
-        });
+        latestDailyEvents = events;
+        renderDailyEvents();
     }, (error) => {
         hideLoading();
         console.error("Error loading daily events:", error);
@@ -96,14 +186,13 @@ export async function archiveCurrentChat() {
     }
     showLoading();
     try {
-        const conversationRef = doc(db, `artifacts/${appId}/users/${userId}/conversations`, currentConversationId);
-        await updateDoc(conversationRef, {
+        await conversationsRepository.update(currentConversationId, {
             isArchived: true
-        });
+        }, { description: 'Archive conversation' });
         showMessage('success', 'Conversation archived successfully!');
         currentConversationId = null; // Clear current conversation ID
         if (chatMessagesDiv) chatMessagesDiv.innerHTML = ''; // Clear chat display
-        startNewConversation(); // Start a new blank conversation
+        createConversation(); // Start a new blank conversation
     } catch (error) {
         console.error("Error archiving conversation:", error);
         showMessage('error', `Failed to archive conversation: ${error.message}`);
@@ -116,18 +205,25 @@ export async function archiveCurrentChat() {
  * Saves a chat message to the current conversation in Firestore.
  * @param {string} text - The content of the message.
  * @param {'user'|'gemini'|'model'} role - The role of the sender ('user' or 'gemini'/'model').
+ * @param {import('./citations.js').CitationRefs} [refs] - For AI replies: the dreams and events it can cite.
  */
-async function saveChatMessage(text, role) {
+async function saveChatMessage(text, role, refs = { dreamRefs: [], eventRefs: [] }) {
     if (!userId || !isAuthReady || !currentConversationId) {
         console.warn("Not authenticated or no active conversation to save chat message.");
         return;
     }
     try {
-        await addDoc(collection(db, `artifacts/${appId}/users/${userId}/conversations/${currentConversationId}/messages`), {
+        // Writing in an archived conversation makes it active again
+        const conversation = getConversation(currentConversationId);
+        if (conversation && conversation.isArchived) {
+            await conversationsRepository.update(currentConversationId, { isArchived: false }, { description: 'Unarchive conversation' });
+        }
+        await messagesRepository(currentConversationId).add({
             text: text,
             role: role,
-            timestamp: serverTimestamp()
-        });
+            dreamRefs: refs.dreamRefs,
+            eventRefs: refs.eventRefs
+        }, { description: 'Chat message' });
         console.log("Chat message saved:", text);
     } catch (error) {
         console.error("Error saving chat message:", error);
@@ -136,7 +232,113 @@ async function saveChatMessage(text, role) {
 }
 
 /**
- * Starts a new chat conversation or loads the most recent unarchived one.
+ * Displays a chat message, turning the citations of an AI reply into links to the dreams and events.
+ * @param {import('./dreams-data-service.js').ChatMessage} msgData - The message.
+ */
+function displayChatMessage(msgData) {
+    const messageBubble = displayMessage(msgData.text, msgData.role);
+    if (!messageBubble || (msgData.dreamRefs.length === 0 && msgData.eventRefs.length === 0)) return;
+    messageBubble.textContent = '';
+    appendTextWithCitations(messageBubble, msgData.text, msgData);
+}
+
+/**
+ * Returns the ID of the conversation open in the chat.
+ * @returns {string|null} The conversation ID, or null if none is open.
+ */
+export function getCurrentConversationId() {
+    return currentConversationId;
+}
+
+/**
+ * Shows the messages of the active conversation, only those containing the search term if there is one.
+ */
+function renderChatMessages() {
+    const chatMessagesDiv = document.getElementById('chat-messages');
+    const chatSearchStatus = document.getElementById('chat-search-status');
+    const term = chatSearchTerm.toLowerCase();
+    const shownMessages = term ? currentMessages.filter(msgData => msgData.text.toLowerCase().includes(term)) : currentMessages;
+
+    if (chatSearchStatus) {
+        chatSearchStatus.textContent = `${shownMessages.length} of ${currentMessages.length} messages contain "${chatSearchTerm}".`;
+        chatSearchStatus.classList.toggle('hidden', !term);
+    }
+    if (chatMessagesDiv) chatMessagesDiv.innerHTML = ''; // Clear to prevent duplicates on updates
+    if (currentMessages.length === 0) {
+        if (chatMessagesDiv) chatMessagesDiv.innerHTML = '<p class="text-gray-500">Start a new conversation!</p>';
+    }
+    shownMessages.forEach(displayChatMessage);
+    if (chatMessagesDiv && !term) chatMessagesDiv.scrollTop = chatMessagesDiv.scrollHeight; // Scroll to bottom
+}
+
+/**
+ * Makes a conversation the current one and shows its messages as they change.
+ * @param {string} conversationId - The conversation ID.
+ */
+function openConversation(conversationId) {
+    const chatMessagesDiv = document.getElementById('chat-messages');
+    const chatSearchInput = document.getElementById('chat-search-input');
+    currentConversationId = conversationId;
+    currentMessages = [];
+    chatSearchTerm = ''; // A search applies to one conversation
+    if (chatSearchInput) chatSearchInput.value = '';
+    renderConversationList();
+
+    // Listen for real-time updates to messages in the current conversation
+    if (unsubscribeMessages) unsubscribeMessages();
+    unsubscribeMessages = messagesRepository(conversationId).subscribe({ orderBy: 'timestamp', direction: 'asc' }, (messages) => {
+        hideLoading();
+        currentMessages = messages;
+        renderChatMessages();
+        syncConversationSummary(conversationId, messages);
+    }, (error) => {
+        hideLoading();
+        console.error("Error loading chat messages:", error);
+        showMessage('error', `Failed to load chat messages: ${error.message}`);
+        if (chatMessagesDiv) chatMessagesDiv.innerHTML = '<p class="text-red-500">Error initializing chat.</p>';
+    });
+}
+
+/**
+ * Resumes an existing conversation, e.g. one opened from the search results.
+ * @param {string} conversationId - The conversation ID.
+ */
+export function resumeConversation(conversationId) {
+    const chatMessagesDiv = document.getElementById('chat-messages');
+    if (!userId || !isAuthReady) {
+        console.warn("User not authenticated or auth not ready for chat.");
+        return;
+    }
+    if (chatMessagesDiv) chatMessagesDiv.innerHTML = '<p class="text-gray-500">Loading chat history...</p>';
+    showLoading();
+    openConversation(conversationId);
+}
+
+/**
+ * Starts a new, empty conversation and opens it.
+ */
+export async function createConversation() {
+    const chatMessagesDiv = document.getElementById('chat-messages');
+    if (!userId || !isAuthReady) {
+        console.warn("User not authenticated or auth not ready for chat.");
+        return;
+    }
+    try {
+        const { id } = await conversationsRepository.add({
+            isArchived: false,
+            messageCount: 0
+        }, { description: 'New conversation' });
+        console.log("Created new conversation:", id);
+        openConversation(id);
+    } catch (error) {
+        console.error("Error creating conversation:", error);
+        showMessage('error', `Failed to start a new conversation: ${error.message}`);
+        if (chatMessagesDiv) chatMessagesDiv.innerHTML = '<p class="text-red-500">Error initializing chat.</p>';
+    }
+}
+
+/**
+ * Loads the most recently active unarchived conversation, or starts a new one if there is none.
  */
 export async function startNewConversation() {
     const chatMessagesDiv = document.getElementById('chat-messages');
@@ -150,61 +352,26 @@ export async function startNewConversation() {
     showLoading();
 
     try {
-        // Query for unarchived conversations
-        const q = query(
-            collection(db, `artifacts/${appId}/users/${userId}/conversations`),
-            where("isArchived", "==", false)
-        );
-        const snapshot = await getDocs(q);
-
-        let conversations = [];
-        snapshot.forEach(doc => {
-            conversations.push({ id: doc.id, ...doc.data() });
-        });
-
-        // Sort by timestamp to get the most recent unarchived conversation
-        conversations.sort((a, b) => {
-            const timestampA = a.timestamp ? a.timestamp.toDate().getTime() : 0;
-            const timestampB = b.timestamp ? b.timestamp.toDate().getTime() : 0;
-            return timestampB - timestampA;
+        // Most recently active unarchived conversation first
+        const conversations = await conversationsRepository.list({
+            where: [{ field: 'isArchived', value: false }]
         });
+        conversations.sort((a, b) => lastActivityMillis(b) - lastActivityMillis(a));
 
         if (conversations.length > 0) {
             currentConversationId = conversations[0].id;
             console.log("Loaded existing conversation:", currentConversationId);
         } else {
             // If no unarchived conversations, create a new one
-            const newConversationRef = await addDoc(collection(db, `artifacts/${appId}/users/${userId}/conversations`), {
-                timestamp: serverTimestamp(),
-                isArchived: false
-            });
-            currentConversationId = newConversationRef.id;
+            const { id } = await conversationsRepository.add({
+                isArchived: false,
+                messageCount: 0
+            }, { description: 'New conversation' });
+            currentConversationId = id;
             console.log("Created new conversation:", currentConversationId);
         }
 
-        // Listen for real-time updates to messages in the current conversation
-        const messagesQuery = query(
-            collection(db, `artifacts/${appId}/users/${userId}/conversations/${currentConversationId}/messages`),
-            orderBy("timestamp", "asc")
-        );
-
-        onSnapshot(messagesQuery, (messagesSnapshot) => {
-            hideLoading();
-            if (chatMessagesDiv) chatMessagesDiv.innerHTML = ''; // Clear to prevent duplicates on updates
-            if (messagesSnapshot.empty) {
-                if (chatMessagesDiv) chatMessagesDiv.innerHTML = '<p class="text-gray-500">Start a new conversation!</p>';
-            }
-            messagesSnapshot.forEach(msgDoc => {
-                const msgData = msgDoc.data();
-                displayMessage(msgData.text, msgData.role);
-            });
-            if (chatMessagesDiv) chatMessagesDiv.scrollTop = chatMessagesDiv.scrollHeight; // Scroll to bottom
-        }, (error) => {
-            hideLoading();
-            console.error("Error loading chat messages:", error);
-            showMessage('error', `Failed to load chat messages: ${error.message}`);
-            if (chatMessagesDiv) chatMessagesDiv.innerHTML = '<p class="text-red-500">Error initializing chat.</p>';
-        });
+        openConversation(currentConversationId);
 
     } catch (error) {
         hideLoading();
@@ -215,7 +382,19 @@ export async function startNewConversation() {
 }
 
 /**
- * Sends a message to the Gemini API for text or image generation.
+ * Finds the dreams and daily events to ground a chat reply in.
+ * @param {string} prompt - The user's message.
+ * @returns {Promise<{context: string, refs: import('./citations.js').CitationRefs}>} The context for the AI,
+ *     and the references to save with the reply.
+ */
+async function loadChatGrounding(prompt) {
+    const [dreams, events] = await Promise.all([archivedDreamsRepository.list(), dailyEventsRepository.list()]);
+    const sources = selectChatSources(prompt, dreams, events);
+    return { context: buildChatContext(sources), refs: chatCitationRefs(sources) };
+}
+
+/**
+ * Sends a message to the AI proxy for text or image generation.
  * @param {string} prompt - The user's input prompt.
  * @param {boolean} isImageRequest - True if the request is for image generation.
  */
@@ -235,19 +414,9 @@ async function sendMessageToGemini(prompt, isImageRequest = false) {
 
     try {
         if (isImageRequest) {
-            const payload = { instances: { prompt: prompt }, parameters: { "sampleCount": 1 } };
-            const apiKey = ""; // Canvas will provide this
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/imagen-3.0-generate-002:predict?key=${apiKey}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            const result = await response.json();
-            if (result.predictions && result.predictions.length > 0 && result.predictions[0].bytesBase64Encoded) {
-                const imageUrl = `data:image/png;base64,${result.predictions[0].bytesBase64Encoded}`;
+            const result = await requestImage(prompt);
+            if (result && result.imageBase64) {
+                const imageUrl = `data:${result.mimeType || 'image/png'};base64,${result.imageBase64}`;
                 displayMessage("Here is your image:", 'gemini', imageUrl);
                 await saveChatMessage("Generated an image. Note: Images cannot be archived due to storage limitations.", 'gemini');
             } else {
@@ -256,36 +425,19 @@ async function sendMessageToGemini(prompt, isImageRequest = false) {
             }
         } else {
             // Fetch recent chat history for context (last 5 messages)
-            let chatHistory = [];
-            const messagesRef = collection(db, `artifacts/${appId}/users/${userId}/conversations/${currentConversationId}/messages`);
-            const q = query(messagesRef, orderBy("timestamp"), limit(5)); // Limit context to last 5 messages
-            const snapshot = await getDocs(q);
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                // Ensure roles are 'user' or 'model' for Gemini API
-                chatHistory.push({ role: data.role === 'user' ? 'user' : 'model', parts: [{ text: data.text }] });
-            });
+            const recentMessages = await messagesRepository(currentConversationId).list({ orderBy: 'timestamp', direction: 'desc', limit: 5 });
+            // Oldest first; ensure roles are 'user' or 'model' for the AI proxy
+            const chatHistory = recentMessages.reverse().map(data => ({ role: data.role === 'user' ? 'user' : 'model', text: data.text }));
 
             // Add the current user prompt
-            chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-            const payload = { contents: chatHistory };
-            const apiKey = ""; // Canvas will provide this
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            const result = await response.json();
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const text = result.candidates[0].content.parts[0].text;
-                displayMessage(text, 'gemini');
-                await saveChatMessage(text, 'gemini');
+            chatHistory.push({ role: "user", text: prompt });
+
+            // The server's /api/ai/chat route holds the API key and forwards the request
+            const { context, refs } = await loadChatGrounding(prompt);
+            const result = await requestChatReply(chatHistory, context);
+            if (result && result.text) {
+                displayChatMessage({ text: result.text, role: 'gemini', ...refs });
+                await saveChatMessage(result.text, 'gemini', refs);
             } else {
                 displayMessage("Sorry, I couldn't get a response. Please try again.", 'gemini');
                 await saveChatMessage("No response from Gemini API.", 'gemini');
@@ -313,14 +465,26 @@ export function initializeRealityModule() {
     const sendChatButton = document.getElementById('send-chat-button');
     const chatInput = document.getElementById('chat-input');
     const archiveChatButton = document.getElementById('archive-chat-button');
-
+    const newConversationButton = document.getElementById('new-conversation-button');
+    const chatSearchInput = document.getElementById('chat-search-input');
+    const dailyEventTagsInput = document.getElementById('daily-event-tags-input');
+
+    // Show new and edited matches under the daily events
+    onMatchesChange(renderDailyEvents);
+
+    // Tags for new events; renamed and recolored tags are shown in the list at once
+    if (dailyEventTagsInput) dailyEventTagInput = createTagInput(dailyEventTagsInput);
+    onTagsChange(() => {
+        if (dailyEventTagInput) dailyEventTagInput.refresh();
+        renderDailyEvents();
+    });
 
     // Event listener for Log Daily Event button
     if (logDailyEventButton) {
         logDailyEventButton.addEventListener('click', async () => {
             const eventText = dailyEventInput ? dailyEventInput.value.trim() : '';
             if (eventText) {
-                await saveDailyEvent(eventText);
+                await saveDailyEvent(eventText, dailyEventTagInput ? dailyEventTagInput.getTagIds() : []);
             } else {
                 showMessage('info', 'Please enter some text for your daily event.');
             }
@@ -360,4 +524,16 @@ export function initializeRealityModule() {
     if (archiveChatButton) {
         archiveChatButton.addEventListener('click', archiveCurrentChat);
     }
+
+    if (newConversationButton) {
+        newConversationButton.addEventListener('click', createConversation);
+    }
+
+    // Search within the open conversation as the user types
+    if (chatSearchInput) {
+        chatSearchInput.addEventListener('input', () => {
+            chatSearchTerm = chatSearchInput.value.trim();
+            renderChatMessages();
+        });
+    }
 }
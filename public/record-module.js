@@ -1,293 +1,656 @@
 // record-module.js
 
-// Import Firebase variables and functions
-import { db, userId, isAuthReady, appId } from './firebase-init.js';
-import { showLoading, hideLoading, showMessage } from './ui-utils.js';
-import { serverTimestamp, collection, addDoc, doc, updateDoc, deleteDoc } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+// The Record tab: a dream is spoken into the microphone (Web Speech API) or typed, and saved as a draft when
+// the recording is stopped. While recording, the transcription is saved continuously: to the browser's local
+// storage on every result, and every few seconds to an in-progress draft in Firestore. If the tab is killed or
+// the phone locks before the recording is stopped, the next launch offers to resume or save it.
+// Spoken commands (see voice-commands.js) split the recording into dreams, set the title, scratch the last
+// sentence or stop the recording, each confirmed by a cue on screen. The raw audio is captured alongside the
+// transcription and saved with the draft (see audio-clips-module.js). The recognizer and the voice commands use
+// the language chosen for the dream, the user's language by default (see language-module.js).
+
+import { userId, isAuthReady } from './firebase-init.js';
+import { showMessage } from './ui-utils.js';
+import { draftsRepository } from './dreams-data-service.js';
+import { saveInProgressDraft, finishInProgressDraft, deleteDraftDream } from './dreams-module.js';
+import { createMetadataForm } from './dream-metadata.js';
+import { suggestIntention } from './incubation-module.js';
+import { parseVoiceCommands, lastSentenceStart } from './voice-commands.js';
+import { startAudioCapture, removeAudioClips } from './audio-clips-module.js';
+import { t, dreamLanguage, createLanguageSelect, onLanguageChange } from './language-module.js';
+import { LANGUAGES } from './i18n.js';
+
+const AUTOSAVE_KEY_PREFIX = 'dreamRecording:'; // Local storage key of the recording in progress, per user
+const REMOTE_AUTOSAVE_SECONDS = 10; // How often the in-progress draft is updated while recording
+const RESTART_DELAY_MS = 250; // Pause before restarting recognition that ended by itself
+const VOICE_CUE_SECONDS = 4; // How long the cue confirming a voice command stays on screen
 
 // Internal state variables for recording
 let speechRecognition; // Web Speech API SpeechRecognition object
 let currentTranscription = ''; // Accumulates transcription across interim results
 let isRecording = false; // Flag to track recording state
-let currentDraftId = null; // To track the ID of the draft dream being edited in drafts tab (from record)
-
-// --- Dream Suggestions List ---
-const dreamSuggestions = [
-    "I will give special attention to the nature of time and space.",
-    "I may dream of myself in dependent positions. I SUGGEST THAT MY SUBCONSCIOUS MAINTAINS THE ORGANIC INTEGRITY OF MY PHYSICAL ORGANISM.",
-    "Constructive suggestions are given free reign, and only those will be reacted to.",
-    "Suggestions are those that are in harmony with all levels of the personality structure.",
-    "I suggest to wake up the moment my conscious Self finishes with the dream and record it.",
-    "I remember my dreams from the more deeper levels of my subconsciousness.",
-    "I ask my subconsciousness to recall my dreams.",
-    "I will (wake up) after each of my first 5 dreams (and) record each one immediately.",
-    "As I fall asleep, I awaken into another kind of wakefulness; Imagine I am awakening the 'next morning'.",
-    "I am free of negative influences."
-];
-
-// --- Firebase Operations for Draft Dreams (from recording) ---
-// These functions are specific to saving drafts from the recording process.
-// They are kept here for now but might be moved to a more general 'dreams-data-service' later.
-async function saveDraftDream(dreamText, dreamTitle = '') {
-    if (!userId || !isAuthReady) {
-        showMessage('error', 'Please sign in to save dreams.');
-        return null;
+let currentDraftId = null; // The in-progress draft of the current recording, null until it is first autosaved
+let recordMetadataForm = null; // Optional details of the dream, saved with the transcription
+let recordLanguageSelect = null; // The dream's language, saved with the transcription
+let recordingStartedAt = null; // When the current recording started
+let remoteAutosaveTimer = null;
+let remoteAutosave = Promise.resolve(); // The last in-progress draft save, so saves run one after another
+let recoveredRecording = null; // The interrupted recording offered in the recovery panel
+let phraseStarts = []; // Where each dictated phrase starts in currentTranscription, for "scratch that"
+let isTitleNext = false; // After a phrase of just "title", the next phrase is the title
+let voiceCueTimer = null;
+let audioCapture = null; // The running audio capture (a promise, see startAudioCapture), null when not capturing
+let audioClipIds = []; // Audio clips of the dream being recorded
+
+// --- Autosave ---
+
+/**
+ * Returns the local storage key of the signed-in user's recording in progress.
+ * @returns {string} The key.
+ */
+function autosaveKey() {
+    return `${AUTOSAVE_KEY_PREFIX}${userId}`;
+}
+
+/**
+ * Returns the transcription as shown, including words not yet final.
+ * @returns {string} The transcription.
+ */
+function displayedTranscription() {
+    const dreamInputRecord = document.getElementById('dream-input-record');
+    return dreamInputRecord ? dreamInputRecord.value.trim() : currentTranscription.trim();
+}
+
+/**
+ * Returns the title of the dream being recorded.
+ * @returns {string} The title, '' for none.
+ */
+function recordingTitle() {
+    const dreamTitleRecord = document.getElementById('dream-title-record');
+    return dreamTitleRecord ? dreamTitleRecord.value.trim() : '';
+}
+
+/**
+ * Returns the language chosen for the dream being recorded.
+ * @returns {string} The language code, '' to follow the user's language.
+ */
+function recordingLanguage() {
+    return recordLanguageSelect ? recordLanguageSelect.getLanguage() : '';
+}
+
+/**
+ * Saves the recording in progress to local storage. Synchronous, so it also completes while the page is
+ * being closed.
+ */
+function saveLocalRecording() {
+    if (!userId) return;
+    const metadata = recordMetadataForm ? recordMetadataForm.getMetadata() : null;
+    try {
+        localStorage.setItem(autosaveKey(), JSON.stringify({
+            text: displayedTranscription(),
+            title: recordingTitle(),
+            language: recordingLanguage(),
+            draftId: currentDraftId,
+            audioClipIds,
+            metadata: metadata ? { ...metadata, occurredAt: metadata.occurredAt ? metadata.occurredAt.toISOString() : null } : null,
+            startedAt: (recordingStartedAt || new Date()).toISOString(),
+            updatedAt: new Date().toISOString()
+        }));
+    } catch (error) {
+        console.error("Error autosaving recording locally:", error);
     }
-    showLoading();
+}
+
+/**
+ * Reads the recording saved to local storage by saveLocalRecording.
+ * @returns {{text: string, title: string, language: string, draftId: (string|null), audioClipIds: Array<string>, metadata: (object|null), startedAt: Date, updatedAt: Date}|null}
+ *     The recording, or null if there is none.
+ */
+function loadLocalRecording() {
+    if (!userId) return null;
     try {
-        const newDraftRef = await addDoc(collection(db, `artifacts/${appId}/users/${userId}/draft_dreams`), {
-            dreamText: dreamText,
-            dreamTitle: dreamTitle,
-            timestamp: serverTimestamp(),
-            isPreAnalyzed: false
-        });
-        showMessage('success', 'Dream draft saved!');
-        return newDraftRef.id;
+        const saved = JSON.parse(localStorage.getItem(autosaveKey()) || 'null');
+        if (!saved || typeof saved.text !== 'string') return null;
+        return {
+            text: saved.text,
+            title: saved.title || '',
+            language: saved.language || '',
+            draftId: saved.draftId || null,
+            audioClipIds: saved.audioClipIds || [],
+            metadata: saved.metadata ? { ...saved.metadata, occurredAt: saved.metadata.occurredAt ? new Date(saved.metadata.occurredAt) : null } : null,
+            startedAt: new Date(saved.startedAt),
+            updatedAt: new Date(saved.updatedAt)
+        };
     } catch (error) {
-        console.error("Error saving draft dream:", error);
-        showMessage('error', `Failed to save dream draft: ${error.message}`);
+        console.error("Error reading autosaved recording:", error);
         return null;
-    } finally {
-        hideLoading();
     }
 }
 
 /**
- * Initializes event listeners for the Record module.
- * This function should be called once the DOM is loaded and Firebase is ready.
- * UI elements are now fetched within this function to ensure they exist.
+ * Removes the recording from local storage once it is saved as a draft or discarded.
  */
-export function initializeRecordModule() {
+function clearLocalRecording() {
+    if (!userId) return;
+    try {
+        localStorage.removeItem(autosaveKey());
+    } catch (error) {
+        console.error("Error clearing autosaved recording:", error);
+    }
+}
+
+/**
+ * Saves the transcription to the recording's in-progress draft now. Skipped while offline: local storage
+ * keeps the recording until the draft is saved.
+ * @returns {Promise<void>} Resolves once this and earlier saves are done.
+ */
+function saveRemoteRecording() {
+    if (remoteAutosaveTimer) {
+        clearTimeout(remoteAutosaveTimer);
+        remoteAutosaveTimer = null;
+    }
+    const text = displayedTranscription();
+    if (!text || !navigator.onLine) return remoteAutosave;
+    const title = recordingTitle();
+    const language = recordingLanguage();
+    const metadata = recordMetadataForm ? recordMetadataForm.getMetadata() : null;
+    const clipIds = [...audioClipIds];
+    remoteAutosave = remoteAutosave.then(async () => {
+        currentDraftId = await saveInProgressDraft(currentDraftId, text, title, metadata, clipIds, language);
+        if (isRecording) saveLocalRecording(); // Remember the draft ID
+    });
+    return remoteAutosave;
+}
+
+/**
+ * Autosaves after a new result: to local storage now, to the in-progress draft within a few seconds.
+ */
+function autosaveRecording() {
+    saveLocalRecording();
+    if (!remoteAutosaveTimer) remoteAutosaveTimer = setTimeout(saveRemoteRecording, REMOTE_AUTOSAVE_SECONDS * 1000);
+}
+
+/**
+ * Starts capturing the audio of the dream being recorded, into a new clip.
+ */
+function beginAudioCapture() {
+    const clipIds = audioClipIds; // The dream's clips, even if it is split before the capture starts
+    audioCapture = startAudioCapture();
+    audioCapture.then(capture => {
+        if (!capture) return;
+        clipIds.push(capture.clipId);
+        if (isRecording) saveLocalRecording();
+    });
+}
+
+/**
+ * Stops capturing audio.
+ * @returns {Promise<void>} Resolves once the clip is saved.
+ */
+async function endAudioCapture() {
+    const running = audioCapture;
+    audioCapture = null;
+    const capture = running ? await running : null;
+    if (capture) await capture.stop();
+}
+
+// --- Voice commands ---
+
+/**
+ * Shows the cue confirming a voice command for a few seconds.
+ * @param {string} message - The cue.
+ */
+function showVoiceCue(message) {
+    const voiceCommandCue = document.getElementById('voice-command-cue');
+    if (!voiceCommandCue) return;
+    voiceCommandCue.textContent = message;
+    voiceCommandCue.classList.remove('hidden');
+    clearTimeout(voiceCueTimer);
+    voiceCueTimer = setTimeout(() => voiceCommandCue.classList.add('hidden'), VOICE_CUE_SECONDS * 1000);
+}
+
+/**
+ * Saves the dream recorded so far as a draft and starts a new one in the same language, without stopping
+ * recognition.
+ */
+function splitRecording() {
+    const dreamTitleRecord = document.getElementById('dream-title-record');
+    const text = currentTranscription.trim();
+    const title = recordingTitle();
+    const language = recordingLanguage();
+    const metadata = recordMetadataForm ? recordMetadataForm.getMetadata() : null;
+    const clipIds = audioClipIds;
+    const captureEnded = endAudioCapture();
+
+    if (remoteAutosaveTimer) {
+        clearTimeout(remoteAutosaveTimer);
+        remoteAutosaveTimer = null;
+    }
+    // After the autosaves of this dream, so they don't land in the next one
+    remoteAutosave = remoteAutosave.then(async () => {
+        await captureEnded;
+        if (text) {
+            await finishInProgressDraft(currentDraftId, text, title, metadata, clipIds, language);
+        } else {
+            if (currentDraftId) await deleteDraftDream(currentDraftId);
+            removeAudioClips(clipIds);
+        }
+        currentDraftId = null;
+    });
+
+    currentTranscription = '';
+    phraseStarts = [];
+    isTitleNext = false;
+    audioClipIds = [];
+    beginAudioCapture();
+    recordingStartedAt = new Date();
+    if (dreamTitleRecord) dreamTitleRecord.value = '';
+    if (recordMetadataForm) recordMetadataForm.setMetadata(null);
+}
+
+/**
+ * Adds a final phrase of the recognizer to the transcription, carrying out the voice commands in it.
+ * @param {string} phrase - The phrase.
+ */
+function applyPhrase(phrase) {
+    const dreamInputRecord = document.getElementById('dream-input-record');
+    const dreamTitleRecord = document.getElementById('dream-title-record');
+
+    const isTitle = isTitleNext;
+    isTitleNext = false;
+    for (const part of parseVoiceCommands(phrase, dreamLanguage({ language: recordingLanguage() }), isTitle)) {
+        if (part.type === 'text') {
+            currentTranscription = currentTranscription.trimEnd();
+            phraseStarts.push(currentTranscription.length);
+            currentTranscription = currentTranscription ? `${currentTranscription} ${part.text}` : part.text;
+        } else if (part.type === 'title' && !part.text) {
+            isTitleNext = true;
+            showVoiceCue(t('cue.titleNext'));
+        } else if (part.type === 'title') {
+            if (dreamTitleRecord) dreamTitleRecord.value = part.text;
+            showVoiceCue(t('cue.title', { title: part.text }));
+        } else if (part.type === 'scratch') {
+            const phraseStart = phraseStarts.length > 0 ? phraseStarts[phraseStarts.length - 1] : 0;
+            const cut = Math.max(lastSentenceStart(currentTranscription), phraseStart);
+            currentTranscription = currentTranscription.slice(0, cut).trimEnd();
+            phraseStarts = phraseStarts.filter(start => start < cut);
+            showVoiceCue(t('cue.scratch'));
+        } else if (part.type === 'newDream') {
+            splitRecording();
+            showVoiceCue(t('cue.newDream'));
+        } else if (part.type === 'stop') {
+            showVoiceCue(t('cue.stop'));
+            if (dreamInputRecord) dreamInputRecord.value = currentTranscription;
+            stopRecording();
+            return; // Whatever follows was said after stopping
+        }
+    }
+}
+
+// --- Recording ---
+
+/**
+ * Enables or disables the recording controls.
+ * @param {boolean} recording - True while recording.
+ */
+function setRecordingControls(recording) {
     const startNightRecordingButton = document.getElementById('start-night-recording-button');
     const stopNightRecordingButton = document.getElementById('stop-night-recording-button');
+    const dreamInputRecord = document.getElementById('dream-input-record');
+
+    if (dreamInputRecord) dreamInputRecord.disabled = recording;
+    if (startNightRecordingButton) startNightRecordingButton.disabled = recording;
+    if (stopNightRecordingButton) stopNightRecordingButton.disabled = !recording;
+}
+
+/**
+ * Creates and starts a speech recognition instance, in the dream's language. Used for the first start and for
+ * each restart after the browser ended recognition by itself (e.g. after a pause in speech) or the language
+ * was changed.
+ */
+function startRecognition() {
     const audioStatus = document.getElementById('audio-status');
     const dreamInputRecord = document.getElementById('dream-input-record');
-    const generateSuggestionButton = document.getElementById('generate-suggestion-button');
 
-    // Web Speech API for audio transcription (Live Microphone Input)
-    if (startNightRecordingButton) {
-        startNightRecordingButton.addEventListener('click', async () => {
-            console.log("Start button clicked. isRecording:", isRecording);
-            if (isRecording) {
-                console.log("Already recording. Ignoring start click.");
-                return;
-            }
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!SpeechRecognition) {
+        showMessage('error', t('error.noSpeechApi'));
+        console.error('Web Speech API not supported.');
+        isRecording = false;
+        setRecordingControls(false);
+        return;
+    }
+
+    speechRecognition = new SpeechRecognition();
+    speechRecognition.continuous = true;
+    speechRecognition.interimResults = true;
+    speechRecognition.lang = LANGUAGES[dreamLanguage({ language: recordingLanguage() })].speechLocale;
 
-            if (!currentTranscription) {
-                if (dreamInputRecord) dreamInputRecord.value = '';
-                currentTranscription = '';
-                currentDraftId = null;
-                console.log("Starting a fresh recording session.");
+    speechRecognition.onstart = () => {
+        console.log('Speech recognition started.');
+        if (audioStatus) audioStatus.textContent = t('status.listening');
+    };
+
+    speechRecognition.onresult = (event) => {
+        let interimTranscript = '';
+        for (let i = event.resultIndex; i < event.results.length; ++i) {
+            const result = event.results[i];
+            if (result.isFinal) {
+                applyPhrase(result[0].transcript);
+                if (!isRecording) return; // "Stop recording"
             } else {
-                console.log("Resuming recording session. Current transcription length:", currentTranscription.length);
+                interimTranscript += result[0].transcript;
             }
+        }
 
-            if (dreamInputRecord) dreamInputRecord.disabled = true;
-            if (startNightRecordingButton) startNightRecordingButton.disabled = true;
-            if (stopNightRecordingButton) stopNightRecordingButton.disabled = false;
-            if (audioStatus) audioStatus.textContent = 'Listening for your dream... Speak clearly.';
-            isRecording = true;
-
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            if (!SpeechRecognition) {
-                showMessage('error', 'Your browser does not support Web Speech API for transcription. Please type your dream.');
-                console.error('Web Speech API not supported.');
-                if (dreamInputRecord) dreamInputRecord.disabled = false;
-                if (startNightRecordingButton) startNightRecordingButton.disabled = false;
-                if (stopNightRecordingButton) stopNightRecordingButton.disabled = true;
-                isRecording = false;
-                return;
-            }
+        if (dreamInputRecord) {
+            dreamInputRecord.value = interimTranscript.trim() ? `${currentTranscription} ${interimTranscript.trim()}`.trimStart() : currentTranscription;
+            if (audioStatus) audioStatus.textContent = t('status.heard', { text: dreamInputRecord.value.substring(0, 50) });
+        }
+        autosaveRecording();
+    };
+
+    speechRecognition.onerror = (event) => {
+        console.error('Speech recognition error:', event.error);
+        if (event.error === 'no-speech' || event.error === 'aborted') return; // Recognition restarts in onend
+        let advice;
+        if (event.error === 'network') {
+            advice = t('error.network');
+        } else if (event.error === 'not-allowed') {
+            advice = t('error.notAllowed');
+        } else {
+            advice = t('error.tryAgain');
+        }
+        showMessage('error', `${t('error.recognition', { error: event.error })} ${advice}`);
+        stopOnFailure();
+    };
 
-            if (speechRecognition) {
-                console.log("Stopping existing speech recognition instance before starting new one.");
-                speechRecognition.stop();
-                speechRecognition = null;
+    speechRecognition.onend = () => {
+        if (!isRecording) return;
+        console.log("Recognition ended but still recording. Attempting restart...");
+        if (audioStatus) audioStatus.textContent = t('status.restarting');
+        setTimeout(() => {
+            if (!isRecording) return;
+            try {
+                startRecognition();
+            } catch (error) {
+                console.error("Error restarting speech recognition:", error);
+                stopOnFailure();
             }
+        }, RESTART_DELAY_MS);
+    };
 
-            speechRecognition = new SpeechRecognition();
-            speechRecognition.continuous = true;
-            speechRecognition.interimResults = true;
-            speechRecognition.lang = 'en-US';
-
-            speechRecognition.onstart = () => {
-                console.log('Speech recognition started.');
-                if (audioStatus) audioStatus.textContent = 'Listening...';
-            };
-
-            speechRecognition.onresult = (event) => {
-                let interimTranscript = '';
-                let finalTranscriptForThisEvent = '';
-
-                console.log("SpeechRecognition.onresult event received:", event);
-                console.log("event.resultIndex:", event.resultIndex);
-                console.log("event.results.length:", event.results.length);
-
-                for (let i = event.resultIndex; i < event.results.length; ++i) {
-                    const result = event.results[i];
-                    console.log(`  Result ${i}: isFinal=${result.isFinal}, transcript="${result[0].transcript}"`);
-                    if (result.isFinal) {
-                        finalTranscriptForThisEvent += result[0].transcript;
-                    } else {
-                        interimTranscript += result[0].transcript;
-                    }
-                }
-
-                currentTranscription += finalTranscriptForThisEvent;
-                if (dreamInputRecord) dreamInputRecord.value = currentTranscription + interimTranscript;
-                if (audioStatus) audioStatus.textContent = `Listening: "${dreamInputRecord.value.substring(0, Math.min(dreamInputRecord.value.length, 50))}"`;
-                console.log("Current accumulated transcription (currentTranscription):", currentTranscription);
-                console.log("Current displayed transcription (dreamInputRecord.value):", dreamInputRecord.value);
-            };
-
-            speechRecognition.onerror = (event) => {
-                console.error('Speech recognition error:', event.error);
-                let errorMessage = `Speech recognition error: ${event.error}. `;
-                if (event.error === 'network') {
-                    errorMessage += 'Please check your internet connection and try again. If the issue persists, you can type your dream manually.';
-                } else if (event.error === 'not-allowed') {
-                    errorMessage += 'Microphone access denied. Please allow microphone access in your browser settings.';
-                } else if (event.error === 'no-speech') {
-                    errorMessage += 'No speech detected. Please try again, speak clearly, or type your dream.';
-                } else {
-                    errorMessage += 'Please try again or type your dream.';
-                }
-                showMessage('error', errorMessage);
-                if (audioStatus) audioStatus.textContent = 'Speech recognition failed.';
-                if (dreamInputRecord) dreamInputRecord.disabled = false;
-                if (startNightRecordingButton) startNightRecordingButton.disabled = false;
-                if (stopNightRecordingButton) stopNightRecordingButton.disabled = true;
-            };
-
-            speechRecognition.onend = () => {
-                console.log('Speech recognition ended. isRecording (at onend start):', isRecording);
-                if (isRecording) {
-                    console.log("Recognition ended but still recording. Attempting restart...");
-                    if (audioStatus) audioStatus.textContent = 'Listening (restarting)...';
-                    setTimeout(() => {
-                        console.log("Restart timeout triggered. isRecording (before restart attempt):", isRecording);
-                        if (isRecording) {
-                            if (speechRecognition) {
-                                speechRecognition.stop();
-                                speechRecognition = null;
-                            }
-                            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-                            if (SpeechRecognition) {
-                                speechRecognition = new SpeechRecognition();
-                                speechRecognition.continuous = true;
-                                speechRecognition.interimResults = true;
-                                speechRecognition.lang = 'en-US';
-                                speechRecognition.onstart = () => { console.log('Speech recognition restarted (onstart).'); if (audioStatus) audioStatus.textContent = 'Listening...'; };
-                                speechRecognition.onresult = (event) => {
-                                    let interimTranscript = '';
-                                    let finalTranscriptForThisEvent = '';
-                                    console.log("SpeechRecognition.onresult (restarted) event received:", event);
-                                    console.log("event.resultIndex:", event.resultIndex);
-                                    console.log("event.results.length:", event.results.length);
-                                    for (let i = event.resultIndex; i < event.results.length; ++i) {
-                                        const result = event.results[i];
-                                        console.log(`  Result ${i}: isFinal=${result.isFinal}, transcript="${result[0].transcript}"`);
-                                        if (result.isFinal) {
-                                            finalTranscriptForThisEvent += result[0].transcript;
-                                        } else {
-                                            interimTranscript += result[0].transcript;
-                                        }
-                                    }
-                                    currentTranscription += finalTranscriptForThisEvent;
-                                    if (dreamInputRecord) dreamInputRecord.value = currentTranscription + interimTranscript;
-                                    if (audioStatus) audioStatus.textContent = `Listening: "${dreamInputRecord.value.substring(0, Math.min(dreamInputRecord.value.length, 50))}"`;
-                                    console.log("Current accumulated transcription (currentTranscription):", currentTranscription);
-                                    console.log("Current displayed transcription (dreamInputRecord.value):", dreamInputRecord.value);
-                                };
-                                speechRecognition.onerror = (event) => {
-                                    console.error('Speech recognition error (restarted):', event.error);
-                                    showMessage('error', `Speech recognition error (restarted): ${event.error}. Please try again.`);
-                                    if (audioStatus) audioStatus.textContent = 'Speech recognition failed.';
-                                };
-                                speechRecognition.onend = () => {
-                                    console.log('Speech recognition ended (restarted onend). isRecording:', isRecording);
-                                    if (isRecording) {
-                                        console.log("Recognition ended but still recording. Attempting restart (from nested onend)...");
-                                        if (audioStatus) audioStatus.textContent = 'Listening (restarting)...';
-                                        setTimeout(() => {
-                                            if (isRecording) {
-                                                speechRecognition.start();
-                                            } else {
-                                                console.log("Stopped during nested restart delay, not restarting.");
-                                            }
-                                        }, 250);
-                                    } else {
-                                        console.log("Recognition ended because user pressed stop (from nested onend).");
-                                        if (audioStatus) audioStatus.textContent = 'Recording stopped and saved to Drafts.';
-                                        if (dreamInputRecord) dreamInputRecord.disabled = false;
-                                        if (startNightRecordingButton) startNightRecordingButton.disabled = false;
-                                        if (stopNightRecordingButton) stopNightRecordingButton.disabled = true;
-                                    }
-                                };
-                                speechRecognition.start();
-                            } else {
-                                console.error('Web Speech API not supported after restart attempt.');
-                                showMessage('error', 'Your browser does not support Web Speech API for transcription. Please type your dream.');
-                                if (audioStatus) audioStatus.textContent = 'Speech recognition failed.';
-                                if (dreamInputRecord) dreamInputRecord.disabled = false;
-                                if (startNightRecordingButton) startNightRecordingButton.disabled = false;
-                                if (stopNightRecordingButton) stopNightRecordingButton.disabled = true;
-                            }
-                        } else {
-                            console.log("Stopped during restart delay, not restarting.");
-                        }
-                    }, 250);
-                } else {
-                    console.log("Recognition ended because user pressed stop (main onend).");
-                    if (audioStatus) audioStatus.textContent = 'Recording stopped and saved to Drafts.';
-                    if (dreamInputRecord) dreamInputRecord.disabled = false;
-                    if (startNightRecordingButton) startNightRecordingButton.disabled = false;
-                    if (stopNightRecordingButton) stopNightRecordingButton.disabled = true;
-                }
-            };
-
-            speechRecognition.start();
-        });
+    speechRecognition.start();
+}
+
+/**
+ * Stops a recording that recognition could not continue. The transcription stays in the text area and in
+ * the autosave, and Start Recording resumes it.
+ */
+function stopOnFailure() {
+    const audioStatus = document.getElementById('audio-status');
+
+    isRecording = false;
+    if (speechRecognition) speechRecognition.abort();
+    endAudioCapture();
+    saveLocalRecording();
+    saveRemoteRecording();
+    setRecordingControls(false);
+    if (audioStatus) audioStatus.textContent = currentTranscription ? t('status.stoppedKept') : t('status.failed');
+    const stopNightRecordingButton = document.getElementById('stop-night-recording-button');
+    if (stopNightRecordingButton) stopNightRecordingButton.disabled = !currentTranscription;
+}
+
+/**
+ * Starts recording, or resumes the transcription in the text area if there is one.
+ */
+function startRecording() {
+    const dreamInputRecord = document.getElementById('dream-input-record');
+    const audioStatus = document.getElementById('audio-status');
+
+    if (isRecording) {
+        console.log("Already recording. Ignoring start click.");
+        return;
     }
 
-    if (stopNightRecordingButton) {
-        stopNightRecordingButton.addEventListener('click', async () => {
-            console.log("Stop button clicked. isRecording (before setting to false):", isRecording);
-            isRecording = false;
-            if (speechRecognition) {
-                console.log("Stopping speech recognition instance.");
-                speechRecognition.stop();
-            }
+    const dreamTitleRecord = document.getElementById('dream-title-record');
+    phraseStarts = [];
+    isTitleNext = false;
+    if (!currentTranscription) {
+        if (dreamInputRecord) dreamInputRecord.value = '';
+        if (dreamTitleRecord) dreamTitleRecord.value = '';
+        currentDraftId = null;
+        audioClipIds = [];
+        recordingStartedAt = new Date();
+        console.log("Starting a fresh recording session.");
+    } else {
+        // Words typed while paused are kept
+        if (dreamInputRecord && dreamInputRecord.value.trim()) currentTranscription = dreamInputRecord.value.trim();
+        recordingStartedAt = recordingStartedAt || new Date();
+        console.log("Resuming recording session. Current transcription length:", currentTranscription.length);
+    }
 
-            const transcribedText = dreamInputRecord ? dreamInputRecord.value.trim() : '';
-            if (transcribedText) {
-                console.log("Saving transcribed text to draft. Length:", transcribedText.length);
-                const newDraftId = await saveDraftDream(transcribedText);
-                if (newDraftId) {
-                    currentDraftId = newDraftId; // Keep track of the last saved draft from recording
-                    if (audioStatus) audioStatus.textContent = 'Recording stopped. Transcription saved to Drafts.';
-                } else {
-                    if (audioStatus) audioStatus.textContent = 'Recording stopped. Failed to save transcription to Drafts.';
-                }
-            } else {
-                if (audioStatus) audioStatus.textContent = 'Recording stopped. No speech detected.';
-                console.log("No speech detected to save.");
-            }
-            currentTranscription = '';
-            if (dreamInputRecord) dreamInputRecord.value = '';
+    setRecordingControls(true);
+    if (audioStatus) audioStatus.textContent = t('status.listeningForDream');
+    isRecording = true;
 
-            if (dreamInputRecord) dreamInputRecord.disabled = false;
-            if (startNightRecordingButton) startNightRecordingButton.disabled = false;
-            if (stopNightRecordingButton) stopNightRecordingButton.disabled = true;
+    if (speechRecognition) {
+        speechRecognition.onend = null;
+        speechRecognition.stop();
+        speechRecognition = null;
+    }
+    beginAudioCapture();
+    startRecognition();
+}
+
+/**
+ * Stops recording and saves the transcription as a draft: the in-progress draft becomes a regular one.
+ */
+async function stopRecording() {
+    const audioStatus = document.getElementById('audio-status');
+    const dreamInputRecord = document.getElementById('dream-input-record');
+    const dreamTitleRecord = document.getElementById('dream-title-record');
+
+    isRecording = false;
+    if (speechRecognition) speechRecognition.stop();
+    setRecordingControls(false);
+
+    const transcribedText = displayedTranscription();
+    const title = recordingTitle();
+    const language = recordingLanguage();
+    const metadata = recordMetadataForm ? recordMetadataForm.getMetadata() : null;
+    if (remoteAutosaveTimer) {
+        clearTimeout(remoteAutosaveTimer);
+        remoteAutosaveTimer = null;
+    }
+    await endAudioCapture();
+    await remoteAutosave;
+
+    if (transcribedText) {
+        const draftId = await finishInProgressDraft(currentDraftId, transcribedText, title, metadata, audioClipIds, language);
+        if (!draftId) {
+            // The autosave still has the recording, so it is offered again on the next launch
+            if (audioStatus) audioStatus.textContent = t('status.saveFailed');
+            return;
+        }
+        if (recordMetadataForm) recordMetadataForm.setMetadata(null);
+        if (audioStatus) audioStatus.textContent = t('status.saved');
+    } else {
+        if (currentDraftId) deleteDraftDream(currentDraftId);
+        removeAudioClips(audioClipIds);
+        if (audioStatus) audioStatus.textContent = t('status.noSpeech');
+    }
+    clearLocalRecording();
+    currentTranscription = '';
+    currentDraftId = null;
+    audioClipIds = [];
+    recordingStartedAt = null;
+    if (dreamInputRecord) dreamInputRecord.value = '';
+    if (dreamTitleRecord) dreamTitleRecord.value = '';
+}
+
+/**
+ * Saves the recording immediately when the page is hidden or closed, e.g. when the phone locks.
+ */
+function flushRecording() {
+    if (!isRecording) return;
+    saveLocalRecording();
+    saveRemoteRecording();
+}
+
+// --- Recovery ---
+
+/**
+ * Looks for a recording that was never stopped, in local storage or as an in-progress draft (e.g. from
+ * another device), and offers it in the recovery panel.
+ */
+async function checkForInterruptedRecording() {
+    if (isRecording) return;
+    const local = loadLocalRecording();
+    let drafts = [];
+    try {
+        drafts = await draftsRepository.list({ where: [{ field: 'inProgress', value: true }], orderBy: 'timestamp', direction: 'desc' });
+    } catch (error) {
+        console.error("Error loading in-progress drafts:", error);
+    }
+
+    if (local && local.text) {
+        // Local storage is saved on every result, so it is at least as recent as the draft
+        recoveredRecording = local;
+    } else if (drafts.length > 0) {
+        const draft = drafts[0];
+        recoveredRecording = {
+            text: draft.dreamText,
+            title: draft.dreamTitle,
+            language: draft.language,
+            draftId: draft.id,
+            audioClipIds: draft.audioClipIds,
+            metadata: draft.metadata,
+            startedAt: draft.timestamp,
+            updatedAt: draft.timestamp
+        };
+    } else {
+        if (local) clearLocalRecording();
+        recoveredRecording = null;
+    }
+    renderRecoveryPanel();
+}
+
+/**
+ * Shows or hides the recovery panel on the Record tab.
+ */
+function renderRecoveryPanel() {
+    const recordingRecoveryPanel = document.getElementById('recording-recovery-panel');
+    const recordingRecoveryText = document.getElementById('recording-recovery-text');
+    const recordingRecoveryTime = document.getElementById('recording-recovery-time');
+
+    if (!recordingRecoveryPanel) return;
+    recordingRecoveryPanel.classList.toggle('hidden', !recoveredRecording);
+    if (!recoveredRecording) return;
+    const updatedAt = recoveredRecording.updatedAt;
+    if (recordingRecoveryTime) {
+        recordingRecoveryTime.textContent = updatedAt instanceof Date && !Number.isNaN(updatedAt.getTime())
+            ? t('recovery.interrupted', { time: updatedAt.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) })
+            : t('recovery.interruptedEarlier');
+    }
+    if (recordingRecoveryText) recordingRecoveryText.textContent = recoveredRecording.text;
+}
+
+/**
+ * Resumes the interrupted recording: its text is loaded and recording continues where it stopped.
+ */
+function resumeRecoveredRecording() {
+    const dreamInputRecord = document.getElementById('dream-input-record');
+    const dreamTitleRecord = document.getElementById('dream-title-record');
+    if (!recoveredRecording || isRecording) return;
+
+    currentTranscription = recoveredRecording.text;
+    currentDraftId = recoveredRecording.draftId;
+    audioClipIds = [...recoveredRecording.audioClipIds];
+    recordingStartedAt = recoveredRecording.startedAt instanceof Date ? recoveredRecording.startedAt : new Date();
+    if (dreamInputRecord) dreamInputRecord.value = currentTranscription;
+    if (dreamTitleRecord) dreamTitleRecord.value = recoveredRecording.title;
+    if (recordLanguageSelect) recordLanguageSelect.setLanguage(recoveredRecording.language);
+    if (recordMetadataForm) recordMetadataForm.setMetadata(recoveredRecording.metadata);
+    recoveredRecording = null;
+    renderRecoveryPanel();
+    startRecording();
+}
+
+/**
+ * Saves the interrupted recording as a draft as it is.
+ */
+async function saveRecoveredRecording() {
+    if (!recoveredRecording) return;
+    const { draftId, text, title, language, metadata, audioClipIds: clipIds } = recoveredRecording;
+    if (!await finishInProgressDraft(draftId, text, title, metadata, clipIds, language)) return;
+    clearLocalRecording();
+    checkForInterruptedRecording(); // There may be more, e.g. from another device
+}
+
+/**
+ * Discards the interrupted recording and its in-progress draft.
+ */
+async function discardRecoveredRecording() {
+    if (!recoveredRecording) return;
+    if (recoveredRecording.draftId && !await deleteDraftDream(recoveredRecording.draftId)) return;
+    removeAudioClips(recoveredRecording.audioClipIds);
+    clearLocalRecording();
+    checkForInterruptedRecording();
+}
+
+/**
+ * Initializes event listeners for the Record module.
+ * This function should be called once the DOM is loaded and Firebase is ready.
+ * UI elements are now fetched within this function to ensure they exist.
+ */
+export function initializeRecordModule() {
+    const startNightRecordingButton = document.getElementById('start-night-recording-button');
+    const stopNightRecordingButton = document.getElementById('stop-night-recording-button');
+    const generateSuggestionButton = document.getElementById('generate-suggestion-button');
+    const recordMetadataInput = document.getElementById('record-metadata-input');
+    const resumeRecordingButton = document.getElementById('resume-recording-button');
+    const saveRecoveredRecordingButton = document.getElementById('save-recovered-recording-button');
+    const discardRecoveredRecordingButton = document.getElementById('discard-recovered-recording-button');
+    const recordLanguageInput = document.getElementById('record-language-select');
+    const audioStatus = document.getElementById('audio-status');
+
+    if (recordMetadataInput) recordMetadataForm = createMetadataForm(recordMetadataInput);
+    if (recordLanguageInput) {
+        recordLanguageSelect = createLanguageSelect(recordLanguageInput, {
+            onChange: () => {
+                if (isRecording) saveLocalRecording();
+                // Recognition restarts in its onend, in the new language
+                if (isRecording && speechRecognition) speechRecognition.stop();
+            }
         });
     }
 
-    // Event listener for Generate Random Suggestion button
+    // Web Speech API for audio transcription (Live Microphone Input)
+    if (startNightRecordingButton) startNightRecordingButton.addEventListener('click', startRecording);
+    if (stopNightRecordingButton) stopNightRecordingButton.addEventListener('click', stopRecording);
+
+    // The status and the recovery panel are written from code, so they are translated here
+    if (audioStatus) audioStatus.textContent = t('status.ready');
+    onLanguageChange(() => {
+        if (audioStatus && !isRecording && !currentTranscription) audioStatus.textContent = t('status.ready');
+        renderRecoveryPanel();
+    });
+
+    if (resumeRecordingButton) resumeRecordingButton.addEventListener('click', resumeRecoveredRecording);
+    if (saveRecoveredRecordingButton) saveRecoveredRecordingButton.addEventListener('click', saveRecoveredRecording);
+    if (discardRecoveredRecordingButton) discardRecoveredRecordingButton.addEventListener('click', discardRecoveredRecording);
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushRecording();
+    });
+    window.addEventListener('pagehide', flushRecording);
+
+    // Event listener for Generate Random Suggestion button: picks one of the user's intentions to set for tonight
     if (generateSuggestionButton) {
-        generateSuggestionButton.addEventListener('click', () => {
-            const randomIndex = Math.floor(Math.random() * dreamSuggestions.length);
-            const suggestion = dreamSuggestions[randomIndex];
-            showMessage('info', suggestion);
-        });
+        generateSuggestionButton.addEventListener('click', suggestIntention);
     }
+
+    if (!userId || !isAuthReady) return;
+    checkForInterruptedRecording();
 }
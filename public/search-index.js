@@ -0,0 +1,529 @@
+// search-index.js
+
+// Full-text search over archived dreams (text and analysis), draft dreams, daily events and chat messages.
+// An inverted index maps each word stem to the documents and field positions it occurs in, so
+// results can be ranked with BM25 and quoted phrases matched by position. Queries support
+// AND (implicit), OR, NOT / -term, parentheses, "quoted phrases" and field qualifiers:
+//   title:door  text:stairs  type:dream|draft|event|chat  before:2024-05  after:2024-01-31  matched:yes|no
+// Documents may have any further fields (the analysis categories); the caller passes qualifiers
+// for them with each search, e.g. location:beach or person:"mom".
+// Pure logic: no Firestore, no DOM.
+
+import { tokenizeAndClean } from './stats-module.js';
+import { stem } from './match-suggestions.js';
+
+/** Fields every document type can have and how much a hit in each counts towards the ranking. */
+export const SEARCH_FIELDS = {
+    title: { label: 'Title', weight: 2 },
+    text: { label: 'Text', weight: 1 }
+};
+
+/** Weight of any other field (analysis categories) unless the search passes its own. */
+export const DEFAULT_FIELD_WEIGHT = 0.5;
+
+// Qualifiers that restrict a term or phrase to one of the fixed fields
+const FIELD_QUALIFIERS = { title: 'title', text: 'text' };
+// Values accepted by type: and the document type they select
+const SEARCH_TYPES = {
+    dream: 'dream', dreams: 'dream',
+    draft: 'draft', drafts: 'draft',
+    event: 'event', events: 'event',
+    chat: 'message', chats: 'message', message: 'message', messages: 'message'
+};
+// Qualifiers that filter documents without matching words
+const FILTER_QUALIFIERS = new Set(['type', 'before', 'after', 'matched']);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const PHRASE_BOOST = 1.5;
+
+/**
+ * @typedef {object} SearchDocument
+ * @property {string} id - The record ID.
+ * @property {'dream'|'draft'|'event'|'message'} type - The record type.
+ * @property {Date|null} date - The record date, used by before:/after: and to order equal scores.
+ * @property {object} fields - Field name -> text: 'title', 'text' (see SEARCH_FIELDS) and any further fields.
+ * @property {object} [record] - The original record, returned with the results.
+ */
+
+/**
+ * Splits text into words with their stems and character offsets. Words are runs of letters and digits of any
+ * script, as in tokenizeAndClean(), so accented and Cyrillic words are found too.
+ * @param {string} text - The text.
+ * @returns {Array<{word: string, stem: string, start: number, end: number}>} The tokens in order.
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => {
+        const word = match[0].toLowerCase();
+        return { word, stem: stem(word), start: match.index, end: match.index + match[0].length };
+    });
+}
+
+/**
+ * Whether a word is too common to search for on its own.
+ * @param {string} word - A lowercased word.
+ * @returns {boolean} True for stop words and single characters.
+ */
+function isStopWord(word) {
+    return tokenizeAndClean(word).length === 0;
+}
+
+// --- Query parsing ---
+
+/**
+ * Splits a query string into lexical tokens.
+ * @param {string} queryText - The query.
+ * @param {object} fieldQualifiers - Lowercased qualifier name -> field, including the fixed ones.
+ * @returns {Array<object>} Tokens of type 'open', 'close', 'and', 'or', 'not', 'phrase', 'word' or 'qualifier'.
+ */
+function lexQuery(queryText, fieldQualifiers) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const closing = queryText.indexOf('"', i + 1);
+        const end = closing === -1 ? queryText.length : closing;
+        const value = queryText.slice(i + 1, end);
+        i = end + 1;
+        return value;
+    };
+
+    while (i < queryText.length) {
+        const char = queryText[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(') {
+            tokens.push({ type: 'open' });
+            i++;
+        } else if (char === ')') {
+            tokens.push({ type: 'close' });
+            i++;
+        } else if (char === '"') {
+            tokens.push({ type: 'phrase', value: readQuoted() });
+        } else if (char === '-' && i + 1 < queryText.length && !/\s/.test(queryText[i + 1])) {
+            tokens.push({ type: 'not' });
+            i++;
+        } else {
+            const start = i;
+            while (i < queryText.length && !/[\s()"]/.test(queryText[i])) i++;
+            const word = queryText.slice(start, i);
+            const separator = word.indexOf(':');
+            const name = separator > 0 ? word.slice(0, separator).toLowerCase() : null;
+
+            if (name && (FILTER_QUALIFIERS.has(name) || Object.hasOwn(fieldQualifiers, name))) {
+                let value = word.slice(separator + 1);
+                if (value === '' && queryText[i] === '"') value = readQuoted();
+                tokens.push({ type: 'qualifier', name, value });
+            } else if (word === 'AND' || word === '&&') {
+                tokens.push({ type: 'and' });
+            } else if (word === 'OR' || word === '||') {
+                tokens.push({ type: 'or' });
+            } else if (word === 'NOT') {
+                tokens.push({ type: 'not' });
+            } else {
+                tokens.push({ type: 'word', value: word });
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a before:/after: value ('2024', '2024-05' or '2024-05-17') into the period it covers.
+ * @param {string} value - The date value.
+ * @returns {{start: Date, end: Date}} The first millisecond of the period and the first one after it.
+ */
+function parseDatePeriod(value) {
+    const parts = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!parts) throw new Error(`Invalid date "${value}". Use YYYY, YYYY-MM or YYYY-MM-DD.`);
+    const year = Number(parts[1]);
+    if (parts[3]) {
+        const start = new Date(year, Number(parts[2]) - 1, Number(parts[3]));
+        return { start, end: new Date(year, Number(parts[2]) - 1, Number(parts[3]) + 1) };
+    }
+    if (parts[2]) return { start: new Date(year, Number(parts[2]) - 1, 1), end: new Date(year, Number(parts[2]), 1) };
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+}
+
+/**
+ * Builds the node for text, restricted to a field or not.
+ * Single words become term nodes, several words a phrase node.
+ * @param {string} text - The text.
+ * @param {string|null} field - The field, or null for all fields.
+ * @param {boolean} keepStopWords - Whether a lone stop word is kept (quoted, qualified or negated words are).
+ * @returns {object|null} The node, or null if nothing searchable is left.
+ */
+function textNode(text, field, keepStopWords) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return null;
+    if (tokens.length === 1) {
+        if (!keepStopWords && isStopWord(tokens[0].word)) return null;
+        return { kind: 'term', field, stem: tokens[0].stem };
+    }
+    return { kind: 'phrase', field, stems: tokens.map(token => token.stem) };
+}
+
+/**
+ * Builds the node for a qualifier token.
+ * @param {object} token - The qualifier token.
+ * @param {object} fieldQualifiers - Lowercased qualifier name -> field.
+ * @returns {object|null} The node.
+ */
+function qualifierNode(token, fieldQualifiers) {
+    const value = token.value.trim().toLowerCase();
+    if (!FILTER_QUALIFIERS.has(token.name)) return textNode(token.value, fieldQualifiers[token.name], true);
+
+    switch (token.name) {
+        case 'type': {
+            const type = SEARCH_TYPES[value];
+            if (!type) throw new Error(`Unknown type "${token.value}". Use type:dream, type:draft, type:event or type:chat.`);
+            return { kind: 'filter', name: 'type', value: type };
+        }
+        case 'matched': {
+            if (['yes', 'true', '1'].includes(value)) return { kind: 'filter', name: 'matched', value: true };
+            if (['no', 'false', '0'].includes(value)) return { kind: 'filter', name: 'matched', value: false };
+            throw new Error(`Unknown value "${token.value}". Use matched:yes or matched:no.`);
+        }
+        case 'before':
+            return { kind: 'filter', name: 'before', value: parseDatePeriod(value).start };
+        case 'after':
+            return { kind: 'filter', name: 'after', value: parseDatePeriod(value).end };
+    }
+    return null;
+}
+
+/**
+ * Parses a query into a tree of 'and', 'or', 'not', 'term', 'phrase' and 'filter' nodes.
+ * @param {string} queryText - The query.
+ * @param {object} [extraQualifiers={}] - Further qualifier name -> field, e.g. { location: 'location' }.
+ *     Filter qualifiers (type:, before:, after:, matched:) cannot be overridden.
+ * @returns {object|null} The root node, or null for an empty query.
+ * @throws {Error} If a qualifier has an invalid value.
+ */
+export function parseQuery(queryText, extraQualifiers = {}) {
+    const fieldQualifiers = { ...FIELD_QUALIFIERS };
+    Object.entries(extraQualifiers).forEach(([name, field]) => { fieldQualifiers[name.toLowerCase()] = field; });
+    const tokens = lexQuery(queryText || '', fieldQualifiers);
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const combine = (kind, children) => {
+        const present = children.filter(Boolean);
+        if (present.length === 0) return null;
+        return present.length === 1 ? present[0] : { kind, children: present };
+    };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            position++;
+            children.push(parseAnd());
+        }
+        return combine('or', children);
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+            if (peek().type === 'and') {
+                position++;
+                continue;
+            }
+            children.push(parseUnary());
+        }
+        return combine('and', children);
+    };
+
+    // Stop words are dropped from plain searches, but kept when negated: "-work" must still exclude
+    const parseUnary = (negated = false) => {
+        const token = tokens[position++];
+        switch (token.type) {
+            case 'not': {
+                if (!peek() || ['or', 'close'].includes(peek().type)) return null;
+                const child = parseUnary(true);
+                return child ? { kind: 'not', child } : null;
+            }
+            case 'open': {
+                const inner = parseOr();
+                if (peek() && peek().type === 'close') position++;
+                return inner;
+            }
+            case 'phrase':
+                return textNode(token.value, null, true);
+            case 'qualifier':
+                return qualifierNode(token, fieldQualifiers);
+            default:
+                return textNode(token.value, null, negated);
+        }
+    };
+
+    let root = parseOr();
+    // A stray ')' ends the top-level expression early; parse whatever follows it too
+    while (position < tokens.length) {
+        position++;
+        root = combine('and', [root, parseOr()]);
+    }
+    return root;
+}
+
+/**
+ * Collects the stems a query searches for, ignoring negated parts. Used for highlighting.
+ * @param {object|null} node - The query node.
+ * @param {Set<string>} [stems] - The set to add to.
+ * @returns {Set<string>} The stems.
+ */
+export function collectHighlightStems(node, stems = new Set()) {
+    if (!node) return stems;
+    if (node.kind === 'term') stems.add(node.stem);
+    if (node.kind === 'phrase') node.stems.forEach(wordStem => stems.add(wordStem));
+    if (node.kind === 'and' || node.kind === 'or') node.children.forEach(child => collectHighlightStems(child, stems));
+    return stems;
+}
+
+// --- Snippets ---
+
+/**
+ * Splits text into plain and highlighted segments.
+ * @param {string} text - The text.
+ * @param {Set<string>} stems - Stems to highlight.
+ * @returns {Array<{text: string, highlight: boolean}>} The segments, in order.
+ */
+export function highlightSegments(text, stems) {
+    const segments = [];
+    let cursor = 0;
+    tokenize(text).forEach(token => {
+        if (!stems.has(token.stem)) return;
+        if (token.start > cursor) segments.push({ text: text.slice(cursor, token.start), highlight: false });
+        segments.push({ text: text.slice(token.start, token.end), highlight: true });
+        cursor = token.end;
+    });
+    if (cursor < text.length) segments.push({ text: text.slice(cursor), highlight: false });
+    return segments;
+}
+
+/**
+ * Cuts a window of text around the first highlighted word and splits it into segments.
+ * @param {string} text - The text.
+ * @param {Set<string>} stems - Stems to highlight.
+ * @param {number} [maxLength=160] - The approximate snippet length in characters.
+ * @returns {Array<{text: string, highlight: boolean}>} The segments; '…' marks cut text.
+ */
+export function buildSnippet(text, stems, maxLength = 160) {
+    if (!text) return [];
+    const firstHit = tokenize(text).find(token => stems.has(token.stem));
+    let start = 0;
+    if (firstHit && firstHit.start > maxLength / 3) {
+        start = text.lastIndexOf(' ', firstHit.start - Math.floor(maxLength / 3)) + 1;
+    }
+    let end = Math.min(text.length, start + maxLength);
+    if (end < text.length) {
+        const lastSpace = text.lastIndexOf(' ', end);
+        if (lastSpace > start) end = lastSpace;
+    }
+
+    const segments = highlightSegments(text.slice(start, end), stems);
+    if (start > 0) segments.unshift({ text: '…', highlight: false });
+    if (end < text.length) segments.push({ text: '…', highlight: false });
+    return segments;
+}
+
+// --- Index ---
+
+/**
+ * Creates an empty search index.
+ * @returns {object} The index with `upsert`, `remove`, `replaceType`, `search` and `size`.
+ */
+export function createSearchIndex() {
+    const documents = new Map(); // key -> { document, signature, fieldLengths }
+    const postings = new Map(); // stem -> Map(key -> Map(field -> positions))
+    const totalFieldLengths = new Map(); // field -> summed token count over all documents
+
+    const keyOf = (type, id) => `${type}:${id}`;
+
+    const remove = (key) => {
+        const entry = documents.get(key);
+        if (!entry) return;
+        Object.entries(entry.fieldLengths).forEach(([field, length]) => { totalFieldLengths.set(field, totalFieldLengths.get(field) - length); });
+        entry.stems.forEach(wordStem => {
+            const docs = postings.get(wordStem);
+            if (!docs) return;
+            docs.delete(key);
+            if (docs.size === 0) postings.delete(wordStem);
+        });
+        documents.delete(key);
+    };
+
+    const upsert = (document) => {
+        const key = keyOf(document.type, document.id);
+        const signature = JSON.stringify([document.fields, document.date ? document.date.getTime() : null]);
+        const existing = documents.get(key);
+        if (existing && existing.signature === signature) {
+            existing.document = document; // Keep the latest record (e.g. pendingSync changes) without reindexing
+            return;
+        }
+        remove(key);
+
+        const fieldLengths = {};
+        const stems = new Set();
+        Object.keys(document.fields).forEach(field => {
+            const tokens = tokenize(document.fields[field]);
+            fieldLengths[field] = tokens.length;
+            totalFieldLengths.set(field, (totalFieldLengths.get(field) || 0) + tokens.length);
+            tokens.forEach((token, position) => {
+                stems.add(token.stem);
+                if (!postings.has(token.stem)) postings.set(token.stem, new Map());
+                const docs = postings.get(token.stem);
+                if (!docs.has(key)) docs.set(key, new Map());
+                const fields = docs.get(key);
+                if (!fields.has(field)) fields.set(field, []);
+                fields.get(field).push(position);
+            });
+        });
+        documents.set(key, { document, signature, fieldLengths, stems });
+    };
+
+    /**
+     * Replaces all documents of one type, reindexing only those that changed.
+     * @param {string} type - The document type.
+     * @param {Array<SearchDocument>} typeDocuments - The current documents of that type.
+     * @param {string} [idPrefix=''] - Only replace documents whose ID starts with this, e.g. the messages of one conversation.
+     */
+    const replaceType = (type, typeDocuments, idPrefix = '') => {
+        const currentKeys = new Set(typeDocuments.map(document => keyOf(type, document.id)));
+        [...documents.keys()]
+            .filter(key => key.startsWith(keyOf(type, idPrefix)) && !currentKeys.has(key))
+            .forEach(remove);
+        typeDocuments.forEach(upsert);
+    };
+
+    /**
+     * BM25 score of one stem in one document, summed over the (allowed) fields it occurs in.
+     * @param {string} wordStem - The stem.
+     * @param {string} key - The document key.
+     * @param {Map<string, Array<number>>} fields - Field -> positions of the stem in the document.
+     * @param {string|null} onlyField - Restrict to this field.
+     * @param {object} fieldWeights - Field -> weight for fields outside SEARCH_FIELDS.
+     * @returns {number} The score.
+     */
+    const scoreStem = (wordStem, key, fields, onlyField, fieldWeights) => {
+        const documentFrequency = postings.get(wordStem).size;
+        const idf = Math.log(1 + (documents.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const { fieldLengths } = documents.get(key);
+        let score = 0;
+        fields.forEach((positions, field) => {
+            if (onlyField && field !== onlyField) return;
+            const averageLength = totalFieldLengths.get(field) / documents.size || 1;
+            const frequency = positions.length;
+            const norm = frequency + K1 * (1 - B + B * fieldLengths[field] / averageLength);
+            const weight = SEARCH_FIELDS[field] ? SEARCH_FIELDS[field].weight : (fieldWeights[field] ?? DEFAULT_FIELD_WEIGHT);
+            score += weight * idf * (frequency * (K1 + 1)) / norm;
+        });
+        return score;
+    };
+
+    /**
+     * Evaluates a query node to the matching documents and their scores.
+     * @param {object} node - The query node.
+     * @param {object} context - { isMatched } for the matched: filter and { fieldWeights } for scoring.
+     * @returns {Map<string, number>} Document key -> score.
+     */
+    const evaluate = (node, context) => {
+        switch (node.kind) {
+            case 'term': {
+                const result = new Map();
+                const docs = postings.get(node.stem);
+                if (!docs) return result;
+                docs.forEach((fields, key) => {
+                    if (node.field && !fields.has(node.field)) return;
+                    result.set(key, scoreStem(node.stem, key, fields, node.field, context.fieldWeights));
+                });
+                return result;
+            }
+            case 'phrase': {
+                const result = new Map();
+                const stemPostings = node.stems.map(wordStem => postings.get(wordStem));
+                if (stemPostings.some(docs => !docs)) return result;
+                stemPostings[0].forEach((firstFields, key) => {
+                    if (!stemPostings.every(docs => docs.has(key))) return;
+                    const phraseField = [...firstFields.keys()].find(field => {
+                        if (node.field && field !== node.field) return false;
+                        return firstFields.get(field).some(start => stemPostings.every((docs, offset) => {
+                            const positions = docs.get(key).get(field);
+                            return positions && positions.includes(start + offset);
+                        }));
+                    });
+                    if (!phraseField) return;
+                    const score = node.stems.reduce((sum, wordStem, offset) => sum + scoreStem(wordStem, key, stemPostings[offset].get(key), phraseField, context.fieldWeights), 0);
+                    result.set(key, score * PHRASE_BOOST);
+                });
+                return result;
+            }
+            case 'filter': {
+                const result = new Map();
+                documents.forEach(({ document }, key) => {
+                    let keep = true;
+                    if (node.name === 'type') keep = document.type === node.value;
+                    if (node.name === 'before') keep = Boolean(document.date) && document.date < node.value;
+                    if (node.name === 'after') keep = Boolean(document.date) && document.date >= node.value;
+                    if (node.name === 'matched') keep = Boolean(context.isMatched(document)) === node.value;
+                    if (keep) result.set(key, 0);
+                });
+                return result;
+            }
+            case 'not': {
+                const excluded = evaluate(node.child, context);
+                const result = new Map();
+                documents.forEach((entry, key) => { if (!excluded.has(key)) result.set(key, 0); });
+                return result;
+            }
+            case 'and': {
+                const [first, ...rest] = node.children.map(child => evaluate(child, context));
+                const result = new Map();
+                first.forEach((score, key) => {
+                    if (!rest.every(childResult => childResult.has(key))) return;
+                    result.set(key, rest.reduce((sum, childResult) => sum + childResult.get(key), score));
+                });
+                return result;
+            }
+            case 'or': {
+                const result = new Map();
+                node.children.forEach(child => {
+                    evaluate(child, context).forEach((score, key) => result.set(key, (result.get(key) || 0) + score));
+                });
+                return result;
+            }
+        }
+        return new Map();
+    };
+
+    /**
+     * Runs a query.
+     * @param {string} queryText - The query.
+     * @param {object} [options]
+     * @param {function(SearchDocument): boolean} [options.isMatched] - Whether a document has a dream-event match.
+     * @param {object} [options.fieldQualifiers] - Qualifier name -> field for fields outside SEARCH_FIELDS.
+     * @param {object} [options.fieldWeights] - Field -> weight for fields outside SEARCH_FIELDS (default DEFAULT_FIELD_WEIGHT).
+     * @returns {{results: Array<{document: SearchDocument, score: number}>, highlightStems: Set<string>}} Results, best first.
+     * @throws {Error} If the query has an invalid qualifier value.
+     */
+    const search = (queryText, { isMatched = () => false, fieldQualifiers = {}, fieldWeights = {} } = {}) => {
+        const root = parseQuery(queryText, fieldQualifiers);
+        if (!root) return { results: [], highlightStems: new Set() };
+
+        const results = [...evaluate(root, { isMatched, fieldWeights }).entries()]
+            .map(([key, score]) => ({ document: documents.get(key).document, score }))
+            .sort((a, b) => (b.score - a.score) ||
+                ((b.document.date ? b.document.date.getTime() : 0) - (a.document.date ? a.document.date.getTime() : 0)));
+        return { results, highlightStems: collectHighlightStems(root) };
+    };
+
+    return {
+        upsert,
+        remove: (type, id) => remove(keyOf(type, id)),
+        replaceType,
+        search,
+        get size() { return documents.size; }
+    };
+}
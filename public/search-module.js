@@ -1,18 +1,46 @@
 // search-module.js
 
 // Import Firebase variables and functions
-import { db, userId, isAuthReady, appId } from './firebase-init.js';
-import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import { userId, isAuthReady } from './firebase-init.js';
+import { showMessage } from './ui-utils.js';
 import {
-    collection, query, orderBy, getDocs, doc, updateDoc
-} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
-
-// Import functions from dreams-module for matching
-import { openMatchModalForSearch } from './dreams-module.js';
+    archivedDreamsRepository, draftsRepository, dailyEventsRepository, conversationsRepository, messagesRepository,
+    timestampMillis
+} from './dreams-data-service.js';
+
+// Import functions from matches-module for matching
+import { openMatchModal, getMatchesForDream, getMatchesForEvent, onMatchesChange } from './matches-module.js';
+import { createSearchIndex, highlightSegments, buildSnippet } from './search-index.js';
+import { displayArchivedDreamDetails, editDraftDream } from './dreams-module.js';
+import { getAnalysisCategories, onAnalysisSchemaChange, parseAnalysisText, analysisEntries } from './analysis-schema.js';
+import { focusDailyEvent } from './reality-module.js';
+import { tagNames, renderTagChips, onTagsChange } from './tags-module.js';
+import { showTab, showDreamsSubTab, showRealitySubTab } from './app.js';
+import { scopeStartDate, scopeEndDate, isDreamInPeriod } from './nights.js';
 
 // Internal state variables for Search module
 let selectedDreamForMatch = null;
 let selectedEventForMatch = null;
+let searchIndex = createSearchIndex();
+let unsubscribeSearchData = [];
+let unsubscribeConversationMessages = new Map(); // Conversation ID -> unsubscribe for its messages
+let conversationsById = new Map();
+let loadedSearchSources = new Set(); // Which of 'dream', 'draft', 'event', 'conversation' have been loaded
+let lastSearch = null; // { searchTerm, timeScope } of the search currently shown, re-run when data changes
+let taggedRecords = { dream: [], draft: [], event: [] }; // The indexed records that can have tags, re-indexed when tags are renamed
+
+// Analysis categories that name concrete places and people count more than the others
+const ANALYSIS_FIELD_WEIGHTS = { location: 1.5, familiarPersonsSpokenTo: 1.5, tags: 1.5 };
+// Short qualifiers for built-in categories, kept so person:"mom" works alongside familiarpersonsspokento:
+const ANALYSIS_QUALIFIER_ALIASES = { person: 'familiarPersonsSpokenTo', people: 'familiarPersonsSpokenTo' };
+
+// Result sections, in display order
+const RESULT_SECTIONS = [
+    { type: 'dream', heading: 'Your Archived Dreams', empty: 'No dreams found matching your criteria in this timeframe.', classes: ['border-purple-200', 'bg-purple-50'], headingClass: 'text-purple-800' },
+    { type: 'draft', heading: 'Your Draft Dreams', empty: 'No drafts found matching your criteria.', classes: ['border-indigo-200', 'bg-indigo-50'], headingClass: 'text-indigo-800' },
+    { type: 'event', heading: 'Your Daily Events', empty: 'No daily events found matching your criteria.', classes: ['border-green-200', 'bg-green-50'], headingClass: 'text-green-800' },
+    { type: 'message', heading: 'Your Chat Conversations', empty: 'No chat messages found matching your criteria.', classes: ['border-blue-200', 'bg-blue-50'], headingClass: 'text-blue-800' }
+];
 
 /**
  * Updates the state and text of the 'Match Selected' button based on current selections.
@@ -31,17 +59,228 @@ function updateMatchSelectedButtonState() {
 }
 
 /**
- * Performs a search across archived dreams and daily events based on a search term and time scope.
+ * Converts an archived dream to a search document. Each analysis category is indexed as its own field,
+ * named by its key; dreams without a parsable analysis are searchable by title, text and tags only.
+ * @param {object} dream - The archived dream.
+ * @returns {import('./search-index.js').SearchDocument} The document.
+ */
+function dreamToSearchDocument(dream) {
+    const fields = { title: dream.dreamTitle || '', text: dream.dreamText || '', tags: tagNames(dream.tags).join(', ') };
+    analysisEntries(parseAnalysisText(dream.analysisText)).forEach(({ key, text }) => {
+        if (!Object.hasOwn(fields, key)) fields[key] = text;
+    });
+    return {
+        id: dream.id,
+        type: 'dream',
+        date: dream.timestamp instanceof Date ? dream.timestamp : null,
+        fields,
+        record: dream
+    };
+}
+
+/**
+ * Builds the qualifiers for the tags (tag:) and the analysis categories: the lowercased key, the name
+ * with hyphens (e.g. emotional-content:) and the short aliases of built-in categories.
+ * @returns {object} Qualifier name -> field.
+ */
+function analysisFieldQualifiers() {
+    const qualifiers = { tag: 'tags', tags: 'tags' };
+    const categories = getAnalysisCategories({ includeDisabled: true });
+    categories.forEach(category => {
+        qualifiers[category.key.toLowerCase()] = category.key;
+        const nameQualifier = (category.name.toLowerCase().match(/[a-z0-9]+/g) || []).join('-');
+        if (nameQualifier) qualifiers[nameQualifier] = category.key;
+    });
+    Object.entries(ANALYSIS_QUALIFIER_ALIASES).forEach(([alias, key]) => {
+        if (categories.some(category => category.key === key)) qualifiers[alias] = key;
+    });
+    return qualifiers;
+}
+
+/**
+ * Converts a draft dream to a search document.
+ * @param {object} draft - The draft dream.
+ * @returns {import('./search-index.js').SearchDocument} The document.
+ */
+function draftToSearchDocument(draft) {
+    return {
+        id: draft.id,
+        type: 'draft',
+        date: draft.timestamp instanceof Date ? draft.timestamp : null,
+        fields: { title: draft.dreamTitle || '', text: draft.dreamText || '', tags: tagNames(draft.tags).join(', ') },
+        record: draft
+    };
+}
+
+/**
+ * Converts a daily event to a search document.
+ * @param {object} event - The daily event.
+ * @returns {import('./search-index.js').SearchDocument} The document.
  */
-export async function performSearch() {
+function eventToSearchDocument(event) {
+    return {
+        id: event.id,
+        type: 'event',
+        date: event.timestamp instanceof Date ? event.timestamp : null,
+        fields: { text: event.eventText || '', tags: tagNames(event.tags).join(', ') },
+        record: event
+    };
+}
+
+/**
+ * Converts a chat message to a search document.
+ * Message IDs are only unique within their conversation, so the document ID is 'conversationId/messageId'.
+ * @param {string} conversationId - The conversation the message belongs to.
+ * @param {object} message - The chat message.
+ * @returns {import('./search-index.js').SearchDocument} The document.
+ */
+function messageToSearchDocument(conversationId, message) {
+    return {
+        id: `${conversationId}/${message.id}`,
+        type: 'message',
+        date: message.timestamp instanceof Date ? message.timestamp : null,
+        fields: { text: message.text || '' },
+        record: { ...message, conversationId }
+    };
+}
+
+/**
+ * Keeps one subscription per conversation so its messages stay indexed.
+ * @param {Array<object>} conversations - All conversations.
+ * @param {function(Error)} onError - Called when loading messages fails.
+ */
+function watchConversationMessages(conversations, onError) {
+    conversationsById = new Map(conversations.map(conversation => [conversation.id, conversation]));
+
+    unsubscribeConversationMessages.forEach((unsubscribe, conversationId) => {
+        if (conversationsById.has(conversationId)) return;
+        unsubscribe();
+        unsubscribeConversationMessages.delete(conversationId);
+        searchIndex.replaceType('message', [], `${conversationId}/`);
+    });
+
+    conversations.forEach(conversation => {
+        if (unsubscribeConversationMessages.has(conversation.id)) return;
+        unsubscribeConversationMessages.set(conversation.id, messagesRepository(conversation.id).subscribe({}, (messages) => {
+            searchIndex.replaceType('message', messages.map(message => messageToSearchDocument(conversation.id, message)), `${conversation.id}/`);
+            refreshSearchResults();
+        }, onError));
+    });
+}
+
+/**
+ * Starts (or restarts) the live subscriptions that keep the search index current.
+ */
+function watchSearchData() {
+    unsubscribeSearchData.forEach(unsubscribe => unsubscribe());
+    unsubscribeConversationMessages.forEach(unsubscribe => unsubscribe());
+    unsubscribeConversationMessages = new Map();
+    searchIndex = createSearchIndex();
+    loadedSearchSources = new Set();
+    taggedRecords = { dream: [], draft: [], event: [] };
+
+    const onError = (error) => {
+        console.error("Error loading search data:", error);
+        showMessage('error', `Failed to load data for search: ${error.message}`);
+    };
+
+    unsubscribeSearchData = [
+        archivedDreamsRepository.subscribe({}, (records) => {
+            taggedRecords.dream = records;
+            searchIndex.replaceType('dream', records.map(dreamToSearchDocument));
+            loadedSearchSources.add('dream');
+            refreshSearchResults();
+        }, onError),
+        draftsRepository.subscribe({}, (records) => {
+            taggedRecords.draft = records;
+            searchIndex.replaceType('draft', records.map(draftToSearchDocument));
+            loadedSearchSources.add('draft');
+            refreshSearchResults();
+        }, onError),
+        dailyEventsRepository.subscribe({}, (records) => {
+            taggedRecords.event = records;
+            searchIndex.replaceType('event', records.map(eventToSearchDocument));
+            loadedSearchSources.add('event');
+            refreshSearchResults();
+        }, onError),
+        conversationsRepository.subscribe({}, (records) => {
+            watchConversationMessages(records, onError);
+            loadedSearchSources.add('conversation');
+            refreshSearchResults();
+        }, onError)
+    ];
+}
+
+/**
+ * Re-indexes the dreams, drafts and daily events so their tag fields have the current tag names.
+ */
+function reindexTaggedRecords() {
+    searchIndex.replaceType('dream', taggedRecords.dream.map(dreamToSearchDocument));
+    searchIndex.replaceType('draft', taggedRecords.draft.map(draftToSearchDocument));
+    searchIndex.replaceType('event', taggedRecords.event.map(eventToSearchDocument));
+    refreshSearchResults();
+}
+
+/**
+ * Runs the last search against the index and displays the results.
+ * Called for new searches and whenever the searched data or matches change.
+ */
+function refreshSearchResults() {
+    const searchResultsList = document.getElementById('search-results-list');
+    if (!lastSearch || !searchResultsList) return;
+
+    if (loadedSearchSources.size < 4) {
+        searchResultsList.innerHTML = '<p class="text-gray-500">Loading your dreams, events and chats...</p>';
+        return;
+    }
+
+    let search;
+    try {
+        search = searchIndex.search(lastSearch.searchTerm, {
+            fieldQualifiers: analysisFieldQualifiers(),
+            fieldWeights: ANALYSIS_FIELD_WEIGHTS,
+            isMatched: (searchDocument) => {
+                if (searchDocument.type === 'dream') return getMatchesForDream(searchDocument.id).length > 0;
+                if (searchDocument.type === 'event') return getMatchesForEvent(searchDocument.id).length > 0;
+                return false;
+            }
+        });
+    } catch (error) {
+        // Invalid qualifier values (e.g. before:yesterday) are shown inline rather than as an error toast
+        searchResultsList.innerHTML = '';
+        const errorPara = document.createElement('p');
+        errorPara.classList.add('text-red-500');
+        errorPara.textContent = error.message;
+        searchResultsList.appendChild(errorPara);
+        return;
+    }
+
+    // Scopes select whole nights: dreams by the night they happened in, other records by their timestamp (see nights.js)
+    const now = new Date();
+    const start = scopeStartDate(lastSearch.timeScope, now);
+    const end = scopeEndDate(lastSearch.timeScope, now);
+    const inScope = search.results.filter(result => {
+        const { type, record } = result.document;
+        if (type === 'dream' || type === 'draft') return isDreamInPeriod(record, start, end);
+        return !start || (timestampMillis(record) >= start.getTime() && timestampMillis(record) <= end.getTime());
+    });
+    displaySearchResults(inScope, search.highlightStems);
+}
+
+/**
+ * Performs a search across dreams, drafts, daily events and chat messages based on a search query and time scope.
+ * See search-index.js for the query syntax.
+ */
+export function performSearch() {
     const searchInput = document.getElementById('search-input');
     const timeScopeSearch = document.getElementById('time-scope-search');
     const searchResultsList = document.getElementById('search-results-list');
 
-    const searchTerm = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    const searchTerm = searchInput ? searchInput.value.trim() : '';
     const selectedTimeScope = timeScopeSearch ? timeScopeSearch.value : 'allTime';
 
     if (!searchTerm) {
+        lastSearch = null;
         if (searchResultsList) searchResultsList.innerHTML = '<p class="text-gray-500">Please enter a search term.</p>';
         return;
     }
@@ -51,253 +290,293 @@ export async function performSearch() {
         return;
     }
 
-    if (searchResultsList) searchResultsList.innerHTML = '<p class="text-gray-500">Searching...</p>';
-    showLoading();
-
     selectedDreamForMatch = null; // Reset selections on new search
     selectedEventForMatch = null;
     updateMatchSelectedButtonState();
 
-    try {
-        const dreamResults = [];
-        const eventResults = [];
-
-        const now = new Date();
-        let startDate = new Date(0); // Default to all time
-
-        // Determine start date based on selected time scope
-        if (selectedTimeScope === 'last7Days') {
-            startDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-        } else if (selectedTimeScope === 'last30Days') {
-            startDate = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-        } else if (selectedTimeScope === 'lastYear') {
-            startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
+    lastSearch = { searchTerm, timeScope: selectedTimeScope };
+    refreshSearchResults();
+}
+
+/**
+ * Appends text segments to an element, wrapping highlighted ones in <mark>.
+ * @param {HTMLElement} element - The element.
+ * @param {Array<{text: string, highlight: boolean}>} segments - The segments.
+ */
+function appendSegments(element, segments) {
+    segments.forEach(segment => {
+        if (segment.highlight) {
+            const mark = document.createElement('mark');
+            mark.classList.add('search-highlight');
+            mark.textContent = segment.text;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(segment.text));
         }
+    });
+}
 
-        // Fetch and filter archived dreams
-        const dreamsQuery = query(
-            collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`),
-            orderBy("timestamp", "desc")
-        );
-        const dreamSnapshot = await getDocs(dreamsQuery);
-        dreamSnapshot.forEach(docEntry => {
-            const dreamData = docEntry.data();
-            const dreamText = dreamData.dreamText ? dreamData.dreamText.toLowerCase() : '';
-            const dreamTitle = dreamData.dreamTitle ? dreamData.dreamTitle.toLowerCase() : '';
-            const dreamTimestamp = dreamData.timestamp ? dreamData.timestamp.toDate().getTime() : 0;
-
-            if ((dreamText.includes(searchTerm) || dreamTitle.includes(searchTerm)) && dreamTimestamp >= startDate.getTime()) {
-                dreamResults.push({
-                    id: docEntry.id,
-                    type: 'Dream',
-                    content: dreamData.dreamText,
-                    title: dreamData.dreamTitle,
-                    timestamp: dreamData.timestamp,
-                    matchedRealityEvent: dreamData.matchedRealityEvent || ''
-                });
-            }
-        });
+/**
+ * Works out where a result matched: its source label and the text to build the snippet from.
+ * For archived dreams this is the dream text or the analysis category with the most highlighted words.
+ * @param {import('./search-index.js').SearchDocument} searchDocument - The matched document.
+ * @param {Set<string>} highlightStems - Stems to highlight.
+ * @returns {{sourceLabel: string, snippetLabel: string|null, snippetText: string}} The description.
+ */
+function describeResultSource(searchDocument, highlightStems) {
+    const { record } = searchDocument;
+    switch (searchDocument.type) {
+        case 'dream': {
+            const countHits = (text) => highlightSegments(text, highlightStems).filter(segment => segment.highlight).length;
+            let best = { sourceLabel: 'Dream', snippetLabel: null, snippetText: record.dreamText, hits: countHits(record.dreamText) };
+            analysisEntries(parseAnalysisText(record.analysisText)).forEach(({ name, text }) => {
+                const hits = countHits(text);
+                if (hits > best.hits) {
+                    best = { sourceLabel: 'Dream Analysis', snippetLabel: name, snippetText: text, hits };
+                }
+            });
+            return best;
+        }
+        case 'draft':
+            return { sourceLabel: 'Draft Dream', snippetLabel: null, snippetText: record.dreamText };
+        case 'event':
+            return { sourceLabel: 'Daily Event', snippetLabel: null, snippetText: record.eventText };
+        case 'message':
+            return { sourceLabel: record.role === 'user' ? 'Chat (You)' : 'Chat (AI)', snippetLabel: null, snippetText: record.text };
+    }
+    return { sourceLabel: '', snippetLabel: null, snippetText: '' };
+}
 
-        // Fetch and filter daily events
-        const eventsQuery = query(
-            collection(db, `artifacts/${appId}/users/${userId}/daily_events`),
-            orderBy("timestamp", "desc")
-        );
-        const eventSnapshot = await getDocs(eventsQuery);
-        eventSnapshot.forEach(docEntry => {
-            const eventData = docEntry.data();
-            const eventText = eventData.eventText ? eventData.eventText.toLowerCase() : '';
-            const eventTimestamp = eventData.timestamp ? eventData.timestamp.toDate().getTime() : 0;
-
-            if (eventText.includes(searchTerm) && eventTimestamp >= startDate.getTime()) {
-                eventResults.push({
-                    id: docEntry.id,
-                    type: 'Daily Event',
-                    content: eventData.eventText,
-                    timestamp: eventData.timestamp
-                });
+/**
+ * Opens a search result in its own tab: archived dreams in the details modal, drafts in the draft editor,
+ * daily events highlighted in the events list and chat messages by resuming their conversation.
+ * @param {import('./search-index.js').SearchDocument} searchDocument - The result to open.
+ */
+function openSearchResult(searchDocument) {
+    const { record } = searchDocument;
+    switch (searchDocument.type) {
+        case 'dream':
+            showTab('dreams');
+            showDreamsSubTab('archive');
+            displayArchivedDreamDetails(record);
+            break;
+        case 'draft': {
+            showTab('dreams'); // Opens the Drafts sub-tab
+            editDraftDream(record);
+            const dreamInputDraft = document.getElementById('dream-input-draft');
+            if (dreamInputDraft) {
+                dreamInputDraft.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                dreamInputDraft.focus();
             }
-        });
-
-        displaySearchResults(dreamResults, eventResults);
-
-    } catch (error) {
-        console.error("Error during search:", error);
-        showMessage('error', `Failed to perform search: ${error.message}`);
-        if (searchResultsList) searchResultsList.innerHTML = '<p class="text-red-500">Error performing search.</p>';
-    } finally {
-        hideLoading();
+            break;
+        }
+        case 'event':
+            showTab('reality'); // Opens the Daily Events sub-tab
+            focusDailyEvent(record);
+            break;
+        case 'message':
+            showTab('reality');
+            showRealitySubTab('ai-chat', { conversationId: record.conversationId });
+            break;
     }
 }
 
 /**
- * Displays the search results in the UI.
- * @param {Array<object>} dreamResults - Array of matching dream objects.
- * @param {Array<object>} eventResults - Array of matching daily event objects.
+ * Creates the element for one search result: source label, date, title, highlighted snippet and an Open button.
+ * @param {import('./search-index.js').SearchDocument} searchDocument - The matched document.
+ * @param {Set<string>} highlightStems - Stems to highlight.
+ * @returns {{resultItem: HTMLElement, actionsDiv: HTMLElement}} The item and its actions container.
  */
-function displaySearchResults(dreamResults, eventResults) {
-    const searchResultsList = document.getElementById('search-results-list');
-    if (!searchResultsList) return;
+function createResultItem(searchDocument, highlightStems) {
+    const { record } = searchDocument;
+    const source = describeResultSource(searchDocument, highlightStems);
+
+    const resultItem = document.createElement('div');
+    resultItem.classList.add('search-result-item');
+
+    const contentDiv = document.createElement('div');
+    contentDiv.classList.add('flex-1');
+
+    const itemHeader = document.createElement('div');
+    itemHeader.classList.add('search-result-item-header');
+
+    const typeSpan = document.createElement('span');
+    typeSpan.classList.add('search-result-type');
+    typeSpan.textContent = source.sourceLabel;
+    itemHeader.appendChild(typeSpan);
+
+    const dateSpan = document.createElement('span');
+    dateSpan.classList.add('text-gray-500', 'text-xs');
+    dateSpan.textContent = record.timestamp ? record.timestamp.toLocaleString() : 'N/A';
+    itemHeader.appendChild(dateSpan);
+    contentDiv.appendChild(itemHeader);
+
+    const titlePara = document.createElement('p');
+    titlePara.classList.add('font-semibold', 'text-gray-800', 'mb-1');
+    if (searchDocument.type === 'dream' || searchDocument.type === 'draft') {
+        if (searchDocument.fields.title) {
+            appendSegments(titlePara, highlightSegments(searchDocument.fields.title, highlightStems));
+        } else {
+            titlePara.textContent = 'Untitled Dream';
+        }
+        contentDiv.appendChild(titlePara);
+    } else if (searchDocument.type === 'message') {
+        const conversation = conversationsById.get(record.conversationId);
+        const conversationDate = conversation && conversation.timestamp ? conversation.timestamp.toLocaleDateString() : 'N/A';
+        titlePara.textContent = `Conversation from ${conversationDate}${conversation && conversation.isArchived ? ' (archived)' : ''}`;
+        contentDiv.appendChild(titlePara);
+    }
 
-    searchResultsList.innerHTML = ''; // Clear previous results
-    console.log("Displaying search results. Dream results count:", dreamResults.length, "Event results count:", eventResults.length);
+    const contentPara = document.createElement('p');
+    contentPara.classList.add('text-gray-700', 'text-sm');
+    if (source.snippetLabel) {
+        const fieldLabel = document.createElement('span');
+        fieldLabel.classList.add('font-semibold', 'text-purple-700');
+        fieldLabel.textContent = `${source.snippetLabel}: `;
+        contentPara.appendChild(fieldLabel);
+    }
+    appendSegments(contentPara, buildSnippet(source.snippetText, highlightStems));
+    contentDiv.appendChild(contentPara);
+    if (record.tags && record.tags.length > 0) {
+        const tagsDiv = document.createElement('div');
+        tagsDiv.classList.add('mt-1');
+        renderTagChips(tagsDiv, record.tags);
+        contentDiv.appendChild(tagsDiv);
+    }
+    resultItem.appendChild(contentDiv);
 
-    // Sort results by timestamp (most recent first)
-    dreamResults.sort((a, b) => {
-        const timestampA = a.timestamp ? a.timestamp.toDate().getTime() : 0;
-        const timestampB = b.timestamp ? b.timestamp.toDate().getTime() : 0;
-        return timestampB - timestampA;
-    });
+    const actionsDiv = document.createElement('div');
+    actionsDiv.classList.add('search-result-actions', 'flex', 'justify-between', 'items-center');
 
-    eventResults.sort((a, b) => {
-        const timestampA = a.timestamp ? a.timestamp.toDate().getTime() : 0;
-        const timestampB = b.timestamp ? b.timestamp.toDate().getTime() : 0;
-        return timestampB - timestampA;
+    const openButton = document.createElement('button');
+    openButton.classList.add('px-3', 'py-1', 'bg-purple-500', 'text-white', 'rounded-md', 'hover:bg-purple-600');
+    openButton.textContent = searchDocument.type === 'message' ? 'Resume Chat' : 'Open';
+    openButton.addEventListener('click', () => openSearchResult(searchDocument));
+    actionsDiv.appendChild(openButton);
+    resultItem.appendChild(actionsDiv);
+
+    return { resultItem, actionsDiv };
+}
+
+/**
+ * Adds the match checkbox and Add Match button to an archived dream result.
+ * @param {HTMLElement} resultItem - The result element.
+ * @param {HTMLElement} actionsDiv - Its actions container.
+ * @param {object} dreamData - The archived dream.
+ */
+function addDreamMatchControls(resultItem, actionsDiv, dreamData) {
+    getMatchesForDream(dreamData.id).forEach(match => {
+        const matchPara = document.createElement('p');
+        matchPara.classList.add('text-green-600', 'text-xs', 'mt-1');
+        matchPara.textContent = `Match: ${match.event ? match.event.eventText : '(deleted event)'}`;
+        resultItem.firstChild.appendChild(matchPara);
     });
 
-    // Display Dream Results
-    const dreamResultsContainer = document.createElement('div');
-    dreamResultsContainer.classList.add('space-y-3', 'mt-4', 'p-4', 'border', 'border-purple-200', 'rounded-lg', 'bg-purple-50');
-    dreamResultsContainer.innerHTML = '<h4 class="text-xl font-bold text-purple-800 mb-3">Your Archived Dreams</h4>';
-    if (dreamResults.length === 0) {
-        dreamResultsContainer.innerHTML += '<p class="text-gray-600">No dreams found matching your criteria in this timeframe.</p>';
-    } else {
-        dreamResults.forEach(item => {
-            const resultItem = document.createElement('div');
-            resultItem.classList.add('search-result-item');
-
-            const itemHeader = document.createElement('div');
-            itemHeader.classList.add('search-result-item-header');
-
-            const typeSpan = document.createElement('span');
-            typeSpan.classList.add('search-result-type');
-            typeSpan.textContent = item.type;
-            itemHeader.appendChild(typeSpan);
-
-            const dateSpan = document.createElement('span');
-            dateSpan.classList.add('text-gray-500', 'text-xs');
-            dateSpan.textContent = item.timestamp && item.timestamp.toDate ?
-                                  new Date(item.timestamp.toDate()).toLocaleString() : 'N/A';
-            itemHeader.appendChild(dateSpan);
-            resultItem.appendChild(itemHeader);
-
-            const titlePara = document.createElement('p');
-            titlePara.classList.add('font-semibold', 'text-gray-800', 'mb-1');
-            titlePara.textContent = item.title || 'Untitled Dream';
-            resultItem.appendChild(titlePara);
-
-            const contentPara = document.createElement('p');
-            contentPara.classList.add('text-gray-700', 'text-sm');
-            contentPara.textContent = item.content.substring(0, 150) + (item.content.length > 150 ? '...' : '');
-            resultItem.appendChild(contentPara);
-
-            if (item.matchedRealityEvent) {
-                const matchPara = document.createElement('p');
-                matchPara.classList.add('text-green-600', 'text-xs', 'mt-1');
-                matchPara.innerHTML = `<strong>Match:</strong> ${item.matchedRealityEvent}`;
-                resultItem.appendChild(matchPara);
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.classList.add('search-result-checkbox', 'form-checkbox', 'text-blue-600');
+    checkbox.setAttribute('data-id', dreamData.id);
+    checkbox.setAttribute('data-type', 'dream');
+    checkbox.checked = Boolean(selectedDreamForMatch && selectedDreamForMatch.id === dreamData.id); // Results are re-rendered when data changes
+    checkbox.addEventListener('change', (e) => {
+        selectedDreamForMatch = e.target.checked ? { id: dreamData.id, content: dreamData.dreamText, title: dreamData.dreamTitle } : null;
+        // Uncheck other dream checkboxes
+        document.querySelectorAll('.search-result-checkbox[data-type="dream"]').forEach(otherCheckbox => {
+            if (otherCheckbox !== e.target) {
+                otherCheckbox.checked = false;
             }
-
-            const actionsDiv = document.createElement('div');
-            actionsDiv.classList.add('search-result-actions', 'flex', 'justify-between', 'items-center');
-
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.classList.add('search-result-checkbox', 'form-checkbox', 'text-blue-600');
-            checkbox.setAttribute('data-id', item.id);
-            checkbox.setAttribute('data-type', 'dream');
-            checkbox.addEventListener('change', (e) => {
-                selectedDreamForMatch = e.target.checked ? { id: item.id, content: item.content, title: item.title } : null;
-                // Uncheck other dream checkboxes
-                document.querySelectorAll('.search-result-checkbox[data-type="dream"]').forEach(otherCheckbox => {
-                    if (otherCheckbox !== e.target) {
-                        otherCheckbox.checked = false;
-                    }
-                });
-                updateMatchSelectedButtonState();
-            });
-            actionsDiv.appendChild(checkbox);
-
-            const addMatchButton = document.createElement('button');
-            addMatchButton.classList.add('px-3', 'py-1', 'bg-blue-500', 'text-white', 'rounded-md', 'hover:bg-blue-600', 'edit-match-button');
-            addMatchButton.textContent = item.matchedRealityEvent ? 'Edit Match' : 'Add Match';
-            addMatchButton.setAttribute('data-id', item.id);
-            addMatchButton.setAttribute('data-dream-text', item.content);
-            addMatchButton.setAttribute('data-matched-event', item.matchedRealityEvent);
-            actionsDiv.appendChild(addMatchButton);
-            resultItem.appendChild(actionsDiv);
-
-            addMatchButton.addEventListener('click', (event) => {
-                // Call a function from dreams-module to open the match modal
-                openMatchModalForSearch(event.target.dataset.id, event.target.dataset.dreamText, event.target.dataset.matchedEvent);
-            });
-            dreamResultsContainer.appendChild(resultItem);
         });
-    }
-    searchResultsList.appendChild(dreamResultsContainer);
+        updateMatchSelectedButtonState();
+    });
+    actionsDiv.prepend(checkbox);
+
+    const addMatchButton = document.createElement('button');
+    addMatchButton.classList.add('px-3', 'py-1', 'bg-blue-500', 'text-white', 'rounded-md', 'hover:bg-blue-600', 'edit-match-button');
+    addMatchButton.textContent = 'Add Match';
+    addMatchButton.setAttribute('data-id', dreamData.id);
+    addMatchButton.addEventListener('click', (event) => {
+        // Call a function from matches-module to open the match modal
+        openMatchModal(event.target.dataset.id);
+    });
+    actionsDiv.appendChild(addMatchButton);
+}
 
+/**
+ * Adds the match checkbox to a daily event result.
+ * @param {HTMLElement} resultItem - The result element.
+ * @param {HTMLElement} actionsDiv - Its actions container.
+ * @param {object} eventData - The daily event.
+ */
+function addEventMatchControls(resultItem, actionsDiv, eventData) {
+    const linkedDreamCount = getMatchesForEvent(eventData.id).length;
+    if (linkedDreamCount > 0) {
+        const matchPara = document.createElement('p');
+        matchPara.classList.add('text-blue-600', 'text-xs', 'mt-1');
+        matchPara.textContent = `Matched to ${linkedDreamCount} dream${linkedDreamCount === 1 ? '' : 's'}`;
+        resultItem.firstChild.appendChild(matchPara);
+    }
 
-    // Display Daily Event Results
-    const eventResultsContainer = document.createElement('div');
-    eventResultsContainer.classList.add('space-y-3', 'mt-6', 'p-4', 'border', 'border-green-200', 'rounded-lg', 'bg-green-50');
-    eventResultsContainer.innerHTML = '<h4 class="text-xl font-bold text-green-800 mb-3">Your Daily Events</h4>';
-    if (eventResults.length === 0) {
-        eventResultsContainer.innerHTML += '<p class="text-gray-600">No daily events found matching your criteria.</p>';
-    } else {
-        eventResults.forEach(item => {
-            const resultItem = document.createElement('div');
-            resultItem.classList.add('search-result-item');
-
-            const itemHeader = document.createElement('div');
-            itemHeader.classList.add('search-result-item-header');
-
-            const typeSpan = document.createElement('span');
-            typeSpan.classList.add('search-result-type');
-            typeSpan.textContent = item.type;
-            itemHeader.appendChild(typeSpan);
-
-            const dateSpan = document.createElement('span');
-            dateSpan.classList.add('text-gray-500', 'text-xs');
-            dateSpan.textContent = item.timestamp && item.timestamp.toDate ?
-                                  new Date(item.timestamp.toDate()).toLocaleString() : 'N/A';
-            itemHeader.appendChild(dateSpan);
-            resultItem.appendChild(itemHeader);
-
-            const contentPara = document.createElement('p');
-            contentPara.classList.add('text-gray-700', 'text-sm');
-            contentPara.textContent = item.content.substring(0, 150) + (item.content.length > 150 ? '...' : '');
-            resultItem.appendChild(contentPara);
-
-            const actionsDiv = document.createElement('div');
-            actionsDiv.classList.add('search-result-actions', 'flex', 'justify-between', 'items-center');
-
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.classList.add('search-result-checkbox', 'form-checkbox', 'text-green-600');
-            checkbox.setAttribute('data-id', item.id);
-            checkbox.setAttribute('data-type', 'event');
-            checkbox.addEventListener('change', (e) => {
-                selectedEventForMatch = e.target.checked ? { id: item.id, content: item.content } : null;
-                // Uncheck other event checkboxes
-                document.querySelectorAll('.search-result-checkbox[data-type="event"]').forEach(otherCheckbox => {
-                    if (otherCheckbox !== e.target) {
-                        otherCheckbox.checked = false;
-                    }
-                });
-                updateMatchSelectedButtonState();
-            });
-            actionsDiv.appendChild(checkbox);
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.classList.add('search-result-checkbox', 'form-checkbox', 'text-green-600');
+    checkbox.setAttribute('data-id', eventData.id);
+    checkbox.setAttribute('data-type', 'event');
+    checkbox.checked = Boolean(selectedEventForMatch && selectedEventForMatch.id === eventData.id);
+    checkbox.addEventListener('change', (e) => {
+        selectedEventForMatch = e.target.checked ? { id: eventData.id, content: eventData.eventText } : null;
+        // Uncheck other event checkboxes
+        document.querySelectorAll('.search-result-checkbox[data-type="event"]').forEach(otherCheckbox => {
+            if (otherCheckbox !== e.target) {
+                otherCheckbox.checked = false;
+            }
+        });
+        updateMatchSelectedButtonState();
+    });
+    actionsDiv.prepend(checkbox);
+}
 
-            resultItem.appendChild(actionsDiv);
+/**
+ * Displays the search results in the UI, grouped by source and best match first.
+ * @param {Array<{document: import('./search-index.js').SearchDocument, score: number}>} results - The ranked results.
+ * @param {Set<string>} highlightStems - Word stems to highlight in titles and snippets.
+ */
+function displaySearchResults(results, highlightStems) {
+    const searchResultsList = document.getElementById('search-results-list');
+    if (!searchResultsList) return;
 
-            eventResultsContainer.appendChild(resultItem);
-        });
+    searchResultsList.innerHTML = ''; // Clear previous results
+    if (results.length === 0) {
+        searchResultsList.innerHTML = '<p class="text-gray-500">No results found for your search criteria in your dreams, drafts, daily events or chats.</p>';
+        return;
     }
-    searchResultsList.appendChild(eventResultsContainer);
 
-    if (dreamResults.length === 0 && eventResults.length === 0) {
-        if (searchResultsList) searchResultsList.innerHTML = '<p class="text-gray-500">No results found for your search criteria in either dreams or daily events.</p>';
-    }
+    RESULT_SECTIONS.forEach(section => {
+        const sectionResults = results.filter(result => result.document.type === section.type);
+        // Drafts and chats only appear when they have results; dreams and events always show, as before
+        if (sectionResults.length === 0 && (section.type === 'draft' || section.type === 'message')) return;
+
+        const sectionContainer = document.createElement('div');
+        sectionContainer.classList.add('space-y-3', 'mt-4', 'p-4', 'border', 'rounded-lg', ...section.classes);
+        const heading = document.createElement('h4');
+        heading.classList.add('text-xl', 'font-bold', 'mb-3', section.headingClass);
+        heading.textContent = `${section.heading} (${sectionResults.length})`;
+        sectionContainer.appendChild(heading);
+
+        if (sectionResults.length === 0) {
+            const emptyPara = document.createElement('p');
+            emptyPara.classList.add('text-gray-600');
+            emptyPara.textContent = section.empty;
+            sectionContainer.appendChild(emptyPara);
+        }
+
+        sectionResults.forEach(({ document: searchDocument }) => {
+            const { resultItem, actionsDiv } = createResultItem(searchDocument, highlightStems);
+            if (searchDocument.type === 'dream') addDreamMatchControls(resultItem, actionsDiv, searchDocument.record);
+            if (searchDocument.type === 'event') addEventMatchControls(resultItem, actionsDiv, searchDocument.record);
+            sectionContainer.appendChild(resultItem);
+        });
+        searchResultsList.appendChild(sectionContainer);
+    });
 }
 
 /**
@@ -306,12 +585,8 @@ function displaySearchResults(dreamResults, eventResults) {
  */
 function handleMatchSelectedClick() {
     if (selectedDreamForMatch && selectedEventForMatch) {
-        // Call a function from dreams-module to open the match modal with both selected items
-        openMatchModalForSearch(
-            selectedDreamForMatch.id,
-            selectedDreamForMatch.content,
-            `Matched with daily event: "${selectedEventForMatch.content}"`
-        );
+        // Call a function from matches-module to open the match modal with both selected items
+        openMatchModal(selectedDreamForMatch.id, { eventId: selectedEventForMatch.id });
     } else {
         showMessage('info', 'Please select exactly one dream and one daily event to match.');
     }
@@ -323,11 +598,27 @@ function handleMatchSelectedClick() {
  * UI elements are now fetched within this function to ensure they exist.
  */
 export function initializeSearchModule() {
+    const searchInput = document.getElementById('search-input');
     const searchButton = document.getElementById('search-button');
     const timeScopeSearch = document.getElementById('time-scope-search');
     const matchSelectedButton = document.getElementById('match-selected-button');
 
     if (searchButton) searchButton.addEventListener('click', performSearch);
+    if (searchInput) {
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') performSearch();
+        });
+    }
     if (timeScopeSearch) timeScopeSearch.addEventListener('change', performSearch); // Re-run search when time scope changes
     if (matchSelectedButton) matchSelectedButton.addEventListener('click', handleMatchSelectedClick);
+
+    // matched: filters and match info depend on the match index
+    onMatchesChange(refreshSearchResults);
+    // Category qualifiers and result labels depend on the analysis schema
+    onAnalysisSchemaChange(refreshSearchResults);
+    // tag: matches tag names, which change when tags are renamed or merged
+    onTagsChange(reindexTaggedRecords);
+
+    if (!userId || !isAuthReady) return;
+    watchSearchData();
 }
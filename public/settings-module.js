@@ -0,0 +1,475 @@
+// settings-module.js
+
+// Settings tab: the user's language (see language-module.js), the editor for the dream analysis categories
+// (see analysis-schema.js) and the tag manager (see tags-module.js). Category changes are made on a working
+// copy and only take effect when saved; language and tag changes are saved at once.
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { showLoading, hideLoading, showMessage } from './ui-utils.js';
+import {
+    CATEGORY_TYPES, DEFAULT_ANALYSIS_CATEGORIES, getAnalysisCategories, onAnalysisSchemaChange, watchAnalysisSchema,
+    saveAnalysisCategories, categoryKeyFromName, validateCategories
+} from './analysis-schema.js';
+import { getTags, onTagsChange, ensureTags, renameTag, setTagColor, mergeTags, deleteTag, countTagUsage } from './tags-module.js';
+import { getLanguage, onLanguageChange, saveLanguageSetting, renderLanguageOptions } from './language-module.js';
+
+// Internal state variables for Settings module
+let editedCategories = []; // Working copy of the categories; new ones carry `isNew` until saved
+let hasUnsavedChanges = false;
+let tagUsage = new Map(); // Tag ID -> { drafts, dreams, events }, counted when the Settings tab is opened
+
+/**
+ * Copies the current schema into the editor, dropping unsaved changes.
+ * @param {Array<import('./analysis-schema.js').AnalysisCategory>} categories - The categories to edit.
+ */
+function resetEditor(categories) {
+    editedCategories = categories.map(category => ({ ...category, options: [...category.options] }));
+    hasUnsavedChanges = false;
+    renderAnalysisCategoriesEditor();
+}
+
+/**
+ * Marks the editor as changed and updates the save state.
+ */
+function markChanged() {
+    hasUnsavedChanges = true;
+    const analysisSchemaStatus = document.getElementById('analysis-schema-status');
+    if (analysisSchemaStatus) {
+        const problem = validateCategories(editedCategories);
+        analysisSchemaStatus.textContent = problem || 'Unsaved changes.';
+        analysisSchemaStatus.classList.toggle('text-red-500', Boolean(problem));
+    }
+}
+
+/**
+ * Creates a labelled form control for a category row.
+ * @param {string} labelText - The label.
+ * @param {HTMLElement} control - The input, select or textarea.
+ * @returns {HTMLElement} The wrapper.
+ */
+function labelled(labelText, control) {
+    const label = document.createElement('label');
+    label.classList.add('analysis-category-field');
+    const span = document.createElement('span');
+    span.textContent = labelText;
+    label.appendChild(span);
+    label.appendChild(control);
+    return label;
+}
+
+/**
+ * Creates the editor row for one category.
+ * @param {object} category - The category being edited.
+ * @param {number} index - Its position in the list.
+ * @returns {HTMLElement} The row.
+ */
+function createCategoryRow(category, index) {
+    const row = document.createElement('div');
+    row.classList.add('analysis-category-row');
+    if (!category.enabled) row.classList.add('disabled-category');
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = category.name;
+    const keyHint = document.createElement('p');
+    keyHint.classList.add('text-xs', 'text-gray-500');
+    const updateKeyHint = () => { keyHint.textContent = `Key: ${category.key}${category.isNew ? ' (new)' : ''}`; };
+    updateKeyHint();
+    nameInput.addEventListener('input', () => {
+        category.name = nameInput.value;
+        // Saved categories keep their key so existing analyses still line up with them
+        if (category.isNew) {
+            const otherKeys = editedCategories.filter(other => other !== category).map(other => other.key);
+            category.key = categoryKeyFromName(nameInput.value, otherKeys);
+            updateKeyHint();
+        }
+        markChanged();
+    });
+
+    const typeSelect = document.createElement('select');
+    Object.entries(CATEGORY_TYPES).forEach(([type, label]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = label;
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = category.type;
+    typeSelect.addEventListener('change', () => {
+        category.type = typeSelect.value;
+        markChanged();
+        renderAnalysisCategoriesEditor(); // Show or hide the choices field
+    });
+
+    const descriptionInput = document.createElement('textarea');
+    descriptionInput.rows = 2;
+    descriptionInput.value = category.description;
+    descriptionInput.placeholder = 'What should the analysis describe?';
+    descriptionInput.addEventListener('input', () => {
+        category.description = descriptionInput.value;
+        markChanged();
+    });
+
+    const enabledCheckbox = document.createElement('input');
+    enabledCheckbox.type = 'checkbox';
+    enabledCheckbox.checked = category.enabled;
+    enabledCheckbox.addEventListener('change', () => {
+        category.enabled = enabledCheckbox.checked;
+        row.classList.toggle('disabled-category', !category.enabled);
+        markChanged();
+    });
+
+    const summaryCheckbox = document.createElement('input');
+    summaryCheckbox.type = 'checkbox';
+    summaryCheckbox.checked = category.inSummary;
+    summaryCheckbox.addEventListener('change', () => {
+        category.inSummary = summaryCheckbox.checked;
+        markChanged();
+    });
+
+    const header = document.createElement('div');
+    header.classList.add('analysis-category-header');
+    header.appendChild(labelled('Name', nameInput));
+    header.appendChild(labelled('Type', typeSelect));
+    header.appendChild(labelled('On', enabledCheckbox));
+    header.appendChild(labelled('In summary', summaryCheckbox));
+    row.appendChild(header);
+    row.appendChild(keyHint);
+    row.appendChild(labelled('Description', descriptionInput));
+
+    if (category.type === 'enum') {
+        const optionsInput = document.createElement('input');
+        optionsInput.type = 'text';
+        optionsInput.value = category.options.join(', ');
+        optionsInput.placeholder = 'e.g. pleasant, neutral, unpleasant';
+        optionsInput.addEventListener('input', () => {
+            category.options = optionsInput.value.split(',').map(option => option.trim()).filter(Boolean);
+            markChanged();
+        });
+        row.appendChild(labelled('Choices (comma-separated)', optionsInput));
+    }
+
+    const actions = document.createElement('div');
+    actions.classList.add('draft-item-actions');
+    const addAction = (text, classes, disabled, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.classList.add('px-3', 'py-1', 'text-white', 'rounded-md', ...classes);
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    };
+    const move = (offset) => {
+        const [moved] = editedCategories.splice(index, 1);
+        editedCategories.splice(index + offset, 0, moved);
+        markChanged();
+        renderAnalysisCategoriesEditor();
+    };
+    addAction('Up', ['bg-gray-500', 'hover:bg-gray-600'], index === 0, () => move(-1));
+    addAction('Down', ['bg-gray-500', 'hover:bg-gray-600'], index === editedCategories.length - 1, () => move(1));
+    addAction('Delete', ['bg-red-500', 'hover:bg-red-600'], false, () => {
+        editedCategories.splice(index, 1);
+        markChanged();
+        renderAnalysisCategoriesEditor();
+    });
+    row.appendChild(actions);
+
+    return row;
+}
+
+/**
+ * Renders the category editor from the working copy.
+ */
+function renderAnalysisCategoriesEditor() {
+    const analysisCategoriesList = document.getElementById('analysis-categories-list');
+    const analysisSchemaStatus = document.getElementById('analysis-schema-status');
+    if (!analysisCategoriesList) return;
+
+    analysisCategoriesList.innerHTML = '';
+    if (editedCategories.length === 0) {
+        analysisCategoriesList.innerHTML = '<p class="text-gray-500">No categories. Add one or reset to the defaults.</p>';
+    }
+    editedCategories.forEach((category, index) => {
+        analysisCategoriesList.appendChild(createCategoryRow(category, index));
+    });
+
+    if (analysisSchemaStatus && !hasUnsavedChanges) {
+        analysisSchemaStatus.textContent = '';
+        analysisSchemaStatus.classList.remove('text-red-500');
+    }
+}
+
+/**
+ * Adds an empty category to the end of the working copy.
+ */
+function addCategory() {
+    const name = 'New Category';
+    editedCategories.push({
+        key: categoryKeyFromName(name, editedCategories.map(category => category.key)),
+        name,
+        description: '',
+        type: 'text',
+        options: [],
+        enabled: true,
+        inSummary: false,
+        isNew: true
+    });
+    markChanged();
+    renderAnalysisCategoriesEditor();
+}
+
+/**
+ * Saves the working copy as the user's analysis schema.
+ */
+async function handleSaveAnalysisSchemaClick() {
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to save your settings.');
+        return;
+    }
+
+    showLoading();
+    try {
+        await saveAnalysisCategories(editedCategories);
+        resetEditor(getAnalysisCategories({ includeDisabled: true }));
+        showMessage('success', 'Analysis categories saved. New analyses will use them.');
+    } catch (error) {
+        console.error("Error saving analysis categories:", error);
+        showMessage('error', `Failed to save analysis categories: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Runs a tag change with the loading overlay, reporting failure and, if there is one, the success message.
+ * @param {function(): Promise<string|undefined>} change - Makes the change and returns the success message, if any.
+ * @param {string} failureMessage - Start of the message shown if it fails.
+ */
+async function runTagChange(change, failureMessage) {
+    showLoading();
+    try {
+        const successMessage = await change();
+        if (successMessage) showMessage('success', successMessage);
+    } catch (error) {
+        console.error("Error changing tags:", error);
+        showMessage('error', `${failureMessage}: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Creates the tag manager row for one tag: color, name, usage, merge and delete.
+ * @param {import('./dreams-data-service.js').Tag} tag - The tag.
+ * @returns {HTMLElement} The row.
+ */
+function createTagRow(tag) {
+    const row = document.createElement('div');
+    row.classList.add('tag-manager-row');
+
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = tag.color;
+    colorInput.title = 'Color';
+    colorInput.addEventListener('change', () => {
+        runTagChange(() => setTagColor(tag.id, colorInput.value), 'Failed to change the tag color');
+    });
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = tag.name;
+    nameInput.classList.add('p-1', 'border', 'border-gray-300', 'rounded-md');
+
+    const usage = tagUsage.get(tag.id);
+    const usageText = document.createElement('span');
+    usageText.classList.add('text-xs', 'text-gray-500', 'flex-grow');
+    usageText.textContent = usage ? `${usage.dreams} dreams · ${usage.drafts} drafts · ${usage.events} events` : '';
+
+    const mergeSelect = document.createElement('select');
+    mergeSelect.classList.add('rounded-md', 'border-gray-300');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Merge into...';
+    mergeSelect.appendChild(placeholder);
+    getTags().filter(other => other.id !== tag.id).forEach(other => {
+        const option = document.createElement('option');
+        option.value = other.id;
+        option.textContent = other.name;
+        mergeSelect.appendChild(option);
+    });
+
+    const createAction = (text, classes, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.classList.add('px-3', 'py-1', 'text-white', 'rounded-md', ...classes);
+        button.addEventListener('click', onClick);
+        return button;
+    };
+    const renameButton = createAction('Rename', ['bg-indigo-500', 'hover:bg-indigo-600'], () => {
+        if (nameInput.value.trim() === tag.name) return;
+        runTagChange(async () => {
+            await renameTag(tag.id, nameInput.value);
+            return `Renamed "${tag.name}" to "${nameInput.value.trim()}".`;
+        }, 'Failed to rename the tag');
+    });
+    const mergeButton = createAction('Merge', ['bg-purple-500', 'hover:bg-purple-600'], () => {
+        const target = getTags().find(other => other.id === mergeSelect.value);
+        if (!target) {
+            showMessage('info', 'Choose the tag to merge into first.');
+            return;
+        }
+        runTagChange(async () => {
+            const changed = await mergeTags(tag.id, target.id);
+            await refreshTagUsage();
+            return `Merged "${tag.name}" into "${target.name}" (${changed} ${changed === 1 ? 'record' : 'records'} retagged).`;
+        }, 'Failed to merge the tags');
+    });
+    const deleteButton = createAction('Delete', ['bg-red-500', 'hover:bg-red-600'], () => {
+        runTagChange(async () => {
+            const changed = await deleteTag(tag.id);
+            await refreshTagUsage();
+            return `Deleted "${tag.name}" and removed it from ${changed} ${changed === 1 ? 'record' : 'records'}.`;
+        }, 'Failed to delete the tag');
+    });
+
+    row.appendChild(colorInput);
+    row.appendChild(nameInput);
+    row.appendChild(renameButton);
+    row.appendChild(usageText);
+    row.appendChild(mergeSelect);
+    row.appendChild(mergeButton);
+    row.appendChild(deleteButton);
+    return row;
+}
+
+/**
+ * Renders the tag manager.
+ */
+function renderTagManager() {
+    const tagManagerList = document.getElementById('tag-manager-list');
+    if (!tagManagerList) return;
+
+    tagManagerList.innerHTML = '';
+    const tags = getTags();
+    if (tags.length === 0) {
+        tagManagerList.innerHTML = '<p class="text-gray-500">No tags yet. Add one above or type one into any tag field.</p>';
+    }
+    tags.forEach(tag => tagManagerList.appendChild(createTagRow(tag)));
+}
+
+/**
+ * Counts how often each tag is used and renders the tag manager.
+ */
+async function refreshTagUsage() {
+    try {
+        tagUsage = await countTagUsage();
+    } catch (error) {
+        console.error("Error counting tag usage:", error);
+    }
+    renderTagManager();
+}
+
+/**
+ * Creates the tag typed into the tag manager's new tag field.
+ */
+async function handleAddTagClick() {
+    const newTagNameInput = document.getElementById('new-tag-name-input');
+    const name = newTagNameInput ? newTagNameInput.value.trim() : '';
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to add tags.');
+        return;
+    }
+    if (!name) {
+        showMessage('info', 'Please enter a name for the tag.');
+        return;
+    }
+    await runTagChange(async () => {
+        await ensureTags([name]);
+        if (newTagNameInput) newTagNameInput.value = '';
+        return `Tag "${name}" is ready to use.`;
+    }, 'Failed to add the tag');
+}
+
+/**
+ * Shows the user's language in the language select of the Settings tab.
+ */
+function renderLanguageSetting() {
+    const languageSettingSelect = document.getElementById('language-setting-select');
+    if (!languageSettingSelect) return;
+    renderLanguageOptions(languageSettingSelect);
+    languageSettingSelect.value = getLanguage();
+}
+
+/**
+ * Saves the language chosen in the Settings tab.
+ */
+async function handleLanguageSettingChange() {
+    const languageSettingSelect = document.getElementById('language-setting-select');
+    if (!languageSettingSelect) return;
+    if (!userId || !isAuthReady) {
+        showMessage('error', 'Please sign in to change the language.');
+        renderLanguageSetting();
+        return;
+    }
+    try {
+        await saveLanguageSetting(languageSettingSelect.value);
+    } catch (error) {
+        console.error("Error saving language:", error);
+        showMessage('error', `Failed to save the language: ${error.message}`);
+        renderLanguageSetting();
+    }
+}
+
+/**
+ * Loads the Settings tab.
+ */
+export function loadSettings() {
+    if (!hasUnsavedChanges) resetEditor(getAnalysisCategories({ includeDisabled: true }));
+    if (userId && isAuthReady) refreshTagUsage();
+}
+
+/**
+ * Initializes event listeners for the Settings module and starts watching the stored schema.
+ */
+export function initializeSettingsModule() {
+    const addAnalysisCategoryButton = document.getElementById('add-analysis-category-button');
+    const saveAnalysisSchemaButton = document.getElementById('save-analysis-schema-button');
+    const discardAnalysisSchemaButton = document.getElementById('discard-analysis-schema-button');
+    const resetAnalysisSchemaButton = document.getElementById('reset-analysis-schema-button');
+    const addTagButton = document.getElementById('add-tag-button');
+    const newTagNameInput = document.getElementById('new-tag-name-input');
+    const languageSettingSelect = document.getElementById('language-setting-select');
+
+    if (languageSettingSelect) languageSettingSelect.addEventListener('change', handleLanguageSettingChange);
+    renderLanguageSetting();
+    onLanguageChange(renderLanguageSetting);
+
+    if (addAnalysisCategoryButton) addAnalysisCategoryButton.addEventListener('click', addCategory);
+    if (saveAnalysisSchemaButton) saveAnalysisSchemaButton.addEventListener('click', handleSaveAnalysisSchemaClick);
+    if (discardAnalysisSchemaButton) {
+        discardAnalysisSchemaButton.addEventListener('click', () => resetEditor(getAnalysisCategories({ includeDisabled: true })));
+    }
+    if (resetAnalysisSchemaButton) {
+        // Loads the defaults into the editor; they are stored only when saved
+        resetAnalysisSchemaButton.addEventListener('click', () => {
+            resetEditor(DEFAULT_ANALYSIS_CATEGORIES);
+            markChanged();
+        });
+    }
+
+    if (addTagButton) addTagButton.addEventListener('click', handleAddTagClick);
+    if (newTagNameInput) {
+        newTagNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') handleAddTagClick();
+        });
+    }
+    onTagsChange(renderTagManager);
+
+    // Follow changes made on other devices unless the user is in the middle of editing
+    onAnalysisSchemaChange((categories) => {
+        if (!hasUnsavedChanges) resetEditor(categories);
+    });
+
+    if (!userId || !isAuthReady) return;
+    watchAnalysisSchema();
+}
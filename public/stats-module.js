@@ -1,58 +1,40 @@
 // stats-module.js
 
 // Import Firebase variables and functions
-import { db, userId, isAuthReady, appId } from './firebase-init.js';
+import { userId, isAuthReady } from './firebase-init.js';
 import { showLoading, hideLoading, showMessage } from './ui-utils.js';
 import {
-    collection, getDocs
-} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
-
-// --- Stop Words for Top Insights ---
-const stopWords = new Set([
-    "a", "an", "the", "and", "but", "or", "for", "nor", "on", "at", "to", "from", "by", "with",
-    "in", "out", "into", "through", "over", "under", "of", "about", "above", "below", "up", "down",
-    "then", "now", "here", "there", "when", "where", "why", "how", "all", "any", "both", "each",
-    "few", "more", "most", "other", "some", "such", "no", "not", "only", "own", "same", "so",
-    "than", "too", "very", "s", "t", "can", "will", "just", "don", "should", "now", "ve", "ll",
-    "m", "re", "d", "this", "that", "these", "those", "is", "was", "were", "be", "been", "being",
-    "have", "has", "had", "do", "does", "did", "doing", "would", "could", "shall", "may", "might",
-    "must", "it", "its", "i", "me", "my", "myself", "we", "us", "our", "ours", "ourselves", "you",
-    "your", "yours", "yourself", "yourselves", "he", "him", "his", "himself", "she", "her", "hers",
-    "herself", "it", "its", "itself", "they", "them", "their", "theirs", "themselves", "what",
-    "which", "who", "whom", "whose", "this", "that", "these", "those", "am", "are", "was", "were",
-    "be", "been", "being", "have", "has", "had", "having", "do", "does", "did", "doing", "go", "went",
-    "gone", "goes", "going", "come", "came", "comes", "coming", "say", "says", "said", "saying",
-    "make", "makes", "made", "making", "get", "gets", "got", "getting", "see", "sees", "saw", "seeing",
-    "know", "knows", "knew", "knowing", "take", "takes", "took", "taking", "think", "thinks", "thought",
-    "thinking", "look", "looks", "looked", "looking", "want", "wants", "wanted", "wanting", "give",
-    "gives", "gave", "giving", "use", "uses", "used", "using", "find", "finds", "found", "finding",
-    "tell", "tells", "told", "telling", "ask", "asks", "asked", "asking", "work", "works", "worked",
-    "working", "seem", "seems", "seemed", "seeming", "feel", "feels", "felt", "feeling", "try",
-    "tries", "tried", "trying", "leave", "leaves", "left", "leaving", "call", "calls", "called",
-    "calling", "also", "very", "much", "too", "often", "always", "never", "sometimes", "usually",
-    "really", "just", "even", "still", "yet", "already", "almost", "around", "away", "back", "down",
-    "forward", "here", "in", "off", "on", "out", "over", "under", "of", "about", "above", "below",
-    "beneath", "beside", "between", "beyond", "but", "by", "despite", "during", "except", "for",
-    "from", "in", "inside", "into", "like", "near", "of", "off", "on", "onto", "opposite", "out",
-    "outside", "over", "past", "per", "plus", "round", "save", "since", "than", "through", "to",
-    "toward", "under", "underneath", "until", "up", "upon", "with", "within", "without", "i'm", "you're",
-    "he's", "she's", "it's", "we're", "they're", "i've", "you've", "we've", "they've", "i'd", "you'd",
-    "he'd", "she'd", "we'd", "they'd", "i'll", "you'll", "he'll", "she'll", "it'll", "we'll", "they'll",
-    "isn't", "aren't", "wasn't", "weren't", "hasn't", "haven't", "hadn't", "doesn't", "don't", "didn't",
-    "won't", "wouldn't", "shan't", "shouldn't", "can't", "cannot", "couldn't", "mustn't", "here's",
-    "there's", "what's", "where's", "when's", "why's", "how's", "let's", "that's", "who's", "whom's",
-    "whose's", "this's", "these's", "those's", "mr", "mrs", "ms", "dr", "prof", "etc", "e.g.", "i.e.",
-    "vs", "via", "etc", "eg", "ie", "dr", "mr", "mrs", "ms", "prof", "fig", "figs", "cf", "viz"
-]);
+    archivedDreamsRepository, draftsRepository, dailyEventsRepository, conversationsRepository, matchesRepository,
+    realityChecksRepository, lucidCheckInsRepository, incubationNightsRepository, nightSessionsRepository
+} from './dreams-data-service.js';
+import { MATCH_TYPES } from './matches-module.js';
+import {
+    daysBetweenHistogram, matchRateByMonth, categoryMatchCounts, matchTypeCounts, permutationBaseline
+} from './precognition-stats.js';
+import { getAnalysisCategories, parseAnalysisText, analysisValueText, analysisLanguage, NUMBER_RANGE } from './analysis-schema.js';
+import { getTags, renderTagFilterOptions, onTagsChange } from './tags-module.js';
+import {
+    DREAM_MOODS, METADATA_SCALES, METADATA_FLAGS, hasDreamMetadata, metadataFilterOptions, matchesMetadataFilter
+} from './dream-metadata.js';
+import { isLucidDream, lucidNights, lucidRateByTechnique, lucidRateByRealityChecks } from './lucid-stats.js';
+import { summarizeIncubations, incubationSuccessByMonth, incubationSuccessByIntention } from './incubation-stats.js';
+import { dreamsPerNight, wakeUpYield } from './nights.js';
+import { getLanguage } from './language-module.js';
+import { DEFAULT_LANGUAGE } from './i18n.js';
+import { STOP_WORDS } from './stop-words.js';
 
 /**
- * Helper function to tokenize text for frequency analysis.
+ * Helper function to tokenize text for frequency analysis, leaving out the stop words of its language.
+ * Words are split on anything but letters and digits of any script, so accented and Cyrillic words stay whole.
+ * Also used by match-suggestions.js to compare dreams with daily events.
  * @param {string} text - The text to tokenize.
+ * @param {string} [language] - The text's language code (see i18n.js); the user's language by default.
  * @returns {Array<string>} An array of cleaned, lowercased words.
  */
-function tokenizeAndClean(text) {
+export function tokenizeAndClean(text, language = getLanguage()) {
     if (!text) return [];
-    return text.toLowerCase().split(/[^a-z0-9]+/)
+    const stopWords = STOP_WORDS[language] || STOP_WORDS[DEFAULT_LANGUAGE];
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u)
                .filter(word => word.length > 1 && !stopWords.has(word));
 }
 
@@ -87,6 +69,45 @@ function displayTopTerms(element, freqMap) {
     }
 }
 
+/**
+ * Helper function to display rows as horizontal bars, scaled to the largest value.
+ * @param {HTMLElement} element - The container to render into.
+ * @param {Array<{label: string, value: number, display: string}>} rows - The bars; `display` is the text shown next to the bar.
+ */
+function displayBarChart(element, rows) {
+    if (!element) return;
+    element.innerHTML = '';
+    if (rows.length === 0) {
+        element.innerHTML = '<p class="text-gray-500 text-sm">No data</p>';
+        return;
+    }
+    const maxValue = Math.max(...rows.map(row => row.value), 0);
+    rows.forEach(row => {
+        const rowDiv = document.createElement('div');
+        rowDiv.classList.add('stat-bar-row');
+
+        const label = document.createElement('span');
+        label.classList.add('stat-bar-label');
+        label.textContent = row.label;
+
+        const track = document.createElement('div');
+        track.classList.add('stat-bar-track');
+        const fill = document.createElement('div');
+        fill.classList.add('stat-bar-fill');
+        fill.style.width = `${maxValue > 0 ? (row.value / maxValue) * 100 : 0}%`;
+        track.appendChild(fill);
+
+        const value = document.createElement('span');
+        value.classList.add('stat-bar-value');
+        value.textContent = row.display;
+
+        rowDiv.appendChild(label);
+        rowDiv.appendChild(track);
+        rowDiv.appendChild(value);
+        element.appendChild(rowDiv);
+    });
+}
+
 /**
  * Loads and displays overall statistics (total dreams, events, chats, matches).
  */
@@ -106,22 +127,20 @@ export async function loadStats() {
 
     showLoading();
     try {
-        const dreamsSnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`));
-        if (statTotalDreams) statTotalDreams.textContent = dreamsSnapshot.size;
+        const dreams = await archivedDreamsRepository.list();
+        if (statTotalDreams) statTotalDreams.textContent = dreams.length;
 
-        const eventsSnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/daily_events`));
-        if (statTotalEvents) statTotalEvents.textContent = eventsSnapshot.size;
+        const events = await dailyEventsRepository.list();
+        if (statTotalEvents) statTotalEvents.textContent = events.length;
 
-        const chatsSnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/conversations`));
-        if (statTotalChats) statTotalChats.textContent = chatsSnapshot.size;
+        const chats = await conversationsRepository.list();
+        if (statTotalChats) statTotalChats.textContent = chats.length;
 
-        let matchedDreamsCount = 0;
-        dreamsSnapshot.forEach(doc => {
-            if (doc.data().matchedRealityEvent) {
-                matchedDreamsCount++;
-            }
-        });
-        if (statMatchedDreams) statMatchedDreams.textContent = matchedDreamsCount;
+        // Count dreams with at least one linked daily event
+        const matches = await matchesRepository.list();
+        const dreamIds = new Set(dreams.map(dream => dream.id));
+        const matchedDreamIds = new Set(matches.map(match => match.dreamId).filter(dreamId => dreamIds.has(dreamId)));
+        if (statMatchedDreams) statMatchedDreams.textContent = matchedDreamIds.size;
 
     } catch (error) {
         console.error("Error loading stats:", error);
@@ -132,86 +151,104 @@ export async function loadStats() {
 }
 
 /**
- * Loads and displays detailed dream analysis statistics.
+ * Helper function to create an empty stat card with a heading.
+ * @param {string} title - The card heading.
+ * @param {string} [extraClass] - An additional class for the card.
+ * @returns {HTMLElement} The card.
+ */
+function createStatCard(title, extraClass) {
+    const card = document.createElement('div');
+    card.classList.add('stat-card');
+    if (extraClass) card.classList.add(extraClass);
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    card.appendChild(h3);
+    return card;
+}
+
+/**
+ * Helper function to parse the analyses of archived dreams, skipping dreams without valid analysis JSON.
+ * @param {Array<object>} dreams - Archived dreams.
+ * @returns {Array<object>} The parsed analyses.
+ */
+function parseAnalyses(dreams) {
+    return dreams.map(dreamData => {
+        const analysis = parseAnalysisText(dreamData.analysisText);
+        if (!analysis) console.warn("Could not parse analysis for dream:", dreamData.id);
+        return analysis;
+    }).filter(Boolean);
+}
+
+/**
+ * Helper function to load the archived dreams, only those with a tag and passing a metadata filter if given.
+ * @param {string} tagId - The tag ID, '' for all dreams.
+ * @param {string} [metadataFilter=''] - A filter from metadataFilterOptions() in dream-metadata.js, '' for all dreams.
+ * @returns {Promise<Array<object>>} The dreams.
+ */
+async function listFilteredDreams(tagId, metadataFilter = '') {
+    const dreams = await archivedDreamsRepository.list();
+    return dreams.filter(dreamData => (!tagId || dreamData.tags.includes(tagId)) && matchesMetadataFilter(dreamData.metadata, metadataFilter));
+}
+
+/**
+ * Helper function to fill a metadata filter select with its options.
+ * @param {HTMLSelectElement} select - The select.
+ */
+function renderMetadataFilterOptions(select) {
+    if (!select) return;
+    select.innerHTML = '';
+    metadataFilterOptions().forEach(({ value, label }) => select.appendChild(new Option(label, value)));
+}
+
+/**
+ * Loads and displays detailed dream analysis statistics, one card per enabled analysis category:
+ * how many dreams have a value, plus the average of number categories and the spread of choice categories.
+ * Only dreams with the tag and the details chosen in the Dream Breakdown's filters are counted.
  */
 export async function loadDetailedDreamStats() {
-    const statActionsPerformed = document.getElementById('stat-actions-performed');
-    const statLocationInfo = document.getElementById('stat-location-info');
-    const statTimeInDream = document.getElementById('stat-time-in-dream');
-    const statMovementsThroughTime = document.getElementById('stat-movements-through-time');
-    const statEmotionalContent = document.getElementById('stat-emotional-content');
-    const statSurfacePsychologicalContent = document.getElementById('stat-surface-psychological-content');
-    const statWorkDoneInDream = document.getElementById('stat-work-done-in-dream');
-    const statFamiliarPersonsSpokenTo = document.getElementById('stat-familiar-persons-spoken-to');
-    const statRelationToPastEvents = document.getElementById('stat-relation-to-past-events');
-    const statRelationToFutureEvents = document.getElementById('stat-relation-to-future-events');
-    const statMessagesReceived = document.getElementById('stat-messages-received');
-    const statAwarenessOfSpace = document.getElementById('stat-awareness-of-space');
+    const dreamStatsGrid = document.getElementById('dream-stats-grid');
+    const dreamStatsTagFilter = document.getElementById('dream-stats-tag-filter');
+    const dreamStatsMetadataFilter = document.getElementById('dream-stats-metadata-filter');
+    if (!dreamStatsGrid) return;
 
     if (!userId || !isAuthReady) {
-        if (statActionsPerformed) statActionsPerformed.textContent = 'N/A';
-        if (statLocationInfo) statLocationInfo.textContent = 'N/A';
-        if (statTimeInDream) statTimeInDream.textContent = 'N/A';
-        if (statMovementsThroughTime) statMovementsThroughTime.textContent = 'N/A';
-        if (statEmotionalContent) statEmotionalContent.textContent = 'N/A';
-        if (statSurfacePsychologicalContent) statSurfacePsychologicalContent.textContent = 'N/A';
-        if (statWorkDoneInDream) statWorkDoneInDream.textContent = 'N/A';
-        if (statFamiliarPersonsSpokenTo) statFamiliarPersonsSpokenTo.textContent = 'N/A';
-        if (statRelationToPastEvents) statRelationToPastEvents.textContent = 'N/A';
-        if (statRelationToFutureEvents) statRelationToFutureEvents.textContent = 'N/A';
-        if (statMessagesReceived) statMessagesReceived.textContent = 'N/A';
-        if (statAwarenessOfSpace) statAwarenessOfSpace.textContent = 'N/A';
+        dreamStatsGrid.innerHTML = '<p class="text-gray-500">Please sign in to see your dream statistics.</p>';
         return;
     }
 
     showLoading();
     try {
-        const dreamsSnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`));
-
-        const categoryCounts = {
-            actionsPerformed: 0,
-            location: 0,
-            timeInDream: 0,
-            movementsThroughTime: 0,
-            emotionalContent: 0,
-            surfacePsychologicalContent: 0,
-            workDoneInDream: 0,
-            familiarPersonsSpokenTo: 0,
-            relationToPastEvents: 0,
-            relationToFutureEvents: 0,
-            messagesReceived: 0,
-            awarenessOfSpace: 0
-        };
-
-        dreamsSnapshot.forEach(docEntry => {
-            const dreamData = docEntry.data();
-            try {
-                const analysis = JSON.parse(dreamData.analysisText);
-
-                for (const key in categoryCounts) {
-                    if (analysis[key] && analysis[key].trim() !== '') {
-                        categoryCounts[key]++;
-                    }
-                }
-            } catch (e) {
-                // Ignore parsing errors for dreams that might not have full analysis JSON
-                console.warn("Could not parse analysis for dream:", docEntry.id, e);
+        const analyses = parseAnalyses(await listFilteredDreams(
+            dreamStatsTagFilter ? dreamStatsTagFilter.value : '',
+            dreamStatsMetadataFilter ? dreamStatsMetadataFilter.value : ''
+        ));
+
+        dreamStatsGrid.innerHTML = '';
+        getAnalysisCategories().forEach(category => {
+            const values = analyses.map(analysis => analysis[category.key]).filter(value => analysisValueText(value) !== '');
+            const card = createStatCard(category.name);
+            const count = document.createElement('p');
+            count.textContent = values.length;
+            card.appendChild(count);
+
+            const detail = document.createElement('div');
+            detail.classList.add('stat-card-detail');
+            if (category.type === 'number') {
+                const numbers = values.map(Number).filter(Number.isFinite);
+                detail.textContent = numbers.length > 0
+                    ? `Average ${(numbers.reduce((sum, number) => sum + number, 0) / numbers.length).toFixed(1)} / ${NUMBER_RANGE.max}`
+                    : 'No ratings yet';
+            } else if (category.type === 'enum') {
+                detail.textContent = category.options
+                    .map(option => `${option}: ${values.filter(value => value === option).length}`)
+                    .join(' · ');
+            } else {
+                detail.textContent = 'dreams with a value';
             }
+            card.appendChild(detail);
+            dreamStatsGrid.appendChild(card);
         });
 
-        if (statActionsPerformed) statActionsPerformed.textContent = categoryCounts.actionsPerformed;
-        if (statLocationInfo) statLocationInfo.textContent = categoryCounts.location;
-        if (statTimeInDream) statTimeInDream.textContent = categoryCounts.timeInDream;
-        if (statMovementsThroughTime) statMovementsThroughTime.textContent = categoryCounts.movementsThroughTime;
-        if (statEmotionalContent) statEmotionalContent.textContent = categoryCounts.emotionalContent;
-        if (statSurfacePsychologicalContent) statSurfacePsychologicalContent.textContent = categoryCounts.surfacePsychologicalContent;
-        if (statWorkDoneInDream) statWorkDoneInDream.textContent = categoryCounts.workDoneInDream;
-        if (statFamiliarPersonsSpokenTo) statFamiliarPersonsSpokenTo.textContent = categoryCounts.familiarPersonsSpokenTo;
-        if (statRelationToPastEvents) statRelationToPastEvents.textContent = categoryCounts.relationToPastEvents;
-        if (statRelationToFutureEvents) statRelationToFutureEvents.textContent = categoryCounts.relationToFutureEvents;
-        if (statMessagesReceived) statMessagesReceived.textContent = categoryCounts.messagesReceived;
-        if (statAwarenessOfSpace) statAwarenessOfSpace.textContent = categoryCounts.awarenessOfSpace;
-
     } catch (error) {
         console.error("Error loading detailed dream stats:", error);
         showMessage('error', `Failed to load detailed dream statistics: ${error.message}`);
@@ -221,61 +258,53 @@ export async function loadDetailedDreamStats() {
 }
 
 /**
- * Loads and displays top insights derived from dream analyses.
+ * Loads and displays top insights derived from dream analyses: the most frequent words of text
+ * categories, the most frequent items of list categories and the most frequent choices.
+ * Only dreams with the tag and the details chosen in the Top Insights' filters are counted.
  */
 export async function loadTopInsights() {
-    const topEmotionalContent = document.getElementById('top-emotional-content');
-    const topLocations = document.getElementById('top-locations');
-    const topFamiliarPersons = document.getElementById('top-familiar-persons');
-    const topActionsPerformed = document.getElementById('top-actions-performed');
-    const topSurfacePsychologicalContent = document.getElementById('top-surface-psychological-content');
-    const topMessagesReceived = document.getElementById('top-messages-received');
+    const topInsightsGrid = document.getElementById('top-insights-grid');
+    const topInsightsTagFilter = document.getElementById('top-insights-tag-filter');
+    const topInsightsMetadataFilter = document.getElementById('top-insights-metadata-filter');
+    if (!topInsightsGrid) return;
 
     if (!userId || !isAuthReady) {
-        if (topEmotionalContent) topEmotionalContent.innerHTML = '<li class="text-gray-500">No data</li>';
-        if (topLocations) topLocations.innerHTML = '<li class="text-gray-500">No data</li>';
-        if (topFamiliarPersons) topFamiliarPersons.innerHTML = '<li class="text-gray-500">No data</li>';
-        if (topActionsPerformed) topActionsPerformed.innerHTML = '<li class="text-gray-500">No data</li>';
-        if (topSurfacePsychologicalContent) topSurfacePsychologicalContent.innerHTML = '<li class="text-gray-500">No data</li>';
-        if (topMessagesReceived) topMessagesReceived.innerHTML = '<li class="text-gray-500">No data</li>';
+        topInsightsGrid.innerHTML = '<p class="text-gray-500">Please sign in to see your top insights.</p>';
         return;
     }
 
     showLoading();
     try {
-        const dreamsSnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/archived_dreams`));
-
-        const emotionalContentFreq = {};
-        const locationFreq = {};
-        const familiarPersonsFreq = {};
-        const actionsPerformedFreq = {};
-        const surfacePsychologicalContentFreq = {};
-        const messagesReceivedFreq = {};
-
-        dreamsSnapshot.forEach(docEntry => {
-            const dreamData = docEntry.data();
-            try {
-                const analysis = JSON.parse(dreamData.analysisText);
-
-                updateFrequencyMap(emotionalContentFreq, tokenizeAndClean(analysis.emotionalContent));
-                updateFrequencyMap(locationFreq, tokenizeAndClean(analysis.location));
-                updateFrequencyMap(familiarPersonsFreq, tokenizeAndClean(analysis.familiarPersonsSpokenTo));
-                updateFrequencyMap(actionsPerformedFreq, tokenizeAndClean(analysis.actionsPerformed));
-                updateFrequencyMap(surfacePsychologicalContentFreq, tokenizeAndClean(analysis.surfacePsychologicalContent));
-                updateFrequencyMap(messagesReceivedFreq, tokenizeAndClean(analysis.messagesReceived));
-
-            } catch (e) {
-                // Ignore parsing errors for dreams that might not have full analysis JSON
-                console.warn("Could not parse analysis for top insights:", docEntry.id, e);
-            }
-        });
+        // Each analysis is cleaned with the stop words of the language it was written in
+        const analyzedDreams = (await listFilteredDreams(
+            topInsightsTagFilter ? topInsightsTagFilter.value : '',
+            topInsightsMetadataFilter ? topInsightsMetadataFilter.value : ''
+        ))
+            .map(dreamData => ({ analysis: parseAnalysisText(dreamData.analysisText), language: analysisLanguage(dreamData) }))
+            .filter(({ analysis }) => analysis);
+
+        topInsightsGrid.innerHTML = '';
+        getAnalysisCategories()
+            .filter(category => category.type !== 'number')
+            .forEach(category => {
+                const freqMap = {};
+                analyzedDreams.forEach(({ analysis, language }) => {
+                    const value = analysis[category.key];
+                    if (category.type === 'list' && Array.isArray(value)) {
+                        updateFrequencyMap(freqMap, value.map(item => analysisValueText(item).toLowerCase()).filter(Boolean));
+                    } else if (category.type === 'enum') {
+                        if (analysisValueText(value)) updateFrequencyMap(freqMap, [analysisValueText(value)]);
+                    } else {
+                        updateFrequencyMap(freqMap, tokenizeAndClean(analysisValueText(value), language));
+                    }
+                });
 
-        displayTopTerms(topEmotionalContent, emotionalContentFreq);
-        displayTopTerms(topLocations, locationFreq);
-        displayTopTerms(topFamiliarPersons, familiarPersonsFreq);
-        displayTopTerms(topActionsPerformed, actionsPerformedFreq);
-        displayTopTerms(topSurfacePsychologicalContent, surfacePsychologicalContentFreq);
-        displayTopTerms(topMessagesReceived, messagesReceivedFreq);
+                const card = createStatCard(`Top ${category.name}`, 'top-insights-card');
+                const ul = document.createElement('ul');
+                card.appendChild(ul);
+                displayTopTerms(ul, freqMap);
+                topInsightsGrid.appendChild(card);
+            });
 
     } catch (error) {
         console.error("Error loading top insights:", error);
@@ -285,11 +314,417 @@ export async function loadTopInsights() {
     }
 }
 
+/**
+ * Loads and displays precognition statistics: days between dreams and matched events, the monthly
+ * match rate, the analysis categories that share words with matched events, and a permutation baseline.
+ */
+export async function loadPrecognitionStats() {
+    const precognitionMatchCount = document.getElementById('precognition-match-count');
+    const precognitionMedianDays = document.getElementById('precognition-median-days');
+    const precognitionPValue = document.getElementById('precognition-p-value');
+    const precognitionBaseline = document.getElementById('precognition-baseline');
+    const precognitionDaysChart = document.getElementById('precognition-days-chart');
+    const precognitionMonthlyChart = document.getElementById('precognition-monthly-chart');
+    const precognitionCategoriesChart = document.getElementById('precognition-categories-chart');
+    const precognitionTypesChart = document.getElementById('precognition-types-chart');
+
+    if (!userId || !isAuthReady) {
+        if (precognitionMatchCount) precognitionMatchCount.textContent = 'N/A';
+        if (precognitionMedianDays) precognitionMedianDays.textContent = 'N/A';
+        if (precognitionPValue) precognitionPValue.textContent = 'N/A';
+        if (precognitionBaseline) precognitionBaseline.textContent = '';
+        [precognitionDaysChart, precognitionMonthlyChart, precognitionCategoriesChart, precognitionTypesChart]
+            .forEach(chart => displayBarChart(chart, []));
+        return;
+    }
+
+    showLoading();
+    try {
+        const [dreams, events, allMatches] = await Promise.all([
+            archivedDreamsRepository.list(),
+            dailyEventsRepository.list(),
+            matchesRepository.list()
+        ]);
+        const dreamsById = new Map(dreams.map(dream => [dream.id, dream]));
+        const eventsById = new Map(events.map(event => [event.id, event]));
+        // Matches whose dream or event was deleted are left out
+        const matches = allMatches.filter(match => dreamsById.has(match.dreamId) && eventsById.has(match.eventId));
+
+        if (precognitionMatchCount) precognitionMatchCount.textContent = matches.length;
+
+        const knownDays = matches.map(match => match.daysBetween).filter(days => typeof days === 'number').sort((a, b) => a - b);
+        if (precognitionMedianDays) {
+            precognitionMedianDays.textContent = knownDays.length > 0 ? knownDays[Math.floor((knownDays.length - 1) / 2)] : 'N/A';
+        }
+
+        displayBarChart(precognitionDaysChart, daysBetweenHistogram(matches)
+            .filter(bucket => bucket.count > 0)
+            .map(bucket => ({ label: bucket.label, value: bucket.count, display: String(bucket.count) })));
+
+        displayBarChart(precognitionMonthlyChart, matchRateByMonth(dreams, matches)
+            .map(month => ({
+                label: month.month,
+                value: month.rate,
+                display: `${Math.round(month.rate * 100)}% (${month.matched}/${month.dreams})`
+            })));
+
+        // Analysis categories compared with matched events, plus the dream text itself
+        const precognitionCategories = { dreamText: "Dream Text" };
+        getAnalysisCategories({ includeDisabled: true }).forEach(category => {
+            precognitionCategories[category.key] = category.name;
+        });
+        displayBarChart(precognitionCategoriesChart, categoryMatchCounts(matches, dreamsById, eventsById, precognitionCategories)
+            .map(category => ({ label: category.label, value: category.count, display: String(category.count) })));
+
+        displayBarChart(precognitionTypesChart, Object.entries(matchTypeCounts(matches))
+            .sort(([, a], [, b]) => b - a)
+            .map(([type, count]) => ({ label: MATCH_TYPES[type] || type, value: count, display: String(count) })));
+
+        const baseline = permutationBaseline(matches, dreams, events);
+        if (!baseline) {
+            if (precognitionPValue) precognitionPValue.textContent = 'N/A';
+            if (precognitionBaseline) precognitionBaseline.textContent = 'The baseline needs at least one match and two daily events.';
+        } else {
+            const chancePercent = (baseline.pValue * 100).toFixed(1);
+            if (precognitionPValue) precognitionPValue.textContent = `${chancePercent}%`;
+            if (precognitionBaseline) {
+                precognitionBaseline.textContent =
+                    `Your ${baseline.pairCount} matched pairs share words with an average similarity of ${baseline.observedMean.toFixed(2)}. ` +
+                    `Pairing the same dreams with random daily events ${baseline.iterations} times gave an average of ${baseline.baselineMean.toFixed(2)}, ` +
+                    `and ${baseline.atLeastAsHigh} of those random pairings scored at least as well (p = ${baseline.pValue.toFixed(3)}). ` +
+                    `Word similarity only measures shared vocabulary; symbolic and emotional matches can be real without it.`;
+            }
+        }
+
+    } catch (error) {
+        console.error("Error loading precognition stats:", error);
+        showMessage('error', `Failed to load precognition statistics: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Loads and displays statistics per tag: how many archived dreams and daily events have each tag,
+ * and what share of each tag's dreams has been matched with a daily event.
+ */
+export async function loadTagStats() {
+    const tagDreamsChart = document.getElementById('tag-dreams-chart');
+    const tagEventsChart = document.getElementById('tag-events-chart');
+    const tagMatchRateChart = document.getElementById('tag-match-rate-chart');
+
+    if (!userId || !isAuthReady) {
+        [tagDreamsChart, tagEventsChart, tagMatchRateChart].forEach(chart => displayBarChart(chart, []));
+        return;
+    }
+
+    showLoading();
+    try {
+        const [dreams, events, matches] = await Promise.all([
+            archivedDreamsRepository.list(),
+            dailyEventsRepository.list(),
+            matchesRepository.list()
+        ]);
+        const eventIds = new Set(events.map(event => event.id));
+        const matchedDreamIds = new Set(matches.filter(match => eventIds.has(match.eventId)).map(match => match.dreamId));
+        const tags = getTags();
+        const knownTagIds = new Set(tags.map(tag => tag.id));
+        const isUntagged = (record) => !record.tags.some(tagId => knownTagIds.has(tagId));
+        const countRows = (records) => [
+            ...tags.map(tag => ({ label: tag.name, value: records.filter(record => record.tags.includes(tag.id)).length })),
+            { label: 'Untagged', value: records.filter(isUntagged).length }
+        ]
+            .filter(row => row.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .map(row => ({ ...row, display: String(row.value) }));
+
+        displayBarChart(tagDreamsChart, countRows(dreams));
+        displayBarChart(tagEventsChart, countRows(events));
+        displayBarChart(tagMatchRateChart, tags
+            .map(tag => {
+                const tagged = dreams.filter(dreamData => dreamData.tags.includes(tag.id));
+                const matched = tagged.filter(dreamData => matchedDreamIds.has(dreamData.id)).length;
+                return { label: tag.name, tagged: tagged.length, matched };
+            })
+            .filter(row => row.tagged > 0)
+            .map(row => ({
+                label: row.label,
+                value: row.matched / row.tagged,
+                display: `${Math.round((row.matched / row.tagged) * 100)}% (${row.matched}/${row.tagged})`
+            })));
+
+    } catch (error) {
+        console.error("Error loading tag stats:", error);
+        showMessage('error', `Failed to load tag statistics: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Loads and displays the details recorded with dreams: the spread of lucidity, vividness and recall confidence,
+ * the moods, how often nightmares, false awakenings and sleep paralysis occur, and the hours dreams happened at.
+ * Only dreams with the tag and the details chosen in the sub-tab's filters are counted.
+ */
+export async function loadMetadataStats() {
+    const metadataStatsTagFilter = document.getElementById('metadata-stats-tag-filter');
+    const metadataStatsFilter = document.getElementById('metadata-stats-filter');
+    const metadataStatsSummary = document.getElementById('metadata-stats-summary');
+    const metadataScalesGrid = document.getElementById('metadata-scales-grid');
+    const metadataMoodChart = document.getElementById('metadata-mood-chart');
+    const metadataExperiencesChart = document.getElementById('metadata-experiences-chart');
+    const metadataHourChart = document.getElementById('metadata-hour-chart');
+
+    if (!userId || !isAuthReady) {
+        if (metadataStatsSummary) metadataStatsSummary.textContent = 'Please sign in to see your dream details.';
+        if (metadataScalesGrid) metadataScalesGrid.innerHTML = '';
+        [metadataMoodChart, metadataExperiencesChart, metadataHourChart].forEach(chart => displayBarChart(chart, []));
+        return;
+    }
+
+    showLoading();
+    try {
+        const dreams = await listFilteredDreams(
+            metadataStatsTagFilter ? metadataStatsTagFilter.value : '',
+            metadataStatsFilter ? metadataStatsFilter.value : ''
+        );
+        const metadataList = dreams.map(dreamData => dreamData.metadata);
+        const withDetails = metadataList.filter(hasDreamMetadata).length;
+        if (metadataStatsSummary) {
+            metadataStatsSummary.textContent = `${dreams.length} ${dreams.length === 1 ? 'dream' : 'dreams'}, ${withDetails} with details recorded.`;
+        }
+
+        // One chart per rating, with every rating shown so the spread is visible
+        if (metadataScalesGrid) {
+            metadataScalesGrid.innerHTML = '';
+            METADATA_SCALES.forEach(scale => {
+                const ratings = metadataList.map(metadata => metadata[scale.key]).filter(rating => rating !== null);
+                const card = createStatCard(scale.label);
+                const detail = document.createElement('div');
+                detail.classList.add('stat-card-detail');
+                detail.textContent = ratings.length > 0
+                    ? `Average ${(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length).toFixed(1)} / ${scale.max} over ${ratings.length} ${ratings.length === 1 ? 'dream' : 'dreams'}`
+                    : 'No ratings yet';
+                card.appendChild(detail);
+                const chart = document.createElement('div');
+                card.appendChild(chart);
+                const rows = [];
+                for (let rating = scale.min; rating <= scale.max; rating++) {
+                    const count = ratings.filter(value => value === rating).length;
+                    rows.push({ label: String(rating), value: count, display: String(count) });
+                }
+                displayBarChart(chart, ratings.length > 0 ? rows : []);
+                metadataScalesGrid.appendChild(card);
+            });
+        }
+
+        displayBarChart(metadataMoodChart, Object.entries(DREAM_MOODS)
+            .map(([mood, label]) => ({ label, value: metadataList.filter(metadata => metadata.mood === mood).length }))
+            .filter(row => row.value > 0)
+            .map(row => ({ ...row, display: String(row.value) })));
+
+        displayBarChart(metadataExperiencesChart, Object.entries(METADATA_FLAGS)
+            .map(([key, label]) => ({ label, value: metadataList.filter(metadata => metadata[key]).length }))
+            .filter(row => row.value > 0)
+            .map(row => ({ ...row, display: `${row.value} (${Math.round((row.value / dreams.length) * 100)}%)` })));
+
+        // Hours run from 18:00 to 17:00 so a night is not split at midnight
+        const hourCounts = new Map();
+        metadataList.forEach(metadata => {
+            if (!metadata.occurredAt) return;
+            const hour = metadata.occurredAt.getHours();
+            hourCounts.set(hour, (hourCounts.get(hour) || 0) + 1);
+        });
+        displayBarChart(metadataHourChart, [...hourCounts.entries()]
+            .sort(([a], [b]) => ((a + 6) % 24) - ((b + 6) % 24))
+            .map(([hour, count]) => ({ label: `${String(hour).padStart(2, '0')}:00`, value: count, display: String(count) })));
+
+    } catch (error) {
+        console.error("Error loading dream metadata stats:", error);
+        showMessage('error', `Failed to load dream detail statistics: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Loads and displays lucid-dreaming statistics: lucid dreams and nights, reality checks per day, and the
+ * lucid success rate per technique and per number of reality checks done the day before.
+ */
+export async function loadLucidStats() {
+    const lucidDreamCount = document.getElementById('lucid-dream-count');
+    const lucidNightCount = document.getElementById('lucid-night-count');
+    const realityChecksPerDay = document.getElementById('reality-checks-per-day');
+    const lucidTechniqueChart = document.getElementById('lucid-technique-chart');
+    const lucidRealityCheckChart = document.getElementById('lucid-reality-check-chart');
+
+    if (!userId || !isAuthReady) {
+        [lucidDreamCount, lucidNightCount, realityChecksPerDay].forEach(element => {
+            if (element) element.textContent = 'N/A';
+        });
+        [lucidTechniqueChart, lucidRealityCheckChart].forEach(chart => displayBarChart(chart, []));
+        return;
+    }
+
+    showLoading();
+    try {
+        const [archivedDreams, drafts, realityChecks, checkIns] = await Promise.all([
+            archivedDreamsRepository.list(),
+            draftsRepository.list(),
+            realityChecksRepository.list(),
+            lucidCheckInsRepository.list()
+        ]);
+        const dreams = [...archivedDreams, ...drafts];
+
+        if (lucidDreamCount) lucidDreamCount.textContent = dreams.filter(isLucidDream).length;
+        if (lucidNightCount) lucidNightCount.textContent = lucidNights(dreams, checkIns).size;
+        const weekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+        const recentChecks = realityChecks.filter(realityCheck => realityCheck.timestamp && realityCheck.timestamp.getTime() >= weekAgo).length;
+        if (realityChecksPerDay) realityChecksPerDay.textContent = (recentChecks / 7).toFixed(1);
+
+        const rateRow = (label, row) => ({
+            label,
+            value: row.rate,
+            display: `${Math.round(row.rate * 100)}% (${row.lucid}/${row.nights} ${row.nights === 1 ? 'night' : 'nights'})`
+        });
+        displayBarChart(lucidTechniqueChart, lucidRateByTechnique(checkIns, dreams).map(row => rateRow(row.technique, row)));
+        displayBarChart(lucidRealityCheckChart, lucidRateByRealityChecks(realityChecks, checkIns, dreams).map(row => rateRow(row.label, row)));
+
+    } catch (error) {
+        console.error("Error loading lucid stats:", error);
+        showMessage('error', `Failed to load lucid-dreaming statistics: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Loads dream incubation statistics: how many nights had an intention, how many were evaluated, and the
+ * success rate overall, per month and per intention.
+ */
+export async function loadIncubationStats() {
+    const incubationNightCount = document.getElementById('incubation-night-count');
+    const incubationEvaluatedCount = document.getElementById('incubation-evaluated-count');
+    const incubationSuccessRate = document.getElementById('incubation-success-rate');
+    const incubationMonthChart = document.getElementById('incubation-month-chart');
+    const incubationIntentionChart = document.getElementById('incubation-intention-chart');
+
+    if (!userId || !isAuthReady) {
+        [incubationNightCount, incubationEvaluatedCount, incubationSuccessRate].forEach(element => {
+            if (element) element.textContent = 'N/A';
+        });
+        [incubationMonthChart, incubationIntentionChart].forEach(chart => displayBarChart(chart, []));
+        return;
+    }
+
+    showLoading();
+    try {
+        const nights = await incubationNightsRepository.list();
+        const summary = summarizeIncubations(nights);
+        if (incubationNightCount) incubationNightCount.textContent = summary.nights;
+        if (incubationEvaluatedCount) incubationEvaluatedCount.textContent = `${summary.evaluated} (${summary.yes} addressed, ${summary.partly} partly)`;
+        if (incubationSuccessRate) incubationSuccessRate.textContent = summary.evaluated > 0 ? `${Math.round(summary.rate * 100)}%` : 'N/A';
+
+        const rateRow = (label, row) => ({
+            label,
+            value: row.rate,
+            display: row.evaluated > 0
+                ? `${Math.round(row.rate * 100)}% (${row.evaluated} of ${row.nights} ${row.nights === 1 ? 'night' : 'nights'} evaluated)`
+                : `not evaluated (${row.nights} ${row.nights === 1 ? 'night' : 'nights'})`
+        });
+        displayBarChart(incubationMonthChart, incubationSuccessByMonth(nights).map(row => rateRow(row.month, row)));
+        displayBarChart(incubationIntentionChart, incubationSuccessByIntention(nights).map(row => rateRow(row.text, row)));
+
+    } catch (error) {
+        console.error("Error loading incubation stats:", error);
+        showMessage('error', `Failed to load dream incubation statistics: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Loads night statistics: dreams per night, from drafts and archived dreams, and how many wake-ups of the
+ * night sessions produced a recorded dream.
+ */
+export async function loadNightStats() {
+    const nightsWithDreams = document.getElementById('nights-with-dreams');
+    const averageDreamsPerNight = document.getElementById('average-dreams-per-night');
+    const nightSessionCount = document.getElementById('night-session-count');
+    const productiveWakeUps = document.getElementById('productive-wake-ups');
+    const dreamsPerNightChart = document.getElementById('dreams-per-night-chart');
+    const wakeUpYieldChart = document.getElementById('wake-up-yield-chart');
+
+    if (!userId || !isAuthReady) {
+        [nightsWithDreams, averageDreamsPerNight, nightSessionCount, productiveWakeUps].forEach(element => {
+            if (element) element.textContent = 'N/A';
+        });
+        [dreamsPerNightChart, wakeUpYieldChart].forEach(chart => displayBarChart(chart, []));
+        return;
+    }
+
+    showLoading();
+    try {
+        const [archivedDreams, drafts, sessions] = await Promise.all([
+            archivedDreamsRepository.list(),
+            draftsRepository.list(),
+            nightSessionsRepository.list()
+        ]);
+        const dreams = [...archivedDreams, ...drafts];
+        const perNight = dreamsPerNight(dreams);
+        const wakeUps = wakeUpYield(sessions, dreams);
+
+        if (nightsWithDreams) nightsWithDreams.textContent = perNight.nights;
+        if (averageDreamsPerNight) averageDreamsPerNight.textContent = perNight.average.toFixed(1);
+        if (nightSessionCount) nightSessionCount.textContent = sessions.length;
+        if (productiveWakeUps) {
+            productiveWakeUps.textContent = wakeUps.wakeUps > 0 ? `${wakeUps.productive} of ${wakeUps.wakeUps} (${Math.round(wakeUps.rate * 100)}%)` : 'N/A';
+        }
+
+        displayBarChart(dreamsPerNightChart, perNight.histogram.map(row => ({
+            label: `${row.dreams} ${row.dreams === 1 ? 'dream' : 'dreams'}`,
+            value: row.nights,
+            display: `${row.nights} ${row.nights === 1 ? 'night' : 'nights'}`
+        })));
+        displayBarChart(wakeUpYieldChart, wakeUps.byOrder.map(row => ({
+            label: row.label,
+            value: row.rate,
+            display: `${Math.round(row.rate * 100)}% (${row.productive}/${row.wakeUps})`
+        })));
+
+    } catch (error) {
+        console.error("Error loading night stats:", error);
+        showMessage('error', `Failed to load night statistics: ${error.message}`);
+    } finally {
+        hideLoading();
+    }
+}
+
 /**
  * Initializes event listeners for the Stats module.
  * This function should be called once the DOM is loaded and Firebase is ready.
+ * The sub-tabs themselves are loaded by app.js when they are activated.
  */
 export function initializeStatsModule() {
-    // No specific event listeners needed here yet, as functions are called directly by app.js
-    // when the stats sub-tabs are activated.
+    const dreamStatsTagFilter = document.getElementById('dream-stats-tag-filter');
+    const topInsightsTagFilter = document.getElementById('top-insights-tag-filter');
+    const metadataStatsTagFilter = document.getElementById('metadata-stats-tag-filter');
+    const dreamStatsMetadataFilter = document.getElementById('dream-stats-metadata-filter');
+    const topInsightsMetadataFilter = document.getElementById('top-insights-metadata-filter');
+    const metadataStatsFilter = document.getElementById('metadata-stats-filter');
+
+    if (dreamStatsTagFilter) dreamStatsTagFilter.addEventListener('change', loadDetailedDreamStats);
+    if (topInsightsTagFilter) topInsightsTagFilter.addEventListener('change', loadTopInsights);
+    if (metadataStatsTagFilter) metadataStatsTagFilter.addEventListener('change', loadMetadataStats);
+
+    [dreamStatsMetadataFilter, topInsightsMetadataFilter, metadataStatsFilter].forEach(renderMetadataFilterOptions);
+    if (dreamStatsMetadataFilter) dreamStatsMetadataFilter.addEventListener('change', loadDetailedDreamStats);
+    if (topInsightsMetadataFilter) topInsightsMetadataFilter.addEventListener('change', loadTopInsights);
+    if (metadataStatsFilter) metadataStatsFilter.addEventListener('change', loadMetadataStats);
+
+    onTagsChange(() => {
+        renderTagFilterOptions(dreamStatsTagFilter, 'All dreams');
+        renderTagFilterOptions(topInsightsTagFilter, 'All dreams');
+        renderTagFilterOptions(metadataStatsTagFilter, 'All dreams');
+    });
 }
@@ -0,0 +1,102 @@
+// stop-words.js
+
+// Stop words per language: words too common to say anything about a dream, left out of the Top Insights word
+// counts and of word matching (see tokenizeAndClean in stats-module.js). Pure data: no DOM.
+
+const ENGLISH_STOP_WORDS = new Set([
+    "a", "an", "the", "and", "but", "or", "for", "nor", "on", "at", "to", "from", "by", "with",
+    "in", "out", "into", "through", "over", "under", "of", "about", "above", "below", "up", "down",
+    "then", "now", "here", "there", "when", "where", "why", "how", "all", "any", "both", "each",
+    "few", "more", "most", "other", "some", "such", "no", "not", "only", "own", "same", "so",
+    "than", "too", "very", "s", "t", "can", "will", "just", "don", "should", "now", "ve", "ll",
+    "m", "re", "d", "this", "that", "these", "those", "is", "was", "were", "be", "been", "being",
+    "have", "has", "had", "do", "does", "did", "doing", "would", "could", "shall", "may", "might",
+    "must", "it", "its", "i", "me", "my", "myself", "we", "us", "our", "ours", "ourselves", "you",
+    "your", "yours", "yourself", "yourselves", "he", "him", "his", "himself", "she", "her", "hers",
+    "herself", "it", "its", "itself", "they", "them", "their", "theirs", "themselves", "what",
+    "which", "who", "whom", "whose", "this", "that", "these", "those", "am", "are", "was", "were",
+    "be", "been", "being", "have", "has", "had", "having", "do", "does", "did", "doing", "go", "went",
+    "gone", "goes", "going", "come", "came", "comes", "coming", "say", "says", "said", "saying",
+    "make", "makes", "made", "making", "get", "gets", "got", "getting", "see", "sees", "saw", "seeing",
+    "know", "knows", "knew", "knowing", "take", "takes", "took", "taking", "think", "thinks", "thought",
+    "thinking", "look", "looks", "looked", "looking", "want", "wants", "wanted", "wanting", "give",
+    "gives", "gave", "giving", "use", "uses", "used", "using", "find", "finds", "found", "finding",
+    "tell", "tells", "told", "telling", "ask", "asks", "asked", "asking", "work", "works", "worked",
+    "working", "seem", "seems", "seemed", "seeming", "feel", "feels", "felt", "feeling", "try",
+    "tries", "tried", "trying", "leave", "leaves", "left", "leaving", "call", "calls", "called",
+    "calling", "also", "very", "much", "too", "often", "always", "never", "sometimes", "usually",
+    "really", "just", "even", "still", "yet", "already", "almost", "around", "away", "back", "down",
+    "forward", "here", "in", "off", "on", "out", "over", "under", "of", "about", "above", "below",
+    "beneath", "beside", "between", "beyond", "but", "by", "despite", "during", "except", "for",
+    "from", "in", "inside", "into", "like", "near", "of", "off", "on", "onto", "opposite", "out",
+    "outside", "over", "past", "per", "plus", "round", "save", "since", "than", "through", "to",
+    "toward", "under", "underneath", "until", "up", "upon", "with", "within", "without", "i'm", "you're",
+    "he's", "she's", "it's", "we're", "they're", "i've", "you've", "we've", "they've", "i'd", "you'd",
+    "he'd", "she'd", "we'd", "they'd", "i'll", "you'll", "he'll", "she'll", "it'll", "we'll", "they'll",
+    "isn't", "aren't", "wasn't", "weren't", "hasn't", "haven't", "hadn't", "doesn't", "don't", "didn't",
+    "won't", "wouldn't", "shan't", "shouldn't", "can't", "cannot", "couldn't", "mustn't", "here's",
+    "there's", "what's", "where's", "when's", "why's", "how's", "let's", "that's", "who's", "whom's",
+    "whose's", "this's", "these's", "those's", "mr", "mrs", "ms", "dr", "prof", "etc", "e.g.", "i.e.",
+    "vs", "via", "etc", "eg", "ie", "dr", "mr", "mrs", "ms", "prof", "fig", "figs", "cf", "viz"
+]);
+
+const GERMAN_STOP_WORDS = new Set([
+    "der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem", "einer", "eines", "und", "oder",
+    "aber", "doch", "sondern", "denn", "weil", "dass", "ob", "wenn", "als", "wie", "so", "auch", "noch", "schon",
+    "nur", "nicht", "kein", "keine", "keinen", "keinem", "keiner", "ich", "du", "er", "sie", "es", "wir", "ihr",
+    "mich", "dich", "sich", "uns", "euch", "mir", "dir", "ihm", "ihn", "ihnen", "mein", "meine", "meinen",
+    "meinem", "meiner", "meines", "dein", "deine", "deinen", "deinem", "deiner", "sein", "seine", "seinen",
+    "seinem", "seiner", "seines", "ihre", "ihren", "ihrem", "ihrer", "ihres", "unser", "unsere", "euer", "eure",
+    "dieser", "diese", "dieses", "diesen", "diesem", "jener", "jene", "jenes", "welcher", "welche", "welches",
+    "ist", "bin", "bist", "sind", "seid", "war", "waren", "warst", "wart", "gewesen", "habe", "hast", "hat",
+    "haben", "habt", "hatte", "hatten", "hattest", "gehabt", "wird", "werde", "wirst", "werden", "werdet",
+    "wurde", "wurden", "geworden", "kann", "kannst", "können", "konnte", "konnten", "muss", "musst", "müssen",
+    "musste", "mussten", "soll", "sollte", "sollten", "will", "willst", "wollen", "wollte", "wollten", "darf",
+    "dürfen", "durfte", "mag", "möchte", "in", "im", "an", "am", "auf", "aus", "bei", "beim", "mit", "nach",
+    "von", "vom", "zu", "zum", "zur", "für", "über", "unter", "vor", "hinter", "neben", "zwischen", "durch",
+    "gegen", "ohne", "um", "bis", "seit", "während", "da", "dort", "hier", "dann", "nun", "jetzt", "sehr",
+    "mehr", "viel", "viele", "etwas", "nichts", "alles", "alle", "man", "was", "wer", "wo", "warum", "wieso",
+    "wann", "ja", "nein", "mal", "eben", "halt", "ganz", "immer", "wieder", "irgendwie", "irgendwo", "bzw",
+    "usw", "zb", "ca"
+]);
+
+const SPANISH_STOP_WORDS = new Set([
+    "el", "la", "los", "las", "un", "una", "unos", "unas", "lo", "al", "del", "y", "e", "o", "u", "ni", "pero",
+    "sino", "que", "porque", "pues", "si", "como", "cuando", "donde", "mientras", "aunque", "yo", "tú", "tu",
+    "él", "ella", "ello", "nosotros", "nosotras", "vosotros", "vosotras", "ellos", "ellas", "usted", "ustedes",
+    "me", "te", "se", "nos", "os", "le", "les", "mi", "mis", "tus", "su", "sus", "nuestro", "nuestra",
+    "nuestros", "nuestras", "vuestro", "vuestra", "este", "esta", "estos", "estas", "ese", "esa", "esos",
+    "esas", "aquel", "aquella", "aquellos", "aquellas", "esto", "eso", "aquello", "ser", "es", "soy", "eres",
+    "somos", "son", "era", "eras", "eran", "fue", "fui", "fueron", "sido", "estar", "estoy", "estás", "está",
+    "estamos", "están", "estaba", "estaban", "estuve", "estuvo", "haber", "he", "has", "ha", "hemos", "han",
+    "había", "habían", "hay", "hubo", "tener", "tengo", "tiene", "tenía", "tenían", "poder", "puedo", "puede",
+    "podía", "a", "ante", "bajo", "con", "contra", "de", "desde", "en", "entre", "hacia", "hasta", "para",
+    "por", "según", "sin", "sobre", "tras", "muy", "más", "menos", "mucho", "mucha", "muchos", "muchas", "poco",
+    "todo", "toda", "todos", "todas", "algo", "nada", "alguien", "nadie", "ya", "aún", "todavía", "también",
+    "tampoco", "no", "sí", "así", "entonces", "luego", "después", "antes", "aquí", "allí", "ahí", "qué",
+    "quién", "cuál", "dónde", "cuándo", "cómo", "etc"
+]);
+
+const RUSSIAN_STOP_WORDS = new Set([
+    "и", "а", "но", "или", "да", "нет", "не", "ни", "что", "чтобы", "как", "так", "когда", "если", "то", "же",
+    "ли", "бы", "вот", "ещё", "еще", "уже", "только", "очень", "тоже", "также", "я", "ты", "он", "она", "оно",
+    "мы", "вы", "они", "меня", "мне", "мной", "тебя", "тебе", "тобой", "его", "него", "ему", "нему", "им",
+    "ним", "её", "ее", "неё", "нее", "ей", "ней", "нас", "нам", "нами", "вас", "вам", "вами", "их", "них",
+    "ими", "ними", "себя", "себе", "мой", "моя", "моё", "мое", "мои", "моего", "моей", "твой", "твоя", "твои",
+    "свой", "своя", "своё", "свое", "свои", "своего", "своей", "наш", "наша", "наши", "ваш", "ваша", "ваши",
+    "этот", "эта", "это", "эти", "этого", "этой", "этом", "тот", "та", "те", "того", "той", "том", "весь",
+    "вся", "всё", "все", "всех", "был", "была", "было", "были", "быть", "есть", "будет", "буду", "будут",
+    "в", "во", "на", "с", "со", "к", "ко", "по", "о", "об", "от", "до", "из", "за", "для", "без", "под",
+    "над", "при", "про", "через", "у", "там", "тут", "здесь", "где", "куда", "откуда", "потом", "тогда",
+    "сейчас", "почему", "зачем", "кто", "чем", "чего", "кого", "кому", "какой", "какая", "какие", "который",
+    "которая", "которое", "которые", "может", "можно", "надо", "нужно", "более", "менее", "много",
+    "мало", "ничего", "вдруг", "снова", "опять", "др"
+]);
+
+/** The stop words of each supported language (see i18n.js). */
+export const STOP_WORDS = {
+    en: ENGLISH_STOP_WORDS,
+    de: GERMAN_STOP_WORDS,
+    es: SPANISH_STOP_WORDS,
+    ru: RUSSIAN_STOP_WORDS
+};
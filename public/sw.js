@@ -0,0 +1,153 @@
+// sw.js
+
+// Service worker: precaches the app shell and the Firebase SDK modules so the app
+// opens without a network connection. Bump CACHE_VERSION whenever the shell changes.
+const CACHE_VERSION = 'v21';
+const SHELL_CACHE = `dream-weaver-shell-${CACHE_VERSION}`;
+
+const FIREBASE_SDK_VERSION = '11.6.1';
+const FIREBASE_SDK_MODULES = [
+    `https://www.gstatic.com/firebasejs/${FIREBASE_SDK_VERSION}/firebase-app.js`,
+    `https://www.gstatic.com/firebasejs/${FIREBASE_SDK_VERSION}/firebase-auth.js`,
+    `https://www.gstatic.com/firebasejs/${FIREBASE_SDK_VERSION}/firebase-firestore.js`
+];
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/manifest.json',
+    '/app.js',
+    '/ai-client.js',
+    '/analysis-queue.js',
+    '/analysis-schema.js',
+    '/audio-clips-module.js',
+    '/audio-clips-store.js',
+    '/chat-context.js',
+    '/citations.js',
+    '/cited-records.js',
+    '/conversations-module.js',
+    '/dream-metadata.js',
+    '/dreams-data-service.js',
+    '/dreams-module.js',
+    '/firebase-init.js',
+    '/firestore-backend.js',
+    '/i18n.js',
+    '/incubation-module.js',
+    '/incubation-stats.js',
+    '/language-module.js',
+    '/lucid-module.js',
+    '/lucid-stats.js',
+    '/match-suggestions.js',
+    '/matches-module.js',
+    '/memory-backend.js',
+    '/night-session-module.js',
+    '/nights.js',
+    '/offline-outbox.js',
+    '/offline-sync.js',
+    '/period-reports.js',
+    '/precognition-stats.js',
+    '/reality-module.js',
+    '/record-module.js',
+    '/search-index.js',
+    '/search-module.js',
+    '/settings-module.js',
+    '/stats-module.js',
+    '/stop-words.js',
+    '/tags-module.js',
+    '/text-diff.js',
+    '/ui-utils.js',
+    '/voice-commands.js'
+];
+
+// Third-party assets that are nice to have offline but must not fail the install.
+const OPTIONAL_ASSETS = [
+    'https://cdn.tailwindcss.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll([...APP_SHELL, ...FIREBASE_SDK_MODULES]);
+        await Promise.all(OPTIONAL_ASSETS.map(url =>
+            cache.add(new Request(url, { mode: 'no-cors' }))
+                .catch(error => console.warn(`Could not precache ${url}:`, error))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name.startsWith('dream-weaver-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Whether a request is for a cached static asset (app shell, Firebase SDK or Tailwind).
+ * @param {URL} url - The request URL.
+ * @returns {boolean} True if the asset should be served from the cache.
+ */
+function isStaticAsset(url) {
+    if (url.origin === self.location.origin) {
+        return !url.pathname.startsWith('/api/');
+    }
+    return url.href.startsWith('https://www.gstatic.com/firebasejs/') || url.hostname === 'cdn.tailwindcss.com';
+}
+
+/**
+ * Serves from the cache and refreshes the cached copy in the background (stale-while-revalidate).
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response && (response.ok || response.type === 'opaque')) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+    const fresh = await refresh;
+    return fresh || Response.error();
+}
+
+/**
+ * Page navigations go to the network first so new deploys show up, falling back to the cached shell.
+ * @param {Request} request - The navigation request.
+ * @returns {Promise<Response>} The response.
+ */
+async function networkFirstNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match('/index.html');
+        return cached || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return; // Writes and AI calls always go to the network
+
+    const url = new URL(request.url);
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(networkFirstNavigation(request));
+    } else if (isStaticAsset(url)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (Firestore, Auth, /api/*) is left to the browser.
+});
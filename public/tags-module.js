@@ -0,0 +1,358 @@
+// tags-module.js
+
+// User-defined tags (e.g. lucid, recurring, nightmare, work) for drafts, archived dreams and daily events.
+// Tags are stored in the user's 'tags' collection; records keep only tag IDs, so renaming or recoloring
+// a tag shows everywhere at once. Also provides the tag chips, the tag input with autocomplete and the
+// tag filter selects used across the tabs. The tag manager itself is in the Settings tab (settings-module.js).
+
+// Import Firebase variables and functions
+import { userId, isAuthReady } from './firebase-init.js';
+import { tagsRepository, draftsRepository, archivedDreamsRepository, dailyEventsRepository } from './dreams-data-service.js';
+
+/** Colors offered for tags; new tags take the next one in turn. */
+export const TAG_COLORS = ['#7c3aed', '#2563eb', '#0891b2', '#059669', '#65a30d', '#d97706', '#dc2626', '#db2777', '#6b7280'];
+
+const MAX_TAG_NAME_LENGTH = 40;
+
+/** The collections whose records carry tags, with a label for the offline sync UI. */
+const TAGGED_COLLECTIONS = [
+    { repository: draftsRepository, label: 'draft' },
+    { repository: archivedDreamsRepository, label: 'dream' },
+    { repository: dailyEventsRepository, label: 'daily event' }
+];
+
+// Internal state variables for tags
+let tags = []; // All tags, sorted by name
+let unsubscribeTags = null;
+const tagListeners = new Set();
+
+/**
+ * Cleans up a tag name as typed: trims it and collapses whitespace. Commas separate tags, so they are removed.
+ * @param {string} name - The name.
+ * @returns {string} The cleaned name ('' if nothing is left).
+ */
+function cleanTagName(name) {
+    return String(name || '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_NAME_LENGTH);
+}
+
+/**
+ * Returns all tags, sorted by name.
+ * @returns {Array<import('./dreams-data-service.js').Tag>} The tags.
+ */
+export function getTags() {
+    return tags;
+}
+
+/**
+ * Looks up a tag by ID.
+ * @param {string} tagId - The tag ID.
+ * @returns {import('./dreams-data-service.js').Tag|null} The tag, or null if it does not exist (any more).
+ */
+export function getTag(tagId) {
+    return tags.find(tag => tag.id === tagId) || null;
+}
+
+/**
+ * Looks up a tag by name, ignoring case.
+ * @param {string} name - The name.
+ * @returns {import('./dreams-data-service.js').Tag|null} The tag, or null if there is none.
+ */
+export function findTagByName(name) {
+    const wanted = cleanTagName(name).toLowerCase();
+    return tags.find(tag => tag.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Returns the names of tags, skipping IDs of deleted tags.
+ * @param {Array<string>} tagIds - The tag IDs.
+ * @returns {Array<string>} The names.
+ */
+export function tagNames(tagIds) {
+    return (tagIds || []).map(getTag).filter(Boolean).map(tag => tag.name);
+}
+
+/**
+ * Registers a listener that is called whenever tags are added, renamed, recolored or deleted.
+ * @param {function(Array<import('./dreams-data-service.js').Tag>): void} listener - Receives all tags.
+ * @returns {function(): void} Unregisters the listener.
+ */
+export function onTagsChange(listener) {
+    tagListeners.add(listener);
+    return () => tagListeners.delete(listener);
+}
+
+/**
+ * Replaces the current tags, refreshes the autocomplete list and notifies the listeners.
+ * @param {Array<import('./dreams-data-service.js').Tag>} newTags - The tags.
+ */
+function setTags(newTags) {
+    tags = [...newTags].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    const tagSuggestions = document.getElementById('tag-suggestions');
+    if (tagSuggestions) {
+        tagSuggestions.innerHTML = '';
+        tags.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag.name;
+            tagSuggestions.appendChild(option);
+        });
+    }
+    tagListeners.forEach(listener => listener(tags));
+}
+
+/**
+ * Subscribes to the tags of the signed-in user. Safe to call again after signing in.
+ */
+export function watchTags() {
+    if (unsubscribeTags) unsubscribeTags();
+    unsubscribeTags = tagsRepository.subscribe({}, setTags, (error) => {
+        console.error("Error loading tags:", error);
+    });
+}
+
+/**
+ * Returns the IDs of tags by name, creating the tags that do not exist yet.
+ * @param {Array<string>} names - The tag names, as typed.
+ * @returns {Promise<Array<string>>} The tag IDs, without duplicates.
+ */
+export async function ensureTags(names) {
+    const tagIds = [];
+    for (const name of names.map(cleanTagName).filter(Boolean)) {
+        let tag = findTagByName(name);
+        if (!tag) {
+            const color = TAG_COLORS[tags.length % TAG_COLORS.length];
+            const { id } = await tagsRepository.add({ name, color }, { description: `Tag "${name}"` });
+            tag = { id, name, color, timestamp: new Date() };
+            setTags([...tags, tag]); // Known before the subscription catches up, so typing it again reuses it
+        }
+        if (!tagIds.includes(tag.id)) tagIds.push(tag.id);
+    }
+    return tagIds;
+}
+
+/**
+ * Renames a tag.
+ * @param {string} tagId - The tag ID.
+ * @param {string} newName - The new name.
+ * @returns {Promise<void>}
+ * @throws {Error} If the name is empty or another tag already has it.
+ */
+export async function renameTag(tagId, newName) {
+    const name = cleanTagName(newName);
+    if (!name) throw new Error('Tag names cannot be empty.');
+    const existing = findTagByName(name);
+    if (existing && existing.id !== tagId) {
+        throw new Error(`A tag named "${existing.name}" already exists. Merge the two tags instead.`);
+    }
+    await tagsRepository.update(tagId, { name }, { description: `Rename of tag "${name}"` });
+}
+
+/**
+ * Changes the color of a tag.
+ * @param {string} tagId - The tag ID.
+ * @param {string} color - A CSS color.
+ * @returns {Promise<void>}
+ */
+export async function setTagColor(tagId, color) {
+    await tagsRepository.update(tagId, { color }, { description: 'Tag color' });
+}
+
+/**
+ * Replaces or removes a tag on every draft, archived dream and daily event that has it.
+ * @param {string} tagId - The tag to take off.
+ * @param {string|null} replacementId - The tag to put on instead, null to only remove it.
+ * @returns {Promise<number>} How many records were changed.
+ */
+async function rewriteTagReferences(tagId, replacementId) {
+    let changed = 0;
+    for (const { repository, label } of TAGGED_COLLECTIONS) {
+        const tagged = (await repository.list()).filter(record => record.tags.includes(tagId));
+        await Promise.all(tagged.map(record => {
+            const newTags = record.tags.filter(id => id !== tagId);
+            if (replacementId && !newTags.includes(replacementId)) newTags.push(replacementId);
+            return repository.update(record.id, { tags: newTags }, { description: `Tags of a ${label}` });
+        }));
+        changed += tagged.length;
+    }
+    return changed;
+}
+
+/**
+ * Merges one tag into another: everything tagged with the source gets the target instead, then the source is deleted.
+ * @param {string} sourceId - The tag that goes away.
+ * @param {string} targetId - The tag that remains.
+ * @returns {Promise<number>} How many records were retagged.
+ * @throws {Error} If the tags are the same.
+ */
+export async function mergeTags(sourceId, targetId) {
+    if (sourceId === targetId) throw new Error('A tag cannot be merged into itself.');
+    const changed = await rewriteTagReferences(sourceId, targetId);
+    await tagsRepository.remove(sourceId);
+    return changed;
+}
+
+/**
+ * Deletes a tag and takes it off every record that has it.
+ * @param {string} tagId - The tag ID.
+ * @returns {Promise<number>} How many records were untagged.
+ */
+export async function deleteTag(tagId) {
+    const changed = await rewriteTagReferences(tagId, null);
+    await tagsRepository.remove(tagId);
+    return changed;
+}
+
+/**
+ * Counts how many drafts, archived dreams and daily events have each tag.
+ * @returns {Promise<Map<string, {drafts: number, dreams: number, events: number}>>} Tag ID -> counts.
+ */
+export async function countTagUsage() {
+    const [drafts, dreams, events] = await Promise.all(TAGGED_COLLECTIONS.map(({ repository }) => repository.list()));
+    const usage = new Map(tags.map(tag => [tag.id, { drafts: 0, dreams: 0, events: 0 }]));
+    const count = (records, field) => records.forEach(record => record.tags.forEach(tagId => {
+        if (usage.has(tagId)) usage.get(tagId)[field]++;
+    }));
+    count(drafts, 'drafts');
+    count(dreams, 'dreams');
+    count(events, 'events');
+    return usage;
+}
+
+/**
+ * Creates a colored chip for a tag.
+ * @param {import('./dreams-data-service.js').Tag} tag - The tag.
+ * @returns {HTMLElement} The chip.
+ */
+function createTagChip(tag) {
+    const chip = document.createElement('span');
+    chip.classList.add('tag-chip');
+    chip.style.backgroundColor = tag.color;
+    chip.textContent = tag.name;
+    return chip;
+}
+
+/**
+ * Renders a record's tags as colored chips. IDs of deleted tags are skipped.
+ * @param {HTMLElement} container - The element to render into; its content is replaced.
+ * @param {Array<string>} tagIds - The tag IDs.
+ */
+export function renderTagChips(container, tagIds) {
+    if (!container) return;
+    container.innerHTML = '';
+    (tagIds || []).map(getTag).filter(Boolean).forEach(tag => container.appendChild(createTagChip(tag)));
+}
+
+/**
+ * Creates a tag input in a container: the chosen tags as removable chips and a text field that suggests
+ * existing tags. Enter or a comma adds the typed tag, creating it if it is new.
+ * The owner should call `refresh()` when tags change (see onTagsChange) so renamed tags show their new names.
+ * @param {HTMLElement} container - The element to render into; its content is replaced.
+ * @param {{tagIds: (Array<string>|undefined), onChange: (function(Array<string>): void|undefined), placeholder: (string|undefined)}} [options] -
+ *     The initial tag IDs and a listener called with the tag IDs whenever the user adds or removes one.
+ * @returns {{getTagIds: function(): Array<string>, setTagIds: function(Array<string>): void, refresh: function(): void}} The input.
+ */
+export function createTagInput(container, { tagIds = [], onChange = null, placeholder = 'Add tags...' } = {}) {
+    let selectedIds = [...tagIds];
+
+    container.innerHTML = '';
+    container.classList.add('tag-input');
+    const chips = document.createElement('span');
+    chips.classList.add('tag-input-chips');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = placeholder;
+    input.setAttribute('list', 'tag-suggestions'); // Filled by setTags
+    input.classList.add('tag-input-field');
+    container.appendChild(chips);
+    container.appendChild(input);
+
+    const renderChips = () => {
+        chips.innerHTML = '';
+        selectedIds.map(getTag).filter(Boolean).forEach(tag => {
+            const chip = createTagChip(tag);
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.classList.add('tag-chip-remove');
+            removeButton.textContent = '×';
+            removeButton.title = `Remove tag "${tag.name}"`;
+            removeButton.addEventListener('click', () => {
+                selectedIds = selectedIds.filter(id => id !== tag.id);
+                renderChips();
+                if (onChange) onChange([...selectedIds]);
+            });
+            chip.appendChild(removeButton);
+            chips.appendChild(chip);
+        });
+    };
+
+    const addTypedTags = async () => {
+        const names = input.value.split(',');
+        input.value = '';
+        if (!names.some(name => cleanTagName(name))) return;
+        try {
+            const newIds = (await ensureTags(names)).filter(id => !selectedIds.includes(id));
+            if (newIds.length === 0) return;
+            selectedIds = [...selectedIds, ...newIds];
+            renderChips();
+            if (onChange) onChange([...selectedIds]);
+        } catch (error) {
+            console.error("Error adding tag:", error);
+        }
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            addTypedTags();
+        } else if (event.key === 'Backspace' && !input.value && selectedIds.length > 0) {
+            selectedIds = selectedIds.slice(0, -1);
+            renderChips();
+            if (onChange) onChange([...selectedIds]);
+        }
+    });
+    // Picking a suggestion from the list adds it at once; typing does not, so 'work' can still become 'workshop'
+    input.addEventListener('input', (event) => {
+        const isPicked = !event.inputType || event.inputType === 'insertReplacementText';
+        if (isPicked && findTagByName(input.value)) addTypedTags();
+    });
+    input.addEventListener('blur', addTypedTags);
+
+    renderChips();
+    return {
+        getTagIds: () => selectedIds.filter(id => getTag(id)),
+        setTagIds: (newTagIds) => {
+            selectedIds = [...(newTagIds || [])];
+            renderChips();
+        },
+        refresh: renderChips
+    };
+}
+
+/**
+ * Fills a tag filter select with 'All' and one option per tag, keeping the selected tag if it still exists.
+ * @param {HTMLSelectElement} select - The select.
+ * @param {string} [allLabel='All tags'] - The label of the option that does not filter.
+ */
+export function renderTagFilterOptions(select, allLabel = 'All tags') {
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = '';
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = allLabel;
+    select.appendChild(allOption);
+    tags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag.id;
+        option.textContent = tag.name;
+        select.appendChild(option);
+    });
+    select.value = getTag(selected) ? selected : '';
+}
+
+/**
+ * Starts watching the user's tags.
+ */
+export function initializeTagsModule() {
+    if (!userId || !isAuthReady) return;
+    watchTags();
+}
@@ -0,0 +1,99 @@
+// text-diff.js
+
+// Word-level text diff for the revision history of archived dreams.
+// Finds the longest common subsequence of words and reports what was kept, removed and added,
+// keeping the original whitespace so the parts join back into the texts. Pure logic: no Firestore, no DOM.
+
+const MAX_DIFF_CELLS = 4000000; // Above this many word pairs the texts are shown as fully replaced
+
+/**
+ * @typedef {object} DiffPart
+ * @property {'equal'|'delete'|'insert'} type - Whether the text is in both texts, only the old one or only the new one.
+ * @property {string} text - The text, including the whitespace that follows each word.
+ */
+
+/**
+ * Splits text into words, each with the whitespace that follows it.
+ * @param {string} text - The text.
+ * @returns {Array<string>} The tokens; joined, they give back the text.
+ */
+function tokenize(text) {
+    return String(text || '').match(/\s+|\S+\s*/g) || [];
+}
+
+/**
+ * Appends text to the diff, merging it into the previous part if that has the same type.
+ * @param {Array<DiffPart>} parts - The diff so far.
+ * @param {DiffPart['type']} type - The type of the text.
+ * @param {string} text - The text.
+ */
+function pushPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+}
+
+/**
+ * Compares two texts word by word.
+ * Words are compared without their trailing whitespace, so re-wrapping a line is not a change.
+ * @param {string} oldText - The earlier text.
+ * @param {string} newText - The later text.
+ * @returns {Array<DiffPart>} The parts, in reading order. Deleted text comes before the text that replaced it.
+ */
+export function diffWords(oldText, newText) {
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+    const oldWords = oldTokens.map(token => token.trim());
+    const newWords = newTokens.map(token => token.trim());
+    const parts = [];
+
+    if (oldTokens.length * newTokens.length > MAX_DIFF_CELLS) {
+        if (oldTokens.length > 0) pushPart(parts, 'delete', oldTokens.join(''));
+        if (newTokens.length > 0) pushPart(parts, 'insert', newTokens.join(''));
+        return parts;
+    }
+
+    // lengths[i][j]: length of the longest common subsequence of oldWords[i..] and newWords[j..]
+    const lengths = Array.from({ length: oldWords.length + 1 }, () => new Uint32Array(newWords.length + 1));
+    for (let i = oldWords.length - 1; i >= 0; i--) {
+        for (let j = newWords.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldWords[i] === newWords[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldWords.length && j < newWords.length) {
+        if (oldWords[i] === newWords[j]) {
+            pushPart(parts, 'equal', newTokens[j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            pushPart(parts, 'delete', oldTokens[i++]);
+        } else {
+            pushPart(parts, 'insert', newTokens[j++]);
+        }
+    }
+    while (i < oldWords.length) pushPart(parts, 'delete', oldTokens[i++]);
+    while (j < newWords.length) pushPart(parts, 'insert', newTokens[j++]);
+    return parts;
+}
+
+/**
+ * Counts the words added and removed in a diff.
+ * @param {Array<DiffPart>} parts - The diff.
+ * @returns {{added: number, removed: number}} The word counts.
+ */
+export function countChangedWords(parts) {
+    const countWords = (text) => tokenize(text).filter(token => token.trim()).length;
+    return parts.reduce((counts, part) => {
+        if (part.type === 'insert') counts.added += countWords(part.text);
+        if (part.type === 'delete') counts.removed += countWords(part.text);
+        return counts;
+    }, { added: 0, removed: 0 });
+}
@@ -81,11 +81,12 @@ export function showMessage(type, message) {
  * @param {string} message - The message text.
  * @param {'user'|'gemini'|'model'} sender - The sender of the message.
  * @param {string} [imageUrl] - Optional URL for an image to display with the message.
+ * @returns {HTMLElement|null} The message bubble, or null if the chat is not on the page.
  */
 export function displayMessage(message, sender, imageUrl = null) {
     if (!chatMessagesDiv) {
         console.error("Chat messages div not found.");
-        return;
+        return null;
     }
 
     const messageBubble = document.createElement('div');
@@ -112,6 +113,7 @@ export function displayMessage(message, sender, imageUrl = null) {
 
     chatMessagesDiv.appendChild(messageBubble);
     chatMessagesDiv.scrollTop = chatMessagesDiv.scrollHeight; // Auto-scroll to the latest message
+    return messageBubble;
 }
 
 /**
@@ -0,0 +1,126 @@
+// voice-commands.js
+
+// Spoken commands for the recorder, so a half-asleep dreamer doesn't need to tap buttons. Each final result
+// of the speech recognizer is a phrase said without a pause. A command is recognized when it is the whole
+// phrase, or at the start or the end of a phrase set off by sentence punctuation ("I was flying. Scratch
+// that."), so dictation that merely contains a command phrase stays text. "Title: …" takes the rest of the
+// phrase as the title, a phrase of just "title" the next phrase. Only the phrases of the recording's language
+// are recognized. Applying the commands (and their cues) is up to record-module.js. Pure logic: no DOM.
+
+/** The commands, with the phrases that trigger them in each language (see i18n.js). */
+export const VOICE_COMMANDS = {
+    newDream: {
+        en: ['new dream', 'next dream'],
+        de: ['neuer traum', 'nächster traum'],
+        es: ['nuevo sueño', 'siguiente sueño'],
+        ru: ['новый сон', 'следующий сон']
+    },
+    title: {
+        en: ['title', 'set title'],
+        de: ['titel'],
+        es: ['título', 'titulo'],
+        ru: ['название', 'заголовок']
+    },
+    scratch: {
+        en: ['scratch that', 'delete that'],
+        de: ['streich das', 'lösch das'],
+        es: ['borra eso', 'borrar eso'],
+        ru: ['удали это', 'сотри это']
+    },
+    stop: {
+        en: ['stop recording'],
+        de: ['aufnahme beenden', 'aufnahme stoppen'],
+        es: ['detener grabación', 'detén la grabación'],
+        ru: ['остановить запись', 'стоп запись']
+    }
+};
+
+const PUNCTUATION = '[\\s,.!?:;]*';
+// Sentence punctuation between a command and dictated text, which the recognizer adds at a pause
+const SENTENCE_BREAK = '\\s*[.!?:]+\\s*';
+// Word boundaries that also work for accented and Cyrillic letters, unlike \b
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+
+/**
+ * Builds the pattern of a command's phrases, e.g. "(?:new dream|next dream)".
+ * @param {string} type - The command, a key of VOICE_COMMANDS.
+ * @param {string} language - The recording's language code.
+ * @returns {string} The pattern source.
+ */
+function phrasePattern(type, language) {
+    const phrases = VOICE_COMMANDS[type][language] || VOICE_COMMANDS[type].en;
+    return `(?:${phrases.map(phrase => phrase.replace(/ /g, '\\s+')).join('|')})`;
+}
+
+/**
+ * Capitalizes a spoken title and removes the punctuation the recognizer may have added.
+ * @param {string} text - The spoken title.
+ * @returns {string} The title.
+ */
+function cleanTitle(text) {
+    const title = text.trim().replace(/[\s,.!?:;]+$/, '');
+    return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Splits a phrase of the transcription into text and the commands said in it, in the order they were said.
+ * @param {string} phrase - A final result of the speech recognizer.
+ * @param {string} [language='en'] - The recording's language code.
+ * @param {boolean} [isTitle=false] - Whether the phrase is the title, after a phrase of just "title".
+ * @returns {Array<{type: string, text?: string}>} The parts: `{type: 'text', text}` for dictated text, `{type:
+ *     'title', text}` for a title (an empty text if the next phrase is the title), and `{type}` for the other
+ *     commands (see VOICE_COMMANDS).
+ */
+export function parseVoiceCommands(phrase, language = 'en', isTitle = false) {
+    const parts = [];
+    let rest = phrase.trim();
+    if (isTitle) {
+        return cleanTitle(rest) ? [{ type: 'title', text: cleanTitle(rest) }] : [];
+    }
+    while (rest) {
+        const whole = Object.keys(VOICE_COMMANDS).find(type => new RegExp(`^${phrasePattern(type, language)}${PUNCTUATION}$`, 'iu').test(rest));
+        if (whole) {
+            parts.push(whole === 'title' ? { type: 'title', text: '' } : { type: whole });
+            break;
+        }
+
+        const title = rest.match(new RegExp(`^${phrasePattern('title', language)}${SENTENCE_BREAK}(.+)$`, 'iu'));
+        if (title && cleanTitle(title[1])) {
+            parts.push({ type: 'title', text: cleanTitle(title[1]) });
+            break;
+        }
+
+        const leading = ['newDream', 'scratch', 'stop']
+            .map(type => ({ type, match: rest.match(new RegExp(`^${phrasePattern(type, language)}${SENTENCE_BREAK}(.+)$`, 'iu')) }))
+            .find(candidate => candidate.match);
+        if (leading) {
+            parts.push({ type: leading.type });
+            rest = leading.match[1];
+            continue;
+        }
+
+        const trailing = ['newDream', 'scratch', 'stop']
+            .map(type => ({ type, match: rest.match(new RegExp(`^(.*?[.!?])\\s*${WORD_START}${phrasePattern(type, language)}${PUNCTUATION}$`, 'iu')) }))
+            .find(candidate => candidate.match);
+        if (trailing) {
+            parts.push({ type: 'text', text: trailing.match[1] });
+            parts.push({ type: trailing.type });
+        } else {
+            parts.push({ type: 'text', text: rest });
+        }
+        break;
+    }
+    return parts;
+}
+
+/**
+ * Finds where the last sentence of a text starts, after the last sentence-ending punctuation.
+ * @param {string} text - The text.
+ * @returns {number} The index of the last sentence, 0 if the text has a single sentence.
+ */
+export function lastSentenceStart(text) {
+    const body = text.trimEnd().replace(/[.!?]+$/, '');
+    let start = 0;
+    for (const match of body.matchAll(/[.!?]+\s+/g)) start = match.index + match[0].length;
+    return start;
+}
@@ -2,6 +2,7 @@ import express from 'express';
 import serveStatic from 'serve-static';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createAiRouter } from './server/ai-routes.js';
 
 // Get __dirname equivalent in ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,6 +15,14 @@ const port = process.env.PORT || 8080; // Use port provided by environment or de
 const publicPath = path.join(__dirname, 'public');
 app.use(serveStatic(publicPath));
 
+// Server-side AI proxy. Holds the API key and checks the caller's Firebase ID token.
+app.use('/api/ai', createAiRouter());
+
+// Unknown API routes should not fall through to the SPA catch-all below.
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found.' });
+});
+
 // For single-page applications, serve index.html for all other routes
 // This handles cases where a user directly accesses a sub-path (e.g., /dreams)
 // and ensures your client-side routing takes over.
@@ -0,0 +1,46 @@
+// AI configuration, read once from the environment.
+//
+//   AI_PROVIDER          gemini (default), openai or mock
+//   AI_ANALYSIS_MODEL    model used for /api/ai/analyze
+//   AI_CHAT_MODEL        model used for /api/ai/chat
+//   AI_IMAGE_MODEL       model used for /api/ai/image
+//   AI_TRANSCRIPTION_MODEL  model used for /api/ai/transcribe
+//   GEMINI_API_KEY       key for the gemini provider
+//   OPENAI_BASE_URL      base URL for the openai provider (defaults to a local Ollama)
+//   OPENAI_API_KEY       bearer token for the openai provider
+//   AI_SKIP_AUTH         'true' skips the Firebase ID token check; only honoured with the mock provider
+
+const DEFAULT_MODELS = {
+  gemini: { analysis: 'gemini-2.0-flash', chat: 'gemini-2.0-flash', image: 'imagen-3.0-generate-002', transcription: 'gemini-2.0-flash' },
+  openai: { analysis: 'llama3.1', chat: 'llama3.1', image: 'dall-e-3', transcription: 'whisper-1' },
+  mock: { analysis: 'mock-analysis', chat: 'mock-chat', image: 'mock-image', transcription: 'mock-transcription' }
+};
+
+/**
+ * Reads the AI configuration from environment variables.
+ * @param {object} [env=process.env] - The environment to read.
+ * @returns {object} The resolved configuration.
+ */
+export function loadAiConfig(env = process.env) {
+  const provider = (env.AI_PROVIDER || 'gemini').toLowerCase();
+  if (!DEFAULT_MODELS[provider]) {
+    throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}". Use gemini, openai or mock.`);
+  }
+
+  const defaults = DEFAULT_MODELS[provider];
+  return {
+    provider,
+    models: {
+      analysis: env.AI_ANALYSIS_MODEL || defaults.analysis,
+      chat: env.AI_CHAT_MODEL || defaults.chat,
+      image: env.AI_IMAGE_MODEL || defaults.image,
+      transcription: env.AI_TRANSCRIPTION_MODEL || defaults.transcription
+    },
+    gemini: { apiKey: env.GEMINI_API_KEY || '' },
+    openai: {
+      baseUrl: env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: env.OPENAI_API_KEY || ''
+    },
+    skipAuth: provider === 'mock' && env.AI_SKIP_AUTH === 'true'
+  };
+}
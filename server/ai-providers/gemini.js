@@ -0,0 +1,114 @@
+import { AiProviderError, upstreamErrorStatus } from './provider-error.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Extracts the first text part from a Gemini generateContent response.
+ * @param {object} result - The Gemini response.
+ * @returns {string|null} The text, or null if the response has none.
+ */
+function firstCandidateText(result) {
+  const candidate = result.candidates && result.candidates[0];
+  const parts = candidate && candidate.content && candidate.content.parts;
+  return parts && parts.length > 0 ? parts[0].text : null;
+}
+
+/**
+ * Builds the instruction sent with audio to transcribe.
+ * @param {string} context - An earlier transcript of the same audio, '' for none.
+ * @param {string} language - The language spoken, as an ISO 639-1 code; '' if unknown.
+ * @returns {string} The instruction.
+ */
+function transcriptionInstruction(context, language) {
+  const instruction = 'Transcribe this recording of someone describing a dream, word for word, in the language spoken' +
+    (language ? ` (ISO 639-1 code "${language}")` : '') + '. Reply with the transcript only, without comments or timestamps.';
+  return context
+    ? `${instruction}\nA speech recognizer produced the transcript below; it may help with names and unusual words, but it contains mistakes:\n${context}`
+    : instruction;
+}
+
+/**
+ * Creates the Gemini provider (Google Generative Language API).
+ * @param {object} options
+ * @param {string} options.apiKey - The Gemini API key.
+ * @param {{analysis: string, chat: string, image: string, transcription: string}} options.models - Model names per capability.
+ * @returns {object} A provider implementing analyze, chat, image and transcribe.
+ */
+export function createGeminiProvider({ apiKey, models }) {
+  async function callGemini(model, method, payload) {
+    if (!apiKey) {
+      throw new AiProviderError(503, 'AI is not configured on this server. Set GEMINI_API_KEY.');
+    }
+
+    const response = await fetch(`${GEMINI_BASE_URL}/${model}:${method}?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = result.error && result.error.message ? result.error.message : `Gemini request failed with status ${response.status}`;
+      throw new AiProviderError(upstreamErrorStatus(response.status), message);
+    }
+    return result;
+  }
+
+  return {
+    name: 'gemini',
+    models,
+
+    async analyze({ prompt, responseSchema }) {
+      const generationConfig = { responseMimeType: 'application/json' };
+      if (responseSchema) generationConfig.responseSchema = responseSchema;
+
+      const result = await callGemini(models.analysis, 'generateContent', {
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig
+      });
+      const text = firstCandidateText(result);
+      if (!text) throw new AiProviderError(502, 'The AI returned no analysis.');
+      return { text, model: models.analysis };
+    },
+
+    async chat({ messages, context }) {
+      const body = {
+        contents: messages.map(message => ({
+          role: message.role === 'user' ? 'user' : 'model',
+          parts: [{ text: message.text }]
+        }))
+      };
+      if (context) body.systemInstruction = { parts: [{ text: context }] };
+      const result = await callGemini(models.chat, 'generateContent', body);
+      const text = firstCandidateText(result);
+      if (!text) throw new AiProviderError(502, 'The AI returned no reply.');
+      return { text, model: models.chat };
+    },
+
+    async image({ prompt }) {
+      const result = await callGemini(models.image, 'predict', {
+        instances: { prompt },
+        parameters: { sampleCount: 1 }
+      });
+      const prediction = result.predictions && result.predictions[0];
+      if (!prediction || !prediction.bytesBase64Encoded) {
+        throw new AiProviderError(502, 'The AI returned no image.');
+      }
+      return { imageBase64: prediction.bytesBase64Encoded, mimeType: prediction.mimeType || 'image/png', model: models.image };
+    },
+
+    async transcribe({ audioBase64, mimeType, context, language }) {
+      const result = await callGemini(models.transcription, 'generateContent', {
+        contents: [{
+          role: 'user',
+          parts: [
+            { text: transcriptionInstruction(context, language) },
+            { inlineData: { mimeType: mimeType.split(';')[0], data: audioBase64 } } // Without codec parameters
+          ]
+        }]
+      });
+      const text = firstCandidateText(result);
+      if (text === null) throw new AiProviderError(502, 'The AI returned no transcript.');
+      return { text: text.trim(), model: models.transcription };
+    }
+  };
+}
@@ -0,0 +1,36 @@
+// Provider registry. Every provider exposes the same interface:
+//
+//   name                                       provider id
+//   models                                     { analysis, chat, image, transcription } model names in use
+//   analyze({ prompt, responseSchema })     -> { text, model }       text is a JSON string
+//   chat({ messages: [{ role, text }], context }) -> { text, model } role is 'user' or 'model'
+//                                              context is a system instruction with the user's records, or ''
+//   image({ prompt })                       -> { imageBase64, mimeType, model }
+//   transcribe({ audioBase64, mimeType, context, language }) -> { text, model }
+//                                              context is an earlier transcript, language an ISO 639-1 code; either may be ''
+//
+// Providers throw AiProviderError with the HTTP status to return.
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiCompatibleProvider } from './openai-compatible.js';
+import { createMockProvider } from './mock.js';
+
+export { AiProviderError } from './provider-error.js';
+
+/**
+ * Creates the provider selected by the configuration.
+ * @param {object} config - The configuration from loadAiConfig().
+ * @returns {object} The provider.
+ */
+export function createAiProvider(config) {
+  switch (config.provider) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: config.gemini.apiKey, models: config.models });
+    case 'openai':
+      return createOpenAiCompatibleProvider({ baseUrl: config.openai.baseUrl, apiKey: config.openai.apiKey, models: config.models });
+    case 'mock':
+      return createMockProvider({ models: config.models });
+    default:
+      throw new Error(`Unknown AI provider "${config.provider}".`);
+  }
+}
@@ -0,0 +1,153 @@
+// Deterministic offline provider.
+// The same prompt always produces the same output, so the analysis, archive and stats
+// flows can be developed and demoed without any network access.
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a).
+ * @param {string} text - The text to hash.
+ * @returns {number} The seed.
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - The seed.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks content words from the prompt to make mock output read like it came from the dream.
+ * @param {string} prompt - The prompt text.
+ * @returns {Array<string>} Distinct words of four letters or more.
+ */
+function contentWords(prompt) {
+  const dreamPart = prompt.includes('Dream') ? prompt.slice(prompt.lastIndexOf('Dream')) : prompt;
+  const words = dreamPart.toLowerCase().match(/[\p{L}]{4,}/gu) || [];
+  const distinct = [...new Set(words)];
+  return distinct.length > 0 ? distinct : ['dream', 'night', 'journey'];
+}
+
+/**
+ * Generates a value that satisfies a Gemini-style schema node.
+ * @param {object} schema - The schema node.
+ * @param {string} name - The property name, used as a label in strings.
+ * @param {function(): number} random - The seeded random generator.
+ * @param {Array<string>} words - Words to draw string content from.
+ * @returns {*} The generated value.
+ */
+function generateValue(schema, name, random, words) {
+  const type = String((schema && schema.type) || 'STRING').toUpperCase();
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  switch (type) {
+    case 'OBJECT': {
+      const value = {};
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        value[key] = generateValue(property, key, random, words);
+      }
+      return value;
+    }
+    case 'ARRAY': {
+      const count = 1 + Math.floor(random() * 3);
+      return Array.from({ length: count }, () => generateValue(schema.items || {}, name, random, words));
+    }
+    case 'NUMBER':
+    case 'INTEGER': {
+      const min = typeof schema.minimum === 'number' ? schema.minimum : 1;
+      const max = typeof schema.maximum === 'number' ? schema.maximum : 10;
+      const value = min + random() * (max - min);
+      return type === 'INTEGER' ? Math.round(value) : Math.round(value * 10) / 10;
+    }
+    case 'BOOLEAN':
+      return random() < 0.5;
+    default: {
+      if (Array.isArray(schema.enum) && schema.enum.length > 0) return pick(schema.enum);
+      const count = 3 + Math.floor(random() * 4);
+      const phrase = Array.from({ length: count }, () => pick(words)).join(', ');
+      return `(mock ${name}) ${phrase}`;
+    }
+  }
+}
+
+/**
+ * A 1x1-style SVG placeholder whose colours are derived from the prompt.
+ * @param {string} prompt - The image prompt.
+ * @returns {string} SVG markup.
+ */
+function placeholderSvg(prompt) {
+  const random = createRandom(hashString(prompt));
+  const hue = Math.floor(random() * 360);
+  const label = prompt.slice(0, 40).replace(/[<>&"]/g, '');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">` +
+    `<rect width="256" height="256" fill="hsl(${hue},60%,45%)"/>` +
+    `<circle cx="128" cy="128" r="${60 + Math.floor(random() * 50)}" fill="hsl(${(hue + 180) % 360},70%,70%)"/>` +
+    `<text x="128" y="240" font-size="12" text-anchor="middle" fill="#fff">${label}</text></svg>`;
+}
+
+/**
+ * Creates the deterministic mock provider.
+ * @param {object} options
+ * @param {{analysis: string, chat: string, image: string, transcription: string}} options.models - Model names reported back to the client.
+ * @returns {object} A provider implementing analyze, chat, image and transcribe.
+ */
+export function createMockProvider({ models }) {
+  return {
+    name: 'mock',
+    models,
+
+    async analyze({ prompt, responseSchema }) {
+      const random = createRandom(hashString(prompt));
+      const schema = responseSchema || { type: 'OBJECT', properties: { summary: { type: 'STRING' } } };
+      const value = generateValue(schema, 'analysis', random, contentWords(prompt));
+      return { text: JSON.stringify(value), model: models.analysis };
+    },
+
+    async chat({ messages, context }) {
+      const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+      const question = lastUserMessage ? lastUserMessage.text : '';
+      const words = contentWords(question);
+      const random = createRandom(hashString(question));
+      const focus = words[Math.floor(random() * words.length)];
+      // Cite the records given as context, as a real model is asked to
+      const citations = [...new Set((context || '').match(/^\[[DE]\d+\]/gm) || [])].slice(0, 2);
+      return {
+        text: `(mock reply) You asked: "${question.slice(0, 120)}". A recurring thread here seems to be "${focus}".${citations.length > 0 ? ` See ${citations.join(' and ')}.` : ''}`,
+        model: models.chat
+      };
+    },
+
+    async image({ prompt }) {
+      return {
+        imageBase64: Buffer.from(placeholderSvg(prompt)).toString('base64'),
+        mimeType: 'image/svg+xml',
+        model: models.image
+      };
+    },
+
+    async transcribe({ audioBase64, context }) {
+      // Echoes the recognizer's transcript, so the review flow can be tried without a speech model
+      const bytes = Buffer.from(audioBase64, 'base64').length;
+      return {
+        text: `(mock transcription of ${bytes} bytes) ${context || 'I was walking through a house I did not know.'}`,
+        model: models.transcription
+      };
+    }
+  };
+}
@@ -0,0 +1,108 @@
+import { AiProviderError, upstreamErrorStatus } from './provider-error.js';
+import { toJsonSchema } from './schema.js';
+
+/**
+ * Creates a provider for any OpenAI-compatible endpoint (OpenAI, a local Ollama, LM Studio, ...).
+ * @param {object} options
+ * @param {string} options.baseUrl - API base URL, e.g. 'https://api.openai.com/v1' or 'http://localhost:11434/v1'.
+ * @param {string} [options.apiKey] - Bearer token. Ollama ignores it.
+ * @param {{analysis: string, chat: string, image: string, transcription: string}} options.models - Model names per capability.
+ * @returns {object} A provider implementing analyze, chat, image and transcribe.
+ */
+export function createOpenAiCompatibleProvider({ baseUrl, apiKey, models }) {
+  const rootUrl = baseUrl.replace(/\/+$/, '');
+
+  // Sends JSON, or multipart form data when the payload is a FormData (file uploads)
+  async function post(path, payload) {
+    const isForm = payload instanceof FormData;
+    const headers = isForm ? {} : { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(`${rootUrl}${path}`, { method: 'POST', headers, body: isForm ? payload : JSON.stringify(payload) });
+    } catch (error) {
+      throw new AiProviderError(502, `Could not reach the AI endpoint at ${rootUrl}: ${error.message}`);
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = result.error && result.error.message ? result.error.message : `AI request failed with status ${response.status}`;
+      throw new AiProviderError(upstreamErrorStatus(response.status), message);
+    }
+    return result;
+  }
+
+  function firstChoiceText(result) {
+    const choice = result.choices && result.choices[0];
+    return choice && choice.message ? choice.message.content : null;
+  }
+
+  return {
+    name: 'openai',
+    models,
+
+    async analyze({ prompt, responseSchema }) {
+      const messages = [];
+      if (responseSchema) {
+        messages.push({
+          role: 'system',
+          content: `Reply with a single JSON object that matches this JSON Schema:\n${JSON.stringify(toJsonSchema(responseSchema))}`
+        });
+      }
+      messages.push({ role: 'user', content: prompt });
+
+      const result = await post('/chat/completions', {
+        model: models.analysis,
+        messages,
+        response_format: { type: 'json_object' }
+      });
+      const text = firstChoiceText(result);
+      if (!text) throw new AiProviderError(502, 'The AI returned no analysis.');
+      return { text, model: models.analysis };
+    },
+
+    async chat({ messages, context }) {
+      const chatMessages = [];
+      if (context) chatMessages.push({ role: 'system', content: context });
+      messages.forEach(message => chatMessages.push({
+        role: message.role === 'user' ? 'user' : 'assistant',
+        content: message.text
+      }));
+
+      const result = await post('/chat/completions', {
+        model: models.chat,
+        messages: chatMessages
+      });
+      const text = firstChoiceText(result);
+      if (!text) throw new AiProviderError(502, 'The AI returned no reply.');
+      return { text, model: models.chat };
+    },
+
+    async image({ prompt }) {
+      const result = await post('/images/generations', {
+        model: models.image,
+        prompt,
+        n: 1,
+        response_format: 'b64_json'
+      });
+      const image = result.data && result.data[0];
+      if (!image || !image.b64_json) {
+        throw new AiProviderError(502, 'The AI returned no image.');
+      }
+      return { imageBase64: image.b64_json, mimeType: 'image/png', model: models.image };
+    },
+
+    async transcribe({ audioBase64, mimeType, context, language }) {
+      const baseType = mimeType.split(';')[0];
+      const form = new FormData();
+      form.append('file', new Blob([Buffer.from(audioBase64, 'base64')], { type: baseType }), `recording.${baseType.split('/')[1] || 'webm'}`);
+      form.append('model', models.transcription);
+      form.append('response_format', 'json');
+      if (language) form.append('language', language);
+      if (context) form.append('prompt', context.slice(-800)); // Whisper only reads the prompt's last ~224 tokens
+      const result = await post('/audio/transcriptions', form);
+      if (typeof result.text !== 'string') throw new AiProviderError(502, 'The AI returned no transcript.');
+      return { text: result.text.trim(), model: models.transcription };
+    }
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Error thrown by AI providers and routes.
+ * Carries the HTTP status that should be returned to the browser.
+ */
+export class AiProviderError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AiProviderError';
+    this.status = status;
+  }
+}
+
+/**
+ * Maps the status of a failed upstream AI request to the status returned to the browser.
+ * Rate limits (429) and rejected requests (400) are passed on; anything else, notably the server's own
+ * credentials being refused (401/403), is a bad gateway rather than a problem with the user's session.
+ * @param {number} status - The upstream HTTP status.
+ * @returns {number} The status to return.
+ */
+export function upstreamErrorStatus(status) {
+  return status === 429 || status === 400 ? status : 502;
+}
@@ -0,0 +1,27 @@
+// Helpers for the response schema sent by the client.
+// The client uses Gemini's schema dialect (upper-case types such as "OBJECT" and "STRING").
+
+/**
+ * Converts a Gemini-style response schema into a standard JSON Schema.
+ * @param {object} schema - The Gemini-style schema.
+ * @returns {object} The equivalent JSON Schema.
+ */
+export function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)])
+      );
+    } else if (key === 'items') {
+      converted.items = toJsonSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+}
@@ -0,0 +1,121 @@
+import express from 'express';
+import { requireFirebaseUser } from './auth.js';
+import { loadAiConfig } from './ai-config.js';
+import { createAiProvider, AiProviderError } from './ai-providers/index.js';
+
+// Base64 audio of a few minutes of speech; Gemini accepts up to 20 MB of inline data
+const TRANSCRIBE_BODY_LIMIT = '20mb';
+
+/**
+ * Wraps an async route handler so thrown errors become JSON error responses.
+ * @param {Function} handler - The async (req, res) handler.
+ * @returns {Function} An Express route handler.
+ */
+function handleErrors(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error(`AI proxy error on ${req.path}:`, error.message);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Answers body-parser failures (malformed JSON, oversized bodies) with a JSON error
+ * instead of Express's default HTML page; other errors are passed on.
+ * @param {Error} error - The error raised while parsing the body.
+ * @param {express.Request} req - The request.
+ * @param {express.Response} res - The response.
+ * @param {Function} next - The next error handler.
+ */
+function handleBodyErrors(error, req, res, next) {
+  if (!error.type) { // body-parser tags its errors with a type
+    next(error);
+  } else if (error.type === 'entity.too.large') {
+    res.status(413).json({ error: 'The request body is too large.' });
+  } else {
+    res.status(400).json({ error: error.type === 'entity.parse.failed' ? 'The request body is not valid JSON.' : 'The request body could not be read.' });
+  }
+}
+
+/**
+ * Builds the router mounted at /api/ai.
+ * The provider and models come from the environment (see ai-config.js).
+ * Every route requires a valid Firebase ID token unless AI_SKIP_AUTH is set for the mock provider.
+ * @param {object} [config] - AI configuration; defaults to loadAiConfig().
+ * @returns {express.Router} The AI proxy router.
+ */
+export function createAiRouter(config = loadAiConfig()) {
+  const provider = createAiProvider(config);
+  console.log(`AI provider: ${provider.name} (analysis: ${provider.models.analysis}, chat: ${provider.models.chat}, image: ${provider.models.image}, transcription: ${provider.models.transcription})`);
+
+  const router = express.Router();
+  // Authenticate before parsing, so unauthenticated requests are refused without reading their bodies
+  if (config.skipAuth) {
+    console.warn('AI_SKIP_AUTH is set: AI routes accept unauthenticated requests (mock provider only).');
+  } else {
+    router.use(requireFirebaseUser);
+  }
+  router.use('/transcribe', express.json({ limit: TRANSCRIBE_BODY_LIMIT })); // Audio is larger than the other requests
+  router.use(express.json({ limit: '1mb' }));
+
+  // Structured dream analysis. Body: { prompt, responseSchema }. Returns { text, model } where text is a JSON string.
+  router.post('/analyze', handleErrors(async (req, res) => {
+    const { prompt, responseSchema } = req.body || {};
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      throw new AiProviderError(400, 'A prompt is required.');
+    }
+    res.json(await provider.analyze({ prompt, responseSchema: responseSchema || null }));
+  }));
+
+  // Chat completion. Body: { messages: [{ role: 'user'|'model', text }], context }. Returns { text, model }.
+  // context grounds the reply in the user's dreams and daily events; it may be omitted.
+  router.post('/chat', handleErrors(async (req, res) => {
+    const { messages, context } = req.body || {};
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new AiProviderError(400, 'At least one message is required.');
+    }
+    if (!messages.every(message => message && typeof message === 'object' && typeof message.text === 'string')) {
+      throw new AiProviderError(400, 'Every message needs a text.');
+    }
+    res.json(await provider.chat({
+      messages: messages.map(message => ({
+        role: message.role === 'user' ? 'user' : 'model',
+        text: message.text
+      })),
+      context: typeof context === 'string' ? context : ''
+    }));
+  }));
+
+  // Image generation. Body: { prompt }. Returns { imageBase64, mimeType, model }.
+  router.post('/image', handleErrors(async (req, res) => {
+    const { prompt } = req.body || {};
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      throw new AiProviderError(400, 'A prompt is required.');
+    }
+    res.json(await provider.image({ prompt }));
+  }));
+
+  // Audio transcription. Body: { audioBase64, mimeType, context, language }. Returns { text, model }.
+  router.post('/transcribe', handleErrors(async (req, res) => {
+    const { audioBase64, mimeType, context, language } = req.body || {};
+    if (typeof audioBase64 !== 'string' || !audioBase64) {
+      throw new AiProviderError(400, 'Audio is required.');
+    }
+    if (typeof mimeType !== 'string' || !mimeType.startsWith('audio/')) {
+      throw new AiProviderError(400, 'An audio MIME type is required.');
+    }
+    res.json(await provider.transcribe({
+      audioBase64,
+      mimeType,
+      context: typeof context === 'string' ? context : '',
+      language: typeof language === 'string' && /^[a-z]{2}$/.test(language) ? language : ''
+    }));
+  }));
+
+  router.use(handleBodyErrors);
+
+  return router;
+}
@@ -0,0 +1,29 @@
+import { initializeApp, getApps } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+// The Admin SDK only needs the project ID to verify ID tokens; no service account is required.
+// Defaults to the project configured in public/firebase-init.js.
+const projectId = process.env.FIREBASE_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || 'dreams-35716';
+
+const adminApp = getApps().length > 0 ? getApps()[0] : initializeApp({ projectId });
+
+/**
+ * Express middleware that checks the caller's Firebase ID token.
+ * Expects an `Authorization: Bearer <idToken>` header and sets `req.user` to the decoded token.
+ */
+export async function requireFirebaseUser(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer (.+)$/);
+  if (!match) {
+    res.status(401).json({ error: 'Missing Firebase ID token.' });
+    return;
+  }
+
+  try {
+    req.user = await getAuth(adminApp).verifyIdToken(match[1]);
+    next();
+  } catch (error) {
+    console.error('Rejected Firebase ID token:', error.message);
+    res.status(401).json({ error: 'Invalid or expired Firebase ID token.' });
+  }
+}
@@ -0,0 +1,97 @@
+// memory-backend.test.js
+
+// Tests for the in-memory storage backend and the repositories of dreams-data-service.js on top of it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend } from '../public/memory-backend.js';
+import { configureDataService, draftsRepository, analysisQueueRepository } from '../public/dreams-data-service.js';
+
+const PATH = 'artifacts/test-app/users/user-1/items';
+
+test('add, get, update and remove a record', async () => {
+    const backend = createMemoryBackend();
+    const { id, queued } = await backend.add(PATH, { text: 'first' }, { stampTimestamp: true });
+    assert.equal(queued, false);
+
+    const stored = await backend.get(PATH, id);
+    assert.equal(stored.id, id);
+    assert.equal(stored.text, 'first');
+    assert.ok(stored.timestamp instanceof Date);
+
+    await backend.update(PATH, id, { text: 'changed' });
+    assert.equal((await backend.get(PATH, id)).text, 'changed');
+
+    await backend.remove(PATH, id);
+    assert.equal(await backend.get(PATH, id), null);
+});
+
+test('update of a missing record fails', async () => {
+    const backend = createMemoryBackend();
+    await assert.rejects(backend.update(PATH, 'missing', { text: 'x' }), /No document to update/);
+});
+
+test('stored data cannot be changed through returned records', async () => {
+    const backend = createMemoryBackend();
+    const data = { tags: ['a'] };
+    const { id } = await backend.add(PATH, data);
+    data.tags.push('b');
+    const stored = await backend.get(PATH, id);
+    stored.tags.push('c');
+    assert.deepEqual((await backend.get(PATH, id)).tags, ['a']);
+});
+
+test('list filters, sorts and limits', async () => {
+    const backend = createMemoryBackend();
+    await backend.add(PATH, { kind: 'dream', order: 2 });
+    await backend.add(PATH, { kind: 'event', order: 1 });
+    await backend.add(PATH, { kind: 'dream', order: 3 });
+    await backend.add(PATH, { kind: 'dream', order: 1 });
+
+    const dreams = await backend.list(PATH, { where: [{ field: 'kind', value: 'dream' }], orderBy: 'order', direction: 'desc', limit: 2 });
+    assert.deepEqual(dreams.map(record => record.order), [3, 2]);
+});
+
+test('subscribers get the current records and every change', async () => {
+    const backend = createMemoryBackend();
+    const counts = [];
+    const unsubscribe = backend.subscribe(PATH, {}, records => counts.push(records.length));
+    const { id } = await backend.add(PATH, { text: 'one' });
+    await backend.remove(PATH, id);
+    unsubscribe();
+    await backend.add(PATH, { text: 'two' });
+    assert.deepEqual(counts, [0, 1, 0]);
+});
+
+test('transact applies the change only once when two callers race', async () => {
+    const backend = createMemoryBackend();
+    const { id } = await backend.add(PATH, { status: 'pending' });
+    const claim = () => backend.transact(PATH, id, current => (current.status === 'pending' ? { status: 'running' } : null));
+
+    const results = await Promise.all([claim(), claim()]);
+    assert.deepEqual(results.filter(Boolean), [{ status: 'running' }]);
+    assert.equal(await backend.transact(PATH, 'missing', () => ({ status: 'running' })), null);
+});
+
+test('repositories store under the signed-in user and normalize records', async () => {
+    const backend = createMemoryBackend();
+    configureDataService({ backend, appId: 'test-app', getUserId: () => 'user-1' });
+    const { id } = await draftsRepository.add({ dreamText: 'I was flying.' });
+    assert.equal((await backend.get('artifacts/test-app/users/user-1/draft_dreams', id)).dreamText, 'I was flying.');
+    const draft = await draftsRepository.get(id);
+    assert.equal(draft.dreamTitle, '');
+    assert.equal(draft.isPreAnalyzed, false);
+});
+
+test('repository transactions get the normalized record', async () => {
+    configureDataService({ backend: createMemoryBackend(), appId: 'test-app', getUserId: () => 'user-1' });
+    const { id } = await analysisQueueRepository.add({ status: 'pending', attempts: 0 });
+    const claimed = await analysisQueueRepository.transact(id, current => ({ status: 'running', attempts: current.attempts + 1 }));
+    assert.deepEqual(claimed, { status: 'running', attempts: 1 });
+    assert.equal((await analysisQueueRepository.get(id)).status, 'running');
+});
+
+test('repositories need a signed-in user', async () => {
+    configureDataService({ backend: createMemoryBackend(), appId: 'test-app', getUserId: () => null });
+    assert.throws(() => draftsRepository.add({ dreamText: 'x' }), /Please sign in/);
+});
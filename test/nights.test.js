@@ -0,0 +1,49 @@
+// nights.test.js
+
+// Tests for nights and the time scopes built on them. Dates are local times, like the app's.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nightKey, dreamNightKey, scopeStartNight, scopeStartDate, scopeEndDate, isDreamInPeriod, orderByNight } from '../public/nights.js';
+
+const MORNING = new Date(2026, 9, 19, 3); // 3 a.m. on Oct 19, during the night of Oct 18
+const AFTERNOON = new Date(2026, 9, 19, 15); // 3 p.m. on Oct 19, the night of Oct 18 has ended
+
+test('a moment belongs to the night that started on the evening before', () => {
+    assert.equal(nightKey(MORNING), '2026-10-18');
+    assert.equal(nightKey(AFTERNOON), '2026-10-19');
+    assert.equal(dreamNightKey({ timestamp: MORNING }), '2026-10-18');
+    assert.equal(dreamNightKey({ timestamp: AFTERNOON, metadata: { occurredAt: MORNING } }), '2026-10-18');
+    assert.equal(dreamNightKey({ timestamp: null }), null);
+});
+
+test('last night is the latest night that has ended, in the morning and in the afternoon', () => {
+    assert.equal(scopeStartNight('lastNight', MORNING), '2026-10-18');
+    assert.equal(scopeStartNight('lastNight', AFTERNOON), '2026-10-18');
+});
+
+test('the other scopes count back from last night', () => {
+    assert.equal(scopeStartNight('last7Days', AFTERNOON), '2026-10-12');
+    assert.equal(scopeStartNight('last30Days', AFTERNOON), '2026-09-19');
+    assert.equal(scopeStartNight('lastYear', AFTERNOON), '2025-10-19');
+    assert.equal(scopeStartNight('allTime', AFTERNOON), null);
+    assert.equal(scopeStartDate('allTime', AFTERNOON), null);
+});
+
+test('a dream of last night is in scope after noon, one of the night just beginning is not', () => {
+    const start = scopeStartDate('lastNight', AFTERNOON);
+    const end = scopeEndDate('lastNight', AFTERNOON);
+    assert.equal(isDreamInPeriod({ timestamp: MORNING }, start, end), true);
+    assert.equal(isDreamInPeriod({ timestamp: new Date(2026, 9, 19, 14) }, start, end), false);
+    assert.equal(isDreamInPeriod({ timestamp: new Date(2026, 9, 18, 3) }, start, end), false);
+});
+
+test('dreams are ordered by night, latest first, keeping their order within a night', () => {
+    const dreams = [
+        { id: 'a', timestamp: new Date(2026, 9, 17, 4) },
+        { id: 'b', timestamp: new Date(2026, 9, 19, 5) },
+        { id: 'c', timestamp: null },
+        { id: 'd', timestamp: new Date(2026, 9, 18, 23) }
+    ];
+    assert.deepEqual(orderByNight(dreams).map(dream => dream.id), ['b', 'd', 'a', 'c']);
+});
@@ -0,0 +1,43 @@
+// text-diff.test.js
+
+// Tests for the word-level diff of dream revisions.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWords, countChangedWords } from '../public/text-diff.js';
+
+test('equal texts are one equal part', () => {
+    assert.deepEqual(diffWords('I was flying', 'I was flying'), [{ type: 'equal', text: 'I was flying' }]);
+});
+
+test('replaced words are deleted before the words that replace them', () => {
+    assert.deepEqual(diffWords('I was flying high', 'I was falling high'), [
+        { type: 'equal', text: 'I was ' },
+        { type: 'delete', text: 'flying ' },
+        { type: 'insert', text: 'falling ' },
+        { type: 'equal', text: 'high' }
+    ]);
+});
+
+test('the parts join back into the new text, and into the old one up to whitespace', () => {
+    const oldText = 'The house had\n  three doors and a garden.';
+    const newText = 'The old house had two doors and a garden.\nThen I woke up.';
+    const parts = diffWords(oldText, newText);
+    const words = (text) => text.split(/\s+/).filter(Boolean);
+    assert.deepEqual(words(parts.filter(part => part.type !== 'insert').map(part => part.text).join('')), words(oldText));
+    assert.equal(parts.filter(part => part.type !== 'delete').map(part => part.text).join(''), newText);
+});
+
+test('re-wrapping a line is not a change', () => {
+    assert.deepEqual(diffWords('I was\nflying', 'I was flying'), [{ type: 'equal', text: 'I was flying' }]);
+});
+
+test('empty texts give fully inserted or deleted text', () => {
+    assert.deepEqual(diffWords('', 'New text'), [{ type: 'insert', text: 'New text' }]);
+    assert.deepEqual(diffWords('Old text', ''), [{ type: 'delete', text: 'Old text' }]);
+    assert.deepEqual(diffWords('', ''), []);
+});
+
+test('countChangedWords counts added and removed words', () => {
+    assert.deepEqual(countChangedWords(diffWords('I was flying high', 'I was falling very high')), { added: 2, removed: 1 });
+});
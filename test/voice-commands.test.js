@@ -0,0 +1,42 @@
+// voice-commands.test.js
+
+// Tests for recognizing spoken recorder commands in the speech recognizer's phrases.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVoiceCommands, lastSentenceStart } from '../public/voice-commands.js';
+
+test('a phrase that is only a command is that command', () => {
+    assert.deepEqual(parseVoiceCommands('new dream'), [{ type: 'newDream' }]);
+    assert.deepEqual(parseVoiceCommands('Scratch that.'), [{ type: 'scratch' }]);
+    assert.deepEqual(parseVoiceCommands('stop recording'), [{ type: 'stop' }]);
+});
+
+test('dictation that merely contains a command phrase stays text', () => {
+    assert.deepEqual(parseVoiceCommands('I told her about my next dream'), [{ type: 'text', text: 'I told her about my next dream' }]);
+    assert.deepEqual(parseVoiceCommands('new dream I was in a house'), [{ type: 'text', text: 'new dream I was in a house' }]);
+    assert.deepEqual(parseVoiceCommands('title the red house'), [{ type: 'text', text: 'title the red house' }]);
+});
+
+test('commands set off by sentence punctuation are split from the text', () => {
+    assert.deepEqual(parseVoiceCommands('I was flying. Scratch that.'), [{ type: 'text', text: 'I was flying.' }, { type: 'scratch' }]);
+    assert.deepEqual(parseVoiceCommands('New dream. I was in a house'), [{ type: 'newDream' }, { type: 'text', text: 'I was in a house' }]);
+});
+
+test('a title is the rest of the phrase, or the next phrase after a lone "title"', () => {
+    assert.deepEqual(parseVoiceCommands('Title: the red house.'), [{ type: 'title', text: 'The red house' }]);
+    assert.deepEqual(parseVoiceCommands('title'), [{ type: 'title', text: '' }]);
+    assert.deepEqual(parseVoiceCommands('the red house', 'en', true), [{ type: 'title', text: 'The red house' }]);
+});
+
+test('only the phrases of the recording language are recognized', () => {
+    assert.deepEqual(parseVoiceCommands('streich das', 'de'), [{ type: 'scratch' }]);
+    assert.deepEqual(parseVoiceCommands('Ich flog. Neuer Traum.', 'de'), [{ type: 'text', text: 'Ich flog.' }, { type: 'newDream' }]);
+    assert.deepEqual(parseVoiceCommands('delete that', 'de'), [{ type: 'text', text: 'delete that' }]);
+    assert.deepEqual(parseVoiceCommands('новый сон', 'ru'), [{ type: 'newDream' }]);
+});
+
+test('lastSentenceStart finds the start of the last sentence', () => {
+    assert.equal(lastSentenceStart('I was flying. Then I fell.'), 14);
+    assert.equal(lastSentenceStart('One sentence only'), 0);
+});